@@ -2,13 +2,28 @@
 // Express-based server with zero-knowledge proof APIs:
 // 1. Transfer API: perform balance transfer with ZK proof generation
 // 2. Verify API: verify zkSNARK proofs
-// 3. Accounts API: manage accounts
+// 3. Accounts API: manage accounts and prove their inclusion in the state tree
 // 4. Transactions API: query transaction history
+// 5. Batches API: queue signed transfers and prove them together
+// 6. Jobs API: transfers are accepted as jobs and proven by a background worker
+// 7. Audit API: verify a stored transaction against its database record
+// 8. Escrows API: lock escrow tokens under a provider, then release, refund or reclaim them
+// 9. Supply API: the issuer mints and burns fungible tokens, with an auditable supply history
+// 10. Swaps API: two parties swap two tokens atomically under one proof
+// 11. Multi-Transfer API: one sender pays several recipients under one proof
 
 import express from 'express';
 import cors from 'cors';
-import { transfer, getAllTokens, getToken, createToken, TOKEN_TYPES } from './scripts/api.mjs';
-import { verifyProof, getVerificationExamples } from './scripts/api.mjs';
+import { getAllTokens, getToken, createToken, TOKEN_TYPES } from './scripts/api.mjs';
+import { verifyProof, getVerificationExamples, registerAccount, closeAccount } from './scripts/api.mjs';
+import { getInclusionProof, verifyInclusionProof } from './scripts/api.mjs';
+import { queueTransfer, createBatch, getPendingTransfers, getBatch, getAllBatches } from './scripts/api.mjs';
+import { submitTransferJob, getJob, startJobWorker, verifyTransaction } from './scripts/api.mjs';
+import { getStateRoots, getStateRootRecord } from './scripts/api.mjs';
+import { getLedgerBlock, verifyLedgerChain } from './scripts/api.mjs';
+import { openEscrow, releaseEscrow, refundEscrow, reclaimEscrow, getEscrow, getAllEscrows } from './scripts/api.mjs';
+import { mintTokens, burnTokens, getTokenSupply } from './scripts/api.mjs';
+import { swapTokens, multiTransfer } from './scripts/api.mjs';
 import { getAllAccounts, getAccount, getLastTx, getAllTransactions } from './scripts/utils.mjs';
 import { ProofMetadataService } from './scripts/services/proof-metadata-service.mjs';
 
@@ -19,9 +34,10 @@ app.use(cors());
 const PORT = process.env.PORT || 3000;
 
 // --- API 1: Token Transfer with ZK Proof (New Token-Based API) ---
-app.post('/api/transfer', async (req, res) => {
+// Proving takes a while, so the transfer is queued as a job; poll GET /api/jobs/:id for its status
+app.post('/api/transfer', (req, res) => {
   try {
-    const { tokenId, from, to, transferParams, transferCircuit, ledgerMetadata } = req.body;
+    const { tokenId, from, to, transferParams, transferCircuit, ledgerMetadata, signature, nonce } = req.body;
     
     if (!tokenId || !from || !to) {
       return res.status(400).json({
@@ -34,16 +50,21 @@ app.post('/api/transfer', async (req, res) => {
     const params = transferParams || { amount: 100 };
     const circuit = transferCircuit || 'transfer';
 
-    const result = await transfer(
+    const job = submitTransferJob(
       tokenId,
       from,
       to,
       params,
       circuit,
-      ledgerMetadata || {}
+      ledgerMetadata || {},
+      { signature, nonce }
     );
 
-    res.json(result);
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status
+    });
   } catch (error) {
     res.status(400).json({
       success: false,
@@ -53,9 +74,9 @@ app.post('/api/transfer', async (req, res) => {
 });
 
 // --- API 2: Generic Token Transfer with ZK Proof ---
-app.post('/api/transfer/generic', async (req, res) => {
+app.post('/api/transfer/generic', (req, res) => {
   try {
-    const { tokenId, from, to, transferParams, transferCircuit, ledgerMetadata } = req.body;
+    const { tokenId, from, to, transferParams, transferCircuit, ledgerMetadata, signature, nonce } = req.body;
     
     if (!tokenId || !from || !to) {
       return res.status(400).json({
@@ -68,15 +89,43 @@ app.post('/api/transfer/generic', async (req, res) => {
     const circuit = transferCircuit || 'generic';
     const params = transferParams || {};
 
-    const result = await transfer(
+    const job = submitTransferJob(
       tokenId,
       from,
       to,
       params,
       circuit,
-      ledgerMetadata || {}
+      ledgerMetadata || {},
+      { signature, nonce }
     );
 
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 3: Multi-Recipient Transfer ---
+// The sender is debited once and every recipient credited under one proof; proven and committed in the request
+app.post('/api/transfer/multi', async (req, res) => {
+  try {
+    const { tokenId, from, recipients, signature, nonce, ledgerMetadata } = req.body;
+
+    if (!tokenId || !from || !Array.isArray(recipients) || recipients.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: tokenId, from, recipients'
+      });
+    }
+
+    const result = await multiTransfer(tokenId, from, recipients, { signature, nonce }, ledgerMetadata || {});
     res.json(result);
   } catch (error) {
     res.status(400).json({
@@ -86,10 +135,10 @@ app.post('/api/transfer/generic', async (req, res) => {
   }
 });
 
-// --- API 3: Verify ZK Proof ---
+// --- API 4: Verify ZK Proof ---
 app.post('/api/verify', async (req, res) => {
   try {
-    const { txId, proof, publicInputs } = req.body;
+    const { txId, proof, publicInputs, circuit } = req.body;
     
     if (!proof) {
       return res.status(400).json({
@@ -101,7 +150,8 @@ app.post('/api/verify', async (req, res) => {
     const result = await verifyProof({
       txId,
       proof,
-      publicInputs: publicInputs || []
+      publicInputs,
+      circuit
     });
 
     res.json(result);
@@ -157,16 +207,16 @@ app.get('/api/tokens/:tokenId', (req, res) => {
 // --- API 7: Create Token ---
 app.post('/api/tokens', (req, res) => {
   try {
-    const { id, type, name, initialState } = req.body;
+    const { id, type, name, initialState, issuer } = req.body;
     
-    if (!id || type === undefined || !name) {
+    if (!id || type === undefined || !name || !issuer) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: id, type, name'
+        error: 'Missing required fields: id, type, name, issuer'
       });
     }
 
-    const token = createToken(id, type, name, initialState || {});
+    const token = createToken(id, type, name, initialState || {}, issuer);
     res.json({
       success: true,
       token: token
@@ -179,7 +229,76 @@ app.post('/api/tokens', (req, res) => {
   }
 });
 
-// --- API 8: Get Accounts (Legacy) ---
+// --- API 8: Mint Tokens ---
+// Only the token's issuer can mint: new units go to the issuer's holding; proven and committed in the request
+app.post('/api/tokens/:tokenId/mint', async (req, res) => {
+  try {
+    const { amount, signature, ledgerMetadata } = req.body || {};
+
+    if (amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: amount'
+      });
+    }
+
+    const result = await mintTokens(req.params.tokenId, amount, signature, ledgerMetadata || {});
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 9: Burn Tokens ---
+// Only the token's issuer can burn, from the issuer's own holding
+app.post('/api/tokens/:tokenId/burn', async (req, res) => {
+  try {
+    const { amount, signature, ledgerMetadata } = req.body || {};
+
+    if (amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: amount'
+      });
+    }
+
+    const result = await burnTokens(req.params.tokenId, amount, signature, ledgerMetadata || {});
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 10: Get Token Supply ---
+app.get('/api/tokens/:tokenId/supply', (req, res) => {
+  try {
+    if (!getToken(req.params.tokenId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Token not found'
+      });
+    }
+
+    const supply = getTokenSupply(req.params.tokenId);
+    res.json({
+      success: true,
+      ...supply
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 11: Get Accounts (Legacy) ---
 app.get('/api/accounts', (req, res) => {
   try {
     const accounts = getAllAccounts();
@@ -188,7 +307,8 @@ app.get('/api/accounts', (req, res) => {
       accounts: accounts.map(acc => ({
         id: acc.id,
         balance: acc.bal.toString(),
-        publicKey: acc.pub.toString(),
+        publicKey: acc.publicKey,
+        publicKeyHash: acc.pub.toString(),
         nonce: acc.nonce.toString(),
         treeIndex: acc.idx
       }))
@@ -201,7 +321,7 @@ app.get('/api/accounts', (req, res) => {
   }
 });
 
-// --- API 9: Get Specific Account (Legacy) ---
+// --- API 12: Get Specific Account (Legacy) ---
 app.get('/api/accounts/:accountId', (req, res) => {
   try {
     const account = getAccount(req.params.accountId);
@@ -217,7 +337,8 @@ app.get('/api/accounts/:accountId', (req, res) => {
       account: {
         id: account.id,
         balance: account.bal.toString(),
-        publicKey: account.pub.toString(),
+        publicKey: account.publicKey,
+        publicKeyHash: account.pub.toString(),
         nonce: account.nonce.toString(),
         treeIndex: account.idx
       }
@@ -230,7 +351,473 @@ app.get('/api/accounts/:accountId', (req, res) => {
   }
 });
 
-// --- API 10: Get Transaction History ---
+// --- API 13: Register Account ---
+app.post('/api/accounts', (req, res) => {
+  try {
+    const { id, publicKey } = req.body;
+    
+    if (!id || publicKey === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: id, publicKey'
+      });
+    }
+
+    const { account, root } = registerAccount(id, publicKey);
+    res.json({
+      success: true,
+      account: {
+        id: account.id,
+        balance: account.bal.toString(),
+        publicKey: account.publicKey,
+        publicKeyHash: account.pub.toString(),
+        nonce: account.nonce.toString(),
+        treeIndex: account.idx
+      },
+      root: root.toString()
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 14: Close Account ---
+app.delete('/api/accounts/:accountId', (req, res) => {
+  try {
+    if (!getAccount(req.params.accountId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+
+    const { account, root } = closeAccount(req.params.accountId);
+    res.json({
+      success: true,
+      closed: {
+        id: account.id,
+        treeIndex: account.idx
+      },
+      root: root.toString()
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 15: Get Account Inclusion Proof ---
+app.get('/api/accounts/:accountId/inclusion-proof', (req, res) => {
+  try {
+    // ?root= proves the account's leaf as of a recorded historical root
+    const root = req.query.root ?? null;
+    if (root !== null && !getStateRootRecord(root)) {
+      return res.status(404).json({
+        success: false,
+        error: 'State root not found'
+      });
+    }
+
+    const inclusionProof = getInclusionProof(req.params.accountId, root);
+    if (!inclusionProof) {
+      return res.status(404).json({
+        success: false,
+        error: root === null ? 'Account not found' : 'Account not found at this state root'
+      });
+    }
+
+    res.json({
+      success: true,
+      inclusionProof
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 16: Verify Inclusion Proof ---
+app.post('/api/inclusion-proof/verify', (req, res) => {
+  try {
+    const result = verifyInclusionProof(req.body);
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 17: Get State Root History ---
+app.get('/api/roots', (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+    const history = getStateRoots({ limit: limit ?? 100, offset: offset ?? 0 });
+    res.json({
+      success: true,
+      ...history
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 18: Get State Root ---
+app.get('/api/roots/:root', (req, res) => {
+  try {
+    const root = getStateRootRecord(req.params.root);
+    if (!root) {
+      return res.status(404).json({
+        success: false,
+        error: 'State root not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      root
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 19: Verify Ledger Chain ---
+app.get('/api/ledger/verify', async (req, res) => {
+  try {
+    const result = await verifyLedgerChain(req.query.platform || null);
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 20: Get Ledger Block ---
+app.get('/api/ledger/blocks/:blockId', async (req, res) => {
+  try {
+    const block = await getLedgerBlock(req.params.blockId, req.query.platform || null);
+    if (!block) {
+      return res.status(404).json({
+        success: false,
+        error: 'Block not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      block
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 21: Queue Transfer for Next Batch ---
+app.post('/api/batches/pending', (req, res) => {
+  try {
+    const { tokenId, from, to, transferParams, signature, nonce } = req.body;
+
+    if (!tokenId || !from || !to || !transferParams) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: tokenId, from, to, transferParams'
+      });
+    }
+
+    const pending = queueTransfer(tokenId, from, to, transferParams, { signature, nonce });
+    res.json({
+      success: true,
+      pending
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 22: Get Pending Transfers ---
+app.get('/api/batches/pending', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      pending: getPendingTransfers()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 23: Prove and Commit a Batch ---
+app.post('/api/batches', async (req, res) => {
+  try {
+    const { ledgerMetadata } = req.body || {};
+    const result = await createBatch(ledgerMetadata || {});
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 24: Get All Batches ---
+app.get('/api/batches', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      batches: getAllBatches()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 25: Get Specific Batch ---
+app.get('/api/batches/:batchId', (req, res) => {
+  try {
+    const batch = getBatch(req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      batch
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 26: Open Escrow ---
+// Locks the owner's escrow token under a provider; proven and committed in the request, like a batch
+app.post('/api/escrows', async (req, res) => {
+  try {
+    const { tokenId, owner, beneficiary, provider, amount, expiresAt, signature, ledgerMetadata } = req.body;
+
+    if (!tokenId || !owner || !beneficiary || !provider || amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: tokenId, owner, beneficiary, provider, amount'
+      });
+    }
+
+    const result = await openEscrow(
+      { tokenId, owner, beneficiary, provider, amount, expiresAt: expiresAt ?? null },
+      signature,
+      ledgerMetadata || {}
+    );
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 27: Get Escrows ---
+app.get('/api/escrows', (req, res) => {
+  try {
+    const { tokenId, account, status } = req.query;
+    const escrows = getAllEscrows({ tokenId: tokenId || null, account: account || null, status: status || null });
+
+    res.json({
+      success: true,
+      escrows,
+      count: escrows.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 28: Get Specific Escrow ---
+app.get('/api/escrows/:escrowId', (req, res) => {
+  try {
+    const escrow = getEscrow(req.params.escrowId);
+    if (!escrow) {
+      return res.status(404).json({
+        success: false,
+        error: 'Escrow not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      escrow
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 29: Release Escrow ---
+// Only the escrow provider can release: the token moves to the beneficiary
+app.post('/api/escrows/:escrowId/release', async (req, res) => {
+  try {
+    const { signature, ledgerMetadata } = req.body || {};
+    const result = await releaseEscrow(req.params.escrowId, signature, ledgerMetadata || {});
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 30: Refund Escrow ---
+// Only the escrow provider can refund: the token stays with the owner
+app.post('/api/escrows/:escrowId/refund', async (req, res) => {
+  try {
+    const { signature, ledgerMetadata } = req.body || {};
+    const result = await refundEscrow(req.params.escrowId, signature, ledgerMetadata || {});
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 31: Reclaim Escrow ---
+// The owner reclaims the token once the escrow's timeout has passed
+app.post('/api/escrows/:escrowId/reclaim', async (req, res) => {
+  try {
+    const { signature, ledgerMetadata } = req.body || {};
+    const result = await reclaimEscrow(req.params.escrowId, signature, ledgerMetadata || {});
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 32: Swap Tokens ---
+// Both legs are proven by one swap proof and committed together, or neither is; signed by both parties
+app.post('/api/swaps', async (req, res) => {
+  try {
+    const { partyA, tokenA, amountA, partyB, tokenB, amountB, signatureA, signatureB, ledgerMetadata } = req.body;
+
+    if (!partyA || !tokenA || !partyB || !tokenB) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: partyA, tokenA, partyB, tokenB'
+      });
+    }
+
+    const result = await swapTokens(
+      { partyA, tokenA, amountA, partyB, tokenB, amountB },
+      { signatureA, signatureB },
+      ledgerMetadata || {}
+    );
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 33: Get Job Status ---
+app.get('/api/jobs/:jobId', (req, res) => {
+  try {
+    const job = getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 34: Verify Stored Transaction ---
+app.post('/api/transactions/:txId/verify', async (req, res) => {
+  try {
+    const result = await verifyTransaction(req.params.txId);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 35: Get Transaction History ---
 app.get('/api/transactions', (req, res) => {
   try {
     const { account } = req.query;
@@ -250,7 +837,7 @@ app.get('/api/transactions', (req, res) => {
   }
 });
 
-// --- API 11: Get Last Transaction ---
+// --- API 36: Get Last Transaction ---
 app.get('/api/transactions/last', (req, res) => {
   try {
     const lastTx = getLastTx();
@@ -273,7 +860,7 @@ app.get('/api/transactions/last', (req, res) => {
   }
 });
 
-// --- API 12: Get Verification Examples ---
+// --- API 37: Get Verification Examples ---
 app.get('/api/verify/examples', (req, res) => {
   try {
     const examples = getVerificationExamples();
@@ -289,7 +876,7 @@ app.get('/api/verify/examples', (req, res) => {
   }
 });
 
-// --- API 13: Get Available Proving Systems ---
+// --- API 38: Get Available Proving Systems ---
 app.get('/api/proving-systems', (req, res) => {
   try {
     const provingSystems = ProofMetadataService.getAvailableProvingSystems();
@@ -305,7 +892,22 @@ app.get('/api/proving-systems', (req, res) => {
   }
 });
 
-// --- API 14: Get Circuit Information ---
+// --- API 39: List Circuits ---
+app.get('/api/circuits', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      circuits: ProofMetadataService.getAllCircuitInfo()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// --- API 40: Get Circuit Information ---
 app.get('/api/circuits/:circuitName', (req, res) => {
   try {
     const circuitInfo = ProofMetadataService.getCircuitInfo(req.params.circuitName);
@@ -328,7 +930,7 @@ app.get('/api/circuits/:circuitName', (req, res) => {
   }
 });
 
-// --- API 15: Health Check ---
+// --- API 41: Health Check ---
 app.get('/api/health', (req, res) => {
   res.json({
     success: true,
@@ -340,31 +942,90 @@ app.get('/api/health', (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`🚀 Token-Based ZK Proof Server running on port ${PORT}`);
+  startJobWorker();
   console.log('\n📋 Available APIs:');
-  console.log('  POST /api/transfer        - Token transfer with ZK proof (New)');
-  console.log('  POST /api/transfer/generic - Generic token transfer with ZK proof');
+  console.log('  POST /api/transfer        - Token transfer with ZK proof (New, returns a job id)');
+  console.log('  POST /api/transfer/generic - Generic token transfer with ZK proof (returns a job id)');
+  console.log('  POST /api/transfer/multi  - Pay several recipients from one sender under one proof (signed by the sender)');
+  console.log('  GET  /api/jobs/:id        - Transfer job status (queued, proving, proven, committed, failed)');
   console.log('  POST /api/tokens          - Create new token');
   console.log('  GET  /api/tokens          - View all tokens');
   console.log('  GET  /api/tokens/:id      - View specific token');
+  console.log('  POST /api/tokens/:id/mint - Mint units to the token\'s issuer (signed by the issuer)');
+  console.log('  POST /api/tokens/:id/burn - Burn units from the token\'s issuer (signed by the issuer)');
+  console.log('  GET  /api/tokens/:id/supply - Total supply and its mint and burn history');
   console.log('  POST /api/verify          - Verify ZK proof');
 
   console.log('  GET  /api/accounts        - View all accounts (Legacy)');
   console.log('  GET  /api/accounts/:id    - View specific account (Legacy)');
+  console.log('  POST /api/accounts        - Register account (allocates a state tree leaf)');
+  console.log('  DELETE /api/accounts/:id  - Close account (frees its state tree leaf)');
+  console.log('  GET  /api/accounts/:id/inclusion-proof - Merkle inclusion proof of an account in the state tree (?root= for a past root)');
+  console.log('  POST /api/inclusion-proof/verify - Recompute the root of an inclusion proof');
+  console.log('  GET  /api/roots           - State root history (use ?limit=&offset= to page)');
+  console.log('  GET  /api/roots/:root     - A recorded state root, what produced it and its predecessor');
+  console.log('  GET  /api/ledger/verify   - Verify the ledger\'s hash chain (use ?platform= for another ledger)');
+  console.log('  GET  /api/ledger/blocks/:id - View a ledger block by ID or number');
+  console.log('  POST /api/batches/pending - Queue a signed transfer for the next batch');
+  console.log('  GET  /api/batches/pending - View queued transfers');
+  console.log('  POST /api/batches         - Prove and commit queued transfers with one batch proof');
+  console.log('  GET  /api/batches         - View all batches');
+  console.log('  GET  /api/batches/:id     - View specific batch');
+  console.log('  POST /api/escrows         - Open an escrow: lock an escrow token under a provider (signed by the owner)');
+  console.log('  GET  /api/escrows         - View escrows (use ?tokenId=&account=&status= to filter)');
+  console.log('  GET  /api/escrows/:id     - View specific escrow');
+  console.log('  POST /api/escrows/:id/release - Release an escrow to its beneficiary (signed by the provider)');
+  console.log('  POST /api/escrows/:id/refund  - Refund an escrow to its owner (signed by the provider)');
+  console.log('  POST /api/escrows/:id/reclaim - Reclaim an escrow after its timeout (signed by the owner)');
+  console.log('  POST /api/swaps           - Swap two tokens between two parties under one proof (signed by both)');
   console.log('  GET  /api/transactions    - View all transactions (use ?account=user to filter)');
   console.log('  GET  /api/transactions/last - View last transaction only');
+  console.log('  POST /api/transactions/:id/verify - Verify a stored transaction against its record');
   console.log('  GET  /api/verify/examples - Get verification examples');
   console.log('  GET  /api/proving-systems - Get available proving systems');
+  console.log('  GET  /api/circuits         - List the circuits of the circuit manifest');
   console.log('  GET  /api/circuits/:name  - Get circuit information');
   console.log('  GET  /api/health          - Health check');
   console.log('\n📖 Example usage:');
+  console.log('  # Sign a demo transfer over alice\'s next nonce (prints {"signature","nonce"}):');
+  console.log('  npm run keys -- sign alice bob 100');
   console.log('  # Token transfer (GOLD from alice to bob):');
   console.log('  curl -X POST http://localhost:3000/api/transfer \\');
   console.log('    -H "Content-Type: application/json" \\');
-  console.log('    -d \'{"tokenId":"GOLD","from":"alice","to":"bob","transferParams":{"amount":100}}\'');
+  console.log('    -d \'{"tokenId":"GOLD","from":"alice","to":"bob","transferParams":{"amount":100},"signature":"<signature>","nonce":"<nonce>"}\'');
+  console.log('  # Poll the returned job until it is committed:');
+  console.log('  curl http://localhost:3000/api/jobs/<jobId>');
+  console.log('  # Or queue signed transfers for a batch, then prove all queued transfers at once:');
+  console.log('  curl -X POST http://localhost:3000/api/batches/pending \\');
+  console.log('    -H "Content-Type: application/json" \\');
+  console.log('    -d \'{"tokenId":"GOLD","from":"alice","to":"bob","transferParams":{"amount":100},"signature":"<signature>","nonce":"<nonce>"}\'');
+  console.log('  curl -X POST http://localhost:3000/api/batches');
+  console.log('  # Pay bob and carol from alice under one proof (sign with: npm run keys -- multi alice bob:100 carol:50):');
+  console.log('  curl -X POST http://localhost:3000/api/transfer/multi \\');
+  console.log('    -H "Content-Type: application/json" \\');
+  console.log('    -d \'{"tokenId":"GOLD","from":"alice","recipients":[{"to":"bob","amount":100},{"to":"carol","amount":50}],"signature":"<signature>","nonce":"<nonce>"}\'');
+  console.log('  # Open an escrow of an escrow token (sign with: npm run keys -- escrow-open alice DEED bob carol 500):');
+  console.log('  curl -X POST http://localhost:3000/api/escrows \\');
+  console.log('    -H "Content-Type: application/json" \\');
+  console.log('    -d \'{"tokenId":"DEED","owner":"alice","beneficiary":"bob","provider":"carol","amount":500,"signature":"<signature>"}\'');
+  console.log('  # Release it as the provider (sign with: npm run keys -- escrow release <escrowId>):');
+  console.log('  curl -X POST http://localhost:3000/api/escrows/<escrowId>/release \\');
+  console.log('    -H "Content-Type: application/json" -d \'{"signature":"<signature>"}\'');
+  console.log('  # Mint 100 GOLD as its issuer (sign with: npm run keys -- supply mint GOLD 100):');
+  console.log('  curl -X POST http://localhost:3000/api/tokens/GOLD/mint \\');
+  console.log('    -H "Content-Type: application/json" -d \'{"amount":100,"signature":"<signature>"}\'');
+  console.log('  # Swap 100 GOLD of alice for bob\'s SWORD (sign with: npm run keys -- swap alice GOLD 100 bob SWORD 1):');
+  console.log('  curl -X POST http://localhost:3000/api/swaps \\');
+  console.log('    -H "Content-Type: application/json" \\');
+  console.log('    -d \'{"partyA":"alice","tokenA":"SILVER","amountA":100,"partyB":"bob","tokenB":"SWORD","amountB":1,"signatureA":"<signatureA>","signatureB":"<signatureB>"}\'');
   console.log('  # Create new token:');
   console.log('  curl -X POST http://localhost:3000/api/tokens \\');
   console.log('    -H "Content-Type: application/json" \\');
-  console.log('    -d \'{"id":"DIAMOND","type":0,"name":"Diamond Coins","initialState":{"state":5000}}\'');
+  console.log('    -d \'{"id":"DIAMOND","type":0,"name":"Diamond Coins","initialState":{"state":5000},"issuer":"alice"}\'');
+  console.log('  # Register an account:');
+  console.log('  curl -X POST http://localhost:3000/api/accounts \\');
+  console.log('    -H "Content-Type: application/json" \\');
+  console.log('    -d \'{"id":"erin","publicKey":"c0513e747956c25bb646671174271b7ccb7550b2d2da716113e8d94e3af18800"}\'');
   console.log('  # View all tokens:');
   console.log('  curl http://localhost:3000/api/tokens');
   console.log('  # View all transactions:');
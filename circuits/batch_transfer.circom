@@ -0,0 +1,231 @@
+pragma circom 2.1.5;
+
+include "poseidon.circom";
+include "bitify.circom";
+include "eddsaposeidon.circom";
+include "transfer.circom";
+
+// One signed transfer applied to the account state tree as two sequential leaf updates:
+// sender (root_in -> root_mid), then receiver (root_mid -> root_out).
+// Each leaf keeps its path across its own update, so the same siblings prove the old and the new leaf.
+// Disabled steps pad a batch: no checks apply and root_out = root_in.
+
+template TransferStep(DEPTH) {
+    signal input enabled;
+    signal input root_in;
+    signal output root_out;
+    signal output tx_hash;
+
+    signal input sender_pub;
+    signal input receiver_pub;
+    signal input sender_before;
+    signal input receiver_before;
+    signal input sender_nonce;
+    signal input receiver_nonce;
+    signal input token_id;
+    signal input amount;
+    signal input nonce;
+
+    signal input sender_Ax;
+    signal input sender_Ay;
+    signal input sig_S;
+    signal input sig_R8x;
+    signal input sig_R8y;
+
+    signal input s_siblings[DEPTH];
+    signal input s_pathBits[DEPTH];
+    signal input r_siblings[DEPTH];
+    signal input r_pathBits[DEPTH];
+
+    enabled * (enabled - 1) === 0;
+
+    // Sender authorization, as in Transfer: sender_pub = Poseidon(Ax, Ay) and an
+    // EdDSA-Poseidon signature over Poseidon(receiver_pub, token_id, amount, nonce)
+    component hSenderKey = Poseidon(2);
+    hSenderKey.inputs[0] <== sender_Ax;
+    hSenderKey.inputs[1] <== sender_Ay;
+    component keyCheck = ForceEqualIfEnabled();
+    keyCheck.enabled <== enabled;
+    keyCheck.in[0] <== hSenderKey.out;
+    keyCheck.in[1] <== sender_pub;
+
+    component hMsg = Poseidon(4);
+    hMsg.inputs[0] <== receiver_pub;
+    hMsg.inputs[1] <== token_id;
+    hMsg.inputs[2] <== amount;
+    hMsg.inputs[3] <== nonce;
+
+    component sigVerifier = EdDSAPoseidonVerifier();
+    sigVerifier.enabled <== enabled;
+    sigVerifier.Ax <== sender_Ax;
+    sigVerifier.Ay <== sender_Ay;
+    sigVerifier.S <== sig_S;
+    sigVerifier.R8x <== sig_R8x;
+    sigVerifier.R8y <== sig_R8y;
+    sigVerifier.M <== hMsg.out;
+
+    // Replay protection: the signed nonce is the sender's bumped nonce
+    signal sender_nonce_after;
+    sender_nonce_after <== sender_nonce + 1;
+    (nonce - sender_nonce_after) * enabled === 0;
+
+    // Balance updates with 64-bit range checks (sender_after in range also means sender_before >= amount)
+    signal sender_after;
+    signal receiver_after;
+    sender_after <== sender_before - amount;
+    receiver_after <== receiver_before + amount;
+
+    component sbits = Num2Bits(64);
+    sbits.in <== sender_after;
+    component rbits = Num2Bits(64);
+    rbits.in <== receiver_after;
+    component abits = Num2Bits(64);
+    abits.in <== amount;
+
+    // Sender leaf: root_in -> root_mid
+    component hS0 = Poseidon(3);
+    hS0.inputs[0] <== sender_pub;
+    hS0.inputs[1] <== sender_before;
+    hS0.inputs[2] <== sender_nonce;
+
+    component hS1 = Poseidon(3);
+    hS1.inputs[0] <== sender_pub;
+    hS1.inputs[1] <== sender_after;
+    hS1.inputs[2] <== sender_nonce_after;
+
+    component smBefore = MerkleRoot(DEPTH);
+    component smAfter = MerkleRoot(DEPTH);
+    smBefore.leaf <== hS0.out;
+    smAfter.leaf <== hS1.out;
+    for (var i = 0; i < DEPTH; i++) {
+        smBefore.siblings[i] <== s_siblings[i];
+        smBefore.pathBits[i] <== s_pathBits[i];
+        smAfter.siblings[i] <== s_siblings[i];
+        smAfter.pathBits[i] <== s_pathBits[i];
+    }
+
+    component senderRootCheck = ForceEqualIfEnabled();
+    senderRootCheck.enabled <== enabled;
+    senderRootCheck.in[0] <== smBefore.root;
+    senderRootCheck.in[1] <== root_in;
+
+    // Receiver leaf: root_mid -> root_out
+    component hR0 = Poseidon(3);
+    hR0.inputs[0] <== receiver_pub;
+    hR0.inputs[1] <== receiver_before;
+    hR0.inputs[2] <== receiver_nonce;
+
+    component hR1 = Poseidon(3);
+    hR1.inputs[0] <== receiver_pub;
+    hR1.inputs[1] <== receiver_after;
+    hR1.inputs[2] <== receiver_nonce;
+
+    component rmBefore = MerkleRoot(DEPTH);
+    component rmAfter = MerkleRoot(DEPTH);
+    rmBefore.leaf <== hR0.out;
+    rmAfter.leaf <== hR1.out;
+    for (var j = 0; j < DEPTH; j++) {
+        rmBefore.siblings[j] <== r_siblings[j];
+        rmBefore.pathBits[j] <== r_pathBits[j];
+        rmAfter.siblings[j] <== r_siblings[j];
+        rmAfter.pathBits[j] <== r_pathBits[j];
+    }
+
+    component receiverRootCheck = ForceEqualIfEnabled();
+    receiverRootCheck.enabled <== enabled;
+    receiverRootCheck.in[0] <== rmBefore.root;
+    receiverRootCheck.in[1] <== smAfter.root;
+
+    root_out <== root_in + enabled * (rmAfter.root - root_in);
+
+    component hTx = Poseidon(4);
+    hTx.inputs[0] <== sender_pub;
+    hTx.inputs[1] <== receiver_pub;
+    hTx.inputs[2] <== amount;
+    hTx.inputs[3] <== nonce;
+    tx_hash <== hTx.out;
+}
+
+// Proves: up to N signed transfers, applied in order, take the account state tree from root_before to root_after.
+// batch_hash = Poseidon(...Poseidon(Poseidon(0, tx_hash_0), tx_hash_1)..., tx_hash_k) over the enabled steps,
+// with tx_hash = Poseidon(sender_pub, receiver_pub, amount, nonce); tx_count is the number of enabled steps.
+// Every step moves token_id, which each sender's signature covers.
+
+template BatchTransfer(DEPTH, N) {
+    // Public inputs (declared in main component)
+    signal input root_before;
+    signal input root_after;
+    signal input batch_hash;
+    signal input tx_count;
+    signal input token_id;
+
+    // Per-step private inputs
+    signal input enabled[N];
+    signal input sender_pub[N];
+    signal input receiver_pub[N];
+    signal input sender_before[N];
+    signal input receiver_before[N];
+    signal input sender_nonce[N];
+    signal input receiver_nonce[N];
+    signal input amount[N];
+    signal input nonce[N];
+    signal input sender_Ax[N];
+    signal input sender_Ay[N];
+    signal input sig_S[N];
+    signal input sig_R8x[N];
+    signal input sig_R8y[N];
+    signal input s_siblings[N][DEPTH];
+    signal input s_pathBits[N][DEPTH];
+    signal input r_siblings[N][DEPTH];
+    signal input r_pathBits[N][DEPTH];
+
+    component steps[N];
+    component hChain[N];
+    signal hashes[N + 1];
+    hashes[0] <== 0;
+    var count = 0;
+
+    for (var i = 0; i < N; i++) {
+        steps[i] = TransferStep(DEPTH);
+        steps[i].enabled <== enabled[i];
+        if (i == 0) {
+            steps[i].root_in <== root_before;
+        } else {
+            steps[i].root_in <== steps[i - 1].root_out;
+        }
+
+        steps[i].sender_pub <== sender_pub[i];
+        steps[i].receiver_pub <== receiver_pub[i];
+        steps[i].sender_before <== sender_before[i];
+        steps[i].receiver_before <== receiver_before[i];
+        steps[i].sender_nonce <== sender_nonce[i];
+        steps[i].receiver_nonce <== receiver_nonce[i];
+        steps[i].token_id <== token_id;
+        steps[i].amount <== amount[i];
+        steps[i].nonce <== nonce[i];
+        steps[i].sender_Ax <== sender_Ax[i];
+        steps[i].sender_Ay <== sender_Ay[i];
+        steps[i].sig_S <== sig_S[i];
+        steps[i].sig_R8x <== sig_R8x[i];
+        steps[i].sig_R8y <== sig_R8y[i];
+        for (var d = 0; d < DEPTH; d++) {
+            steps[i].s_siblings[d] <== s_siblings[i][d];
+            steps[i].s_pathBits[d] <== s_pathBits[i][d];
+            steps[i].r_siblings[d] <== r_siblings[i][d];
+            steps[i].r_pathBits[d] <== r_pathBits[i][d];
+        }
+
+        hChain[i] = Poseidon(2);
+        hChain[i].inputs[0] <== hashes[i];
+        hChain[i].inputs[1] <== steps[i].tx_hash;
+        hashes[i + 1] <== hashes[i] + enabled[i] * (hChain[i].out - hashes[i]);
+
+        count += enabled[i];
+    }
+
+    steps[N - 1].root_out === root_after;
+    hashes[N] === batch_hash;
+    count === tx_count;
+}
+
+// No main component: scripts/build.mjs instantiates BatchTransfer(DEPTH, BATCH_SIZE) at the configured sizes
@@ -0,0 +1,226 @@
+pragma circom 2.1.5;
+
+include "poseidon.circom";
+include "bitify.circom";
+include "comparators.circom";
+include "multiplexer.circom";
+include "eddsaposeidon.circom";
+include "transfer.circom";
+
+// Escrow Transition Circuit
+// Proves: one step of an escrow token's lifecycle in the token's state tree (the generic_state_transfer leaves),
+// authorized by the account allowed to take it; states are [state, escrow_provider, escrow_status, escrow_amount]
+//   OPEN (0):    signed by the owner; the owned token is locked under the provider for the amount
+//   RELEASE (1): signed by the provider; the token moves to the beneficiary, out of escrow
+//   REFUND (2):  signed by the provider; the token stays with the owner, out of escrow
+//   RECLAIM (3): signed by the owner; as REFUND
+// The provider field holds the provider's public key field (Poseidon(Ax, Ay)), so only that key can release or refund.
+// The owner's leaf is updated, then the beneficiary's, taking root_before to root_after
+template EscrowTransition(DEPTH) {
+    var STATE_SIZE = 4;
+
+    // Public inputs
+    signal input root_before;
+    signal input root_after;
+    signal input tx_log_id;
+    signal input token_id;
+    signal input escrow_seq;    // Escrow number of the token, so a signature applies to one escrow only
+    signal input action;        // 0=open, 1=release, 2=refund, 3=reclaim
+    signal input provider;      // Provider's public key field
+    signal input amount;        // Escrow amount
+
+    // Private inputs
+    signal input owner_pub;
+    signal input beneficiary_pub;
+    signal input owner_nonce;
+    signal input beneficiary_nonce;
+    signal input expires_at;    // Reclaim timeout (ms), 0 for none; only signed here, the timeout itself is
+                                // checked off-circuit by EscrowService.closeEscrow before a reclaim is proven
+
+    signal input owner_state_before[STATE_SIZE];
+    signal input beneficiary_state_before[STATE_SIZE];
+    signal input owner_state_after[STATE_SIZE];
+    signal input beneficiary_state_after[STATE_SIZE];
+
+    // Owner's path under root_before, and beneficiary's path after the owner's update (as in Transfer)
+    signal input o_siblings[DEPTH];
+    signal input o_pathBits[DEPTH];
+    signal input b_siblings[DEPTH];
+    signal input b_pathBits[DEPTH];
+
+    // Compose leaves BEFORE: pub + nonce + token_id + full state array
+    component hO0 = Poseidon(3 + STATE_SIZE);
+    hO0.inputs[0] <== owner_pub;
+    hO0.inputs[1] <== owner_nonce;
+    hO0.inputs[2] <== token_id;
+
+    component hB0 = Poseidon(3 + STATE_SIZE);
+    hB0.inputs[0] <== beneficiary_pub;
+    hB0.inputs[1] <== beneficiary_nonce;
+    hB0.inputs[2] <== token_id;
+
+    for (var a = 0; a < STATE_SIZE; a++) {
+        hO0.inputs[3 + a] <== owner_state_before[a];
+        hB0.inputs[3 + a] <== beneficiary_state_before[a];
+    }
+
+    // Owner's membership under root_before
+    component omBefore = MerkleRoot(DEPTH);
+    omBefore.leaf <== hO0.out;
+    for (var i=0;i<DEPTH;i++) {
+        omBefore.siblings[i] <== o_siblings[i];
+        omBefore.pathBits[i] <== o_pathBits[i];
+    }
+    omBefore.root === root_before;
+
+    // Action as one-hot selectors; unknown actions are rejected
+    component actionSel = Decoder(4);
+    actionSel.inp <== action;
+    actionSel.success === 1;
+    signal isOpen;
+    signal isRelease;
+    signal byOwner;
+    isOpen <== actionSel.out[0];
+    isRelease <== actionSel.out[1];
+    byOwner <== actionSel.out[0] + actionSel.out[3];
+
+    // Amounts are 64-bit, so a negative amount cannot pose as a large one
+    component amountBits = Num2Bits(64);
+    amountBits.in <== amount;
+
+    // The owner owns the token (state=1) in every step
+    owner_state_before[0] === 1;
+
+    // OPEN: the token is not in escrow yet
+    isOpen * owner_state_before[2] === 0;
+
+    // RELEASE, REFUND, RECLAIM: the token is in escrow (escrow_status=1) under this provider for this amount
+    (1 - isOpen) * (owner_state_before[2] - 1) === 0;
+    (1 - isOpen) * (owner_state_before[1] - provider) === 0;
+    (1 - isOpen) * (owner_state_before[3] - amount) === 0;
+
+    // RELEASE: the beneficiary does not own the token yet
+    isRelease * beneficiary_state_before[0] === 0;
+
+    // Authorization: the owner signs OPEN and RECLAIM, the provider RELEASE and REFUND; the signer's key hashes to
+    // that account's public key field, and (S, R8) is its EdDSA-Poseidon signature over
+    // Poseidon(action, token_id, escrow_seq, provider, beneficiary_pub, amount, expires_at)
+    signal input signer_Ax;
+    signal input signer_Ay;
+    signal input sig_S;
+    signal input sig_R8x;
+    signal input sig_R8y;
+
+    component hSignerKey = Poseidon(2);
+    hSignerKey.inputs[0] <== signer_Ax;
+    hSignerKey.inputs[1] <== signer_Ay;
+
+    signal ownerSigner;
+    signal providerSigner;
+    ownerSigner <== byOwner * owner_pub;
+    providerSigner <== (1 - byOwner) * provider;
+    hSignerKey.out === ownerSigner + providerSigner;
+
+    component hMsg = Poseidon(7);
+    hMsg.inputs[0] <== action;
+    hMsg.inputs[1] <== token_id;
+    hMsg.inputs[2] <== escrow_seq;
+    hMsg.inputs[3] <== provider;
+    hMsg.inputs[4] <== beneficiary_pub;
+    hMsg.inputs[5] <== amount;
+    hMsg.inputs[6] <== expires_at;
+
+    component sigVerifier = EdDSAPoseidonVerifier();
+    sigVerifier.enabled <== 1;
+    sigVerifier.Ax <== signer_Ax;
+    sigVerifier.Ay <== signer_Ay;
+    sigVerifier.S <== sig_S;
+    sigVerifier.R8x <== sig_R8x;
+    sigVerifier.R8y <== sig_R8y;
+    sigVerifier.M <== hMsg.out;
+
+    // After states of each action, owner's then beneficiary's, selected by action
+    component stateMux = Multiplexer(2 * STATE_SIZE, 4);
+    stateMux.sel <== action;
+
+    // OPEN: [1, provider, 1, amount] for the owner, the beneficiary is unchanged
+    stateMux.inp[0][0] <== 1;
+    stateMux.inp[0][1] <== provider;
+    stateMux.inp[0][2] <== 1;
+    stateMux.inp[0][3] <== amount;
+    // RELEASE: the owner is left empty and the beneficiary owns the token out of escrow
+    stateMux.inp[1][0] <== 0;
+    stateMux.inp[1][STATE_SIZE] <== 1;
+    // REFUND, RECLAIM: the owner keeps the token out of escrow, the beneficiary is unchanged
+    stateMux.inp[2][0] <== 1;
+    stateMux.inp[3][0] <== 1;
+
+    for (var b = 1; b < STATE_SIZE; b++) {
+        stateMux.inp[1][b] <== 0;
+        stateMux.inp[1][STATE_SIZE + b] <== 0;
+        stateMux.inp[2][b] <== 0;
+        stateMux.inp[3][b] <== 0;
+    }
+    for (var s = 0; s < STATE_SIZE; s++) {
+        stateMux.inp[0][STATE_SIZE + s] <== beneficiary_state_before[s];
+        stateMux.inp[2][STATE_SIZE + s] <== beneficiary_state_before[s];
+        stateMux.inp[3][STATE_SIZE + s] <== beneficiary_state_before[s];
+    }
+
+    for (var c = 0; c < STATE_SIZE; c++) {
+        owner_state_after[c] === stateMux.out[c];
+        beneficiary_state_after[c] === stateMux.out[STATE_SIZE + c];
+    }
+
+    // Compose leaves AFTER
+    component hO1 = Poseidon(3 + STATE_SIZE);
+    hO1.inputs[0] <== owner_pub;
+    hO1.inputs[1] <== owner_nonce;
+    hO1.inputs[2] <== token_id;
+
+    component hB1 = Poseidon(3 + STATE_SIZE);
+    hB1.inputs[0] <== beneficiary_pub;
+    hB1.inputs[1] <== beneficiary_nonce;
+    hB1.inputs[2] <== token_id;
+
+    for (var d = 0; d < STATE_SIZE; d++) {
+        hO1.inputs[3 + d] <== owner_state_after[d];
+        hB1.inputs[3 + d] <== beneficiary_state_after[d];
+    }
+
+    // Owner's update: root_before -> root_mid, over the owner's path
+    component omAfter = MerkleRoot(DEPTH);
+    omAfter.leaf <== hO1.out;
+    for (var k=0;k<DEPTH;k++) {
+        omAfter.siblings[k] <== o_siblings[k];
+        omAfter.pathBits[k] <== o_pathBits[k];
+    }
+
+    // Beneficiary's update: root_mid -> root_after, over the beneficiary's path under root_mid
+    component bmBefore = MerkleRoot(DEPTH);
+    component bmAfter = MerkleRoot(DEPTH);
+    bmBefore.leaf <== hB0.out;
+    bmAfter.leaf <== hB1.out;
+    for (var m=0;m<DEPTH;m++) {
+        bmBefore.siblings[m] <== b_siblings[m];
+        bmBefore.pathBits[m] <== b_pathBits[m];
+        bmAfter.siblings[m] <== b_siblings[m];
+        bmAfter.pathBits[m] <== b_pathBits[m];
+    }
+    bmBefore.root === omAfter.root;
+    bmAfter.root === root_after;
+
+    // Bind to tx_log_id
+    signal input tx_nonce;
+    signal input tx_timestamp;
+    component hTx = Poseidon(6);  // owner + beneficiary + token_id + action + nonce + timestamp
+    hTx.inputs[0] <== owner_pub;
+    hTx.inputs[1] <== beneficiary_pub;
+    hTx.inputs[2] <== token_id;
+    hTx.inputs[3] <== action;
+    hTx.inputs[4] <== tx_nonce;
+    hTx.inputs[5] <== tx_timestamp;
+    hTx.out === tx_log_id;
+}
+
+// No main component: scripts/build.mjs instantiates EscrowTransition(DEPTH) at the configured TREE_DEPTH
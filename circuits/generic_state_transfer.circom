@@ -3,61 +3,32 @@ pragma circom 2.1.5;
 include "poseidon.circom";
 include "bitify.circom";
 include "comparators.circom";
-
-// Simple Merkle root recomputation with Poseidon and explicit path bits
-template MerkleRoot(DEPTH) {
-    signal input leaf;
-    signal input siblings[DEPTH];
-    signal input pathBits[DEPTH];
-    signal output root;
-
-    // Pre-declare all components and signals
-    component h[DEPTH];
-    signal left[DEPTH];
-    signal right[DEPTH];
-    signal cur[DEPTH + 1];
-    
-    // Intermediate signals for quadratic constraints
-    signal aux1[DEPTH];
-    signal aux2[DEPTH];
-    signal aux3[DEPTH];
-    signal aux4[DEPTH];
-    
-    cur[0] <== leaf;
-
-    for (var i = 0; i < DEPTH; i++) {
-        h[i] = Poseidon(2);
-        
-        // Break down the complex expressions into quadratic ones
-        aux1[i] <== (1 - pathBits[i]) * cur[i];
-        aux2[i] <== pathBits[i] * siblings[i];
-        left[i] <== aux1[i] + aux2[i];
-        
-        aux3[i] <== (1 - pathBits[i]) * siblings[i];
-        aux4[i] <== pathBits[i] * cur[i];
-        right[i] <== aux3[i] + aux4[i];
-        
-        h[i].inputs[0] <== left[i];
-        h[i].inputs[1] <== right[i];
-        cur[i + 1] <== h[i].out;
-    }
-    root <== cur[DEPTH];
-}
-
-// Minimal Generic State Transfer Circuit
-// Demonstrates the concept of generic state transfer
+include "multiplexer.circom";
+include "eddsaposeidon.circom";
+include "transfer.circom";
+
+// Generic State Transfer Circuit
+// Proves: a token state transition between two accounts by the rules of the token's type,
+// as TransferService.calculateStateChanges applies them; the sender's leaf is updated, then the receiver's,
+// taking root_before to root_after
+//   FUNGIBLE (0):  amount moves from sender to receiver; it is positive and no more than the sender holds
+//   NFT (1):       ownership flips from sender to receiver
+//   ATTRIBUTE (2): ownership flips and the sender's attributes move to the receiver; the sender is left empty
+//   ESCROW (3):    ownership flips and the receiver's escrow provider is set; a token in active escrow cannot move
+// The after states of every type are computed and token_type selects one with a multiplexer.
+// The sender signed (receiver_pub, token_id, amount, escrow_provider, nonce) and its nonce advances to the signed one,
+// as in Transfer
 template GenericStateTransfer(DEPTH, STATE_SIZE) {
-    // Public inputs - Updated to include the requested fields
-    signal input sender_account;      // 1. sender account (public key)
-    signal input receiver_account;    // 2. receiver account (public key)
-    signal input amount;              // 3. amount
-    signal input nonce;               // 4. nonce
-    signal input commitment;          // 5. commitment (state commitment)
+    // State fields 0 (state), 1 (escrow_provider, or level) and 2 (escrow_status, or power) are used below
+    assert(STATE_SIZE >= 3);
+
+    // Public inputs
     signal input root_before;
     signal input root_after;
     signal input tx_log_id;
-    signal input token_id;      // Public: which token is being transferred
-    signal input token_type;    // Public: type of token (0=fungible, 1=nft, etc.)
+    signal input token_id;      // Which token is being transferred
+    signal input token_type;    // Type of token (0=fungible, 1=nft, 2=attribute, 3=escrow)
+    signal input nonce;         // Sender's signed nonce, the one after sender_nonce
 
     // Private inputs
     signal input sender_pub;
@@ -65,99 +36,188 @@ template GenericStateTransfer(DEPTH, STATE_SIZE) {
     signal input sender_nonce;
     signal input receiver_nonce;
     
-    // State arrays - flexible size based on token type
-    signal input sender_state_before[STATE_SIZE];  // Current state of sender's token
-    signal input receiver_state_before[STATE_SIZE]; // Current state of receiver's token
-    signal input sender_state_after[STATE_SIZE];    // New state of sender's token
-    signal input receiver_state_after[STATE_SIZE];  // New state of receiver's token
+    // State arrays in the token's state format order (state first)
+    signal input sender_state_before[STATE_SIZE];
+    signal input receiver_state_before[STATE_SIZE];
+    signal input sender_state_after[STATE_SIZE];
+    signal input receiver_state_after[STATE_SIZE];
     
-    // Transfer parameters (varies by token type)
-    signal input transfer_params[STATE_SIZE];  // Parameters for the transfer (amount, attributes, etc.)
-
-    // Paths for BEFORE state
-    signal input s_siblings_before[DEPTH];
-    signal input s_pathBits_before[DEPTH];
-    signal input r_siblings_before[DEPTH];
-    signal input r_pathBits_before[DEPTH];
-
-    // Paths for AFTER state
-    signal input s_siblings_after[DEPTH];
-    signal input s_pathBits_after[DEPTH];
-    signal input r_siblings_after[DEPTH];
-    signal input r_pathBits_after[DEPTH];
-
-    // Verify that public inputs match private inputs
-    sender_account === sender_pub;
-    receiver_account === receiver_pub;
-
-    // Compose leaves BEFORE
-    component hS0 = Poseidon(3);  // pub + nonce + token_id
+    // Transfer parameters: [amount, escrow_provider, 0, ...]
+    signal input transfer_params[STATE_SIZE];
+
+    // Sender's path under root_before, and receiver's path after the sender's update (as in Transfer)
+    signal input s_siblings[DEPTH];
+    signal input s_pathBits[DEPTH];
+    signal input r_siblings[DEPTH];
+    signal input r_pathBits[DEPTH];
+
+    // Compose leaves BEFORE: pub + nonce + token_id + full state array
+    component hS0 = Poseidon(3 + STATE_SIZE);
     hS0.inputs[0] <== sender_pub;
     hS0.inputs[1] <== sender_nonce;
     hS0.inputs[2] <== token_id;
 
-    component hR0 = Poseidon(3);
+    component hR0 = Poseidon(3 + STATE_SIZE);
     hR0.inputs[0] <== receiver_pub;
     hR0.inputs[1] <== receiver_nonce;
     hR0.inputs[2] <== token_id;
 
-    // Membership under root_before
+    for (var a = 0; a < STATE_SIZE; a++) {
+        hS0.inputs[3 + a] <== sender_state_before[a];
+        hR0.inputs[3 + a] <== receiver_state_before[a];
+    }
+
+    // Sender's membership under root_before
     component smBefore = MerkleRoot(DEPTH);
     smBefore.leaf <== hS0.out;
     for (var i=0;i<DEPTH;i++) {
-        smBefore.siblings[i] <== s_siblings_before[i];
-        smBefore.pathBits[i] <== s_pathBits_before[i];
+        smBefore.siblings[i] <== s_siblings[i];
+        smBefore.pathBits[i] <== s_pathBits[i];
     }
     smBefore.root === root_before;
 
-    component rmBefore = MerkleRoot(DEPTH);
-    rmBefore.leaf <== hR0.out;
-    for (var j=0;j<DEPTH;j++) {
-        rmBefore.siblings[j] <== r_siblings_before[j];
-        rmBefore.pathBits[j] <== r_pathBits_before[j];
+    // Token type as one-hot selectors; types without rules are rejected
+    component tokenTypeSel = Decoder(4);
+    tokenTypeSel.inp <== token_type;
+    tokenTypeSel.success === 1;
+    signal isFungible;
+    signal isEscrow;
+    isFungible <== tokenTypeSel.out[0];
+    isEscrow <== tokenTypeSel.out[3];
+
+    // Amounts are 64-bit, so a negative amount cannot pose as a large one
+    signal amount;
+    amount <== transfer_params[0];
+    component amountBits = Num2Bits(64);
+    amountBits.in <== amount;
+
+    // FUNGIBLE: a positive amount, covered by the sender's balance
+    component amountIsZero = IsZero();
+    amountIsZero.in <== amount;
+    isFungible * amountIsZero.out === 0;
+
+    component covered = LessEqThan(64);
+    covered.in[0] <== amount;
+    covered.in[1] <== sender_state_before[0];
+    isFungible * (1 - covered.out) === 0;
+
+    // NFT, ATTRIBUTE, ESCROW: the sender owns the token (state=1) and the receiver does not (state=0)
+    (1 - isFungible) * (sender_state_before[0] - 1) === 0;
+    (1 - isFungible) * receiver_state_before[0] === 0;
+
+    // ESCROW: a token in active escrow (escrow_status=1) cannot be transferred
+    component escrowActive = IsEqual();
+    escrowActive.in[0] <== sender_state_before[2];
+    escrowActive.in[1] <== 1;
+    isEscrow * escrowActive.out === 0;
+
+    // After states of each type, sender's then receiver's, selected by token_type
+    component stateMux = Multiplexer(2 * STATE_SIZE, 4);
+    stateMux.sel <== token_type;
+
+    // FUNGIBLE: amount moves, every other field stays
+    stateMux.inp[0][0] <== sender_state_before[0] - amount;
+    stateMux.inp[0][STATE_SIZE] <== receiver_state_before[0] + amount;
+    // NFT: ownership flips, every other field stays
+    stateMux.inp[1][0] <== 0;
+    stateMux.inp[1][STATE_SIZE] <== 1;
+    // ATTRIBUTE: the receiver takes ownership and the sender's attributes, the sender is left empty
+    stateMux.inp[2][0] <== 0;
+    stateMux.inp[2][STATE_SIZE] <== 1;
+    // ESCROW: ownership flips and the receiver's escrow provider becomes transfer_params[1]
+    stateMux.inp[3][0] <== 0;
+    stateMux.inp[3][STATE_SIZE] <== 1;
+
+    for (var b = 1; b < STATE_SIZE; b++) {
+        stateMux.inp[0][b] <== sender_state_before[b];
+        stateMux.inp[0][STATE_SIZE + b] <== receiver_state_before[b];
+        stateMux.inp[1][b] <== sender_state_before[b];
+        stateMux.inp[1][STATE_SIZE + b] <== receiver_state_before[b];
+        stateMux.inp[2][b] <== 0;
+        stateMux.inp[2][STATE_SIZE + b] <== sender_state_before[b];
+        stateMux.inp[3][b] <== sender_state_before[b];
+        if (b == 1) {
+            stateMux.inp[3][STATE_SIZE + b] <== transfer_params[1];
+        } else {
+            stateMux.inp[3][STATE_SIZE + b] <== receiver_state_before[b];
+        }
     }
-    rmBefore.root === root_before;
 
-    // Generic State Transfer Logic - Minimal
-    // For demo purposes, just accept any token type
-    // (constraints removed for debugging)
+    for (var c = 0; c < STATE_SIZE; c++) {
+        sender_state_after[c] === stateMux.out[c];
+        receiver_state_after[c] === stateMux.out[STATE_SIZE + c];
+    }
 
-    // Compose leaves AFTER
-    component hS1 = Poseidon(3);
+    // Sender authorization: sender_pub = Poseidon(Ax, Ay) of the sender's Baby Jubjub key, and (S, R8) is its
+    // EdDSA-Poseidon signature over Poseidon(receiver_pub, token_id, amount, escrow_provider, nonce)
+    signal input sender_Ax;
+    signal input sender_Ay;
+    signal input sig_S;
+    signal input sig_R8x;
+    signal input sig_R8y;
+
+    component hSenderKey = Poseidon(2);
+    hSenderKey.inputs[0] <== sender_Ax;
+    hSenderKey.inputs[1] <== sender_Ay;
+    hSenderKey.out === sender_pub;
+
+    component hMsg = Poseidon(5);
+    hMsg.inputs[0] <== receiver_pub;
+    hMsg.inputs[1] <== token_id;
+    hMsg.inputs[2] <== amount;
+    hMsg.inputs[3] <== transfer_params[1];
+    hMsg.inputs[4] <== nonce;
+
+    component sigVerifier = EdDSAPoseidonVerifier();
+    sigVerifier.enabled <== 1;
+    sigVerifier.Ax <== sender_Ax;
+    sigVerifier.Ay <== sender_Ay;
+    sigVerifier.S <== sig_S;
+    sigVerifier.R8x <== sig_R8x;
+    sigVerifier.R8y <== sig_R8y;
+    sigVerifier.M <== hMsg.out;
+
+    // Replay protection: the sender's nonce advances to the signed nonce
+    nonce === sender_nonce + 1;
+
+    // Compose leaves AFTER; the sender's leaf carries the advanced nonce
+    component hS1 = Poseidon(3 + STATE_SIZE);
     hS1.inputs[0] <== sender_pub;
-    hS1.inputs[1] <== sender_nonce;
+    hS1.inputs[1] <== nonce;
     hS1.inputs[2] <== token_id;
 
-    component hR1 = Poseidon(3);
+    component hR1 = Poseidon(3 + STATE_SIZE);
     hR1.inputs[0] <== receiver_pub;
     hR1.inputs[1] <== receiver_nonce;
     hR1.inputs[2] <== token_id;
 
-    // Membership under root_after
+    for (var d = 0; d < STATE_SIZE; d++) {
+        hS1.inputs[3 + d] <== sender_state_after[d];
+        hR1.inputs[3 + d] <== receiver_state_after[d];
+    }
+
+    // Sender's update: root_before -> root_mid, over the sender's path
     component smAfter = MerkleRoot(DEPTH);
     smAfter.leaf <== hS1.out;
     for (var k=0;k<DEPTH;k++) {
-        smAfter.siblings[k] <== s_siblings_after[k];
-        smAfter.pathBits[k] <== s_pathBits_after[k];
+        smAfter.siblings[k] <== s_siblings[k];
+        smAfter.pathBits[k] <== s_pathBits[k];
     }
-    smAfter.root === root_after;
 
+    // Receiver's update: root_mid -> root_after, over the receiver's path under root_mid
+    component rmBefore = MerkleRoot(DEPTH);
     component rmAfter = MerkleRoot(DEPTH);
+    rmBefore.leaf <== hR0.out;
     rmAfter.leaf <== hR1.out;
     for (var m=0;m<DEPTH;m++) {
-        rmAfter.siblings[m] <== r_siblings_after[m];
-        rmAfter.pathBits[m] <== r_pathBits_after[m];
+        rmBefore.siblings[m] <== r_siblings[m];
+        rmBefore.pathBits[m] <== r_pathBits[m];
+        rmAfter.siblings[m] <== r_siblings[m];
+        rmAfter.pathBits[m] <== r_pathBits[m];
     }
+    rmBefore.root === smAfter.root;
     rmAfter.root === root_after;
 
-    // Generate state commitment from final state
-    component hCommitment = Poseidon(4);
-    hCommitment.inputs[0] <== sender_pub;
-    hCommitment.inputs[1] <== receiver_pub;
-    hCommitment.inputs[2] <== sender_state_after[0];  // Use first state field as balance
-    hCommitment.inputs[3] <== receiver_state_after[0]; // Use first state field as balance
-    commitment === hCommitment.out;
-
     // Bind to tx_log_id
     signal input tx_nonce;
     signal input tx_timestamp;
@@ -171,5 +231,4 @@ template GenericStateTransfer(DEPTH, STATE_SIZE) {
     hTx.out === tx_log_id;
 }
 
-// Example instantiations for different token types
-component main = GenericStateTransfer(4, 4); // Depth=4, State size=4 for demo
+// No main component: scripts/build.mjs instantiates GenericStateTransfer(DEPTH, STATE_SIZE) at the configured TREE_DEPTH
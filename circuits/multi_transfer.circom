@@ -0,0 +1,233 @@
+pragma circom 2.1.5;
+
+include "poseidon.circom";
+include "bitify.circom";
+include "comparators.circom";
+include "eddsaposeidon.circom";
+include "transfer.circom";
+
+// One recipient's credit applied to the account state tree: receiver leaf root_in -> root_out.
+// The leaf keeps its path across its update, so the same siblings prove the old and the new leaf.
+// Disabled slots pad a multi-transfer: they carry no amount and root_out = root_in.
+
+template CreditStep(DEPTH) {
+    signal input enabled;
+    signal input root_in;
+    signal output root_out;
+    signal output recipient_hash;
+
+    signal input receiver_pub;
+    signal input receiver_before;
+    signal input receiver_nonce;
+    signal input amount;
+
+    signal input siblings[DEPTH];
+    signal input pathBits[DEPTH];
+
+    enabled * (enabled - 1) === 0;
+
+    // Amounts are 64-bit, positive in enabled slots and zero in disabled ones
+    component abits = Num2Bits(64);
+    abits.in <== amount;
+    component zeroAmount = IsZero();
+    zeroAmount.in <== amount;
+    zeroAmount.out === 1 - enabled;
+
+    // Balance update with a 64-bit range check
+    signal receiver_after;
+    receiver_after <== receiver_before + amount;
+    component rbits = Num2Bits(64);
+    rbits.in <== receiver_after;
+
+    component hR0 = Poseidon(3);
+    hR0.inputs[0] <== receiver_pub;
+    hR0.inputs[1] <== receiver_before;
+    hR0.inputs[2] <== receiver_nonce;
+
+    component hR1 = Poseidon(3);
+    hR1.inputs[0] <== receiver_pub;
+    hR1.inputs[1] <== receiver_after;
+    hR1.inputs[2] <== receiver_nonce;
+
+    component rmBefore = MerkleRoot(DEPTH);
+    component rmAfter = MerkleRoot(DEPTH);
+    rmBefore.leaf <== hR0.out;
+    rmAfter.leaf <== hR1.out;
+    for (var i = 0; i < DEPTH; i++) {
+        rmBefore.siblings[i] <== siblings[i];
+        rmBefore.pathBits[i] <== pathBits[i];
+        rmAfter.siblings[i] <== siblings[i];
+        rmAfter.pathBits[i] <== pathBits[i];
+    }
+
+    component receiverRootCheck = ForceEqualIfEnabled();
+    receiverRootCheck.enabled <== enabled;
+    receiverRootCheck.in[0] <== rmBefore.root;
+    receiverRootCheck.in[1] <== root_in;
+
+    root_out <== root_in + enabled * (rmAfter.root - root_in);
+
+    component hRecipient = Poseidon(2);
+    hRecipient.inputs[0] <== receiver_pub;
+    hRecipient.inputs[1] <== amount;
+    recipient_hash <== hRecipient.out;
+}
+
+// Proves: one sender pays up to K recipients in one account state tree transition, root_before -> root_after.
+// The sender's leaf is debited the total once and its nonce bumped (sender_before - total, sender_nonce + 1),
+// then each enabled slot credits its recipient in order; the enabled slots are a prefix of recipient_count slots
+// and their amounts add up to total, so nothing is created or lost.
+// recipients_hash = Poseidon(...Poseidon(Poseidon(0, r_0), r_1)..., r_k) over the enabled slots, with
+// r_i = Poseidon(receiver_pub_i, amount_i); the sender signs Poseidon(recipients_hash, token_id, total, nonce, recipient_count).
+// Binds to tx_log_id = Poseidon(sender_pub, recipients_hash, total, nonce, tx_nonce, tx_timestamp)
+
+template MultiTransfer(DEPTH, K) {
+    // Public inputs (declared in main component)
+    signal input root_before;
+    signal input root_after;
+    signal input tx_log_id;
+    signal input nonce;
+    signal input total;
+    signal input recipients_hash;
+    signal input recipient_count;
+    signal input token_id;
+
+    // Sender
+    signal input sender_pub;
+    signal input sender_before;
+    signal input sender_nonce;
+    signal input s_siblings[DEPTH];
+    signal input s_pathBits[DEPTH];
+
+    // Recipient slots
+    signal input enabled[K];
+    signal input receiver_pub[K];
+    signal input receiver_before[K];
+    signal input receiver_nonce[K];
+    signal input amount[K];
+    signal input r_siblings[K][DEPTH];
+    signal input r_pathBits[K][DEPTH];
+
+    // Sender authorization: sender_pub = Poseidon(Ax, Ay) and an EdDSA-Poseidon signature over
+    // Poseidon(recipients_hash, token_id, total, nonce, recipient_count)
+    signal input sender_Ax;
+    signal input sender_Ay;
+    signal input sig_S;
+    signal input sig_R8x;
+    signal input sig_R8y;
+
+    component hSenderKey = Poseidon(2);
+    hSenderKey.inputs[0] <== sender_Ax;
+    hSenderKey.inputs[1] <== sender_Ay;
+    hSenderKey.out === sender_pub;
+
+    component hMsg = Poseidon(5);
+    hMsg.inputs[0] <== recipients_hash;
+    hMsg.inputs[1] <== token_id;
+    hMsg.inputs[2] <== total;
+    hMsg.inputs[3] <== nonce;
+    hMsg.inputs[4] <== recipient_count;
+
+    component sigVerifier = EdDSAPoseidonVerifier();
+    sigVerifier.enabled <== 1;
+    sigVerifier.Ax <== sender_Ax;
+    sigVerifier.Ay <== sender_Ay;
+    sigVerifier.S <== sig_S;
+    sigVerifier.R8x <== sig_R8x;
+    sigVerifier.R8y <== sig_R8y;
+    sigVerifier.M <== hMsg.out;
+
+    // Replay protection, as in Transfer: the signed nonce is the sender's bumped nonce
+    signal sender_nonce_after;
+    sender_nonce_after <== sender_nonce + 1;
+    nonce === sender_nonce_after;
+
+    // Debit the total once (sender_after in range also means sender_before >= total)
+    signal sender_after;
+    sender_after <== sender_before - total;
+    component sbits = Num2Bits(64);
+    sbits.in <== sender_after;
+
+    // Sender leaf: root_before -> root_mid
+    component hS0 = Poseidon(3);
+    hS0.inputs[0] <== sender_pub;
+    hS0.inputs[1] <== sender_before;
+    hS0.inputs[2] <== sender_nonce;
+
+    component hS1 = Poseidon(3);
+    hS1.inputs[0] <== sender_pub;
+    hS1.inputs[1] <== sender_after;
+    hS1.inputs[2] <== sender_nonce_after;
+
+    component smBefore = MerkleRoot(DEPTH);
+    component smAfter = MerkleRoot(DEPTH);
+    smBefore.leaf <== hS0.out;
+    smAfter.leaf <== hS1.out;
+    for (var d = 0; d < DEPTH; d++) {
+        smBefore.siblings[d] <== s_siblings[d];
+        smBefore.pathBits[d] <== s_pathBits[d];
+        smAfter.siblings[d] <== s_siblings[d];
+        smAfter.pathBits[d] <== s_pathBits[d];
+    }
+    smBefore.root === root_before;
+
+    // Recipients: root_mid -> root_after, one credit per enabled slot
+    component steps[K];
+    component hChain[K];
+    signal hashes[K + 1];
+    hashes[0] <== 0;
+    var count = 0;
+    var sum = 0;
+
+    enabled[0] === 1;
+    for (var i = 0; i < K; i++) {
+        if (i > 0) {
+            // Enabled slots come first
+            enabled[i] * (1 - enabled[i - 1]) === 0;
+        }
+
+        steps[i] = CreditStep(DEPTH);
+        steps[i].enabled <== enabled[i];
+        if (i == 0) {
+            steps[i].root_in <== smAfter.root;
+        } else {
+            steps[i].root_in <== steps[i - 1].root_out;
+        }
+        steps[i].receiver_pub <== receiver_pub[i];
+        steps[i].receiver_before <== receiver_before[i];
+        steps[i].receiver_nonce <== receiver_nonce[i];
+        steps[i].amount <== amount[i];
+        for (var j = 0; j < DEPTH; j++) {
+            steps[i].siblings[j] <== r_siblings[i][j];
+            steps[i].pathBits[j] <== r_pathBits[i][j];
+        }
+
+        hChain[i] = Poseidon(2);
+        hChain[i].inputs[0] <== hashes[i];
+        hChain[i].inputs[1] <== steps[i].recipient_hash;
+        hashes[i + 1] <== hashes[i] + enabled[i] * (hChain[i].out - hashes[i]);
+
+        count += enabled[i];
+        sum += amount[i];
+    }
+
+    steps[K - 1].root_out === root_after;
+    hashes[K] === recipients_hash;
+    count === recipient_count;
+    // Conservation: the recipients are credited exactly what the sender is debited
+    sum === total;
+
+    // Bind to tx_log_id
+    signal input tx_nonce;
+    signal input tx_timestamp;
+    component hTx = Poseidon(6);  // sender + recipients_hash + total + nonce + tx_nonce + timestamp
+    hTx.inputs[0] <== sender_pub;
+    hTx.inputs[1] <== recipients_hash;
+    hTx.inputs[2] <== total;
+    hTx.inputs[3] <== nonce;
+    hTx.inputs[4] <== tx_nonce;
+    hTx.inputs[5] <== tx_timestamp;
+    hTx.out === tx_log_id;
+}
+
+// No main component: scripts/build.mjs instantiates MultiTransfer(DEPTH, MULTI_TRANSFER_SIZE) at the configured sizes
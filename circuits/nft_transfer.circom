@@ -3,56 +3,21 @@ pragma circom 2.1.5;
 include "poseidon.circom";
 include "bitify.circom";
 include "comparators.circom";
-
-// Simple Merkle root recomputation with Poseidon and explicit path bits
-template MerkleRoot(DEPTH) {
-    signal input leaf;
-    signal input siblings[DEPTH];
-    signal input pathBits[DEPTH];
-    signal output root;
-
-    // Pre-declare all components and signals
-    component h[DEPTH];
-    signal left[DEPTH];
-    signal right[DEPTH];
-    signal cur[DEPTH + 1];
-    
-    // Intermediate signals for quadratic constraints
-    signal aux1[DEPTH];
-    signal aux2[DEPTH];
-    signal aux3[DEPTH];
-    signal aux4[DEPTH];
-    
-    cur[0] <== leaf;
-
-    for (var i = 0; i < DEPTH; i++) {
-        h[i] = Poseidon(2);
-        
-        // Break down the complex expressions into quadratic ones
-        aux1[i] <== (1 - pathBits[i]) * cur[i];
-        aux2[i] <== pathBits[i] * siblings[i];
-        left[i] <== aux1[i] + aux2[i];
-        
-        aux3[i] <== (1 - pathBits[i]) * siblings[i];
-        aux4[i] <== pathBits[i] * cur[i];
-        right[i] <== aux3[i] + aux4[i];
-        
-        h[i].inputs[0] <== left[i];
-        h[i].inputs[1] <== right[i];
-        cur[i + 1] <== h[i].out;
-    }
-    root <== cur[DEPTH];
-}
+include "eddsaposeidon.circom";
+include "transfer.circom";
 
 // NFT Transfer Circuit
 // Proves: NFT ownership transfer from sender to receiver
-// Constraints: Only current owner can transfer, NFT can only be owned by one person at a time
+// Constraints: Only current owner can transfer, NFT can only be owned by one person at a time;
+// the owner signed (receiver_pub, nft_id, nonce) and its nonce advances to the signed one, as in Transfer;
+// the owner's leaf is updated, then the receiver's, taking root_before to root_after
 template NFTTransfer(DEPTH) {
     // Public inputs
     signal input root_before;
     signal input root_after;
     signal input tx_log_id;
     signal input nft_id;  // Public: which NFT is being transferred
+    signal input nonce;   // Public: the sender's signed nonce, the one after sender_nonce
 
     // Private inputs
     signal input sender_pub;
@@ -62,17 +27,11 @@ template NFTTransfer(DEPTH) {
     signal input sender_nonce;
     signal input receiver_nonce;
 
-    // Paths for BEFORE state
-    signal input s_siblings_before[DEPTH];
-    signal input s_pathBits_before[DEPTH];
-    signal input r_siblings_before[DEPTH];
-    signal input r_pathBits_before[DEPTH];
-
-    // Paths for AFTER state
-    signal input s_siblings_after[DEPTH];
-    signal input s_pathBits_after[DEPTH];
-    signal input r_siblings_after[DEPTH];
-    signal input r_pathBits_after[DEPTH];
+    // Sender's path under root_before, and receiver's path after the sender's update (as in Transfer)
+    signal input s_siblings[DEPTH];
+    signal input s_pathBits[DEPTH];
+    signal input r_siblings[DEPTH];
+    signal input r_pathBits[DEPTH];
 
     // Compose leaves BEFORE (NFT ownership state)
     component hS0 = Poseidon(4);  // pub + owns_nft + nonce + nft_id
@@ -87,23 +46,15 @@ template NFTTransfer(DEPTH) {
     hR0.inputs[2] <== receiver_nonce;
     hR0.inputs[3] <== nft_id;
 
-    // Membership under root_before
+    // Sender's membership under root_before
     component smBefore = MerkleRoot(DEPTH);
     smBefore.leaf <== hS0.out;
     for (var i=0;i<DEPTH;i++) {
-        smBefore.siblings[i] <== s_siblings_before[i];
-        smBefore.pathBits[i] <== s_pathBits_before[i];
+        smBefore.siblings[i] <== s_siblings[i];
+        smBefore.pathBits[i] <== s_pathBits[i];
     }
     smBefore.root === root_before;
 
-    component rmBefore = MerkleRoot(DEPTH);
-    rmBefore.leaf <== hR0.out;
-    for (var j=0;j<DEPTH;j++) {
-        rmBefore.siblings[j] <== r_siblings_before[j];
-        rmBefore.pathBits[j] <== r_pathBits_before[j];
-    }
-    rmBefore.root === root_before;
-
     // NFT Transfer Logic (Binary ownership)
     signal sender_owns_nft_after;
     signal receiver_owns_nft_after;
@@ -135,11 +86,41 @@ template NFTTransfer(DEPTH) {
     component rBitAfter = Num2Bits(1);
     rBitAfter.in <== receiver_owns_nft_after;
 
-    // Compose leaves AFTER
+    // Sender authorization: sender_pub = Poseidon(Ax, Ay) of the sender's Baby Jubjub key, and (S, R8) is its
+    // EdDSA-Poseidon signature over Poseidon(receiver_pub, nft_id, nonce)
+    signal input sender_Ax;
+    signal input sender_Ay;
+    signal input sig_S;
+    signal input sig_R8x;
+    signal input sig_R8y;
+
+    component hSenderKey = Poseidon(2);
+    hSenderKey.inputs[0] <== sender_Ax;
+    hSenderKey.inputs[1] <== sender_Ay;
+    hSenderKey.out === sender_pub;
+
+    component hMsg = Poseidon(3);
+    hMsg.inputs[0] <== receiver_pub;
+    hMsg.inputs[1] <== nft_id;
+    hMsg.inputs[2] <== nonce;
+
+    component sigVerifier = EdDSAPoseidonVerifier();
+    sigVerifier.enabled <== 1;
+    sigVerifier.Ax <== sender_Ax;
+    sigVerifier.Ay <== sender_Ay;
+    sigVerifier.S <== sig_S;
+    sigVerifier.R8x <== sig_R8x;
+    sigVerifier.R8y <== sig_R8y;
+    sigVerifier.M <== hMsg.out;
+
+    // Replay protection: the sender's nonce advances to the signed nonce
+    nonce === sender_nonce + 1;
+
+    // Compose leaves AFTER; the sender's leaf carries the advanced nonce
     component hS1 = Poseidon(4);
     hS1.inputs[0] <== sender_pub;
     hS1.inputs[1] <== sender_owns_nft_after;
-    hS1.inputs[2] <== sender_nonce;
+    hS1.inputs[2] <== nonce;
     hS1.inputs[3] <== nft_id;
 
     component hR1 = Poseidon(4);
@@ -148,27 +129,32 @@ template NFTTransfer(DEPTH) {
     hR1.inputs[2] <== receiver_nonce;
     hR1.inputs[3] <== nft_id;
 
-    // Membership under root_after
+    // Sender's update: root_before -> root_mid, over the sender's path
     component smAfter = MerkleRoot(DEPTH);
     smAfter.leaf <== hS1.out;
     for (var k=0;k<DEPTH;k++) {
-        smAfter.siblings[k] <== s_siblings_after[k];
-        smAfter.pathBits[k] <== s_pathBits_after[k];
+        smAfter.siblings[k] <== s_siblings[k];
+        smAfter.pathBits[k] <== s_pathBits[k];
     }
-    smAfter.root === root_after;
 
+    // Receiver's update: root_mid -> root_after, over the receiver's path under root_mid
+    component rmBefore = MerkleRoot(DEPTH);
     component rmAfter = MerkleRoot(DEPTH);
+    rmBefore.leaf <== hR0.out;
     rmAfter.leaf <== hR1.out;
     for (var m=0;m<DEPTH;m++) {
-        rmAfter.siblings[m] <== r_siblings_after[m];
-        rmAfter.pathBits[m] <== r_pathBits_after[m];
+        rmBefore.siblings[m] <== r_siblings[m];
+        rmBefore.pathBits[m] <== r_pathBits[m];
+        rmAfter.siblings[m] <== r_siblings[m];
+        rmAfter.pathBits[m] <== r_pathBits[m];
     }
+    rmBefore.root === smAfter.root;
     rmAfter.root === root_after;
 
     // Bind to tx_log_id
     signal input tx_nonce;
     signal input tx_timestamp;
-    component hTx = Poseidon(6);  // sender + receiver + nft_id + nonce + timestamp
+    component hTx = Poseidon(5);  // sender + receiver + nft_id + nonce + timestamp
     hTx.inputs[0] <== sender_pub;
     hTx.inputs[1] <== receiver_pub;
     hTx.inputs[2] <== nft_id;
@@ -177,4 +163,4 @@ template NFTTransfer(DEPTH) {
     hTx.out === tx_log_id;
 }
 
-component main = NFTTransfer(4); // Depth=4 (16 leaves) for demo
+// No main component: scripts/build.mjs instantiates NFTTransfer(DEPTH) at the configured TREE_DEPTH (see circuits/manifest.json)
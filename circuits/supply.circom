@@ -0,0 +1,151 @@
+pragma circom 2.1.5;
+
+include "poseidon.circom";
+include "bitify.circom";
+include "comparators.circom";
+include "eddsaposeidon.circom";
+include "transfer.circom";
+
+// Supply Change Circuit
+// Proves: a mint or burn of a fungible token changes exactly one leaf of the token's state tree (the
+// generic_state_transfer leaves), the issuer's, by the public amount, and moves the token's public total supply
+// commitment Poseidon(token_id, total_supply) by the same amount; signed by the issuer
+//   MINT (0): the issuer's state and the total supply grow by amount
+//   BURN (1): both shrink by amount, and neither can go below 0
+template SupplyChange(DEPTH) {
+    var STATE_SIZE = 4;
+
+    // Public inputs
+    signal input root_before;
+    signal input root_after;
+    signal input tx_log_id;
+    signal input token_id;
+    signal input supply_seq;                 // Supply change number of the token, so a signature applies once
+    signal input operation;                  // 0=mint, 1=burn
+    signal input amount;
+    signal input supply_commitment_before;   // Poseidon(token_id, total supply before)
+    signal input supply_commitment_after;    // Poseidon(token_id, total supply after)
+
+    // Private inputs
+    signal input issuer_pub;
+    signal input issuer_nonce;
+    signal input issuer_state_before[STATE_SIZE];
+    signal input total_supply_before;
+
+    // The issuer's leaf path; no other leaf changes, so it is the same before and after
+    signal input siblings[DEPTH];
+    signal input pathBits[DEPTH];
+
+    // Mint or burn, of a positive 64-bit amount
+    operation * (operation - 1) === 0;
+
+    component amountBits = Num2Bits(64);
+    amountBits.in <== amount;
+    component amountIsZero = IsZero();
+    amountIsZero.in <== amount;
+    amountIsZero.out === 0;
+
+    // Signed change: +amount for MINT, -amount for BURN
+    signal delta;
+    delta <== amount - 2 * operation * amount;
+
+    // The issuer's state and the total supply move by the change and stay 64-bit, so a burn cannot go below 0
+    signal issuer_state_after[STATE_SIZE];
+    issuer_state_after[0] <== issuer_state_before[0] + delta;
+    for (var a = 1; a < STATE_SIZE; a++) {
+        issuer_state_after[a] <== issuer_state_before[a];
+    }
+    signal total_supply_after;
+    total_supply_after <== total_supply_before + delta;
+
+    component stateBits = Num2Bits(64);
+    stateBits.in <== issuer_state_after[0];
+    component supplyBits = Num2Bits(64);
+    supplyBits.in <== total_supply_after;
+
+    // Supply commitments before and after
+    component hSupplyBefore = Poseidon(2);
+    hSupplyBefore.inputs[0] <== token_id;
+    hSupplyBefore.inputs[1] <== total_supply_before;
+    hSupplyBefore.out === supply_commitment_before;
+
+    component hSupplyAfter = Poseidon(2);
+    hSupplyAfter.inputs[0] <== token_id;
+    hSupplyAfter.inputs[1] <== total_supply_after;
+    hSupplyAfter.out === supply_commitment_after;
+
+    // Compose the issuer's leaf: pub + nonce + token_id + full state array
+    component hBefore = Poseidon(3 + STATE_SIZE);
+    hBefore.inputs[0] <== issuer_pub;
+    hBefore.inputs[1] <== issuer_nonce;
+    hBefore.inputs[2] <== token_id;
+
+    component hAfter = Poseidon(3 + STATE_SIZE);
+    hAfter.inputs[0] <== issuer_pub;
+    hAfter.inputs[1] <== issuer_nonce;
+    hAfter.inputs[2] <== token_id;
+
+    for (var s = 0; s < STATE_SIZE; s++) {
+        hBefore.inputs[3 + s] <== issuer_state_before[s];
+        hAfter.inputs[3 + s] <== issuer_state_after[s];
+    }
+
+    // Membership under root_before and root_after at the same position
+    component mBefore = MerkleRoot(DEPTH);
+    mBefore.leaf <== hBefore.out;
+    for (var i = 0; i < DEPTH; i++) {
+        mBefore.siblings[i] <== siblings[i];
+        mBefore.pathBits[i] <== pathBits[i];
+    }
+    mBefore.root === root_before;
+
+    component mAfter = MerkleRoot(DEPTH);
+    mAfter.leaf <== hAfter.out;
+    for (var j = 0; j < DEPTH; j++) {
+        mAfter.siblings[j] <== siblings[j];
+        mAfter.pathBits[j] <== pathBits[j];
+    }
+    mAfter.root === root_after;
+
+    // Authorization: the issuer's key hashes to the leaf's public key field, and (S, R8) is its EdDSA-Poseidon
+    // signature over Poseidon(operation, token_id, supply_seq, amount)
+    signal input signer_Ax;
+    signal input signer_Ay;
+    signal input sig_S;
+    signal input sig_R8x;
+    signal input sig_R8y;
+
+    component hSignerKey = Poseidon(2);
+    hSignerKey.inputs[0] <== signer_Ax;
+    hSignerKey.inputs[1] <== signer_Ay;
+    hSignerKey.out === issuer_pub;
+
+    component hMsg = Poseidon(4);
+    hMsg.inputs[0] <== operation;
+    hMsg.inputs[1] <== token_id;
+    hMsg.inputs[2] <== supply_seq;
+    hMsg.inputs[3] <== amount;
+
+    component sigVerifier = EdDSAPoseidonVerifier();
+    sigVerifier.enabled <== 1;
+    sigVerifier.Ax <== signer_Ax;
+    sigVerifier.Ay <== signer_Ay;
+    sigVerifier.S <== sig_S;
+    sigVerifier.R8x <== sig_R8x;
+    sigVerifier.R8y <== sig_R8y;
+    sigVerifier.M <== hMsg.out;
+
+    // Bind to tx_log_id
+    signal input tx_nonce;
+    signal input tx_timestamp;
+    component hTx = Poseidon(6);  // issuer + token_id + operation + amount + nonce + timestamp
+    hTx.inputs[0] <== issuer_pub;
+    hTx.inputs[1] <== token_id;
+    hTx.inputs[2] <== operation;
+    hTx.inputs[3] <== amount;
+    hTx.inputs[4] <== tx_nonce;
+    hTx.inputs[5] <== tx_timestamp;
+    hTx.out === tx_log_id;
+}
+
+// No main component: scripts/build.mjs instantiates SupplyChange(DEPTH) at the configured TREE_DEPTH
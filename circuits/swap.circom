@@ -0,0 +1,272 @@
+pragma circom 2.1.5;
+
+include "poseidon.circom";
+include "bitify.circom";
+include "comparators.circom";
+include "eddsaposeidon.circom";
+include "transfer.circom";
+
+// One leg of a swap: the giver's and the taker's leaves in the leg token's state tree (the generic_state_transfer
+// leaves) move amount of the token from giver to taker; the giver's leaf is updated, then the taker's, taking
+// root_before to root_after
+//   FUNGIBLE (0): a positive amount, covered by the giver's balance
+//   NFT (1): amount is 1, the giver owns the token and the taker does not
+template SwapLeg(DEPTH) {
+    var STATE_SIZE = 4;
+
+    signal input root_before;
+    signal input root_after;
+    signal input token_id;
+    signal input token_type;
+    signal input amount;
+
+    signal input giver_pub;
+    signal input taker_pub;
+    signal input giver_nonce;
+    signal input taker_nonce;
+    signal input giver_state_before[STATE_SIZE];
+    signal input taker_state_before[STATE_SIZE];
+
+    // Giver's path under root_before, and taker's path after the giver's update (as in Transfer)
+    signal input g_siblings[DEPTH];
+    signal input g_pathBits[DEPTH];
+    signal input t_siblings[DEPTH];
+    signal input t_pathBits[DEPTH];
+
+    // Fungible or NFT
+    token_type * (token_type - 1) === 0;
+
+    // A positive 64-bit amount; an NFT moves exactly once
+    component amountBits = Num2Bits(64);
+    amountBits.in <== amount;
+    component amountIsZero = IsZero();
+    amountIsZero.in <== amount;
+    amountIsZero.out === 0;
+    token_type * (amount - 1) === 0;
+
+    // NFT: the taker does not own the token yet (the giver's ownership follows from covering the amount)
+    token_type * taker_state_before[0] === 0;
+
+    // Amount moves from giver to taker, every other field stays; both states stay 64-bit, so the giver's covers the
+    // amount and the taker's cannot wrap
+    signal giver_state_after[STATE_SIZE];
+    signal taker_state_after[STATE_SIZE];
+    giver_state_after[0] <== giver_state_before[0] - amount;
+    taker_state_after[0] <== taker_state_before[0] + amount;
+    for (var a = 1; a < STATE_SIZE; a++) {
+        giver_state_after[a] <== giver_state_before[a];
+        taker_state_after[a] <== taker_state_before[a];
+    }
+
+    component giverBits = Num2Bits(64);
+    giverBits.in <== giver_state_after[0];
+    component takerBits = Num2Bits(64);
+    takerBits.in <== taker_state_after[0];
+
+    // Compose leaves: pub + nonce + token_id + full state array
+    component hG0 = Poseidon(3 + STATE_SIZE);
+    component hT0 = Poseidon(3 + STATE_SIZE);
+    component hG1 = Poseidon(3 + STATE_SIZE);
+    component hT1 = Poseidon(3 + STATE_SIZE);
+    hG0.inputs[0] <== giver_pub;
+    hG0.inputs[1] <== giver_nonce;
+    hG0.inputs[2] <== token_id;
+    hT0.inputs[0] <== taker_pub;
+    hT0.inputs[1] <== taker_nonce;
+    hT0.inputs[2] <== token_id;
+    hG1.inputs[0] <== giver_pub;
+    hG1.inputs[1] <== giver_nonce;
+    hG1.inputs[2] <== token_id;
+    hT1.inputs[0] <== taker_pub;
+    hT1.inputs[1] <== taker_nonce;
+    hT1.inputs[2] <== token_id;
+    for (var s = 0; s < STATE_SIZE; s++) {
+        hG0.inputs[3 + s] <== giver_state_before[s];
+        hT0.inputs[3 + s] <== taker_state_before[s];
+        hG1.inputs[3 + s] <== giver_state_after[s];
+        hT1.inputs[3 + s] <== taker_state_after[s];
+    }
+
+    // Giver's update root_before -> root_mid, then taker's update root_mid -> root_after
+    component gmBefore = MerkleRoot(DEPTH);
+    component gmAfter = MerkleRoot(DEPTH);
+    component tmBefore = MerkleRoot(DEPTH);
+    component tmAfter = MerkleRoot(DEPTH);
+    gmBefore.leaf <== hG0.out;
+    gmAfter.leaf <== hG1.out;
+    tmBefore.leaf <== hT0.out;
+    tmAfter.leaf <== hT1.out;
+    for (var i = 0; i < DEPTH; i++) {
+        gmBefore.siblings[i] <== g_siblings[i];
+        gmBefore.pathBits[i] <== g_pathBits[i];
+        gmAfter.siblings[i] <== g_siblings[i];
+        gmAfter.pathBits[i] <== g_pathBits[i];
+        tmBefore.siblings[i] <== t_siblings[i];
+        tmBefore.pathBits[i] <== t_pathBits[i];
+        tmAfter.siblings[i] <== t_siblings[i];
+        tmAfter.pathBits[i] <== t_pathBits[i];
+    }
+    gmBefore.root === root_before;
+    tmBefore.root === gmAfter.root;
+    tmAfter.root === root_after;
+}
+
+// Atomic Swap Circuit
+// Proves: party A gives amount_a of token_a to party B and party B gives amount_b of token_b to party A, as two legs
+// in the two tokens' state trees proven together, so neither leg can commit without the other; signed by both
+// parties over the same terms
+template AtomicSwap(DEPTH) {
+    var STATE_SIZE = 4;
+
+    // Public inputs
+    signal input root_a_before;     // token_a's state tree
+    signal input root_a_after;
+    signal input root_b_before;     // token_b's state tree
+    signal input root_b_after;
+    signal input tx_log_id;
+    signal input swap_seq;          // Swap number, so the signatures apply once
+    signal input token_a;
+    signal input token_type_a;      // 0=fungible, 1=nft
+    signal input amount_a;
+    signal input token_b;
+    signal input token_type_b;
+    signal input amount_b;
+
+    // Private inputs
+    signal input party_a_pub;
+    signal input party_b_pub;
+    signal input party_a_nonce;
+    signal input party_b_nonce;
+
+    // State arrays before, in leg order: the giver's then the taker's
+    signal input a_giver_state_before[STATE_SIZE];
+    signal input a_taker_state_before[STATE_SIZE];
+    signal input b_giver_state_before[STATE_SIZE];
+    signal input b_taker_state_before[STATE_SIZE];
+
+    // Paths in token_a's tree (A gives, B takes) and in token_b's tree (B gives, A takes), chained as in SwapLeg
+    signal input a_g_siblings[DEPTH];
+    signal input a_g_pathBits[DEPTH];
+    signal input a_t_siblings[DEPTH];
+    signal input a_t_pathBits[DEPTH];
+    signal input b_g_siblings[DEPTH];
+    signal input b_g_pathBits[DEPTH];
+    signal input b_t_siblings[DEPTH];
+    signal input b_t_pathBits[DEPTH];
+
+    // Two different parties swapping two different tokens
+    component samePartyCheck = IsEqual();
+    samePartyCheck.in[0] <== party_a_pub;
+    samePartyCheck.in[1] <== party_b_pub;
+    samePartyCheck.out === 0;
+
+    component sameTokenCheck = IsEqual();
+    sameTokenCheck.in[0] <== token_a;
+    sameTokenCheck.in[1] <== token_b;
+    sameTokenCheck.out === 0;
+
+    // Leg A: A gives token_a to B
+    component legA = SwapLeg(DEPTH);
+    legA.root_before <== root_a_before;
+    legA.root_after <== root_a_after;
+    legA.token_id <== token_a;
+    legA.token_type <== token_type_a;
+    legA.amount <== amount_a;
+    legA.giver_pub <== party_a_pub;
+    legA.taker_pub <== party_b_pub;
+    legA.giver_nonce <== party_a_nonce;
+    legA.taker_nonce <== party_b_nonce;
+
+    // Leg B: B gives token_b to A
+    component legB = SwapLeg(DEPTH);
+    legB.root_before <== root_b_before;
+    legB.root_after <== root_b_after;
+    legB.token_id <== token_b;
+    legB.token_type <== token_type_b;
+    legB.amount <== amount_b;
+    legB.giver_pub <== party_b_pub;
+    legB.taker_pub <== party_a_pub;
+    legB.giver_nonce <== party_b_nonce;
+    legB.taker_nonce <== party_a_nonce;
+
+    for (var s = 0; s < STATE_SIZE; s++) {
+        legA.giver_state_before[s] <== a_giver_state_before[s];
+        legA.taker_state_before[s] <== a_taker_state_before[s];
+        legB.giver_state_before[s] <== b_giver_state_before[s];
+        legB.taker_state_before[s] <== b_taker_state_before[s];
+    }
+    for (var i = 0; i < DEPTH; i++) {
+        legA.g_siblings[i] <== a_g_siblings[i];
+        legA.g_pathBits[i] <== a_g_pathBits[i];
+        legA.t_siblings[i] <== a_t_siblings[i];
+        legA.t_pathBits[i] <== a_t_pathBits[i];
+        legB.g_siblings[i] <== b_g_siblings[i];
+        legB.g_pathBits[i] <== b_g_pathBits[i];
+        legB.t_siblings[i] <== b_t_siblings[i];
+        legB.t_pathBits[i] <== b_t_pathBits[i];
+    }
+
+    // Authorization: each party's key hashes to its leaves' public key field, and each signed
+    // Poseidon(swap_seq, party_a_pub, token_a, amount_a, party_b_pub, token_b, amount_b) with EdDSA-Poseidon
+    signal input party_a_Ax;
+    signal input party_a_Ay;
+    signal input sig_a_S;
+    signal input sig_a_R8x;
+    signal input sig_a_R8y;
+    signal input party_b_Ax;
+    signal input party_b_Ay;
+    signal input sig_b_S;
+    signal input sig_b_R8x;
+    signal input sig_b_R8y;
+
+    component hKeyA = Poseidon(2);
+    hKeyA.inputs[0] <== party_a_Ax;
+    hKeyA.inputs[1] <== party_a_Ay;
+    hKeyA.out === party_a_pub;
+
+    component hKeyB = Poseidon(2);
+    hKeyB.inputs[0] <== party_b_Ax;
+    hKeyB.inputs[1] <== party_b_Ay;
+    hKeyB.out === party_b_pub;
+
+    component hMsg = Poseidon(7);
+    hMsg.inputs[0] <== swap_seq;
+    hMsg.inputs[1] <== party_a_pub;
+    hMsg.inputs[2] <== token_a;
+    hMsg.inputs[3] <== amount_a;
+    hMsg.inputs[4] <== party_b_pub;
+    hMsg.inputs[5] <== token_b;
+    hMsg.inputs[6] <== amount_b;
+
+    component sigA = EdDSAPoseidonVerifier();
+    sigA.enabled <== 1;
+    sigA.Ax <== party_a_Ax;
+    sigA.Ay <== party_a_Ay;
+    sigA.S <== sig_a_S;
+    sigA.R8x <== sig_a_R8x;
+    sigA.R8y <== sig_a_R8y;
+    sigA.M <== hMsg.out;
+
+    component sigB = EdDSAPoseidonVerifier();
+    sigB.enabled <== 1;
+    sigB.Ax <== party_b_Ax;
+    sigB.Ay <== party_b_Ay;
+    sigB.S <== sig_b_S;
+    sigB.R8x <== sig_b_R8x;
+    sigB.R8y <== sig_b_R8y;
+    sigB.M <== hMsg.out;
+
+    // Bind to tx_log_id
+    signal input tx_nonce;
+    signal input tx_timestamp;
+    component hTx = Poseidon(6);  // party_a + party_b + token_a + token_b + nonce + timestamp
+    hTx.inputs[0] <== party_a_pub;
+    hTx.inputs[1] <== party_b_pub;
+    hTx.inputs[2] <== token_a;
+    hTx.inputs[3] <== token_b;
+    hTx.inputs[4] <== tx_nonce;
+    hTx.inputs[5] <== tx_timestamp;
+    hTx.out === tx_log_id;
+}
+
+// No main component: scripts/build.mjs instantiates AtomicSwap(DEPTH) at the configured TREE_DEPTH
@@ -3,10 +3,11 @@ pragma circom 2.1.5;
 include "poseidon.circom";
 include "bitify.circom";
 include "comparators.circom";
+include "eddsaposeidon.circom";
 
 // Simple Merkle root recomputation with Poseidon and explicit path bits
 // siblings[d] are the sibling nodes from leaf to root
-// pathBits[d] are 0 if leaf is left child at that level, 1 if right
+// pathBits[d] are 0 if leaf is left child at that level, 1 if right (constrained to 0 or 1)
 
 template MerkleRoot(DEPTH) {
     signal input leaf;
@@ -29,6 +30,7 @@ template MerkleRoot(DEPTH) {
     cur[0] <== leaf;
 
     for (var i = 0; i < DEPTH; i++) {
+        pathBits[i] * (pathBits[i] - 1) === 0;
         h[i] = Poseidon(2);
         
         // Break down the complex expressions into quadratic ones
@@ -49,7 +51,10 @@ template MerkleRoot(DEPTH) {
     root <== cur[DEPTH];
 }
 
-// Proves: two accounts existed under root_before; balances updated by `amount` to produce root_after;
+// Proves: two accounts existed under root_before; updating the sender's leaf, then the receiver's, with balances
+// moved by `amount` gives root_after (no other leaf changes);
+// the sender signed (receiver_account, token_id, amount, nonce) with the Baby Jubjub key behind sender_pub;
+// the sender's nonce advances by one and the signed nonce is that new value (replay protection);
 // binds to tx_log_id = Poseidon(sender_pub, receiver_pub, amount, tx_nonce, tx_timestamp)
 
 template Transfer(DEPTH) {
@@ -69,6 +74,7 @@ template Transfer(DEPTH) {
     signal input root_before;
     signal input root_after;
     signal input tx_log_id;
+    signal input token_id;
     
     // After balances (provided by API, validated by circuit)
     signal input sender_after_provided;
@@ -77,17 +83,12 @@ template Transfer(DEPTH) {
     // Output commitment
     signal output commitment;
 
-    // Paths for BEFORE state
-    signal input s_siblings_before[DEPTH];
-    signal input s_pathBits_before[DEPTH];
-    signal input r_siblings_before[DEPTH];
-    signal input r_pathBits_before[DEPTH];
-
-    // Paths for AFTER state
-    signal input s_siblings_after[DEPTH];
-    signal input s_pathBits_after[DEPTH];
-    signal input r_siblings_after[DEPTH];
-    signal input r_pathBits_after[DEPTH];
+    // Sender's path under root_before, and receiver's path under the root after the sender's update;
+    // each leaf keeps its path across its own update, so the same siblings prove the old and the new leaf
+    signal input s_siblings[DEPTH];
+    signal input s_pathBits[DEPTH];
+    signal input r_siblings[DEPTH];
+    signal input r_pathBits[DEPTH];
 
     // Compose leaves BEFORE
     component hS0 = Poseidon(3);
@@ -100,27 +101,53 @@ template Transfer(DEPTH) {
     hR0.inputs[1] <== receiver_before;
     hR0.inputs[2] <== receiver_nonce;
 
-    // Membership under root_before
+    // Sender's membership under root_before
     component smBefore = MerkleRoot(DEPTH);
     smBefore.leaf <== hS0.out;
     for (var i=0;i<DEPTH;i++) {
-        smBefore.siblings[i] <== s_siblings_before[i];
-        smBefore.pathBits[i] <== s_pathBits_before[i];
+        smBefore.siblings[i] <== s_siblings[i];
+        smBefore.pathBits[i] <== s_pathBits[i];
     }
     smBefore.root === root_before;
 
-    component rmBefore = MerkleRoot(DEPTH);
-    rmBefore.leaf <== hR0.out;
-    for (var j=0;j<DEPTH;j++) {
-        rmBefore.siblings[j] <== r_siblings_before[j];
-        rmBefore.pathBits[j] <== r_pathBits_before[j];
-    }
-    rmBefore.root === root_before;
-
     // Validate that public inputs match private inputs
     sender_account === sender_pub;
     receiver_account === receiver_pub;
 
+    // Sender authorization: sender_pub = Poseidon(Ax, Ay) of the sender's Baby Jubjub key,
+    // and (S, R8) is its EdDSA-Poseidon signature over Poseidon(receiver_pub, token_id, amount, nonce)
+    signal input sender_Ax;
+    signal input sender_Ay;
+    signal input sig_S;
+    signal input sig_R8x;
+    signal input sig_R8y;
+
+    component hSenderKey = Poseidon(2);
+    hSenderKey.inputs[0] <== sender_Ax;
+    hSenderKey.inputs[1] <== sender_Ay;
+    hSenderKey.out === sender_pub;
+
+    component hMsg = Poseidon(4);
+    hMsg.inputs[0] <== receiver_pub;
+    hMsg.inputs[1] <== token_id;
+    hMsg.inputs[2] <== amount;
+    hMsg.inputs[3] <== nonce;
+
+    component sigVerifier = EdDSAPoseidonVerifier();
+    sigVerifier.enabled <== 1;
+    sigVerifier.Ax <== sender_Ax;
+    sigVerifier.Ay <== sender_Ay;
+    sigVerifier.S <== sig_S;
+    sigVerifier.R8x <== sig_R8x;
+    sigVerifier.R8y <== sig_R8y;
+    sigVerifier.M <== hMsg.out;
+
+    // Replay protection: each transfer bumps the sender's nonce, and the signature covers the bumped value,
+    // so a signed transfer only applies to the one state it was signed against
+    signal sender_nonce_after;
+    sender_nonce_after <== sender_nonce + 1;
+    nonce === sender_nonce_after;
+
     // Balance updates (calculated by circuit)
     signal sender_after;
     signal receiver_after;
@@ -135,7 +162,7 @@ template Transfer(DEPTH) {
     component hCommitment = Poseidon(4);
     hCommitment.inputs[0] <== sender_after;
     hCommitment.inputs[1] <== receiver_after;
-    hCommitment.inputs[2] <== sender_nonce;
+    hCommitment.inputs[2] <== sender_nonce_after;
     hCommitment.inputs[3] <== receiver_nonce;
     commitment <== hCommitment.out;
 
@@ -157,28 +184,33 @@ template Transfer(DEPTH) {
     component hS1 = Poseidon(3);
     hS1.inputs[0] <== sender_pub;
     hS1.inputs[1] <== sender_after;
-    hS1.inputs[2] <== sender_nonce;
+    hS1.inputs[2] <== sender_nonce_after;
 
     component hR1 = Poseidon(3);
     hR1.inputs[0] <== receiver_pub;
     hR1.inputs[1] <== receiver_after;
     hR1.inputs[2] <== receiver_nonce;
 
-    // Membership under root_after (using after paths)
+    // Sender's update: root_before -> root_mid, over the sender's path
     component smAfter = MerkleRoot(DEPTH);
     smAfter.leaf <== hS1.out;
     for (var k=0;k<DEPTH;k++) {
-        smAfter.siblings[k] <== s_siblings_after[k];
-        smAfter.pathBits[k] <== s_pathBits_after[k];
+        smAfter.siblings[k] <== s_siblings[k];
+        smAfter.pathBits[k] <== s_pathBits[k];
     }
-    smAfter.root === root_after;
 
+    // Receiver's update: root_mid -> root_after, over the receiver's path under root_mid
+    component rmBefore = MerkleRoot(DEPTH);
     component rmAfter = MerkleRoot(DEPTH);
+    rmBefore.leaf <== hR0.out;
     rmAfter.leaf <== hR1.out;
     for (var m=0;m<DEPTH;m++) {
-        rmAfter.siblings[m] <== r_siblings_after[m];
-        rmAfter.pathBits[m] <== r_pathBits_after[m];
+        rmBefore.siblings[m] <== r_siblings[m];
+        rmBefore.pathBits[m] <== r_pathBits[m];
+        rmAfter.siblings[m] <== r_siblings[m];
+        rmAfter.pathBits[m] <== r_pathBits[m];
     }
+    rmBefore.root === smAfter.root;
     rmAfter.root === root_after;
 
     // Bind to tx_log_id
@@ -193,4 +225,4 @@ template Transfer(DEPTH) {
     hTx.out === tx_log_id;
 }
 
-component main { public [sender_account, receiver_account, amount, nonce, root_before, root_after, tx_log_id] } = Transfer(4); // Depth=4 (16 leaves) for demo
\ No newline at end of file
+// No main component: scripts/build.mjs instantiates Transfer(DEPTH) at the configured TREE_DEPTH
@@ -4,11 +4,13 @@
 import { 
   transfer, 
   getAllTokens, 
+  getToken,
   createToken, 
   TOKEN_TYPES, 
   STATE_FORMATS 
 } from './scripts/api.mjs';
-import { getAllTransactions } from './scripts/utils.mjs';
+import { getAllTransactions, getAccount } from './scripts/utils.mjs';
+import { demoPrivateKey, signTransfer } from './scripts/babyjub-keys.mjs';
 
 console.log('🚀 Token-Based ZK Proof System Demo\n');
 
@@ -29,7 +31,7 @@ async function runDemo() {
     tokens.forEach(token => {
       console.log(`   ${token.id}: ${token.name}`);
       console.log(`      Type: ${STATE_FORMATS[token.type].description}`);
-      console.log(`      State: ${JSON.stringify(token.state)}`);
+      console.log(`      Holdings: ${JSON.stringify(token.holdings)}`);
     });
     
     // 3. Service Architecture Demo
@@ -55,12 +57,16 @@ async function runDemo() {
     console.log('\n💎 Live Transfer Demo with Enhanced Public Inputs');
     console.log('   Executing a real fungible token transfer with new public inputs...');
     console.log('   The system now includes these public inputs:');
-    console.log('   • sender_account (Alice\'s public key)');
-    console.log('   • receiver_account (Bob\'s public key)');
+    console.log('   • sender_account (hash of Alice\'s public key)');
+    console.log('   • receiver_account (hash of Bob\'s public key)');
     console.log('   • amount (transfer amount)');
-    console.log('   • nonce (transaction nonce)');
+    console.log('   • nonce (Alice\'s next account nonce, signed by Alice)');
     console.log('   • commitment (state commitment)\n');
     
+    // Alice authorizes the transfer with her (demo) Baby Jubjub key, over her next account nonce
+    const nonce = String(getAccount('alice').nonce + 1n);
+    const signature = signTransfer(demoPrivateKey('alice'), { to: getAccount('bob').publicKey, amount: 100, nonce });
+
     const transferResult = await transfer(
       'GOLD',           // tokenId
       'alice',          // from
@@ -68,10 +74,9 @@ async function runDemo() {
       { amount: 100 },  // transferParams
       'transfer',       // transferCircuit
       {                 // ledgerMetadata
-        platform: 'ethereum',
-        blockId: '0x1234567890abcdef',
-        ledgerTimestamp: Date.now()
-      }
+        platform: 'local'
+      },
+      { signature, nonce } // authorization
     );
     
     console.log('\n✅ Transfer Completed Successfully!');
@@ -101,7 +106,7 @@ async function runDemo() {
       console.log('   💡 This enables Alice to prove:');
       console.log('   • She sent money to Bob (receiver_account)');
       console.log('   • The exact amount transferred (amount)');
-      console.log('   • When the transfer happened (nonce)');
+      console.log('   • Which of her transfers this was, so it cannot be replayed (nonce)');
       console.log('   • The final state was correct (commitment)');
       console.log('   • The system state was updated correctly (root_before → root_after)\n');
     } else {
@@ -129,15 +134,17 @@ async function runDemo() {
     console.log('\n✨ Token Creation Demo');
     console.log('   Creating a new fungible token...');
     
-    const newToken = createToken(
+    // Tokens persist in SQLite, so reuse DEMO_COIN if an earlier run created it
+    const newToken = getToken('DEMO_COIN') || createToken(
       'DEMO_COIN',      // id
       TOKEN_TYPES.FUNGIBLE, // type
       'Demo Coin',      // name
-      { state: 5000 }   // initialState
+      { state: 5000 },  // initialState
+      'alice'           // issuer
     );
     
     console.log(`   ✅ Created: ${newToken.id} - ${newToken.name}`);
-    console.log(`   Initial State: ${JSON.stringify(newToken.state)}`);
+    console.log(`   Initial Holdings: ${JSON.stringify(newToken.holdings)}`);
     console.log(`   Token Type: ${STATE_FORMATS[newToken.type].description}`);
     
     // 7. Proof Metadata Demo
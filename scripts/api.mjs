@@ -3,6 +3,7 @@ import {
   getAllTokens, 
   getToken, 
   createToken, 
+  getHolding,
   TOKEN_TYPES, 
   STATE_FORMATS,
   TokenValidationService,
@@ -11,16 +12,22 @@ import {
 import { ZKProofService } from './services/zk-proof-service.mjs';
 import { StorageService } from './services/storage-service.mjs';
 import { ProofMetadataService } from './services/proof-metadata-service.mjs';
+import { AccountService } from './services/account-service.mjs';
+import { BatchService } from './services/batch-service.mjs';
+import { JobService } from './services/job-service.mjs';
+import { AuditService } from './services/audit-service.mjs';
+import { StateRootService } from './services/state-root-service.mjs';
+import { LedgerService } from './services/ledger-service.mjs';
+import { EscrowService } from './services/escrow-service.mjs';
+import { SupplyService } from './services/supply-service.mjs';
+import { SwapService } from './services/swap-service.mjs';
+import { MultiTransferService } from './services/multi-transfer-service.mjs';
 import { 
-  pHash2, pHash3, pHash4, pHash5, buildEmptyTree, updateLeaf, treeRoot, merklePath, 
+  pHash2, pHash3, pHash4, pHash5, 
   persistTx, getAllAccounts, getAccount, updateAccountBalance, 
-  generateUniqueId, cleanupTempFiles, bin 
+  generateUniqueId, bin, withTransaction, ACCOUNT_TOKEN
 } from "./utils.mjs";
-import fs from "node:fs";
 import { execSync } from "node:child_process";
-import { groth16 } from "snarkjs";
-
-const DEPTH = 4; // 16 leaves
 
 /**
  * Main transfer function implementing the 7-step transfer flow
@@ -28,11 +35,12 @@ const DEPTH = 4; // 16 leaves
  * @param {string} from - Sender account ID
  * @param {string} to - Receiver account ID
  * @param {Object} transferParams - Transfer parameters
- * @param {string} transferCircuit - Circuit type to use ('transfer' or 'generic')
- * @param {Object} ledgerMetadata - Optional ledger metadata (platform, blockId, etc.)
- * @returns {Object} - Transfer result
+ * @param {string} transferCircuit - Circuit type to use ('transfer' or 'generic'; NFT tokens always use 'nft_transfer')
+ * @param {Object} ledgerMetadata - Optional ledger metadata; platform chooses the ledger adapter
+ * @param {Object} authorization - Sender's { signature, nonce } (required by every transfer circuit)
+ * @returns {Object} - Transfer result, with the circuit that proved it
  */
-export async function transfer(tokenId, from, to, transferParams = {}, transferCircuit = 'transfer', ledgerMetadata = {}) {
+export async function transfer(tokenId, from, to, transferParams = {}, transferCircuit = 'transfer', ledgerMetadata = {}, authorization = null) {
   console.log(`🚀 Starting token transfer: ${tokenId} from ${from} to ${to}`);
   
   try {
@@ -46,24 +54,41 @@ export async function transfer(tokenId, from, to, transferParams = {}, transferC
     if (!isValid) {
       throw new Error("Token validation failed");
     }
+    // Unknown ledger platforms are rejected before anything is proven or committed
+    LedgerService.getAdapter(ledgerMetadata.platform);
+    
+    // NFT tokens are always proven with the nft_transfer circuit
+    transferCircuit = TransferService.proofCircuit(token, transferCircuit);
     
     // Step 2: Initiate transfer
-    const txLog = TransferService.initiateTransfer(token, from, to, transferParams);
+    const txLog = TransferService.initiateTransfer(token, from, to, transferParams, authorization);
     
     // Step 3: Generate ZK proof with embedded metadata
     const proofResult = await ZKProofService.generateZKProof(txLog, transferCircuit);
     
-    // Step 4: Save transaction log with proof metadata
-    const savedTxLog = StorageService.saveTxLog(txLog, proofResult.proof);
-    
-    // Step 5: Commit transfer
-    const committedToken = TransferService.commitTransfer(token, txLog);
+    // The ledger checks the proof before anything commits (the ethereum ledger runs its verifier contract)
+    await StorageService.checkPublicLedger(proofResult.proof, proofResult.publicInputs, ledgerMetadata);
     
-    // Step 6: Save proof to public ledger
-    const ledgerRecord = StorageService.saveProofInPublicLedger(proofResult.proof, txLog);
+    // Steps 4 and 5 share one SQLite transaction so holdings, account state and tx_logs cannot drift apart
+    const { savedTxLog, committedToken } = withTransaction(db => {
+      // Step 4: Save transaction log with proof metadata
+      const savedTxLog = StorageService.saveTxLog(txLog, proofResult.proof, db);
+      // Step 5: Commit transfer (the transfer circuit also moves the proven account state)
+      if (proofResult.circuit === 'transfer') {
+        TransferService.commitAccountTransfer(txLog, db);
+      } else {
+        TransferService.checkTokenTreeRoot(txLog, proofResult.circuit, db);
+        TransferService.commitSenderNonce(txLog, db);
+      }
+      const committedToken = TransferService.commitTransfer(token, txLog, db);
+      return { savedTxLog, committedToken };
+    });
     
-    // Step 7: Update transaction log with public ledger metadata
-    const ledgerMetadataRecord = StorageService.updateTxLogWithLedgerMetadata(txLog.id, ledgerRecord, ledgerMetadata);
+    // Steps 6-7: Save proof to public ledger and store its metadata on the transaction log
+    // (the transfer is committed either way; a failed write is reported in ledgerError and retried, and a
+    // slow ledger's write is left pending for the job worker)
+    const { ledgerRecord, ledgerMetadata: ledgerMetadataRecord, ledgerStatus, ledgerError } =
+      await StorageService.publishTxLog(proofResult.proof, txLog, ledgerMetadata);
     
     console.log("🎉 Transfer completed successfully!");
     
@@ -73,6 +98,7 @@ export async function transfer(tokenId, from, to, transferParams = {}, transferC
       tokenId: token.id,
       tokenType: token.type,
       tokenTypeName: STATE_FORMATS[token.type].description,
+      circuit: proofResult.circuit,
       proof: proofResult.proof,
       publicInputs: proofResult.publicInputs,
       senderStateAfter: txLog.stateAfter.sender,
@@ -82,6 +108,8 @@ export async function transfer(tokenId, from, to, transferParams = {}, transferC
       timestamp: txLog.timestamp,
       ledgerRecord,
       ledgerMetadata: ledgerMetadataRecord,
+      ledgerStatus,
+      ledgerError,
       // Proof with embedded metadata
       embeddedMetadata: proofResult.proof.metadata
     };
@@ -98,12 +126,13 @@ export async function transfer(tokenId, from, to, transferParams = {}, transferC
  * @param {string} params.senderId - Sender account ID
  * @param {string} params.receiverId - Receiver account ID
  * @param {number} params.amount - Transfer amount
- * @param {number} params.txNonce - Transaction nonce
+ * @param {number} params.txNonce - Sender's next account nonce (the nonce the sender signed)
+ * @param {string} params.signature - Sender's signature over (receiver, account token, amount, txNonce)
  * @returns {Object} - Transfer result
  */
-export async function performTransfer({ senderId, receiverId, amount, txNonce }) {
+export async function performTransfer({ senderId, receiverId, amount, txNonce, signature }) {
   // Use the 6-step transfer process for legacy API compatibility
-  return await transfer('GOLD', senderId, receiverId, { amount }, 'transfer');
+  return await transfer(ACCOUNT_TOKEN, senderId, receiverId, { amount }, 'transfer', {}, { signature, nonce: txNonce });
 }
 
 /**
@@ -114,7 +143,8 @@ export async function performTransfer({ senderId, receiverId, amount, txNonce })
  * @param {string} params.tokenId - Token ID
  * @param {number} params.tokenType - Token type
  * @param {Array} params.transferParams - Transfer parameters array
- * @param {number} params.txNonce - Transaction nonce
+ * @param {number} params.txNonce - Sender's next account nonce (the nonce the sender signed)
+ * @param {string} params.signature - Sender's signature over (receiver, token, amount, 0, txNonce)
  * @returns {Object} - Transfer result
  */
 export async function performGenericStateTransfer({ 
@@ -123,37 +153,41 @@ export async function performGenericStateTransfer({
   tokenId, 
   tokenType, 
   transferParams,
-  txNonce 
+  txNonce,
+  signature
 }) {
   // Use the 6-step transfer process for generic transfers
-  const token = getToken(tokenId) || createToken(tokenId, tokenType, `Token ${tokenId}`, { state: transferParams[0] || 1000 });
+  const token = getToken(tokenId) || createToken(tokenId, tokenType, `Token ${tokenId}`, { state: transferParams[0] || 1000 }, senderId);
   const params = { amount: transferParams[0] || 0 };
   
-  return await transfer(tokenId, senderId, receiverId, params, 'generic');
+  return await transfer(tokenId, senderId, receiverId, params, 'generic', {}, { signature, nonce: txNonce });
 }
 
 /**
  * Verify a ZK proof
+ * The verification key comes from the registry of built circuits: the one whose hash is in the proof's
+ * verification_context, or else the circuit's; an unknown hash is rejected.
  * @param {Object} params - Verification parameters
  * @param {string} params.txId - Transaction ID
  * @param {Object} params.proof - ZK proof
- * @param {Array} params.publicInputs - Public inputs
+ * @param {Array} params.publicInputs - Public inputs (defaults to the proof's public_inputs)
+ * @param {string} params.circuit - Circuit type or name, for proofs without a verification context
  * @returns {Object} - Verification result
  */
-export async function verifyProof({ txId, proof, publicInputs }) {
+export async function verifyProof({ txId, proof, publicInputs, circuit }) {
   try {
     console.log(`▶ Verifying proof for transaction: ${txId}`);
     
-    // Load verification key
-    const vkey = JSON.parse(fs.readFileSync("build/vkey.json"));
-    
-    // Verify the proof
-    const verified = await groth16.verify(vkey, publicInputs, proof);
+    const { verified, circuit: verifiedCircuit, vkeyHash, provingSystem } =
+      await ZKProofService.verifyProof(proof, publicInputs, circuit);
     
     return {
       success: true,
       verified,
       txId,
+      circuit: verifiedCircuit,
+      vkeyHash,
+      provingSystem,
       timestamp: Date.now()
     };
     
@@ -172,7 +206,62 @@ export const commitTransfer = TransferService.commitTransfer;
 export const saveProofInPublicLedger = StorageService.saveProofInPublicLedger;
 
 // Export token management functions
-export { getAllTokens, getToken, createToken, TOKEN_TYPES, STATE_FORMATS };
+export { getAllTokens, getToken, createToken, getHolding, TOKEN_TYPES, STATE_FORMATS };
+
+// Export account management functions
+export const registerAccount = AccountService.registerAccount;
+export const closeAccount = AccountService.closeAccount;
+export const getInclusionProof = AccountService.getInclusionProof;
+export const verifyInclusionProof = AccountService.verifyInclusionProof;
+
+// Export batch functions: queue signed transfers, then prove and commit them with one batch proof
+export const queueTransfer = BatchService.queueTransfer;
+export const createBatch = BatchService.createBatch;
+export const getPendingTransfers = BatchService.getPendingTransfers;
+export const getBatch = BatchService.getBatch;
+export const getAllBatches = BatchService.getAllBatches;
+
+// Export job functions: accept a transfer as a job and let the background worker prove and commit it
+export const submitTransferJob = JobService.submitTransfer;
+export const getJob = JobService.getJob;
+export const runNextJob = JobService.runNextJob;
+export const startJobWorker = JobService.startWorker;
+export const stopJobWorker = JobService.stopWorker;
+
+// Export audit functions: verify a stored transaction's proof against its database record
+export const verifyTransaction = AuditService.verifyTransaction;
+
+// Export state root history functions: every committed root, what produced it and its predecessor
+export const getStateRoots = StateRootService.getStateRoots;
+export const getStateRootRecord = StateRootService.getStateRootRecord;
+
+// Export escrow functions: lock an escrow token under a provider, then release, refund or reclaim it
+export const openEscrow = EscrowService.openEscrow;
+export const releaseEscrow = EscrowService.releaseEscrow;
+export const refundEscrow = EscrowService.refundEscrow;
+export const reclaimEscrow = EscrowService.reclaimEscrow;
+export const getEscrow = EscrowService.getEscrow;
+export const getAllEscrows = EscrowService.getAllEscrows;
+
+// Export supply functions: the issuer mints and burns a fungible token; its supply history is auditable
+export const mintTokens = SupplyService.mint;
+export const burnTokens = SupplyService.burn;
+export const getTokenSupply = SupplyService.getSupply;
+
+// Export swap function: two parties swap two tokens under one proof, both legs or neither
+export const swapTokens = SwapService.swap;
+
+// Export multi-transfer function: one sender pays several recipients under one proof
+export const multiTransfer = MultiTransferService.multiTransfer;
+
+// Export ledger functions: read blocks back from a ledger platform, verify its chain, make pending and failed
+// writes, and check a proof against a ledger before committing it
+export const getLedgerPlatforms = LedgerService.getPlatforms;
+export const registerLedgerAdapter = LedgerService.registerAdapter;
+export const getLedgerBlock = LedgerService.getBlock;
+export const verifyLedgerChain = LedgerService.verifyChain;
+export const retryLedgerWrites = StorageService.retryLedgerWrites;
+export const checkPublicLedger = StorageService.checkPublicLedger;
 
 // Export verification examples for documentation
 export function getVerificationExamples() {
@@ -184,7 +273,7 @@ export function getVerificationExamples() {
         what_is_verified: [
           "Alice (sender_account) sent money to Bob (receiver_account)",
           "The exact transfer amount is publicly verifiable",
-          "The transaction happened at a specific time (nonce)",
+          "The transfer consumed Alice's next account nonce, so it cannot be replayed (nonce)",
           "The state commitment ensures integrity",
           "The Merkle tree root was updated correctly (root_before → root_after)",
           "All computations were done correctly with after balance validation"
@@ -201,7 +290,7 @@ export function getVerificationExamples() {
           "sender_account: Alice's public key",
           "receiver_account: Bob's public key", 
           "amount: Transfer amount",
-          "nonce: Transaction timestamp",
+          "nonce: Sender's new account nonce (previous nonce + 1), covered by the signature",
           "root_before: Merkle root before transfer",
           "root_after: Merkle root after transfer",
           "tx_log_id: Transaction identifier"
@@ -223,17 +312,17 @@ export function getVerificationExamples() {
     sample_api_calls: [
       {
         description: "Main transfer function with enhanced public inputs",
-        function: "transfer(tokenId, from, to, transferParams, transferCircuit)",
-        example: "await transfer('GOLD', 'alice', 'bob', { amount: 100 }, 'transfer')"
+        function: "transfer(tokenId, from, to, transferParams, transferCircuit, ledgerMetadata, authorization)",
+        example: "await transfer('GOLD', 'alice', 'bob', { amount: 100 }, 'transfer', {}, { signature: signTransfer(alicePrivateKey, { to: bobPublicKey, token: tokenFieldId('GOLD'), amount: 100, nonce }), nonce })"
       },
       {
         description: "Legacy transfer for backward compatibility",
-        function: "performTransfer({ senderId, receiverId, amount, txNonce })",
-        example: "await performTransfer({ senderId: 'alice', receiverId: 'bob', amount: 100, txNonce: Date.now() })"
+        function: "performTransfer({ senderId, receiverId, amount, txNonce, signature })",
+        example: "await performTransfer({ senderId: 'alice', receiverId: 'bob', amount: 100, txNonce: nonce, signature })"
       },
       {
-        description: "Verify any transfer proof",
-        function: "verifyProof({ txId, proof, publicInputs })",
+        description: "Verify any proof against the registered key of its circuit",
+        function: "verifyProof({ txId, proof, publicInputs, circuit })",
         example: "await verifyProof({ txId: '123...', proof: {...}, publicInputs: [...] })"
       }
     ]
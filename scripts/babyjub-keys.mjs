@@ -0,0 +1,308 @@
+// Baby Jubjub keys and EdDSA-Poseidon transfer, generic transfer, NFT transfer, multi-transfer, escrow, supply and swap signatures
+// Public keys travel as packed points (64 hex chars); the state tree and circuits use
+// Poseidon(Ax, Ay) of the unpacked point as the account's public key field.
+import crypto from 'node:crypto';
+import pkg from 'circomlibjs';
+
+const { poseidon, eddsa, babyjub } = pkg;
+
+const keyHashCache = new Map();
+
+function toBuffer(hex, bytes, label) {
+  const clean = String(hex).replace(/^0x/, '').toLowerCase();
+  if (!new RegExp(`^[0-9a-f]{${bytes * 2}}$`).test(clean)) {
+    throw new Error(`Invalid ${label}: expected ${bytes * 2} hex characters`);
+  }
+  return Buffer.from(clean, 'hex');
+}
+
+/**
+ * Deterministic demo private key for an account (never use for real funds)
+ * @param {string} accountId - Account ID
+ * @returns {string} - 32-byte private key as hex
+ */
+export function demoPrivateKey(accountId) {
+  return crypto.createHash('sha256').update(`units-prototype demo key:${accountId}`).digest('hex');
+}
+
+/**
+ * Packed public key for a private key
+ * @param {string} privateKey - 32-byte private key as hex
+ * @returns {string} - Packed Baby Jubjub point as hex
+ */
+export function publicKeyFromPrivate(privateKey) {
+  const point = eddsa.prv2pub(toBuffer(privateKey, 32, 'private key'));
+  return Buffer.from(babyjub.packPoint(point)).toString('hex');
+}
+
+/**
+ * Normalize and unpack a public key, rejecting points that are not on the curve
+ * @param {string} publicKey - Packed Baby Jubjub point as hex
+ * @returns {Object} - { packed, point: [Ax, Ay] }
+ */
+export function unpackPublicKey(publicKey) {
+  const buffer = toBuffer(publicKey, 32, 'public key');
+  const point = babyjub.unpackPoint(buffer);
+  if (!point || !babyjub.inSubgroup(point)) {
+    throw new Error('Invalid public key: not a Baby Jubjub subgroup point');
+  }
+  return { packed: buffer.toString('hex'), point };
+}
+
+/**
+ * Account public key field used in tree leaves and circuits: Poseidon(Ax, Ay)
+ * @param {string} publicKey - Packed Baby Jubjub point as hex
+ * @returns {bigint} - Public key hash
+ */
+export function publicKeyHash(publicKey) {
+  if (!keyHashCache.has(publicKey)) {
+    const { point } = unpackPublicKey(publicKey);
+    keyHashCache.set(publicKey, poseidon(point));
+  }
+  return keyHashCache.get(publicKey);
+}
+
+/**
+ * Message a sender signs to authorize a transfer: Poseidon(receiver_pub, token_id, amount, nonce)
+ * @param {Object} params - { to: receiver's packed public key, token: token field ID, amount, nonce }
+ * @returns {bigint} - Message field element
+ */
+export function transferMessage({ to, token, amount, nonce }) {
+  return poseidon([publicKeyHash(to), BigInt(token), BigInt(amount), BigInt(nonce)]);
+}
+
+/**
+ * Sign a transfer with the sender's private key
+ * @param {string} privateKey - Sender's 32-byte private key as hex
+ * @param {Object} params - Transfer, as for transferMessage
+ * @returns {string} - Packed signature (64 bytes) as hex
+ */
+export function signTransfer(privateKey, params) {
+  const signature = eddsa.signPoseidon(toBuffer(privateKey, 32, 'private key'), transferMessage(params));
+  return Buffer.from(eddsa.packSignature(signature)).toString('hex');
+}
+
+/**
+ * Unpack a transfer signature into the values the circuit takes
+ * @param {string} signature - Packed signature as hex
+ * @returns {Object} - { R8: [x, y], S }
+ */
+export function unpackSignature(signature) {
+  const unpacked = eddsa.unpackSignature(toBuffer(signature, 64, 'signature'));
+  if (!unpacked.R8) {
+    throw new Error('Invalid signature: R8 is not a curve point');
+  }
+  return unpacked;
+}
+
+/**
+ * Check a transfer signature off-circuit
+ * @param {string} signature - Packed signature as hex
+ * @param {Object} params - { from: packed public key, ...transfer as for transferMessage }
+ * @returns {boolean} - Whether the sender signed exactly these parameters
+ */
+export function verifyTransferSignature(signature, { from, ...params }) {
+  return eddsa.verifyPoseidon(transferMessage(params), unpackSignature(signature), unpackPublicKey(from).point);
+}
+
+/**
+ * Message a sender signs to authorize a generic state transfer:
+ * Poseidon(receiver_pub, token_id, amount, escrow_provider, nonce)
+ * @param {Object} params - { to: receiver's packed public key, token: token field ID, amount, escrowProvider, nonce };
+ *   amount and escrowProvider are the transfer parameters, 0 when unused
+ * @returns {bigint} - Message field element
+ */
+export function genericTransferMessage({ to, token, amount, escrowProvider, nonce }) {
+  return poseidon([publicKeyHash(to), BigInt(token), BigInt(amount || 0), BigInt(escrowProvider || 0), BigInt(nonce)]);
+}
+
+/**
+ * Sign a generic state transfer with the sender's private key
+ * @param {string} privateKey - Sender's 32-byte private key as hex
+ * @param {Object} params - Transfer, as for genericTransferMessage
+ * @returns {string} - Packed signature (64 bytes) as hex
+ */
+export function signGenericTransfer(privateKey, params) {
+  const signature = eddsa.signPoseidon(toBuffer(privateKey, 32, 'private key'), genericTransferMessage(params));
+  return Buffer.from(eddsa.packSignature(signature)).toString('hex');
+}
+
+/**
+ * Check a generic state transfer signature off-circuit
+ * @param {string} signature - Packed signature as hex
+ * @param {Object} params - { from: packed public key, ...transfer as for genericTransferMessage }
+ * @returns {boolean} - Whether the sender signed exactly these parameters
+ */
+export function verifyGenericTransferSignature(signature, { from, ...params }) {
+  return eddsa.verifyPoseidon(genericTransferMessage(params), unpackSignature(signature), unpackPublicKey(from).point);
+}
+
+/**
+ * Message an NFT's owner signs to transfer it: Poseidon(receiver_pub, nft_id, nonce)
+ * @param {Object} params - { to: receiver's packed public key, token: the NFT's token field ID, nonce }
+ * @returns {bigint} - Message field element
+ */
+export function nftTransferMessage({ to, token, nonce }) {
+  return poseidon([publicKeyHash(to), BigInt(token), BigInt(nonce)]);
+}
+
+/**
+ * Sign an NFT transfer with the owner's private key
+ * @param {string} privateKey - Owner's 32-byte private key as hex
+ * @param {Object} params - Transfer, as for nftTransferMessage
+ * @returns {string} - Packed signature (64 bytes) as hex
+ */
+export function signNftTransfer(privateKey, params) {
+  const signature = eddsa.signPoseidon(toBuffer(privateKey, 32, 'private key'), nftTransferMessage(params));
+  return Buffer.from(eddsa.packSignature(signature)).toString('hex');
+}
+
+/**
+ * Check an NFT transfer signature off-circuit
+ * @param {string} signature - Packed signature as hex
+ * @param {Object} params - { from: packed public key, ...transfer as for nftTransferMessage }
+ * @returns {boolean} - Whether the owner signed exactly these parameters
+ */
+export function verifyNftTransferSignature(signature, { from, ...params }) {
+  return eddsa.verifyPoseidon(nftTransferMessage(params), unpackSignature(signature), unpackPublicKey(from).point);
+}
+
+/**
+ * Commitment to a multi-transfer's recipients, in order:
+ * Poseidon(...Poseidon(Poseidon(0, r_0), r_1)..., r_k) with r_i = Poseidon(receiver_pub_i, amount_i)
+ * @param {Array} recipients - [{ to: receiver's packed public key, amount }]
+ * @returns {bigint} - Recipients hash
+ */
+export function recipientsHash(recipients) {
+  return recipients.reduce((hash, { to, amount }) => poseidon([hash, poseidon([publicKeyHash(to), BigInt(amount)])]), 0n);
+}
+
+/**
+ * Message a sender signs to pay several recipients at once:
+ * Poseidon(recipients_hash, token_id, total, nonce, recipient_count)
+ * @param {Object} params - { recipients: [{ to: packed public key, amount }], token: token field ID, nonce }
+ * @returns {bigint} - Message field element
+ */
+export function multiTransferMessage({ recipients, token, nonce }) {
+  const total = recipients.reduce((sum, { amount }) => sum + BigInt(amount), 0n);
+  return poseidon([recipientsHash(recipients), BigInt(token), total, BigInt(nonce), BigInt(recipients.length)]);
+}
+
+/**
+ * Sign a multi-transfer with the sender's private key
+ * @param {string} privateKey - Sender's 32-byte private key as hex
+ * @param {Object} params - Multi-transfer, as for multiTransferMessage
+ * @returns {string} - Packed signature (64 bytes) as hex
+ */
+export function signMultiTransfer(privateKey, params) {
+  const signature = eddsa.signPoseidon(toBuffer(privateKey, 32, 'private key'), multiTransferMessage(params));
+  return Buffer.from(eddsa.packSignature(signature)).toString('hex');
+}
+
+/**
+ * Check a multi-transfer signature off-circuit
+ * @param {string} signature - Packed signature as hex
+ * @param {Object} params - { from: packed public key, ...multi-transfer as for multiTransferMessage }
+ * @returns {boolean} - Whether the sender signed exactly these recipients, amounts, token and nonce
+ */
+export function verifyMultiTransferSignature(signature, { from, ...params }) {
+  return eddsa.verifyPoseidon(multiTransferMessage(params), unpackSignature(signature), unpackPublicKey(from).point);
+}
+
+/**
+ * Message an account signs to take an escrow step:
+ * Poseidon(action, token_id, escrow_seq, provider_pub, beneficiary_pub, amount, expires_at)
+ * @param {Object} params - { action, token: token field ID, seq, provider, beneficiary: packed public keys, amount, expiresAt }
+ * @returns {bigint} - Message field element
+ */
+export function escrowMessage({ action, token, seq, provider, beneficiary, amount, expiresAt }) {
+  return poseidon([
+    BigInt(action), BigInt(token), BigInt(seq), publicKeyHash(provider), publicKeyHash(beneficiary),
+    BigInt(amount), BigInt(expiresAt || 0)
+  ]);
+}
+
+/**
+ * Sign an escrow step with the owner's (open, reclaim) or the provider's (release, refund) private key
+ * @param {string} privateKey - Signer's 32-byte private key as hex
+ * @param {Object} params - Escrow step, as for escrowMessage
+ * @returns {string} - Packed signature (64 bytes) as hex
+ */
+export function signEscrow(privateKey, params) {
+  const signature = eddsa.signPoseidon(toBuffer(privateKey, 32, 'private key'), escrowMessage(params));
+  return Buffer.from(eddsa.packSignature(signature)).toString('hex');
+}
+
+/**
+ * Check an escrow signature off-circuit
+ * @param {string} signature - Packed signature as hex
+ * @param {Object} params - { signer: packed public key, ...escrow step as for escrowMessage }
+ * @returns {boolean} - Whether the signer signed exactly this step
+ */
+export function verifyEscrowSignature(signature, { signer, ...params }) {
+  return eddsa.verifyPoseidon(escrowMessage(params), unpackSignature(signature), unpackPublicKey(signer).point);
+}
+
+/**
+ * Message a token's issuer signs to mint or burn: Poseidon(operation, token_id, supply_seq, amount)
+ * @param {Object} params - { operation, token: token field ID, seq, amount }
+ * @returns {bigint} - Message field element
+ */
+export function supplyMessage({ operation, token, seq, amount }) {
+  return poseidon([BigInt(operation), BigInt(token), BigInt(seq), BigInt(amount)]);
+}
+
+/**
+ * Sign a mint or burn with the issuer's private key
+ * @param {string} privateKey - Issuer's 32-byte private key as hex
+ * @param {Object} params - Supply change, as for supplyMessage
+ * @returns {string} - Packed signature (64 bytes) as hex
+ */
+export function signSupplyChange(privateKey, params) {
+  const signature = eddsa.signPoseidon(toBuffer(privateKey, 32, 'private key'), supplyMessage(params));
+  return Buffer.from(eddsa.packSignature(signature)).toString('hex');
+}
+
+/**
+ * Check a mint or burn signature off-circuit
+ * @param {string} signature - Packed signature as hex
+ * @param {Object} params - { signer: packed public key, ...supply change as for supplyMessage }
+ * @returns {boolean} - Whether the signer signed exactly this change
+ */
+export function verifySupplySignature(signature, { signer, ...params }) {
+  return eddsa.verifyPoseidon(supplyMessage(params), unpackSignature(signature), unpackPublicKey(signer).point);
+}
+
+/**
+ * Message both parties of an atomic swap sign:
+ * Poseidon(swap_seq, party_a_pub, token_a, amount_a, party_b_pub, token_b, amount_b)
+ * @param {Object} params - { seq, partyA, partyB: packed public keys, tokenA, tokenB: token field IDs, amountA, amountB }
+ * @returns {bigint} - Message field element
+ */
+export function swapMessage({ seq, partyA, tokenA, amountA, partyB, tokenB, amountB }) {
+  return poseidon([
+    BigInt(seq), publicKeyHash(partyA), BigInt(tokenA), BigInt(amountA), publicKeyHash(partyB), BigInt(tokenB),
+    BigInt(amountB)
+  ]);
+}
+
+/**
+ * Sign an atomic swap with one party's private key; the swap needs both parties' signatures over the same terms
+ * @param {string} privateKey - Party's 32-byte private key as hex
+ * @param {Object} params - Swap terms, as for swapMessage
+ * @returns {string} - Packed signature (64 bytes) as hex
+ */
+export function signSwap(privateKey, params) {
+  const signature = eddsa.signPoseidon(toBuffer(privateKey, 32, 'private key'), swapMessage(params));
+  return Buffer.from(eddsa.packSignature(signature)).toString('hex');
+}
+
+/**
+ * Check one party's swap signature off-circuit
+ * @param {string} signature - Packed signature as hex
+ * @param {Object} params - { signer: packed public key, ...swap terms as for swapMessage }
+ * @returns {boolean} - Whether the signer signed exactly these terms
+ */
+export function verifySwapSignature(signature, { signer, ...params }) {
+  return eddsa.verifyPoseidon(swapMessage(params), unpackSignature(signature), unpackPublicKey(signer).point);
+}
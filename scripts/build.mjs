@@ -1,23 +1,42 @@
 import { execSync } from "node:child_process";
 import fs from "node:fs";
-import { bin } from "./utils.mjs";
+import { bin, TREE_DEPTH, PTAU_PREPARED, getCircuits, circuitMain } from "./utils.mjs";
+import { circuitProvingSystem } from "./services/proving-systems.mjs";
 
-fs.mkdirSync("build", { recursive: true });
+// Circuits come from circuits/manifest.json; their templates are depth-agnostic, so each build
+// instantiates them with the manifest's arguments at TREE_DEPTH
+const CIRCUITS = getCircuits();
 
-console.log("▶ Compiling transfer circuit...");
-execSync(`${bin("circom")} circuits/transfer.circom --r1cs --wasm --sym -o build -l node_modules/circomlib/circuits`, { stdio: "inherit" });
+fs.mkdirSync("build/circuits", { recursive: true });
 
-console.log("▶ Compiling generic state transfer circuit...");
-execSync(`${bin("circom")} circuits/generic_state_transfer.circom --r1cs --wasm --sym -o build -l node_modules/circomlib/circuits`, { stdio: "inherit" });
+console.log(`▶ Building circuits for tree depth ${TREE_DEPTH} (${PTAU_PREPARED})...`);
 
-console.log("▶ Groth16 setup for transfer circuit...");
-execSync(`${bin("snarkjs")} groth16 setup build/transfer.r1cs pot14_final_prepared.ptau build/transfer.zkey`, { stdio: "inherit" });
+for (const circuit of CIRCUITS) {
+  // Wrapper keeps the circuit name, so artifacts stay at build/<name>_js (the manifest's wasm), build/<name>.r1cs, ...
+  const wrapper = `build/circuits/${circuit.name}.circom`;
+  fs.writeFileSync(wrapper, `pragma circom 2.1.5;\n\ninclude "../../${circuit.source}";\n\n${circuitMain(circuit)}\n`);
 
-console.log("▶ Groth16 setup for generic state transfer circuit...");
-execSync(`${bin("snarkjs")} groth16 setup build/generic_state_transfer.r1cs pot14_final_prepared.ptau build/generic_state_transfer.zkey`, { stdio: "inherit" });
+  console.log(`▶ Compiling ${circuit.label} circuit...`);
+  execSync(`${bin("circom")} ${wrapper} --r1cs --wasm --sym ${circuit.flags} -o build -l node_modules/circomlib/circuits`, { stdio: "inherit" });
+}
+
+// Each circuit is set up with its proving system (PROVING_SYSTEM, CIRCUIT_PROVING_SYSTEMS); PLONK only needs the
+// universal PTAU, but counts additions as gates, so large circuits may need a larger PTAU_POWER
+for (const circuit of CIRCUITS) {
+  const system = circuitProvingSystem(circuit.name);
+  console.log(`▶ ${system.label} setup for ${circuit.label} circuit...`);
+  execSync(`${bin("snarkjs")} ${system.name} setup build/${circuit.name}.r1cs ${PTAU_PREPARED} ${circuit.zkey}`, { stdio: "inherit" });
+}
 
 console.log("▶ Exporting verification keys...");
-execSync(`${bin("snarkjs")} zkey export verificationkey build/transfer.zkey build/vkey.json`, { stdio: "inherit" });
-execSync(`${bin("snarkjs")} zkey export verificationkey build/generic_state_transfer.zkey build/generic_state_transfer_vkey.json`, { stdio: "inherit" });
+for (const circuit of CIRCUITS) {
+  execSync(`${bin("snarkjs")} zkey export verificationkey ${circuit.zkey} ${circuit.vkey}`, { stdio: "inherit" });
+}
+
+// Deploy these to anchor proofs on an EVM chain (see ETH_VERIFIERS)
+console.log("▶ Exporting Solidity verifiers...");
+for (const circuit of CIRCUITS) {
+  execSync(`${bin("snarkjs")} zkey export solidityverifier ${circuit.zkey} build/${circuit.name}_verifier.sol`, { stdio: "inherit" });
+}
 
-console.log("✔ Build complete");
\ No newline at end of file
+console.log("✔ Build complete");
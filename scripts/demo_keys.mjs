@@ -0,0 +1,144 @@
+// Demo key helper: account IDs map to deterministic Baby Jubjub keys (demo only)
+//   node scripts/demo_keys.mjs pubkey <accountId>
+//   node scripts/demo_keys.mjs sign <from> <to> <amount> [nonce]
+//   node scripts/demo_keys.mjs generic <from> <to> <tokenId> [amount] [escrowProvider]
+//   node scripts/demo_keys.mjs nft <from> <to> <tokenId>
+//   node scripts/demo_keys.mjs multi <from> <to>:<amount> [<to>:<amount> ...]
+//   node scripts/demo_keys.mjs escrow-open <owner> <tokenId> <beneficiary> <provider> <amount> [expiresAt]
+//   node scripts/demo_keys.mjs escrow <release|refund|reclaim> <escrowId>
+//   node scripts/demo_keys.mjs supply <mint|burn> <tokenId> <amount>
+//   node scripts/demo_keys.mjs swap <partyA> <tokenA> <amountA> <partyB> <tokenB> <amountB>
+import {
+  demoPrivateKey, publicKeyFromPrivate, signTransfer, signGenericTransfer, signNftTransfer, signMultiTransfer, signEscrow,
+  signSupplyChange, signSwap
+} from "./babyjub-keys.mjs";
+import {
+  getAccount, getPendingTransfers, nextEscrowSeq, getEscrowRecord, getTokenRecord, tokenFieldId, nextSwapSeq,
+  ESCROW_ACTIONS, SUPPLY_OPERATIONS, ACCOUNT_TOKEN
+} from "./utils.mjs";
+
+// Signature of an escrow step by the owner (open, reclaim) or the provider (release, refund)
+function signEscrowStep(signer, action, { tokenId, seq, beneficiary, provider, amount, expiresAt }) {
+  const beneficiaryAccount = getAccount(beneficiary);
+  const providerAccount = getAccount(provider);
+  if (!beneficiaryAccount) throw new Error(`Account '${beneficiary}' not found`);
+  if (!providerAccount) throw new Error(`Account '${provider}' not found`);
+  return signEscrow(demoPrivateKey(signer), {
+    action: ESCROW_ACTIONS[action], token: tokenFieldId(tokenId), seq,
+    provider: providerAccount.publicKey, beneficiary: beneficiaryAccount.publicKey, amount, expiresAt
+  });
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+if (command === "pubkey" && args.length === 1) {
+  console.log(publicKeyFromPrivate(demoPrivateKey(args[0])));
+} else if (command === "sign" && args.length >= 3) {
+  const [from, to, amount, explicitNonce] = args;
+  const sender = getAccount(from);
+  const receiver = getAccount(to);
+  if (!sender) throw new Error(`Account '${from}' not found`);
+  if (!receiver) throw new Error(`Account '${to}' not found`);
+
+  // Transfers must carry the sender's next nonce, after any of their transfers already queued for a batch;
+  // an explicit nonce is signed as given
+  const queued = getPendingTransfers().filter(pending => pending.from === from).length;
+  const nonce = explicitNonce ?? String(sender.nonce + 1n + BigInt(queued));
+
+  const signature = signTransfer(demoPrivateKey(from), {
+    to: receiver.publicKey, token: tokenFieldId(ACCOUNT_TOKEN), amount, nonce
+  });
+  console.log(JSON.stringify({ signature, nonce }));
+} else if (command === "generic" && args.length >= 3) {
+  // A generic state transfer commits in its job, so it signs the sender's next nonce
+  const [from, to, tokenId, amount, escrowProvider] = args;
+  const sender = getAccount(from);
+  const receiver = getAccount(to);
+  if (!sender) throw new Error(`Account '${from}' not found`);
+  if (!receiver) throw new Error(`Account '${to}' not found`);
+  const nonce = String(sender.nonce + 1n);
+
+  const signature = signGenericTransfer(demoPrivateKey(from), {
+    to: receiver.publicKey, token: tokenFieldId(tokenId), amount, escrowProvider, nonce
+  });
+  console.log(JSON.stringify({ signature, nonce }));
+} else if (command === "nft" && args.length === 3) {
+  // The NFT's owner signs its next nonce, as for a generic transfer
+  const [from, to, tokenId] = args;
+  const sender = getAccount(from);
+  const receiver = getAccount(to);
+  if (!sender) throw new Error(`Account '${from}' not found`);
+  if (!receiver) throw new Error(`Account '${to}' not found`);
+  const nonce = String(sender.nonce + 1n);
+
+  const signature = signNftTransfer(demoPrivateKey(from), { to: receiver.publicKey, token: tokenFieldId(tokenId), nonce });
+  console.log(JSON.stringify({ signature, nonce }));
+} else if (command === "multi" && args.length >= 2) {
+  // A multi-transfer commits when it is proven, so it signs the sender's next nonce
+  const [from, ...payments] = args;
+  const sender = getAccount(from);
+  if (!sender) throw new Error(`Account '${from}' not found`);
+  const recipients = payments.map(payment => {
+    const [to, amount] = payment.split(":");
+    const receiver = getAccount(to);
+    if (!receiver) throw new Error(`Account '${to}' not found`);
+    return { to, amount: Number(amount), publicKey: receiver.publicKey };
+  });
+  const nonce = String(sender.nonce + 1n);
+
+  const signature = signMultiTransfer(demoPrivateKey(from), {
+    recipients: recipients.map(({ publicKey, amount }) => ({ to: publicKey, amount })), token: tokenFieldId(ACCOUNT_TOKEN), nonce
+  });
+  console.log(JSON.stringify({ signature, nonce, recipients: recipients.map(({ to, amount }) => ({ to, amount })) }));
+} else if (command === "escrow-open" && args.length >= 5) {
+  // Opening signs the token's next escrow number
+  const [owner, tokenId, beneficiary, provider, amount, expiresAt] = args;
+  const seq = nextEscrowSeq(tokenId);
+  const signature = signEscrowStep(owner, "open", {
+    tokenId, seq, beneficiary, provider, amount: Number(amount), expiresAt: expiresAt ? Number(expiresAt) : null
+  });
+  console.log(JSON.stringify({ signature, seq }));
+} else if (command === "escrow" && ["release", "refund", "reclaim"].includes(args[0]) && args.length === 2) {
+  const [action, escrowId] = args;
+  const escrow = getEscrowRecord(escrowId);
+  if (!escrow) throw new Error(`Escrow '${escrowId}' not found`);
+  const signer = action === "reclaim" ? escrow.owner : escrow.provider;
+  console.log(JSON.stringify({ signature: signEscrowStep(signer, action, escrow), signer }));
+} else if (command === "supply" && args[0] in SUPPLY_OPERATIONS && args.length === 3) {
+  // The token's issuer signs its next supply change
+  const [operation, tokenId, amount] = args;
+  const token = getTokenRecord(tokenId);
+  if (!token) throw new Error(`Token '${tokenId}' not found`);
+  const seq = token.supplySeq + 1;
+  const signature = signSupplyChange(demoPrivateKey(token.issuer), {
+    operation: SUPPLY_OPERATIONS[operation], token: tokenFieldId(tokenId), seq, amount
+  });
+  console.log(JSON.stringify({ signature, seq, signer: token.issuer }));
+} else if (command === "swap" && args.length === 6) {
+  // Both parties sign the same terms for the next swap number
+  const [partyA, tokenA, amountA, partyB, tokenB, amountB] = args;
+  const accountA = getAccount(partyA);
+  const accountB = getAccount(partyB);
+  if (!accountA) throw new Error(`Account '${partyA}' not found`);
+  if (!accountB) throw new Error(`Account '${partyB}' not found`);
+  const seq = nextSwapSeq();
+  const terms = {
+    seq, partyA: accountA.publicKey, tokenA: tokenFieldId(tokenA), amountA, partyB: accountB.publicKey,
+    tokenB: tokenFieldId(tokenB), amountB
+  };
+  console.log(JSON.stringify({
+    signatureA: signSwap(demoPrivateKey(partyA), terms), signatureB: signSwap(demoPrivateKey(partyB), terms), seq
+  }));
+} else {
+  console.log("Usage:");
+  console.log("  node scripts/demo_keys.mjs pubkey <accountId>");
+  console.log("  node scripts/demo_keys.mjs sign <from> <to> <amount> [nonce]");
+  console.log("  node scripts/demo_keys.mjs generic <from> <to> <tokenId> [amount] [escrowProvider]");
+  console.log("  node scripts/demo_keys.mjs nft <from> <to> <tokenId>");
+  console.log("  node scripts/demo_keys.mjs multi <from> <to>:<amount> [<to>:<amount> ...]");
+  console.log("  node scripts/demo_keys.mjs escrow-open <owner> <tokenId> <beneficiary> <provider> <amount> [expiresAt]");
+  console.log("  node scripts/demo_keys.mjs escrow <release|refund|reclaim> <escrowId>");
+  console.log("  node scripts/demo_keys.mjs supply <mint|burn> <tokenId> <amount>");
+  console.log("  node scripts/demo_keys.mjs swap <partyA> <tokenA> <amountA> <partyB> <tokenB> <amountB>");
+  process.exit(1);
+}
@@ -0,0 +1,137 @@
+// Ethereum dev node stand-in - Minimal JSON-RPC node for testing the ethereum ledger without a real chain
+//   npm run eth:dev            (listens on ETH_DEV_PORT, default 8545)
+// Every eth_sendTransaction is mined at once into its own block. Each built circuit gets a verifier
+// "contract" that runs snarkjs verification (Groth16 or PLONK, as the circuit was built) on verifyProof
+// calldata, in place of the exported Solidity verifier.
+import http from "node:http";
+import { pathToFileURL } from "node:url";
+import { keccak_256 } from "@noble/hashes/sha3";
+import { decodeVerifyProofCall } from "./services/ethereum-ledger.mjs";
+import { ZKProofService } from "./services/zk-proof-service.mjs";
+import { getProvingSystem } from "./services/proving-systems.mjs";
+
+const keccakHex = (text) => '0x' + Buffer.from(keccak_256(text)).toString('hex');
+const toHex = (value) => '0x' + BigInt(value).toString(16);
+const TRUE_WORD = '0x' + '1'.padStart(64, '0');
+const FALSE_WORD = '0x' + '0'.padStart(64, '0');
+
+// Deterministic addresses, so ETH_VERIFIERS stays valid across restarts
+export const devAddress = (label) => '0x' + keccakHex(`units-dev:${label}`).substring(26);
+
+/**
+ * Start the stand-in node
+ * @param {Object} options - { port, chainId, verifiers: { circuitType: vkey } } (verifiers default to the built circuits')
+ * @returns {Promise<Object>} - { url, port, chainId, account, verifierAddresses: { circuitType: address }, close }
+ */
+export async function startEthDevNode({ port = 8545, chainId = 1337, verifiers = null } = {}) {
+  verifiers = verifiers || Object.fromEntries(ZKProofService.loadVkeyRegistry().map(entry => [entry.circuit, entry.vkey]));
+  const contracts = new Map(Object.entries(verifiers).map(([circuit, vkey]) => [devAddress(`verifier:${circuit}`), { circuit, vkey }]));
+  const account = devAddress('account:0');
+
+  const genesis = { number: 0, hash: keccakHex('units-dev:genesis'), parentHash: '0x' + '0'.repeat(64), timestamp: Math.floor(Date.now() / 1000), transactions: [] };
+  const blocks = [genesis];
+  const transactions = new Map();
+  let nonce = 0;
+
+  const toBlock = (block) => block && {
+    number: toHex(block.number),
+    hash: block.hash,
+    parentHash: block.parentHash,
+    timestamp: toHex(block.timestamp),
+    transactions: block.transactions
+  };
+
+  async function call({ to, data }) {
+    const contract = contracts.get(String(to).toLowerCase());
+    if (!contract) return '0x';
+    const decoded = decodeVerifyProofCall(data, contract.vkey.nPublic, contract.vkey.protocol);
+    if (!decoded) return FALSE_WORD;
+    const verified = await getProvingSystem(contract.vkey.protocol).prover.verify(contract.vkey, decoded.publicSignals, decoded.proof);
+    return verified ? TRUE_WORD : FALSE_WORD;
+  }
+
+  const methods = {
+    eth_chainId: () => toHex(chainId),
+    net_version: () => String(chainId),
+    eth_accounts: () => [account],
+    eth_blockNumber: () => toHex(blocks.length - 1),
+    eth_getCode: ([address]) => contracts.has(String(address).toLowerCase()) ? '0x6080' : '0x',
+    eth_call: ([tx]) => call(tx),
+    eth_sendTransaction: async ([tx]) => {
+      if (String(tx.from).toLowerCase() !== account) {
+        throw new Error(`Unknown account ${tx.from}`);
+      }
+      await call(tx);
+      const parent = blocks[blocks.length - 1];
+      const hash = keccakHex(JSON.stringify({ from: tx.from, to: tx.to, data: tx.data, nonce: nonce++ }));
+      const number = blocks.length;
+      const timestamp = Math.max(parent.timestamp + 1, Math.floor(Date.now() / 1000));
+      const block = {
+        number,
+        parentHash: parent.hash,
+        timestamp,
+        transactions: [hash],
+        hash: keccakHex(JSON.stringify({ number, parentHash: parent.hash, timestamp, transactions: [hash] }))
+      };
+      blocks.push(block);
+      transactions.set(hash, { hash, from: tx.from, to: tx.to, input: tx.data, blockHash: block.hash, blockNumber: toHex(number) });
+      return hash;
+    },
+    eth_getTransactionByHash: ([hash]) => transactions.get(hash) || null,
+    eth_getTransactionReceipt: ([hash]) => {
+      const tx = transactions.get(hash);
+      return tx ? {
+        transactionHash: hash,
+        blockHash: tx.blockHash,
+        blockNumber: tx.blockNumber,
+        from: tx.from,
+        to: tx.to,
+        status: '0x1',
+        gasUsed: '0x0',
+        logs: []
+      } : null;
+    },
+    eth_getBlockByNumber: ([tag]) => toBlock(tag === 'latest' ? blocks[blocks.length - 1] : blocks[Number(tag)]),
+    eth_getBlockByHash: ([hash]) => toBlock(blocks.find(block => block.hash === hash))
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      let request = {};
+      let reply;
+      try {
+        request = JSON.parse(body);
+        const method = methods[request.method];
+        reply = method
+          ? { result: await method(request.params || []) }
+          : { error: { code: -32601, message: `Method ${request.method} not supported` } };
+      } catch (error) {
+        reply = { error: { code: -32000, message: error.message } };
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: request.id ?? null, ...reply }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  const listening = server.address().port;
+  return {
+    url: `http://127.0.0.1:${listening}`,
+    port: listening,
+    chainId,
+    account,
+    verifierAddresses: Object.fromEntries([...contracts].map(([address, { circuit }]) => [circuit, address])),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const node = await startEthDevNode({ port: Number(process.env.ETH_DEV_PORT || 8545) });
+  console.log(`🚀 Ethereum dev node stand-in running at ${node.url} (chain ${node.chainId})`);
+  console.log(`   Account: ${node.account}`);
+  console.log('   Verifiers:', node.verifierAddresses);
+  console.log('\n📋 Start the server against it with:');
+  console.log(`   ETH_RPC_URL=${node.url} ETH_VERIFIERS='${JSON.stringify(node.verifierAddresses)}' npm run server`);
+}
@@ -1,13 +1,9 @@
-import fs from "node:fs";
-import { execSync } from "node:child_process";
-import { groth16 } from "snarkjs";
 import { 
-  pHash2, pHash3, pHash5, buildEmptyTree, updateLeaf, treeRoot, merklePath, 
-  persistTx, getAllAccounts, getAccount, updateAccountBalance, 
-  generateUniqueId, cleanupTempFiles, bin 
+  pHash2, pHash3, pHash5, previewSequentialTransition, 
+  persistTx, getAllAccounts, getAccount, updateAccountBalance
 } from "./utils.mjs";
+import { ZKProofService } from "./services/zk-proof-service.mjs";
 
-const DEPTH = 4; // 16 leaves
 const STATE_SIZE = 4; // Maximum state attributes
 
 // Token Type Definitions
@@ -62,18 +58,6 @@ export async function performGenericStateTransfer({
     if (!sender) throw new Error(`Sender account '${senderId}' not found`);
     if (!receiver) throw new Error(`Receiver account '${receiverId}' not found`);
     
-    // Build current tree state
-    const layers = buildEmptyTree(DEPTH);
-    for (const acc of accounts) {
-      const leaf = pHash3(acc.pub, acc.bal, acc.nonce);
-      updateLeaf(layers, acc.idx, leaf);
-    }
-    const rootBefore = treeRoot(layers);
-    
-    // Get BEFORE paths
-    const sBefore = merklePath(layers, sender.idx);
-    const rBefore = merklePath(layers, receiver.idx);
-    
     // Prepare state arrays based on token type
     const senderStateBefore = getTokenState(senderId, tokenId, tokenType);
     const receiverStateBefore = getTokenState(receiverId, tokenId, tokenType);
@@ -86,22 +70,18 @@ export async function performGenericStateTransfer({
       transferParams
     );
     
-    // Update tree with new state
-    const sLeafAfter = createStateLeaf(sender.pub, sender.nonce, tokenId, senderStateAfter);
-    const rLeafAfter = createStateLeaf(receiver.pub, receiver.nonce, tokenId, receiverStateAfter);
-    updateLeaf(layers, sender.idx, sLeafAfter);
-    updateLeaf(layers, receiver.idx, rLeafAfter);
-    const rootAfter = treeRoot(layers);
-    
-    // AFTER paths
-    const sAfter = merklePath(layers, sender.idx);
-    const rAfter = merklePath(layers, receiver.idx);
+    // Derive BEFORE/AFTER roots and the chained sender and receiver paths from the persisted state tree
+    // without writing the new leaves
+    const { rootBefore, rootAfter, steps: [senderUpdate, receiverUpdate] } =
+      previewSequentialTransition([
+        { idx: sender.idx, leaf: createStateLeaf(sender.pub, sender.nonce, tokenId, senderStateAfter) },
+        { idx: receiver.idx, leaf: createStateLeaf(receiver.pub, receiver.nonce, tokenId, receiverStateAfter) }
+      ]);
     
     // Generate transaction ID
     const ts = BigInt(Math.floor(Date.now() / 1000));
     const txNonceBig = BigInt(txNonce || Date.now());
     const txId = pHash5(sender.pub, receiver.pub, BigInt(tokenId), BigInt(tokenType), txNonceBig);
-    const fileId = generateUniqueId();
     
     // Prepare witness input JSON for the circuit
     const input = {
@@ -123,45 +103,18 @@ export async function performGenericStateTransfer({
       
       transfer_params: transferParams.map(String),
       
-      // paths BEFORE
-      s_siblings_before: sBefore.siblings.map(String),
-      s_pathBits_before: sBefore.pathBits.map(String),
-      r_siblings_before: rBefore.siblings.map(String),
-      r_pathBits_before: rBefore.pathBits.map(String),
-      
-      // paths AFTER
-      s_siblings_after: sAfter.siblings.map(String),
-      s_pathBits_after: sAfter.pathBits.map(String),
-      r_siblings_after: rAfter.siblings.map(String),
-      r_pathBits_after: rAfter.pathBits.map(String),
+      // Sender's path, then receiver's path after the sender's update
+      s_siblings: senderUpdate.path.siblings.map(String),
+      s_pathBits: senderUpdate.path.pathBits.map(String),
+      r_siblings: receiverUpdate.path.siblings.map(String),
+      r_pathBits: receiverUpdate.path.pathBits.map(String),
       
       tx_nonce: String(txNonceBig),
       tx_timestamp: String(ts)
     };
     
-    // Write unique input file
-    const inputFile = `build/input_${fileId}.json`;
-    const proofFile = `build/proof_${fileId}.json`;
-    const publicFile = `build/public_${fileId}.json`;
-    
-    fs.writeFileSync(inputFile, JSON.stringify(input, null, 2));
-    
-    // Generate witness and prove using snarkjs
-    console.log("▶ Generating witness and proving...");
-    execSync(`${bin("snarkjs")} groth16 fullprove ${inputFile} build/generic_state_transfer_js/generic_state_transfer.wasm build/generic_state_transfer.zkey ${proofFile} ${publicFile}`, { stdio: "inherit" });
-    
-    // Read generated proof and public inputs
-    const proof = JSON.parse(fs.readFileSync(proofFile));
-    const publicInputs = JSON.parse(fs.readFileSync(publicFile));
-    
-    // Verify proof
-    console.log("▶ Verifying proof...");
-    const vkey = JSON.parse(fs.readFileSync("build/generic_state_transfer_vkey.json"));
-    const verified = await groth16.verify(vkey, publicInputs, proof);
-    
-    if (!verified) {
-      throw new Error("Proof verification failed");
-    }
+    // Generate and verify the proof in memory
+    const { proof, publicInputs } = await ZKProofService.prove(input, 'generic');
     
     // Update token states in database
     updateTokenState(senderId, tokenId, tokenType, senderStateAfter);
@@ -183,10 +136,6 @@ export async function performGenericStateTransfer({
       vkey_version: "vk-1"
     });
     
-    // Clean up temporary files
-    console.log("▶ Cleaning up temporary files...");
-    cleanupTempFiles(fileId);
-    
     console.log("✔ Generic state transfer completed successfully");
     
     return {
@@ -0,0 +1,155 @@
+// Account Service - Handles account registration and closing in the state tree
+import {
+  withTransaction, getAccount, getAccountByPublicKey, getAccountHoldings,
+  insertAccount, deleteAccount, getStateRoot, getInclusionProof, getStateRootRecord, accountLeaf, getAllEscrowRecords
+} from '../utils.mjs';
+import { rootFromPath, MAX_TREE_DEPTH } from '../sparse-merkle-tree.mjs';
+import { unpackPublicKey, publicKeyHash } from '../babyjub-keys.mjs';
+
+export class AccountService {
+  /**
+   * Register a new account at the lowest free leaf of the state tree
+   * @param {string} accountId - New account ID
+   * @param {string} publicKey - Packed Baby Jubjub public key (hex)
+   * @returns {Object} - Registered account and new state root
+   */
+  static registerAccount(accountId, publicKey) {
+    console.log(`▶ Registering account: ${accountId}`);
+
+    if (typeof accountId !== 'string' || accountId.trim() === '') {
+      throw new Error('Account ID must be a non-empty string');
+    }
+    const { packed } = unpackPublicKey(publicKey);
+
+    const result = withTransaction(db => {
+      if (getAccount(accountId, db)) {
+        throw new Error(`Account '${accountId}' already exists`);
+      }
+      const existing = getAccountByPublicKey(packed, db);
+      if (existing) {
+        throw new Error(`Public key is already registered to account '${existing.id}'`);
+      }
+
+      const account = insertAccount({ id: accountId, publicKey: packed }, db);
+      return { account, root: getStateRoot(db) };
+    });
+
+    console.log(`✅ Account ${accountId} registered at tree index ${result.account.idx}`);
+    return result;
+  }
+
+  /**
+   * Close an account: zero its leaf and free its tree index for reuse
+   * Only empty accounts (no balance, no token holdings, no open escrows) can be closed.
+   * @param {string} accountId - Account ID
+   * @returns {Object} - Closed account and new state root
+   */
+  static closeAccount(accountId) {
+    console.log(`▶ Closing account: ${accountId}`);
+
+    const result = withTransaction(db => {
+      const account = getAccount(accountId, db);
+      if (!account) {
+        throw new Error(`Account '${accountId}' not found`);
+      }
+      if (account.bal !== 0n) {
+        throw new Error(`Account '${accountId}' still has a balance of ${account.bal}`);
+      }
+      const heldTokens = Object.keys(getAccountHoldings(accountId, db));
+      if (heldTokens.length > 0) {
+        throw new Error(`Account '${accountId}' still holds tokens: ${heldTokens.join(', ')}`);
+      }
+      // Open escrows still need their beneficiary's and provider's leaves and keys
+      const openEscrows = getAllEscrowRecords({ account: accountId, status: 'open' }, db);
+      if (openEscrows.length > 0) {
+        throw new Error(`Account '${accountId}' is party to open escrows: ${openEscrows.map(({ id }) => id).join(', ')}`);
+      }
+
+      deleteAccount(accountId, db);
+      return { account, root: getStateRoot(db) };
+    });
+
+    console.log(`✅ Account ${accountId} closed, tree index ${result.account.idx} freed`);
+    return result;
+  }
+
+  /**
+   * Merkle inclusion proof of an account's leaf in the current state tree, or in the tree as of a recorded root
+   * @param {string} accountId - Account ID
+   * @param {string|null} root - Recorded state root (defaults to the current root)
+   * @returns {Object|null} - { accountId, treeIndex, depth, leaf, leafHash, siblings, pathBits, root }, or null if
+   *   the account is not found (or did not exist at that root)
+   */
+  static getInclusionProof(accountId, root = null) {
+    if (root !== null && !/^\d+$/.test(String(root))) {
+      throw new Error('State root must be a decimal field element');
+    }
+    const proof = getInclusionProof(accountId, root);
+    if (!proof) return null;
+
+    const { account, siblings, pathBits, depth } = proof;
+    return {
+      accountId: account.id,
+      treeIndex: account.idx,
+      depth,
+      // Leaf preimage: leafHash = Poseidon(publicKeyHash, balance, nonce)
+      leaf: {
+        publicKey: account.publicKey,
+        publicKeyHash: account.pub.toString(),
+        balance: account.bal.toString(),
+        nonce: account.nonce.toString()
+      },
+      leafHash: accountLeaf(account).toString(),
+      // siblings[d] is the sibling at level d (leaf level first); pathBits[d] is 1 when the node is a right child
+      siblings: siblings.map(String),
+      pathBits: pathBits.map(Number),
+      root: proof.root.toString()
+    };
+  }
+
+  /**
+   * Recompute the root from a leaf preimage and its path with Poseidon
+   * @param {Object} proof - { leaf: { publicKey | publicKeyHash, balance, nonce }, siblings, pathBits, root }
+   * @returns {Object} - { valid, leafHash, computedRoot, treeIndex, currentRoot, isCurrentRoot, isRecordedRoot }
+   */
+  static verifyInclusionProof({ leaf, siblings, pathBits, root } = {}) {
+    if (!leaf || !Array.isArray(siblings) || !Array.isArray(pathBits) || root === undefined) {
+      throw new Error('Inclusion proof must include leaf, siblings, pathBits and root');
+    }
+    if (siblings.length === 0 || siblings.length > MAX_TREE_DEPTH || pathBits.length !== siblings.length) {
+      throw new Error(`siblings and pathBits must have the same length, between 1 and ${MAX_TREE_DEPTH}`);
+    }
+    if (!pathBits.every(bit => String(bit) === '0' || String(bit) === '1')) {
+      throw new Error('pathBits must be 0 or 1');
+    }
+
+    // The leaf commits to the key's hash; a packed key given with it must hash to the same value
+    let pub = leaf.publicKeyHash !== undefined ? BigInt(leaf.publicKeyHash) : null;
+    if (leaf.publicKey !== undefined) {
+      const keyHash = publicKeyHash(unpackPublicKey(leaf.publicKey).packed);
+      if (pub !== null && pub !== keyHash) {
+        throw new Error('leaf.publicKeyHash does not match leaf.publicKey');
+      }
+      pub = keyHash;
+    }
+    if (pub === null) {
+      throw new Error('Leaf must include publicKey or publicKeyHash');
+    }
+
+    const leafHash = accountLeaf({ pub, bal: BigInt(leaf.balance), nonce: BigInt(leaf.nonce) });
+    const computedRoot = rootFromPath(leafHash, { siblings, pathBits });
+    const valid = computedRoot === BigInt(root);
+    const currentRoot = getStateRoot();
+
+    return {
+      valid,
+      leafHash: leafHash.toString(),
+      computedRoot: computedRoot.toString(),
+      treeIndex: pathBits.reduce((index, bit, level) => index + Number(bit) * 2 ** level, 0),
+      currentRoot: currentRoot.toString(),
+      isCurrentRoot: valid && computedRoot === currentRoot,
+      // A valid proof against an earlier root shows the leaf as it was at that point in the root history
+      isRecordedRoot: valid && getStateRootRecord(computedRoot) !== null
+    };
+  }
+}
@@ -0,0 +1,362 @@
+// Audit Service - Verifies stored transactions against their database records
+import {
+  pHash2, pHash4, tokenFieldId, getAccount, getTransaction, getBatchRecord, getBatchedTransfers, getCircuit,
+  supplyCommitment, ESCROW_ACTIONS, SUPPLY_OPERATIONS
+} from '../utils.mjs';
+import { ZKProofService } from './zk-proof-service.mjs';
+import { ProofMetadataService } from './proof-metadata-service.mjs';
+import { PROVING_SYSTEMS } from './proving-systems.mjs';
+
+// Reads a proof's public signals by name, in the order the circuit manifest lists them
+const publicSignals = (circuitName, publicInputs) => {
+  const names = getCircuit(circuitName).publicSignals;
+  return (name) => publicInputs[names.indexOf(name)];
+};
+
+export class AuditService {
+  /**
+   * Verify a stored transaction: its Groth16 or PLONK proof against the registered verification key, the proof's
+   * public inputs against the row's roots and transfer parameters, and its circuit hash against the circuit on disk
+   * @param {string} txId - Transaction ID
+   * @returns {Object|null} - { txId, valid, circuit, vkeyHash, checks: [{ name, passed, details }] }, or null if not found
+   */
+  static async verifyTransaction(txId) {
+    console.log(`▶ Verifying stored transaction: ${txId}`);
+
+    const row = getTransaction(txId);
+    if (!row) return null;
+
+    const checks = [];
+    const check = (name, passed, details) => checks.push({ name, passed: !!passed, details });
+
+    const proof = row.proof_json;
+    const metadata = proof.metadata || row.proof_metadata || {};
+    const publicInputs = (row.public_inputs || []).map(String);
+
+    // 1. The proof, with the registered key named by the proof (or its metadata)
+    let entry = null;
+    const proofCheck = `${PROVING_SYSTEMS[proof.protocol || 'groth16']?.label || proof.protocol} proof`;
+    try {
+      entry = ZKProofService.resolveVerificationKey({
+        vkeyHash: proof.verification_context?.vkey_hash || metadata.verification_key_hash,
+        circuit: metadata.circuit_name
+      });
+      const { verified } = await ZKProofService.verifyProof(proof, publicInputs, entry.circuit);
+      check(proofCheck, verified, verified
+        ? `Verified with the ${entry.circuit} verification key ${entry.hash.substring(0, 12)}...`
+        : `Proof does not verify against the stored public inputs`);
+    } catch (error) {
+      check(proofCheck, false, error.message);
+    }
+
+    if (proof.public_inputs) {
+      const same = JSON.stringify(proof.public_inputs.map(String)) === JSON.stringify(publicInputs);
+      check('Stored public inputs', same, same
+        ? 'The row stores the public inputs embedded in the proof'
+        : 'The row\'s public inputs differ from the ones embedded in the proof');
+    }
+
+    // 2. Public inputs against the row
+    const circuit = entry?.circuit || metadata.circuit_name;
+    if (row.batch_id) {
+      AuditService.checkBatchBindings(row, publicInputs, check);
+    } else if (circuit === 'transfer') {
+      AuditService.checkTransferBindings(row, publicInputs, check);
+    } else if (circuit === 'nft_transfer') {
+      AuditService.checkNftBindings(row, publicInputs, check);
+    } else if (circuit === 'generic_state_transfer') {
+      AuditService.checkGenericBindings(row, publicInputs, check);
+    } else if (circuit === 'escrow') {
+      AuditService.checkEscrowBindings(row, publicInputs, check);
+    } else if (circuit === 'supply') {
+      AuditService.checkSupplyBindings(row, publicInputs, check);
+    } else if (circuit === 'swap') {
+      AuditService.checkSwapBindings(row, publicInputs, check);
+    } else if (circuit === 'multi_transfer') {
+      AuditService.checkMultiTransferBindings(row, publicInputs, check);
+    } else if (!circuit) {
+      check('Public input bindings', false, 'The proof records no circuit, so its public inputs cannot be bound to the row');
+    } else {
+      check('Public input bindings', false, getCircuit(circuit)?.publicInputs.length > 0
+        ? `No checks bind the ${circuit} circuit's public inputs to the row`
+        : `The ${circuit} circuit has no public inputs, so its proof does not bind the row's roots or transfer parameters`);
+    }
+
+    // 3. Circuit hash against the circuit source on disk
+    const circuitHash = metadata.circuit_hash || proof.verification_context?.circuit_hash;
+    if (!entry) {
+      check('Circuit hash', false, 'The proof\'s circuit has no registered verification key');
+    } else if (!circuitHash) {
+      check('Circuit hash', false, 'The proof metadata records no circuit hash');
+    } else {
+      const onDisk = ProofMetadataService.calculateFileHash(entry.circuitFile);
+      check('Circuit hash', circuitHash === onDisk, circuitHash === onDisk
+        ? `${entry.circuitFile} is unchanged since the proof was generated`
+        : `${entry.circuitFile} has changed since the proof was generated (${onDisk?.substring(0, 12)}... on disk)`);
+    }
+
+    const valid = checks.every(({ passed }) => passed);
+    console.log(valid ? `✅ Transaction ${txId} verified` : `❌ Transaction ${txId} failed verification`);
+
+    return {
+      txId,
+      valid,
+      circuit,
+      vkeyHash: entry?.hash || null,
+      batchId: row.batch_id || null,
+      checks
+    };
+  }
+
+  /**
+   * Transfer circuit: the public roots, amount and token must be the row's
+   */
+  static checkTransferBindings(row, publicInputs, check) {
+    const expected = getCircuit('transfer').publicSignals.length;
+    if (publicInputs.length !== expected) {
+      check('Public input bindings', false,
+        `Expected ${expected} public inputs for the transfer circuit, found ${publicInputs.length}`);
+      return;
+    }
+    const signal = publicSignals('transfer', publicInputs);
+    const transferParams = JSON.parse(row.transfer_params || '{}');
+
+    check('root_before', signal('root_before') === String(row.root_before),
+      `Proof: ${signal('root_before')}, row: ${row.root_before}`);
+    check('root_after', signal('root_after') === String(row.root_after),
+      `Proof: ${signal('root_after')}, row: ${row.root_after}`);
+    check('transfer_params', signal('amount') === String(transferParams.amount),
+      `Proof amount: ${signal('amount')}, row amount: ${transferParams.amount}`);
+    check('token_id', signal('token_id') === String(tokenFieldId(row.token_id)),
+      `Proof: ${signal('token_id')}, row token ${row.token_id}: ${tokenFieldId(row.token_id)}`);
+  }
+
+  /**
+   * NFT transfer circuit: the public ownership roots must be the row's and nft_id must be the row's token
+   */
+  static checkNftBindings(row, publicInputs, check) {
+    const expected = getCircuit('nft_transfer').publicSignals.length;
+    if (publicInputs.length !== expected) {
+      check('Public input bindings', false,
+        `Expected ${expected} public inputs for the nft_transfer circuit, found ${publicInputs.length}`);
+      return;
+    }
+    const signal = publicSignals('nft_transfer', publicInputs);
+
+    check('root_before', signal('root_before') === String(row.root_before),
+      `Proof: ${signal('root_before')}, row: ${row.root_before}`);
+    check('root_after', signal('root_after') === String(row.root_after),
+      `Proof: ${signal('root_after')}, row: ${row.root_after}`);
+    check('nft_id', signal('nft_id') === String(tokenFieldId(row.token_id)),
+      `Proof: ${signal('nft_id')}, row token ${row.token_id}: ${tokenFieldId(row.token_id)}`);
+  }
+
+  /**
+   * Generic state transfer circuit: the public state roots must be the row's, and token_id and token_type the row's token
+   */
+  static checkGenericBindings(row, publicInputs, check) {
+    const expected = getCircuit('generic_state_transfer').publicSignals.length;
+    if (publicInputs.length !== expected) {
+      check('Public input bindings', false,
+        `Expected ${expected} public inputs for the generic_state_transfer circuit, found ${publicInputs.length}`);
+      return;
+    }
+    const signal = publicSignals('generic_state_transfer', publicInputs);
+
+    check('root_before', signal('root_before') === String(row.root_before),
+      `Proof: ${signal('root_before')}, row: ${row.root_before}`);
+    check('root_after', signal('root_after') === String(row.root_after),
+      `Proof: ${signal('root_after')}, row: ${row.root_after}`);
+    check('token_id', signal('token_id') === String(tokenFieldId(row.token_id)) && signal('token_type') === String(row.token_type),
+      `Proof: ${signal('token_id')} (type ${signal('token_type')}), row token ${row.token_id}: ${tokenFieldId(row.token_id)} (type ${row.token_type})`);
+  }
+
+  /**
+   * Escrow circuit: the public state roots must be the row's, token_id the row's token, and the escrow number,
+   * action and amount the escrow step the row records
+   */
+  static checkEscrowBindings(row, publicInputs, check) {
+    const expected = getCircuit('escrow').publicSignals.length;
+    if (publicInputs.length !== expected) {
+      check('Public input bindings', false,
+        `Expected ${expected} public inputs for the escrow circuit, found ${publicInputs.length}`);
+      return;
+    }
+    const signal = publicSignals('escrow', publicInputs);
+    const step = JSON.parse(row.transfer_params || '{}');
+
+    check('root_before', signal('root_before') === String(row.root_before),
+      `Proof: ${signal('root_before')}, row: ${row.root_before}`);
+    check('root_after', signal('root_after') === String(row.root_after),
+      `Proof: ${signal('root_after')}, row: ${row.root_after}`);
+    check('token_id', signal('token_id') === String(tokenFieldId(row.token_id)),
+      `Proof: ${signal('token_id')}, row token ${row.token_id}: ${tokenFieldId(row.token_id)}`);
+    check('transfer_params', signal('escrow_seq') === String(step.seq) &&
+      signal('action') === String(ESCROW_ACTIONS[step.action]) && signal('amount') === String(step.amount),
+      `Proof: escrow #${signal('escrow_seq')}, action ${signal('action')}, amount ${signal('amount')}; ` +
+      `row: escrow #${step.seq}, ${step.action} (${ESCROW_ACTIONS[step.action]}), amount ${step.amount}`);
+  }
+
+  /**
+   * Supply circuit: the public state roots must be the row's, token_id the row's token, and the operation, amount,
+   * supply change number and total supply commitments the mint or burn the row records
+   */
+  static checkSupplyBindings(row, publicInputs, check) {
+    const expected = getCircuit('supply').publicSignals.length;
+    if (publicInputs.length !== expected) {
+      check('Public input bindings', false,
+        `Expected ${expected} public inputs for the supply circuit, found ${publicInputs.length}`);
+      return;
+    }
+    const signal = publicSignals('supply', publicInputs);
+    const change = JSON.parse(row.transfer_params || '{}');
+
+    check('root_before', signal('root_before') === String(row.root_before),
+      `Proof: ${signal('root_before')}, row: ${row.root_before}`);
+    check('root_after', signal('root_after') === String(row.root_after),
+      `Proof: ${signal('root_after')}, row: ${row.root_after}`);
+    check('token_id', signal('token_id') === String(tokenFieldId(row.token_id)),
+      `Proof: ${signal('token_id')}, row token ${row.token_id}: ${tokenFieldId(row.token_id)}`);
+    check('transfer_params', signal('operation') === String(SUPPLY_OPERATIONS[row.operation]) &&
+      signal('amount') === String(change.amount) && signal('supply_seq') === String(change.seq),
+      `Proof: change #${signal('supply_seq')}, operation ${signal('operation')}, amount ${signal('amount')}; ` +
+      `row: change #${change.seq}, ${row.operation} (${SUPPLY_OPERATIONS[row.operation]}), amount ${change.amount}`);
+    try {
+      const before = String(supplyCommitment(row.token_id, change.totalSupplyBefore));
+      const after = String(supplyCommitment(row.token_id, change.totalSupplyAfter));
+      check('total_supply', signal('supply_commitment_before') === before && signal('supply_commitment_after') === after,
+        `Proof commits to the row's total supply ${change.totalSupplyBefore} → ${change.totalSupplyAfter}: ` +
+        `${signal('supply_commitment_before') === before ? 'yes' : 'no'} before, ${signal('supply_commitment_after') === after ? 'yes' : 'no'} after`);
+    } catch (error) {
+      check('total_supply', false, error.message);
+    }
+  }
+
+  /**
+   * Swap circuit: the public roots of both token trees must be the row's (party A's token) and its legs', and the
+   * public tokens, types and amounts and the swap number the row's legs'
+   */
+  static checkSwapBindings(row, publicInputs, check) {
+    const expected = getCircuit('swap').publicSignals.length;
+    if (publicInputs.length !== expected) {
+      check('Public input bindings', false,
+        `Expected ${expected} public inputs for the swap circuit, found ${publicInputs.length}`);
+      return;
+    }
+    const signal = publicSignals('swap', publicInputs);
+    const { seq, legs = [] } = JSON.parse(row.transfer_params || '{}');
+    if (legs.length !== 2) {
+      check('Public input bindings', false, `Expected the row to record two swap legs, found ${legs.length}`);
+      return;
+    }
+    const [legA, legB] = legs;
+
+    check('root_before', signal('root_a_before') === String(row.root_before) &&
+      signal('root_a_before') === String(legA.rootBefore) && signal('root_b_before') === String(legB.rootBefore),
+      `Proof: ${signal('root_a_before')} (${legA.tokenId}), ${signal('root_b_before')} (${legB.tokenId}); ` +
+      `row: ${row.root_before}, legs: ${legA.rootBefore}, ${legB.rootBefore}`);
+    check('root_after', signal('root_a_after') === String(row.root_after) &&
+      signal('root_a_after') === String(legA.rootAfter) && signal('root_b_after') === String(legB.rootAfter),
+      `Proof: ${signal('root_a_after')} (${legA.tokenId}), ${signal('root_b_after')} (${legB.tokenId}); ` +
+      `row: ${row.root_after}, legs: ${legA.rootAfter}, ${legB.rootAfter}`);
+    check('token_id', row.token_id === legA.tokenId && signal('token_a') === String(tokenFieldId(legA.tokenId)) &&
+      signal('token_b') === String(tokenFieldId(legB.tokenId)),
+      `Proof: ${signal('token_a')}, ${signal('token_b')}; row token ${row.token_id}, legs ${legA.tokenId}, ${legB.tokenId}`);
+    check('transfer_params', signal('swap_seq') === String(seq) &&
+      signal('token_type_a') === String(legA.tokenType) && signal('amount_a') === String(legA.amount) &&
+      signal('token_type_b') === String(legB.tokenType) && signal('amount_b') === String(legB.amount),
+      `Proof: swap #${signal('swap_seq')}, amounts ${signal('amount_a')} and ${signal('amount_b')}; ` +
+      `row: swap #${seq}, ${legA.amount} ${legA.tokenId} for ${legB.amount} ${legB.tokenId}`);
+  }
+
+  /**
+   * Multi-transfer circuit: the public roots and total must be the row's, and the recipients hash and count must
+   * commit to the row's recipient records
+   */
+  static checkMultiTransferBindings(row, publicInputs, check) {
+    const expected = getCircuit('multi_transfer').publicSignals.length;
+    if (publicInputs.length !== expected) {
+      check('Public input bindings', false,
+        `Expected ${expected} public inputs for the multi_transfer circuit, found ${publicInputs.length}`);
+      return;
+    }
+    const signal = publicSignals('multi_transfer', publicInputs);
+    const transferParams = JSON.parse(row.transfer_params || '{}');
+    const recipients = row.recipients || [];
+
+    check('root_before', signal('root_before') === String(row.root_before),
+      `Proof: ${signal('root_before')}, row: ${row.root_before}`);
+    check('root_after', signal('root_after') === String(row.root_after),
+      `Proof: ${signal('root_after')}, row: ${row.root_after}`);
+    check('token_id', signal('token_id') === String(tokenFieldId(row.token_id)),
+      `Proof: ${signal('token_id')}, row token ${row.token_id}: ${tokenFieldId(row.token_id)}`);
+
+    // recipients_hash chains Poseidon(receiver_pub, amount) over the recipients in order
+    try {
+      let hash = 0n;
+      for (const { to, amount } of recipients) {
+        const receiver = getAccount(to);
+        if (!receiver) throw new Error(`Recipient account '${to}' not found`);
+        hash = pHash2(hash, pHash2(receiver.pub, BigInt(amount)));
+      }
+      const total = recipients.reduce((sum, { amount }) => sum + amount, 0);
+      check('transfer_params', signal('total') === String(transferParams.amount) && total === transferParams.amount &&
+        signal('recipients_hash') === String(hash) && signal('recipient_count') === String(recipients.length),
+        `Proof: total ${signal('total')} to ${signal('recipient_count')} recipient(s); row: total ${transferParams.amount}, ` +
+        `${recipients.length} recipient record(s) adding up to ${total}; recipients hash ` +
+        `${signal('recipients_hash') === String(hash) ? 'matches' : 'does not match'} the records`);
+    } catch (error) {
+      check('transfer_params', false, error.message);
+    }
+  }
+
+  /**
+   * Batch circuit: the public roots, hash and count must be the batch's, the row's step roots must chain
+   * within the batch, and the batch hash must commit to the row's transfer
+   */
+  static checkBatchBindings(row, publicInputs, check) {
+    const batch = getBatchRecord(row.batch_id);
+    if (!batch) {
+      check('Public input bindings', false, `Batch ${row.batch_id} not found`);
+      return;
+    }
+    const signal = publicSignals('batch_transfer', publicInputs);
+    const [rootBefore, rootAfter, batchHash, txCount] = ['root_before', 'root_after', 'batch_hash', 'tx_count'].map(signal);
+
+    // Only the batch's first and last roots are public; the rows' step roots must connect them
+    const rows = batch.tx_ids.map(getTransaction);
+    const chained = rows.every((tx, i) => i === 0 || tx.root_before === rows[i - 1].root_after);
+    check('root_before', chained && rootBefore === batch.root_before && rows[0]?.root_before === rootBefore,
+      `Batch proof: ${rootBefore}, batch: ${batch.root_before}, row: ${row.root_before}`);
+    check('root_after', chained && rootAfter === batch.root_after && rows[rows.length - 1]?.root_after === rootAfter,
+      `Batch proof: ${rootAfter}, batch: ${batch.root_after}, row: ${row.root_after}`);
+    check('tx_count', Number(txCount) === batch.tx_count && batch.tx_count === rows.length,
+      `Batch proof: ${txCount}, batch: ${batch.tx_count}, linked rows: ${rows.length}`);
+    check('token_id', signal('token_id') === String(tokenFieldId(row.token_id)),
+      `Batch proof: ${signal('token_id')}, row token ${row.token_id}: ${tokenFieldId(row.token_id)}`);
+
+    // The batch hash chains Poseidon(sender_pub, receiver_pub, amount, nonce) over the batch's transfers
+    try {
+      const transfers = getBatchedTransfers(row.batch_id);
+      let hash = 0n;
+      for (const transfer of transfers) {
+        const sender = getAccount(transfer.from);
+        const receiver = getAccount(transfer.to);
+        if (!sender || !receiver) {
+          throw new Error(`Account of batched transfer #${transfer.id} not found`);
+        }
+        hash = pHash2(hash, pHash4(sender.pub, receiver.pub, BigInt(transfer.amount), BigInt(transfer.nonce)));
+      }
+
+      const transferParams = JSON.parse(row.transfer_params || '{}');
+      const own = transfers[batch.tx_ids.indexOf(row.tx_id)];
+      const matches = own && own.from === row.sender_id && own.to === row.receiver_id &&
+        String(own.amount) === String(transferParams.amount);
+      check('transfer_params', String(hash) === batchHash && batchHash === batch.batch_hash && matches,
+        `Batch hash ${String(hash) === batchHash ? 'matches' : 'does not match'} the batched transfers; ` +
+        `row amount ${transferParams.amount} ${matches ? 'is' : 'is not'} the batched transfer's`);
+    } catch (error) {
+      check('transfer_params', false, error.message);
+    }
+  }
+}
@@ -0,0 +1,234 @@
+// Batch Service - Queues signed transfers and proves them together with one batch proof
+import {
+  BATCH_SIZE, ACCOUNT_TOKEN, withTransaction, getAccount, getStateRoot, checkNextNonce, generateUniqueId,
+  insertPendingTransfer, getPendingTransfers, updatePendingTransfer, insertBatchRecord, getBatchRecord, getAllBatchRecords
+} from '../utils.mjs';
+import { getToken, getHolding, TransferService } from './token-service.mjs';
+import { ZKProofService } from './zk-proof-service.mjs';
+import { StorageService } from './storage-service.mjs';
+import { LedgerService } from './ledger-service.mjs';
+
+export class BatchService {
+  /**
+   * Queue a signed transfer of the account token for the next batch
+   * The nonce must follow the sender's account nonce and any of their transfers already queued.
+   * @param {string} tokenId - ACCOUNT_TOKEN (the batch circuit proves the account tree)
+   * @param {string} from - Sender account ID
+   * @param {string} to - Receiver account ID
+   * @param {Object} transferParams - { amount }
+   * @param {Object} authorization - Sender's { signature, nonce }
+   * @returns {Object} - Pending transfer
+   */
+  static queueTransfer(tokenId, from, to, transferParams = {}, authorization = {}) {
+    console.log(`▶ Queueing transfer for batch: ${tokenId} from ${from} to ${to}`);
+
+    const token = getToken(tokenId);
+    if (!token) {
+      throw new Error(`Token '${tokenId}' not found`);
+    }
+    if (token.id !== ACCOUNT_TOKEN) {
+      throw new Error(`Only the account token ${ACCOUNT_TOKEN} can be batched; its holdings are the account balances the batch proves`);
+    }
+
+    const amount = Number(transferParams.amount);
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new Error("Transfer amount must be a positive integer");
+    }
+
+    const { signature, nonce } = authorization || {};
+    if (nonce === undefined || nonce === null) {
+      throw new Error('Transfer authorization must include the signed nonce');
+    }
+
+    const sender = getAccount(from);
+    const receiver = getAccount(to);
+    if (!sender) throw new Error(`Sender account '${from}' not found`);
+    if (!receiver) throw new Error(`Receiver account '${to}' not found`);
+    if (sender.id === receiver.id) throw new Error('Sender and receiver must be different accounts');
+
+    // Queued transfers from the same sender take the nonces after the account's current one
+    const queued = getPendingTransfers().filter(pending => pending.from === from).length;
+    checkNextNonce({ ...sender, nonce: sender.nonce + BigInt(queued) }, nonce);
+    ZKProofService.signatureInputs(sender, receiver, tokenId, BigInt(amount), BigInt(nonce), signature);
+
+    const pending = insertPendingTransfer({ tokenId, from, to, amount, nonce, signature });
+    console.log(`✅ Transfer queued (#${pending.id})`);
+    return pending;
+  }
+
+  /**
+   * Prove up to BATCH_SIZE pending transfers with one batch proof and commit them together
+   * Pending transfers that can no longer be applied (balance, nonce, signature) are marked failed and skipped.
+   * @param {Object} ledgerMetadata - Optional ledger metadata; platform chooses the ledger adapter
+   * @returns {Object} - Batch result
+   */
+  static async createBatch(ledgerMetadata = {}) {
+    console.log(`🚀 Creating batch (up to ${BATCH_SIZE} transfers)`);
+    LedgerService.getAdapter(ledgerMetadata.platform);
+
+    const pending = getPendingTransfers(BATCH_SIZE);
+    if (pending.length === 0) {
+      throw new Error("No pending transfers to batch");
+    }
+
+    const { transfers, failed } = BatchService.planBatch(pending);
+    for (const { pending: rejected, error } of failed) {
+      console.log(`❌ Pending transfer #${rejected.id} rejected: ${error}`);
+      updatePendingTransfer(rejected.id, { status: 'failed', error });
+    }
+    if (transfers.length === 0) {
+      throw new Error("None of the pending transfers can be applied");
+    }
+
+    // One proof for the whole batch
+    const batchId = generateUniqueId();
+    const { input, rootBefore, rootAfter, batchHash, stepRoots } =
+      ZKProofService.prepareBatchCircuitInput(transfers.map(({ step }) => step));
+    const proofResult = await ZKProofService.generateZKProofWithInput(input, 'batch_transfer', batchId, Date.now());
+
+    transfers.forEach(({ txLog }, i) => {
+      txLog.batchId = batchId;
+      txLog.proof = proofResult.proof;
+      txLog.publicInputs = proofResult.publicInputs;
+      txLog.proofMetadata = proofResult.metadata;
+      txLog.merkleData = { rootBefore: String(stepRoots[i].rootBefore), rootAfter: String(stepRoots[i].rootAfter) };
+      txLog.status = 'proven';
+    });
+
+    const batch = {
+      batch_id: batchId,
+      tx_count: transfers.length,
+      root_before: String(rootBefore),
+      root_after: String(rootAfter),
+      batch_hash: String(batchHash),
+      proof_json: proofResult.proof,
+      public_inputs: proofResult.publicInputs,
+      proof_metadata: proofResult.metadata,
+      created_at: Date.now()
+    };
+
+    await StorageService.checkPublicLedger(proofResult.proof, proofResult.publicInputs, ledgerMetadata);
+
+    // Batch row, tx_logs, account state and holdings commit together; each transfer is applied
+    // on top of the previous one, exactly as the proof chains them
+    withTransaction(db => {
+      insertBatchRecord(batch, db);
+      for (const { pending: queued, token, txLog } of transfers) {
+        StorageService.saveTxLog(txLog, proofResult.proof, db);
+        TransferService.commitAccountTransfer(txLog, db);
+        TransferService.commitTransfer(token, txLog, db);
+        updatePendingTransfer(queued.id, { status: 'batched', batchId }, db);
+      }
+      if (String(getStateRoot(db)) !== batch.root_after) {
+        throw new Error("Committed state root does not match the batch proof");
+      }
+    });
+
+    // One ledger write for the whole batch
+    const { ledgerRecord, ledgerMetadata: ledgerMetadataRecord, ledgerStatus, ledgerError } =
+      await StorageService.publishBatch(proofResult.proof, batch, ledgerMetadata);
+
+    console.log(`🎉 Batch ${batchId} committed with ${transfers.length} transfer(s)`);
+
+    return {
+      success: true,
+      batchId,
+      txCount: transfers.length,
+      txIds: transfers.map(({ txLog }) => txLog.id),
+      failed: failed.map(({ pending: rejected, error }) => ({ id: rejected.id, error })),
+      rootBefore: batch.root_before,
+      rootAfter: batch.root_after,
+      batchHash: batch.batch_hash,
+      proof: proofResult.proof,
+      publicInputs: proofResult.publicInputs,
+      ledgerRecord,
+      ledgerMetadata: ledgerMetadataRecord,
+      ledgerStatus,
+      ledgerError
+    };
+  }
+
+  /**
+   * Replay pending transfers in order against in-memory account and holding states
+   * @param {Array} pending - Pending transfers, oldest first
+   * @returns {Object} - { transfers: [{ pending, token, txLog, step }], failed: [{ pending, error }] }
+   */
+  static planBatch(pending) {
+    const accounts = new Map();
+    const holdings = new Map();
+    const accountOf = (id) => {
+      if (!accounts.has(id)) accounts.set(id, getAccount(id));
+      return accounts.get(id);
+    };
+    const holdingOf = (tokenId, id) => {
+      const key = `${tokenId}:${id}`;
+      if (!holdings.has(key)) holdings.set(key, getHolding(tokenId, id));
+      return holdings.get(key);
+    };
+
+    const transfers = [];
+    const failed = [];
+    for (const queued of pending) {
+      try {
+        const token = getToken(queued.tokenId);
+        if (!token) throw new Error(`Token '${queued.tokenId}' not found`);
+
+        const sender = accountOf(queued.from);
+        const receiver = accountOf(queued.to);
+        if (!sender) throw new Error(`Sender account '${queued.from}' not found`);
+        if (!receiver) throw new Error(`Receiver account '${queued.to}' not found`);
+
+        const amount = BigInt(queued.amount);
+        const nonce = BigInt(queued.nonce);
+        checkNextNonce(sender, nonce);
+        ZKProofService.signatureInputs(sender, receiver, queued.tokenId, amount, nonce, queued.signature);
+        if (sender.bal < amount) {
+          throw new Error(`Insufficient account balance. Available: ${sender.bal}, Required: ${amount}`);
+        }
+
+        const senderHolding = holdingOf(token.id, sender.id);
+        const receiverHolding = holdingOf(token.id, receiver.id);
+        if (senderHolding.state < queued.amount) {
+          throw new Error(`Insufficient balance. Available: ${senderHolding.state}, Required: ${queued.amount}`);
+        }
+
+        const transferParams = { amount: queued.amount };
+        const txLog = TransferService.initiateTransfer(token, sender.id, receiver.id, transferParams,
+          { signature: queued.signature, nonce: queued.nonce });
+        // Holdings move within the batch, so take the states left by the earlier transfers
+        const { senderStateAfter, receiverStateAfter } =
+          TransferService.calculateStateChanges(token.type, senderHolding, receiverHolding, transferParams);
+        txLog.stateBefore = { sender: senderHolding, receiver: receiverHolding };
+        txLog.stateAfter = { sender: senderStateAfter, receiver: receiverStateAfter };
+
+        transfers.push({
+          pending: queued,
+          token,
+          txLog,
+          step: { sender: { ...sender }, receiver: { ...receiver }, amount, nonce, signature: queued.signature }
+        });
+
+        accounts.set(sender.id, { ...sender, bal: sender.bal - amount, nonce });
+        accounts.set(receiver.id, { ...receiver, bal: receiver.bal + amount });
+        holdings.set(`${token.id}:${sender.id}`, senderStateAfter);
+        holdings.set(`${token.id}:${receiver.id}`, receiverStateAfter);
+      } catch (error) {
+        failed.push({ pending: queued, error: error.message });
+      }
+    }
+
+    return { transfers, failed };
+  }
+
+  static getPendingTransfers() {
+    return getPendingTransfers();
+  }
+
+  static getBatch(batchId) {
+    return getBatchRecord(batchId);
+  }
+
+  static getAllBatches() {
+    return getAllBatchRecords();
+  }
+}
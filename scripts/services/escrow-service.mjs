@@ -0,0 +1,263 @@
+// Escrow Service - Locks escrow tokens under a provider, who releases them to a beneficiary or refunds them to the owner
+// Every step is proven by the escrow circuit, signed by the account allowed to take it, and recorded in tx_logs.
+import {
+  ESCROW_ACTIONS, withTransaction, getAccount, generateUniqueId, nextEscrowSeq, insertEscrow,
+  getEscrowRecord, getAllEscrowRecords, closeEscrowRecord
+} from '../utils.mjs';
+import { getToken, getHolding, emptyState, TOKEN_TYPES, STATE_FORMATS, TransferService } from './token-service.mjs';
+import { ZKProofService } from './zk-proof-service.mjs';
+import { StorageService } from './storage-service.mjs';
+import { LedgerService } from './ledger-service.mjs';
+
+// Status of an escrow once each closing step commits
+const CLOSED_STATUS = { release: 'released', refund: 'refunded', reclaim: 'reclaimed' };
+
+export class EscrowService {
+  /**
+   * Open an escrow: lock the owner's escrow token under a provider, who can then release it to the beneficiary or
+   * refund it to the owner; with a timeout, the owner can also reclaim it once the timeout has passed
+   * @param {Object} params - { tokenId, owner, beneficiary, provider, amount, expiresAt (ms timestamp, optional) }
+   * @param {string} signature - Owner's signature over the step for the token's next escrow number (see escrowMessage)
+   * @param {Object} ledgerMetadata - Optional ledger metadata; platform chooses the ledger adapter
+   * @returns {Object} - Escrow step result, with the opened escrow
+   */
+  static async openEscrow({ tokenId, owner, beneficiary, provider, amount, expiresAt = null }, signature, ledgerMetadata = {}) {
+    console.log(`🚀 Opening escrow: ${tokenId} of ${owner} for ${beneficiary}, provider ${provider}`);
+
+    const token = EscrowService.escrowToken(tokenId);
+    if (!Number.isSafeInteger(amount) || amount < 0) {
+      throw new Error("Escrow amount must be a non-negative integer");
+    }
+    if (expiresAt !== null && (!Number.isSafeInteger(expiresAt) || expiresAt <= Date.now())) {
+      throw new Error("Escrow timeout (expiresAt) must be a future timestamp in milliseconds");
+    }
+    for (const [role, accountId] of Object.entries({ Owner: owner, Beneficiary: beneficiary, Provider: provider })) {
+      if (!getAccount(accountId)) throw new Error(`${role} account '${accountId}' not found`);
+    }
+    if (owner === beneficiary) throw new Error('Owner and beneficiary must be different accounts');
+    if (owner === provider) throw new Error('The owner cannot be the escrow provider');
+
+    const escrow = {
+      id: generateUniqueId(),
+      tokenId: token.id,
+      seq: nextEscrowSeq(token.id),
+      owner,
+      beneficiary,
+      provider,
+      amount,
+      expiresAt,
+      status: 'open'
+    };
+    return EscrowService.proveStep(token, escrow, 'open', signature, ledgerMetadata);
+  }
+
+  /**
+   * Release an open escrow: the token moves to the beneficiary, out of escrow
+   * @param {string} escrowId - Escrow ID
+   * @param {string} signature - Provider's signature over the step
+   * @param {Object} ledgerMetadata - Optional ledger metadata
+   * @returns {Object} - Escrow step result
+   */
+  static async releaseEscrow(escrowId, signature, ledgerMetadata = {}) {
+    return EscrowService.closeEscrow(escrowId, 'release', signature, ledgerMetadata);
+  }
+
+  /**
+   * Refund an open escrow: the token stays with the owner, out of escrow
+   * @param {string} escrowId - Escrow ID
+   * @param {string} signature - Provider's signature over the step
+   * @param {Object} ledgerMetadata - Optional ledger metadata
+   * @returns {Object} - Escrow step result
+   */
+  static async refundEscrow(escrowId, signature, ledgerMetadata = {}) {
+    return EscrowService.closeEscrow(escrowId, 'refund', signature, ledgerMetadata);
+  }
+
+  /**
+   * Reclaim an open escrow whose timeout has passed: as a refund, taken by the owner
+   * @param {string} escrowId - Escrow ID
+   * @param {string} signature - Owner's signature over the step
+   * @param {Object} ledgerMetadata - Optional ledger metadata
+   * @returns {Object} - Escrow step result
+   */
+  static async reclaimEscrow(escrowId, signature, ledgerMetadata = {}) {
+    return EscrowService.closeEscrow(escrowId, 'reclaim', signature, ledgerMetadata);
+  }
+
+  static async closeEscrow(escrowId, action, signature, ledgerMetadata = {}) {
+    console.log(`🚀 Escrow ${action}: ${escrowId}`);
+
+    const escrow = getEscrowRecord(escrowId);
+    if (!escrow) {
+      throw new Error(`Escrow '${escrowId}' not found`);
+    }
+    if (escrow.status !== 'open') {
+      throw new Error(`Escrow ${escrowId} is already ${escrow.status}`);
+    }
+    if (action === 'reclaim') {
+      if (escrow.expiresAt === null) {
+        throw new Error(`Escrow ${escrowId} has no timeout; only its provider can refund it`);
+      }
+      if (Date.now() < escrow.expiresAt) {
+        throw new Error(`Escrow ${escrowId} cannot be reclaimed before ${new Date(escrow.expiresAt).toISOString()}`);
+      }
+    }
+    return EscrowService.proveStep(EscrowService.escrowToken(escrow.tokenId), escrow, action, signature, ledgerMetadata);
+  }
+
+  /**
+   * Prove an escrow step and commit it: the tx_logs row, both holdings and the escrow record in one SQLite transaction
+   * @param {Object} token - Escrow token
+   * @param {Object} escrow - Escrow record (for open, the escrow to insert)
+   * @param {string} action - 'open', 'release', 'refund' or 'reclaim'
+   * @param {string} signature - Signature of the owner (open, reclaim) or the provider (release, refund)
+   * @param {Object} ledgerMetadata - Optional ledger metadata
+   * @returns {Object} - Escrow step result
+   */
+  static async proveStep(token, escrow, action, signature, ledgerMetadata = {}) {
+    // Unknown ledger platforms are rejected before anything is proven or committed
+    LedgerService.getAdapter(ledgerMetadata.platform);
+
+    const txLog = EscrowService.initiateStep(token, escrow, action, signature);
+    const proofResult = await ZKProofService.generateZKProof(txLog, 'escrow');
+
+    await StorageService.checkPublicLedger(proofResult.proof, proofResult.publicInputs, ledgerMetadata);
+
+    const committedEscrow = withTransaction(db => {
+      StorageService.saveTxLog(txLog, proofResult.proof, db);
+      TransferService.checkTokenTreeRoot(txLog, proofResult.circuit, db);
+      TransferService.commitTransfer(token, txLog, db);
+      if (action === 'open') {
+        return insertEscrow({ ...escrow, openTxId: txLog.id }, db);
+      }
+      closeEscrowRecord(escrow.id, { status: CLOSED_STATUS[action], closeTxId: txLog.id }, db);
+      return getEscrowRecord(escrow.id, db);
+    });
+
+    const { ledgerRecord, ledgerMetadata: ledgerMetadataRecord, ledgerStatus, ledgerError } =
+      await StorageService.publishTxLog(proofResult.proof, txLog, ledgerMetadata);
+
+    console.log(`🎉 Escrow ${escrow.id} ${action} committed`);
+
+    return {
+      success: true,
+      action,
+      escrow: committedEscrow,
+      txId: txLog.id,
+      tokenId: token.id,
+      circuit: proofResult.circuit,
+      proof: proofResult.proof,
+      publicInputs: proofResult.publicInputs,
+      ownerStateAfter: txLog.stateAfter.sender,
+      beneficiaryStateAfter: txLog.stateAfter.receiver,
+      rootBefore: txLog.merkleData?.rootBefore,
+      rootAfter: txLog.merkleData?.rootAfter,
+      timestamp: txLog.timestamp,
+      ledgerRecord,
+      ledgerMetadata: ledgerMetadataRecord,
+      ledgerStatus,
+      ledgerError
+    };
+  }
+
+  /**
+   * Transaction log of an escrow step, from the owner to the beneficiary, checked against both holdings
+   * @param {Object} token - Escrow token
+   * @param {Object} escrow - Escrow record
+   * @param {string} action - 'open', 'release', 'refund' or 'reclaim'
+   * @param {string} signature - Signer's signature over the step
+   * @returns {Object} - Transaction log
+   */
+  static initiateStep(token, escrow, action, signature) {
+    if (!(action in ESCROW_ACTIONS)) {
+      throw new Error(`Unknown escrow action '${action}' (available: ${Object.keys(ESCROW_ACTIONS).join(', ')})`);
+    }
+    const provider = getAccount(escrow.provider);
+    if (!provider) {
+      throw new Error(`Provider account '${escrow.provider}' not found`);
+    }
+
+    const ownerBefore = getHolding(token.id, escrow.owner);
+    const beneficiaryBefore = getHolding(token.id, escrow.beneficiary);
+    if (ownerBefore.state !== 1) {
+      throw new Error(`Escrow token must be owned (state=1) by ${escrow.owner}`);
+    }
+    if (action === 'open') {
+      if (ownerBefore.escrow_status === 1) {
+        throw new Error(`'${token.id}' is already in escrow`);
+      }
+    } else if (ownerBefore.escrow_status !== 1 || String(ownerBefore.escrow_provider) !== String(provider.pub) ||
+      ownerBefore.escrow_amount !== escrow.amount) {
+      throw new Error(`${escrow.owner}'s holding of '${token.id}' is not in escrow ${escrow.id}`);
+    }
+    if (action === 'release' && beneficiaryBefore.state === 1) {
+      throw new Error(`${escrow.beneficiary} already owns this escrow token`);
+    }
+
+    const { ownerAfter, beneficiaryAfter } = EscrowService.calculateStateChanges(action, ownerBefore, beneficiaryBefore,
+      { provider: String(provider.pub), amount: escrow.amount });
+
+    return {
+      id: generateUniqueId(),
+      tokenId: token.id,
+      tokenType: token.type,
+      from: escrow.owner,
+      to: escrow.beneficiary,
+      operation: 'escrow',
+      transferParams: {
+        escrowId: escrow.id,
+        action,
+        seq: escrow.seq,
+        provider: escrow.provider,
+        amount: escrow.amount,
+        expiresAt: escrow.expiresAt
+      },
+      // The owner signs open and reclaim, the provider release and refund
+      authorization: {
+        signer: action === 'open' || action === 'reclaim' ? escrow.owner : escrow.provider,
+        signature
+      },
+      timestamp: Date.now(),
+      status: 'initiated',
+      stateBefore: { sender: ownerBefore, receiver: beneficiaryBefore },
+      stateAfter: { sender: ownerAfter, receiver: beneficiaryAfter },
+      merkleData: null,
+      proof: null
+    };
+  }
+
+  // The escrow circuit's rules: the provider field holds the provider's public key field
+  static calculateStateChanges(action, ownerState, beneficiaryState, { provider, amount }) {
+    const empty = emptyState(TOKEN_TYPES.ESCROW);
+    switch (action) {
+      case 'open':
+        return {
+          ownerAfter: { ...ownerState, escrow_provider: provider, escrow_status: 1, escrow_amount: amount },
+          beneficiaryAfter: { ...beneficiaryState }
+        };
+      case 'release':
+        return { ownerAfter: empty, beneficiaryAfter: { ...empty, state: 1 } };
+      default:
+        return { ownerAfter: { ...empty, state: 1 }, beneficiaryAfter: { ...beneficiaryState } };
+    }
+  }
+
+  static escrowToken(tokenId) {
+    const token = getToken(tokenId);
+    if (!token) {
+      throw new Error(`Token '${tokenId}' not found`);
+    }
+    if (token.type !== TOKEN_TYPES.ESCROW) {
+      throw new Error(`Only escrow tokens can be escrowed; '${tokenId}' is a ${STATE_FORMATS[token.type].description}`);
+    }
+    return token;
+  }
+
+  static getEscrow(escrowId) {
+    return getEscrowRecord(escrowId);
+  }
+
+  static getAllEscrows(filter = {}) {
+    return getAllEscrowRecords(filter);
+  }
+}
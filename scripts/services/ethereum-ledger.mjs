@@ -0,0 +1,321 @@
+// Ethereum Ledger - Anchors proofs on an EVM chain over JSON-RPC
+// Each record is anchored by calling the circuit's exported Solidity verifier (Groth16 or PLONK)
+// (npm run build writes build/<circuit>_verifier.sol) with the proof as calldata; the record hash is
+// appended to the calldata, so the transaction input commits to the record.
+import { keccak_256 } from '@noble/hashes/sha3';
+import { LedgerAdapter, hashRecord, sha256Hex } from './ledger-adapter.mjs';
+
+// JSON-RPC endpoint of the node; the ethereum ledger is unavailable without it
+export const ETH_RPC_URL = process.env.ETH_RPC_URL || null;
+// Account that sends the anchoring transactions (must be managed by the node; defaults to its first account)
+export const ETH_FROM = process.env.ETH_FROM || null;
+// Deployed verifier contract per circuit type, e.g. {"transfer":"0x...","batch_transfer":"0x..."}
+export const ETH_VERIFIERS = JSON.parse(process.env.ETH_VERIFIERS || '{}');
+// Expected chain ID (checked before anchoring when set)
+export const ETH_CHAIN_ID = process.env.ETH_CHAIN_ID ? Number(process.env.ETH_CHAIN_ID) : null;
+// How long to wait for one JSON-RPC response
+export const ETH_RPC_TIMEOUT_MS = Number(process.env.ETH_RPC_TIMEOUT_MS || 10000);
+// How long to wait for a transaction's receipt, and how often to ask for it
+export const ETH_RECEIPT_TIMEOUT_MS = Number(process.env.ETH_RECEIPT_TIMEOUT_MS || 120000);
+export const ETH_POLL_INTERVAL_MS = Number(process.env.ETH_POLL_INTERVAL_MS || 1000);
+
+const toHex = (value) => '0x' + BigInt(value).toString(16);
+const word = (value) => BigInt(value).toString(16).padStart(64, '0');
+
+// verifyProof of snarkjs' exported Solidity verifiers:
+//   Groth16: verifyProof(uint[2] _pA, uint[2][2] _pB, uint[2] _pC, uint[N] _pubSignals)
+//   PLONK:   verifyProof(uint256[24] _proof, uint256[N] _pubSignals)
+export function verifyProofSelector(publicSignalCount, protocol = 'groth16') {
+  const proofArgs = protocol === 'plonk' ? 'uint256[24]' : 'uint256[2],uint256[2][2],uint256[2]';
+  const signature = `verifyProof(${proofArgs},uint256[${publicSignalCount}])`;
+  return Buffer.from(keccak_256(signature)).toString('hex').substring(0, 8);
+}
+
+// PLONK proof words in the verifier's order: the commitments' (x, y), then the evaluations
+const PLONK_POINTS = ['A', 'B', 'C', 'Z', 'T1', 'T2', 'T3', 'Wxi', 'Wxiw'];
+const PLONK_EVALUATIONS = ['eval_a', 'eval_b', 'eval_c', 'eval_s1', 'eval_s2', 'eval_zw'];
+
+/**
+ * Proof arguments of the Solidity verifier's verifyProof, as snarkjs' exportSolidityCallData formats them
+ * Groth16 G2 coordinates are given to the contract in (imaginary, real) order, so pi_b's pairs are swapped.
+ * @param {Object} proof - Groth16 proof (pi_a, pi_b, pi_c) or PLONK proof
+ * @returns {string[]} - Proof words as decimal strings (8 for Groth16, 24 for PLONK)
+ */
+export function formatProofCalldata(proof) {
+  if (proof.protocol === 'plonk') {
+    return [
+      ...PLONK_POINTS.flatMap(point => [String(proof[point][0]), String(proof[point][1])]),
+      ...PLONK_EVALUATIONS.map(evaluation => String(proof[evaluation]))
+    ];
+  }
+  return [
+    String(proof.pi_a[0]), String(proof.pi_a[1]),
+    String(proof.pi_b[0][1]), String(proof.pi_b[0][0]),
+    String(proof.pi_b[1][1]), String(proof.pi_b[1][0]),
+    String(proof.pi_c[0]), String(proof.pi_c[1])
+  ];
+}
+
+/**
+ * ABI-encode a verifyProof call; every argument is a static uint array, so the encoding is the words in order
+ * @param {Object} proof - Groth16 or PLONK proof
+ * @param {Array} publicInputs - Public signals
+ * @param {string|null} suffix - 32-byte hex appended after the arguments (ignored by the verifier)
+ * @returns {string} - Calldata (0x-prefixed hex)
+ */
+export function encodeVerifyProofCall(proof, publicInputs, suffix = null) {
+  const words = [...formatProofCalldata(proof), ...publicInputs.map(String)].map(word).join('');
+  return '0x' + verifyProofSelector(publicInputs.length, proof.protocol) + words + (suffix ? word('0x' + suffix) : '');
+}
+
+/**
+ * Decode the calldata of a verifyProof call back into a snarkjs proof and public signals
+ * @param {string} data - Calldata (0x-prefixed hex)
+ * @param {number} publicSignalCount - Public signals of the verifier's circuit
+ * @param {string} protocol - Proving system of the verifier ('groth16' or 'plonk')
+ * @returns {Object|null} - { proof, publicSignals, suffix }, or null if the selector or length does not match
+ */
+export function decodeVerifyProofCall(data, publicSignalCount, protocol = 'groth16') {
+  const hex = String(data).replace(/^0x/, '');
+  const proofWords = protocol === 'plonk' ? 2 * PLONK_POINTS.length + PLONK_EVALUATIONS.length : 8;
+  const count = proofWords + publicSignalCount;
+  if (hex.substring(0, 8) !== verifyProofSelector(publicSignalCount, protocol) || hex.length < 8 + count * 64) {
+    return null;
+  }
+  const words = [];
+  for (let i = 0; i < count; i++) {
+    words.push(BigInt('0x' + hex.substring(8 + i * 64, 8 + (i + 1) * 64)).toString());
+  }
+  const publicSignals = words.slice(proofWords);
+  const suffix = hex.substring(8 + count * 64) || null;
+
+  if (protocol === 'plonk') {
+    const proof = { protocol: 'plonk', curve: 'bn128' };
+    PLONK_POINTS.forEach((point, i) => { proof[point] = [words[2 * i], words[2 * i + 1], '1']; });
+    PLONK_EVALUATIONS.forEach((evaluation, i) => { proof[evaluation] = words[2 * PLONK_POINTS.length + i]; });
+    return { proof, publicSignals, suffix };
+  }
+  const [a0, a1, b01, b00, b11, b10, c0, c1] = words;
+  return {
+    proof: {
+      pi_a: [a0, a1, '1'],
+      pi_b: [[b00, b01], [b10, b11], ['1', '0']],
+      pi_c: [c0, c1, '1'],
+      protocol: 'groth16',
+      curve: 'bn128'
+    },
+    publicSignals,
+    suffix
+  };
+}
+
+export class EthereumLedger extends LedgerAdapter {
+  /**
+   * @param {Object} options - { rpcUrl, from, verifiers, chainId, rpcTimeoutMs, receiptTimeoutMs, pollIntervalMs }
+   */
+  constructor({
+    rpcUrl = ETH_RPC_URL,
+    from = ETH_FROM,
+    verifiers = ETH_VERIFIERS,
+    chainId = ETH_CHAIN_ID,
+    rpcTimeoutMs = ETH_RPC_TIMEOUT_MS,
+    receiptTimeoutMs = ETH_RECEIPT_TIMEOUT_MS,
+    pollIntervalMs = ETH_POLL_INTERVAL_MS
+  } = {}) {
+    super('ethereum');
+    if (!rpcUrl) {
+      throw new Error("Ledger platform 'ethereum' is not configured: set ETH_RPC_URL");
+    }
+    this.rpcUrl = rpcUrl;
+    this.from = from;
+    this.verifiers = verifiers;
+    this.chainId = chainId;
+    this.rpcTimeoutMs = rpcTimeoutMs;
+    this.receiptTimeoutMs = receiptTimeoutMs;
+    this.pollIntervalMs = pollIntervalMs;
+    this.nextRequestId = 1;
+    // Anchoring waits for the transaction to be mined, so it is done by the job worker after the commit
+    this.deferred = true;
+  }
+
+  async rpc(method, params = []) {
+    const response = await fetch(this.rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: this.nextRequestId++, method, params }),
+      signal: AbortSignal.timeout(this.rpcTimeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`Ethereum JSON-RPC ${method} failed: HTTP ${response.status}`);
+    }
+    const { result, error } = await response.json();
+    if (error) {
+      throw new Error(`Ethereum JSON-RPC ${method} failed: ${error.message}`);
+    }
+    return result;
+  }
+
+  verifierAddress(circuit) {
+    const address = this.verifiers[circuit];
+    if (!address) {
+      throw new Error(`No Ethereum verifier contract configured for circuit '${circuit}' (set ETH_VERIFIERS)`);
+    }
+    return address;
+  }
+
+  async checkChainId() {
+    const chainId = Number(await this.rpc('eth_chainId'));
+    if (this.chainId !== null && chainId !== this.chainId) {
+      throw new Error(`Ethereum node is on chain ${chainId}, expected ${this.chainId}`);
+    }
+    return chainId;
+  }
+
+  async waitForReceipt(txHash) {
+    const deadline = Date.now() + this.receiptTimeoutMs;
+    while (Date.now() < deadline) {
+      const receipt = await this.rpc('eth_getTransactionReceipt', [txHash]);
+      if (receipt) return receipt;
+      await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+    }
+    throw new Error(`Ethereum transaction ${txHash} was not mined within ${this.receiptTimeoutMs}ms`);
+  }
+
+  /**
+   * Verify a proof with its circuit's verifier contract (eth_call) on the expected chain
+   * @param {Object} proof - Proof with its embedded metadata (circuit_name chooses the verifier)
+   * @param {Array} publicInputs - Public signals of the proof
+   * @param {string|null} recordHash - Record hash appended to the calldata
+   * @returns {Promise<Object>} - { circuit, to, data, chainId } of the verified call
+   */
+  async verifyOnChain(proof, publicInputs, recordHash = null) {
+    if (!proof || !Array.isArray(publicInputs)) {
+      throw new Error('The ethereum ledger needs the record\'s proof and public inputs');
+    }
+    const circuit = proof.metadata?.circuit_name;
+    if (!circuit) {
+      throw new Error('The ethereum ledger needs the circuit of the proof (proof.metadata.circuit_name) to choose its verifier');
+    }
+
+    const to = this.verifierAddress(circuit);
+    const data = encodeVerifyProofCall(proof, publicInputs, recordHash);
+    const chainId = await this.checkChainId();
+
+    // A verifier returns false rather than reverting, so the transaction alone would not show a bad proof
+    const verified = await this.rpc('eth_call', [{ to, data }, 'latest']);
+    if (BigInt(verified === '0x' ? 0 : verified) !== 1n) {
+      throw new Error(`Proof rejected by the ${circuit} verifier contract at ${to}`);
+    }
+    return { circuit, to, data, chainId };
+  }
+
+  /**
+   * Run the verifier contract on the proof before its transaction commits, so a proof the chain would
+   * reject is never committed
+   * @param {Object} context - { proof, publicInputs } of the record
+   */
+  async check({ proof, publicInputs } = {}) {
+    const { circuit, to } = await this.verifyOnChain(proof, publicInputs);
+    console.log(`✅ ${circuit} proof accepted by the verifier contract at ${to}`);
+  }
+
+  /**
+   * Verify the proof with the circuit's verifier contract (eth_call), then anchor it in a transaction
+   * Only one record per transaction: its proof is the calldata.
+   * @param {Object[]} records - One ledger record
+   * @param {Object} context - { proof, publicInputs } of the record
+   */
+  async append(records, { proof, publicInputs } = {}) {
+    if (!Array.isArray(records) || records.length !== 1) {
+      throw new Error('The ethereum ledger anchors exactly one record per transaction');
+    }
+
+    const recordHashes = records.map(hashRecord);
+    const { circuit, to, data, chainId } = await this.verifyOnChain(proof, publicInputs, sha256Hex(recordHashes.join('')));
+    console.log(`▶ Anchoring ${circuit} proof on chain ${chainId} (verifier ${to})...`);
+
+    const from = this.from || (await this.rpc('eth_accounts'))[0];
+    if (!from) {
+      throw new Error('The Ethereum node manages no account to send from (set ETH_FROM)');
+    }
+    const txHash = await this.rpc('eth_sendTransaction', [{ from, to, data }]);
+    const receipt = await this.waitForReceipt(txHash);
+    if (Number(receipt.status) !== 1) {
+      throw new Error(`Ethereum transaction ${txHash} reverted`);
+    }
+    const block = await this.rpc('eth_getBlockByHash', [receipt.blockHash, false]);
+
+    console.log(`✅ Proof anchored in Ethereum transaction ${txHash} (block ${Number(receipt.blockNumber)})`);
+    return {
+      platform: this.platform,
+      blockId: receipt.blockHash,
+      blockNumber: Number(receipt.blockNumber),
+      txHash,
+      chainId,
+      contractAddress: to,
+      from,
+      onChainVerified: true,
+      recordHashes,
+      ledgerTimestamp: block ? Number(block.timestamp) * 1000 : Date.now()
+    };
+  }
+
+  async getBlock(blockId) {
+    const key = String(blockId);
+    const block = /^0x[0-9a-fA-F]{64}$/.test(key)
+      ? await this.rpc('eth_getBlockByHash', [key, false])
+      : await this.rpc('eth_getBlockByNumber', [/^\d+$/.test(key) ? toHex(key) : key, false]);
+    if (!block) return null;
+    return {
+      number: Number(block.number),
+      hash: block.hash,
+      parentHash: block.parentHash,
+      timestamp: Number(block.timestamp),
+      transactions: block.transactions
+    };
+  }
+
+  /**
+   * The chain's own integrity is up to its consensus; check what anchoring depends on instead:
+   * the node is on the expected chain and every configured verifier address holds a contract
+   */
+  async verifyChain() {
+    console.log(`▶ Verifying Ethereum ledger: ${this.rpcUrl}`);
+
+    const errors = [];
+    let chainId = null;
+    try {
+      chainId = await this.checkChainId();
+    } catch (error) {
+      errors.push({ error: error.message });
+    }
+    // An unreachable or failing node is reported in errors, like a missing contract
+    for (const [circuit, address] of Object.entries(this.verifiers)) {
+      try {
+        const code = await this.rpc('eth_getCode', [address, 'latest']);
+        if (!code || code === '0x') {
+          errors.push({ circuit, error: `No contract at verifier address ${address}` });
+        }
+      } catch (error) {
+        errors.push({ circuit, error: error.message });
+      }
+    }
+    let height = null;
+    try {
+      height = Number(await this.rpc('eth_blockNumber'));
+    } catch (error) {
+      errors.push({ error: error.message });
+    }
+
+    const valid = errors.length === 0;
+    console.log(valid ? `✅ Ethereum ledger verified (chain ${chainId}, block ${height})` : `❌ Ethereum ledger check failed (${errors.length} error(s))`);
+    return {
+      platform: this.platform,
+      valid,
+      chainId,
+      height,
+      verifiers: this.verifiers,
+      errors
+    };
+  }
+}
@@ -0,0 +1,205 @@
+// Job Service - Accepts transfers as jobs and proves them in a background worker
+import {
+  withTransaction, insertJob, getJobRecord, claimNextJob, updateJob, requeueInterruptedJobs
+} from '../utils.mjs';
+import { getToken, TokenValidationService, TransferService } from './token-service.mjs';
+import { ZKProofService } from './zk-proof-service.mjs';
+import { StorageService, LEDGER_RETRY_INTERVAL_MS } from './storage-service.mjs';
+import { LedgerService } from './ledger-service.mjs';
+
+// Job lifecycle: queued -> proving -> proven -> committed, or failed at any step
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  PROVING: 'proving',
+  PROVEN: 'proven',
+  COMMITTED: 'committed',
+  FAILED: 'failed'
+};
+
+// How often an idle worker looks for new jobs
+export const JOB_POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS || 1000);
+// Attempts before a job whose proof keeps going stale is failed
+export const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 5);
+
+let workerStarted = false;
+let workerTimer = null;
+let ledgerTimer = null;
+let jobRunning = false;
+
+export class JobService {
+  /**
+   * Accept a transfer as a job; the background worker proves and commits it
+   * The token and holdings are checked up front so obviously invalid transfers are rejected right away.
+   * @param {string} tokenId - Token ID to transfer
+   * @param {string} from - Sender account ID
+   * @param {string} to - Receiver account ID
+   * @param {Object} transferParams - Transfer parameters
+   * @param {string} transferCircuit - Circuit type to use ('transfer' or 'generic'; NFT tokens always use 'nft_transfer')
+   * @param {Object} ledgerMetadata - Optional ledger metadata; platform chooses the ledger adapter
+   * @param {Object} authorization - Sender's { signature, nonce } (required by every transfer circuit)
+   * @returns {Object} - Queued job
+   */
+  static submitTransfer(tokenId, from, to, transferParams = {}, transferCircuit = 'transfer', ledgerMetadata = {}, authorization = null) {
+    console.log(`▶ Queueing transfer job: ${tokenId} from ${from} to ${to}`);
+
+    const token = getToken(tokenId);
+    if (!token) {
+      throw new Error(`Token '${tokenId}' not found`);
+    }
+    TokenValidationService.validate(token, from, to, transferParams);
+    LedgerService.getAdapter(ledgerMetadata.platform);
+    transferCircuit = TransferService.proofCircuit(token, transferCircuit);
+    // Every transfer circuit checks the sender's signature over its next nonce; unsigned transfers are not queued
+    if (!authorization?.signature || authorization.nonce === undefined || authorization.nonce === null) {
+      throw new Error(`Transfer must be signed by the sender '${from}' with its next nonce`);
+    }
+
+    const job = insertJob({
+      type: 'transfer',
+      params: { tokenId, from, to, transferParams, transferCircuit, ledgerMetadata, authorization }
+    });
+    console.log(`✅ Transfer job queued: ${job.id}`);
+    return job;
+  }
+
+  static getJob(jobId) {
+    return getJobRecord(jobId);
+  }
+
+  /**
+   * Claim the oldest queued job and run it to 'committed' or 'failed'
+   * @returns {Object|null} - The finished job, or null when no job was queued
+   */
+  static async runNextJob() {
+    const job = claimNextJob();
+    if (!job) return null;
+    return JobService.runJob(job);
+  }
+
+  /**
+   * Run a claimed job to 'committed' or 'failed'
+   * A job whose proof went stale because another transfer committed first is queued again.
+   * @param {Object} job - Claimed job (status 'proving')
+   * @returns {Object} - The job after the run
+   */
+  static async runJob(job) {
+    console.log(`🚀 Running job ${job.id} (attempt ${job.attempts})`);
+    try {
+      await JobService.runTransferJob(job);
+      console.log(`🎉 Job ${job.id} committed`);
+    } catch (error) {
+      if (/State root changed/.test(error.message) && job.attempts < JOB_MAX_ATTEMPTS) {
+        console.log(`▶ Job ${job.id} proof is stale, queueing it again`);
+        updateJob(job.id, { status: JOB_STATUS.QUEUED, error: error.message });
+      } else if (getJobRecord(job.id)?.status === JOB_STATUS.COMMITTED) {
+        // The transfer is committed; an error after the commit is recorded without failing the job
+        console.error(`❌ Job ${job.id} committed, then failed:`, error.message);
+        updateJob(job.id, { status: JOB_STATUS.COMMITTED, error: error.message });
+      } else {
+        console.error(`❌ Job ${job.id} failed:`, error.message);
+        updateJob(job.id, { status: JOB_STATUS.FAILED, error: error.message });
+      }
+    }
+    return getJobRecord(job.id);
+  }
+
+  /**
+   * The transfer flow of api.mjs transfer(), recording the job's progress between steps
+   * @param {Object} job - Claimed job (status 'proving')
+   */
+  static async runTransferJob(job) {
+    const { tokenId, from, to, transferParams, transferCircuit, ledgerMetadata, authorization } = job.params;
+
+    // Steps 1-3: validate against the current state, initiate and prove
+    const token = getToken(tokenId);
+    if (!token) {
+      throw new Error(`Token '${tokenId}' not found`);
+    }
+    TokenValidationService.validate(token, from, to, transferParams);
+    const txLog = TransferService.initiateTransfer(token, from, to, transferParams, authorization);
+    const proofResult = await ZKProofService.generateZKProof(txLog, TransferService.proofCircuit(token, transferCircuit));
+    updateJob(job.id, { status: JOB_STATUS.PROVEN, txId: txLog.id });
+
+    // The ledger checks the proof before anything commits (the ethereum ledger runs its verifier contract)
+    await StorageService.checkPublicLedger(proofResult.proof, proofResult.publicInputs, ledgerMetadata);
+
+    // Steps 4-5: the job is marked committed in the same transaction as the transfer
+    withTransaction(db => {
+      StorageService.saveTxLog(txLog, proofResult.proof, db);
+      if (proofResult.circuit === 'transfer') {
+        TransferService.commitAccountTransfer(txLog, db);
+      } else {
+        TransferService.checkTokenTreeRoot(txLog, proofResult.circuit, db);
+        TransferService.commitSenderNonce(txLog, db);
+      }
+      TransferService.commitTransfer(token, txLog, db);
+      updateJob(job.id, { status: JOB_STATUS.COMMITTED }, db);
+    });
+
+    // Steps 6-7: public ledger; a failed or deferred write leaves the job committed and is made by the worker
+    const { ledgerRecord, ledgerMetadata: ledgerMetadataRecord, ledgerStatus, ledgerError } =
+      await StorageService.publishTxLog(proofResult.proof, txLog, ledgerMetadata);
+
+    updateJob(job.id, {
+      status: JOB_STATUS.COMMITTED,
+      result: {
+        txId: txLog.id,
+        circuit: proofResult.circuit,
+        publicInputs: proofResult.publicInputs,
+        rootBefore: txLog.merkleData?.rootBefore,
+        rootAfter: txLog.merkleData?.rootAfter,
+        ledgerMetadata: ledgerMetadataRecord,
+        ledgerStatus,
+        ledgerError
+      }
+    });
+  }
+
+  /**
+   * Start the background worker: recover jobs interrupted by a restart, then run queued jobs one at a time,
+   * oldest first
+   * @param {number} pollInterval - Milliseconds between checks for new jobs while idle
+   */
+  static startWorker(pollInterval = JOB_POLL_INTERVAL_MS) {
+    if (workerStarted) return;
+    workerStarted = true;
+
+    const requeued = requeueInterruptedJobs();
+    if (requeued > 0) {
+      console.log(`▶ Requeued ${requeued} job(s) interrupted by the last shutdown`);
+    }
+
+    // Every job proves against the current state root and commits a new one, so a job proven alongside another
+    // would go stale when the other commits: jobs run one at a time, their proofs on the prover pool. A job
+    // overtaken by a commit from outside the worker is proven again (see runJob)
+    const fill = () => {
+      if (!workerStarted || jobRunning) return;
+      const job = claimNextJob();
+      if (!job) return;
+      jobRunning = true;
+      JobService.runJob(job)
+        .catch(error => console.error(`❌ Job ${job.id} could not be recorded:`, error.message))
+        .finally(() => {
+          jobRunning = false;
+          fill();
+        });
+    };
+    workerTimer = setInterval(fill, pollInterval);
+    workerTimer.unref();
+    ledgerTimer = setInterval(() => {
+      StorageService.retryLedgerWrites().catch(error => console.error('❌ Public ledger retry failed:', error.message));
+    }, LEDGER_RETRY_INTERVAL_MS);
+    ledgerTimer.unref();
+    fill();
+    console.log(`✅ Proof job worker started (polling every ${pollInterval}ms)`);
+  }
+
+  static stopWorker() {
+    // A job already running finishes; no new job is claimed
+    workerStarted = false;
+    clearInterval(workerTimer);
+    workerTimer = null;
+    clearInterval(ledgerTimer);
+    ledgerTimer = null;
+  }
+}
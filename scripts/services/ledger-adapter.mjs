@@ -0,0 +1,71 @@
+// Ledger Adapter - Interface of the public ledgers that proof records are written to
+import crypto from 'crypto';
+
+/**
+ * JSON with object keys sorted, so equal records always hash the same
+ * @param {*} value - JSON-serializable value (bigints are written as decimal strings)
+ * @returns {string}
+ */
+export function canonicalJson(value) {
+  if (typeof value === 'bigint') return JSON.stringify(value.toString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+export const hashRecord = (record) => sha256Hex(canonicalJson(record));
+
+/**
+ * A ledger adapter writes proof records to one platform and reads them back
+ * Adapters are registered with LedgerService under their platform name.
+ */
+export class LedgerAdapter {
+  constructor(platform) {
+    this.platform = platform;
+    // Writes that wait for the ledger (e.g. for a block to be mined) are made by the job worker, not the request
+    this.deferred = false;
+  }
+
+  /**
+   * Check, before the transaction behind a record commits, that the ledger will accept its proof
+   * @param {Object} context - { proof, publicInputs } of the record
+   * @returns {Promise<void>} - Rejects if the ledger would not accept the proof
+   */
+  async check(context = {}) {}
+
+  /**
+   * Write records to the ledger in one block
+   * @param {Object[]} records - Ledger records
+   * @param {Object} context - { proof, publicInputs } behind the records, for ledgers that verify or anchor proofs
+   * @returns {Promise<Object>} - Receipt { platform, blockId, blockNumber, recordHashes, ledgerTimestamp, ... }
+   */
+  async append(records, context = {}) {
+    throw new Error(`Ledger platform '${this.platform}' does not support writing records`);
+  }
+
+  /**
+   * Read a block by ID or number
+   * @param {string|number} blockId - Block ID or number
+   * @returns {Promise<Object|null>} - Block, or null if not found
+   */
+  async getBlock(blockId) {
+    throw new Error(`Ledger platform '${this.platform}' does not support reading blocks`);
+  }
+
+  /**
+   * Check the integrity of the ledger's records
+   * @returns {Promise<Object>} - { platform, valid, height, records, errors }
+   */
+  async verifyChain() {
+    throw new Error(`Ledger platform '${this.platform}' does not support chain verification`);
+  }
+}
@@ -0,0 +1,53 @@
+// Ledger Service - Chooses the public ledger adapter for each ledgerMetadata.platform
+import { LocalLedger } from './local-ledger.mjs';
+import { EthereumLedger } from './ethereum-ledger.mjs';
+
+// Platform used when ledgerMetadata has none
+export const DEFAULT_LEDGER_PLATFORM = process.env.LEDGER_PLATFORM || 'local';
+
+// Adapter factories by platform; each adapter is created on first use and shared
+const factories = new Map([
+  ['local', () => new LocalLedger()],
+  ['ethereum', () => new EthereumLedger()]
+]);
+const adapters = new Map();
+
+export class LedgerService {
+  /**
+   * Register a ledger adapter factory under a platform name
+   * @param {string} platform - Platform name (ledgerMetadata.platform)
+   * @param {Function} factory - Returns a LedgerAdapter
+   */
+  static registerAdapter(platform, factory) {
+    factories.set(platform, factory);
+    adapters.delete(platform);
+  }
+
+  static getPlatforms() {
+    return [...factories.keys()];
+  }
+
+  /**
+   * Adapter of a platform
+   * @param {string} platform - Platform name (defaults to LEDGER_PLATFORM, else 'local')
+   * @returns {LedgerAdapter}
+   */
+  static getAdapter(platform = null) {
+    const name = platform || DEFAULT_LEDGER_PLATFORM;
+    if (!factories.has(name)) {
+      throw new Error(`Unknown ledger platform '${name}' (available: ${LedgerService.getPlatforms().join(', ')})`);
+    }
+    if (!adapters.has(name)) {
+      adapters.set(name, factories.get(name)());
+    }
+    return adapters.get(name);
+  }
+
+  static async getBlock(blockId, platform = null) {
+    return LedgerService.getAdapter(platform).getBlock(blockId);
+  }
+
+  static async verifyChain(platform = null) {
+    return LedgerService.getAdapter(platform).verifyChain();
+  }
+}
@@ -0,0 +1,159 @@
+// Local Ledger - Append-only, hash-chained block log on disk
+// Each line of the log is one sealed block: its records, the hash of those records and the hash of the
+// previous block, so editing, dropping or reordering any block breaks every hash after it.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LedgerAdapter, canonicalJson, sha256Hex, hashRecord } from './ledger-adapter.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Directory of the local ledger's block log
+export const LEDGER_DIR = process.env.LEDGER_DIR || path.join(__dirname, '../../data/ledger');
+// prevHash of the first block
+export const GENESIS_PREV_HASH = '0'.repeat(64);
+
+const recordsHash = (recordHashes) => sha256Hex(recordHashes.join(''));
+const blockHash = ({ number, prevHash, timestamp, recordsHash }) =>
+  sha256Hex(canonicalJson({ number, prevHash, timestamp, recordsHash }));
+
+export class LocalLedger extends LedgerAdapter {
+  /**
+   * @param {Object} options - Ledger options
+   * @param {string} options.file - Block log file (one JSON block per line)
+   */
+  constructor({ file = path.join(LEDGER_DIR, 'local-ledger.jsonl') } = {}) {
+    super('local');
+    this.file = file;
+    // Last block read from the log, and the log size it was read at
+    this.tipCache = { size: -1, tip: null };
+  }
+
+  readLines() {
+    if (!fs.existsSync(this.file)) return [];
+    return fs.readFileSync(this.file, 'utf8').split('\n').filter(line => line !== '');
+  }
+
+  tip() {
+    // Blocks are only ever appended, so the cached tip is current while the log size is unchanged
+    const size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+    if (size !== this.tipCache.size) {
+      const lines = this.readLines();
+      let tip = null;
+      if (lines.length > 0) {
+        try {
+          tip = JSON.parse(lines[lines.length - 1]);
+        } catch {
+          throw new Error(`Local ledger ${this.file} ends with a corrupt block (line ${lines.length})`);
+        }
+      }
+      this.tipCache = { size, tip };
+    }
+    return this.tipCache.tip;
+  }
+
+  /**
+   * Seal the records into a new block chained to the current tip and append it to the log
+   * The log has one writer: appends from the same process are serialized, other processes must not write to it.
+   */
+  async append(records) {
+    if (!Array.isArray(records) || records.length === 0) {
+      throw new Error('A block needs at least one record');
+    }
+
+    const prev = this.tip();
+    const recordHashes = records.map(hashRecord);
+    const block = {
+      number: prev ? prev.number + 1 : 0,
+      prevHash: prev ? prev.hash : GENESIS_PREV_HASH,
+      timestamp: Date.now(),
+      recordsHash: recordsHash(recordHashes)
+    };
+    block.hash = blockHash(block);
+    block.records = records;
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const fd = fs.openSync(this.file, 'a');
+    try {
+      fs.writeSync(fd, JSON.stringify(block) + '\n');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    this.tipCache = { size: fs.statSync(this.file).size, tip: block };
+
+    console.log(`✅ Local ledger block #${block.number} sealed: ${block.hash.substring(0, 16)}...`);
+    return {
+      platform: this.platform,
+      blockId: block.hash,
+      blockNumber: block.number,
+      prevBlockId: block.prevHash,
+      recordHashes,
+      ledgerTimestamp: block.timestamp
+    };
+  }
+
+  async getBlock(blockId) {
+    const key = String(blockId);
+    const byNumber = /^\d+$/.test(key) && key.length < GENESIS_PREV_HASH.length;
+    for (const line of this.readLines()) {
+      let block;
+      try {
+        block = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (byNumber ? block.number === Number(key) : block.hash === key) {
+        return { ...block, recordHashes: block.records.map(hashRecord) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Recompute every block's records hash and block hash and check that each block links to the one before it
+   */
+  async verifyChain() {
+    console.log(`▶ Verifying local ledger chain: ${this.file}`);
+
+    const errors = [];
+    let prevHash = GENESIS_PREV_HASH;
+    let records = 0;
+    const lines = this.readLines();
+    lines.forEach((line, i) => {
+      let block;
+      try {
+        block = JSON.parse(line);
+      } catch {
+        errors.push({ blockNumber: i, error: 'Block is not valid JSON' });
+        prevHash = null;
+        return;
+      }
+      records += block.records?.length || 0;
+      if (block.number !== i) {
+        errors.push({ blockNumber: i, error: `Block number is ${block.number}` });
+      }
+      if (prevHash !== null && block.prevHash !== prevHash) {
+        errors.push({ blockNumber: i, error: 'prevHash does not match the previous block' });
+      }
+      if (!Array.isArray(block.records) || block.recordsHash !== recordsHash(block.records.map(hashRecord))) {
+        errors.push({ blockNumber: i, error: 'Records do not match recordsHash' });
+      }
+      if (block.hash !== blockHash(block)) {
+        errors.push({ blockNumber: i, error: 'Block hash does not match its contents' });
+      }
+      prevHash = block.hash;
+    });
+
+    const valid = errors.length === 0;
+    console.log(valid ? `✅ Local ledger chain verified (${lines.length} blocks)` : `❌ Local ledger chain is broken (${errors.length} error(s))`);
+    return {
+      platform: this.platform,
+      valid,
+      height: lines.length,
+      records,
+      tipBlockId: lines.length > 0 ? prevHash : null,
+      errors
+    };
+  }
+}
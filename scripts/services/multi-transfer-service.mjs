@@ -0,0 +1,165 @@
+// Multi-Transfer Service - Pays several recipients from one sender with one multi_transfer proof: the sender is debited
+// the total once and every recipient credited in the same account state tree transition.
+// Each multi-transfer is recorded as one tx_logs row (operation 'multi_transfer') with a child record per recipient.
+import {
+  MULTI_TRANSFER_SIZE, ACCOUNT_TOKEN, withTransaction, getAccount, getStateRoot, updateAccountStates, generateUniqueId,
+  insertTxRecipients, moveFungibleState
+} from '../utils.mjs';
+import { getToken, getHolding, tokenManager } from './token-service.mjs';
+import { ZKProofService } from './zk-proof-service.mjs';
+import { StorageService } from './storage-service.mjs';
+import { LedgerService } from './ledger-service.mjs';
+
+export class MultiTransferService {
+  /**
+   * Multi-transfer: the sender pays each recipient its amount of the account token
+   * @param {string} tokenId - ACCOUNT_TOKEN (the multi_transfer circuit proves the account tree)
+   * @param {string} from - Sender account ID
+   * @param {Array} recipients - [{ to, amount }], 1 to MULTI_TRANSFER_SIZE different accounts other than the sender
+   * @param {Object} authorization - Sender's { signature, nonce } over the recipients in order (see multiTransferMessage)
+   * @param {Object} ledgerMetadata - Optional ledger metadata; platform chooses the ledger adapter
+   * @returns {Object} - Multi-transfer result, with each recipient's state after
+   */
+  static async multiTransfer(tokenId, from, recipients, authorization = {}, ledgerMetadata = {}) {
+    console.log(`🚀 Multi-transfer: ${tokenId} from ${from} to ${recipients?.length ?? 0} recipient(s)`);
+
+    // Unknown ledger platforms are rejected before anything is proven or committed
+    LedgerService.getAdapter(ledgerMetadata.platform);
+
+    const token = getToken(tokenId);
+    if (!token) {
+      throw new Error(`Token '${tokenId}' not found`);
+    }
+    if (token.id !== ACCOUNT_TOKEN) {
+      throw new Error(`Only the account token ${ACCOUNT_TOKEN} can be sent to several recipients; its holdings are the account balances the multi-transfer proves`);
+    }
+
+    const txLog = MultiTransferService.initiateMultiTransfer(token, from, recipients, authorization);
+    const proofResult = await ZKProofService.generateZKProof(txLog, 'multi_transfer');
+
+    await StorageService.checkPublicLedger(proofResult.proof, proofResult.publicInputs, ledgerMetadata);
+
+    // The row, its recipients, the account state and the holdings commit together
+    withTransaction(db => {
+      StorageService.saveTxLog(txLog, proofResult.proof, db);
+      insertTxRecipients(txLog.id, txLog.recipients, db);
+      MultiTransferService.commitAccountStates(txLog, db);
+      tokenManager.updateHoldings(token.id, {
+        [txLog.from]: txLog.stateAfter.sender,
+        ...Object.fromEntries(txLog.recipients.map(({ to, stateAfter }) => [to, stateAfter]))
+      }, db);
+    });
+
+    const { ledgerRecord, ledgerMetadata: ledgerMetadataRecord, ledgerStatus, ledgerError } =
+      await StorageService.publishTxLog(proofResult.proof, txLog, ledgerMetadata);
+
+    console.log(`🎉 Multi-transfer committed: ${txLog.transferParams.amount} ${token.id} to ${txLog.recipients.length} recipient(s)`);
+
+    return {
+      success: true,
+      txId: txLog.id,
+      tokenId: token.id,
+      from: txLog.from,
+      total: txLog.transferParams.amount,
+      recipientCount: txLog.recipients.length,
+      senderStateAfter: txLog.stateAfter.sender,
+      recipients: txLog.recipients.map(({ to, amount, stateAfter }) => ({ to, amount, stateAfter })),
+      circuit: proofResult.circuit,
+      proof: proofResult.proof,
+      publicInputs: proofResult.publicInputs,
+      rootBefore: txLog.merkleData?.rootBefore,
+      rootAfter: txLog.merkleData?.rootAfter,
+      timestamp: txLog.timestamp,
+      ledgerRecord,
+      ledgerMetadata: ledgerMetadataRecord,
+      ledgerStatus,
+      ledgerError
+    };
+  }
+
+  /**
+   * Transaction log of a multi-transfer, checked against the sender's holding; the row's receiver is the first
+   * recipient, and every recipient's amount and holding states are on recipients
+   * @param {Object} token - Fungible token
+   * @param {string} from - Sender account ID
+   * @param {Array} recipients - [{ to, amount }]
+   * @param {Object} authorization - Sender's { signature, nonce }
+   * @returns {Object} - Transaction log
+   */
+  static initiateMultiTransfer(token, from, recipients, authorization) {
+    if (!Array.isArray(recipients) || recipients.length === 0 || recipients.length > MULTI_TRANSFER_SIZE) {
+      throw new Error(`A multi-transfer pays 1 to ${MULTI_TRANSFER_SIZE} recipients`);
+    }
+    if (!getAccount(from)) {
+      throw new Error(`Sender account '${from}' not found`);
+    }
+    for (const { to, amount } of recipients) {
+      if (!getAccount(to)) throw new Error(`Receiver account '${to}' not found`);
+      if (to === from) throw new Error('The sender cannot be one of the recipients');
+      if (!Number.isSafeInteger(amount) || amount <= 0) {
+        throw new Error(`Amount for '${to}' must be a positive integer`);
+      }
+    }
+    if (new Set(recipients.map(({ to }) => to)).size !== recipients.length) {
+      throw new Error('Each recipient can be paid only once per multi-transfer');
+    }
+
+    const total = recipients.reduce((sum, { amount }) => sum + amount, 0);
+    const senderBefore = getHolding(token.id, from);
+    if (!Number.isSafeInteger(total) || senderBefore.state < total) {
+      throw new Error(`Insufficient balance. Available: ${senderBefore.state}, Required: ${total}`);
+    }
+
+    // Fungible transfer rule, per recipient: each is credited its amount and the sender debited the total
+    const credited = recipients.map(({ to, amount }) => {
+      const stateBefore = getHolding(token.id, to);
+      return { to, amount, stateBefore, stateAfter: { ...stateBefore, state: moveFungibleState(stateBefore.state, amount) } };
+    });
+    const senderAfter = { ...senderBefore, state: moveFungibleState(senderBefore.state, -total) };
+    const [first] = credited;
+
+    return {
+      id: generateUniqueId(),
+      tokenId: token.id,
+      tokenType: token.type,
+      from,
+      to: first.to,
+      operation: 'multi_transfer',
+      transferParams: {
+        amount: total,
+        recipientCount: credited.length
+      },
+      authorization,
+      timestamp: Date.now(),
+      status: 'initiated',
+      stateBefore: { sender: senderBefore, receiver: first.stateBefore },
+      stateAfter: { sender: senderAfter, receiver: first.stateAfter },
+      recipients: credited,
+      merkleData: null,
+      proof: null
+    };
+  }
+
+  // The multi_transfer circuit proves one account tree transition (root_before -> root_after); apply the same
+  // debit, sender nonce bump and credits to the account rows and leaves when the multi-transfer commits
+  static commitAccountStates(txLog, db) {
+    if (String(getStateRoot(db)) !== String(txLog.merkleData?.rootBefore)) {
+      throw new Error("State root changed since the proof was generated; retry the multi-transfer");
+    }
+
+    const sender = getAccount(txLog.from, db);
+    const credits = txLog.recipients.map(({ to, amount }) => {
+      const receiver = getAccount(to, db);
+      return [receiver.id, { balance: receiver.bal + BigInt(amount) }];
+    });
+    // Rejected unless the signed nonce is the sender's next nonce, so a replayed multi-transfer cannot commit
+    updateAccountStates({
+      [sender.id]: { balance: sender.bal - BigInt(txLog.transferParams.amount), nonce: BigInt(txLog.authorization.nonce) },
+      ...Object.fromEntries(credits)
+    }, db, { cause: 'transfer', txId: txLog.id });
+
+    if (String(getStateRoot(db)) !== String(txLog.merkleData.rootAfter)) {
+      throw new Error("Committed state root does not match the multi-transfer proof");
+    }
+  }
+}
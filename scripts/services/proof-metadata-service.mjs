@@ -3,6 +3,8 @@ import fs from 'fs';
 import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { PROVING_SYSTEMS, circuitProvingSystem } from './proving-systems.mjs';
+import { getCircuits, getCircuit } from '../utils.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -10,7 +12,7 @@ const __dirname = dirname(__filename);
 export class ProofMetadataService {
   /**
    * Generate proof metadata for a given circuit
-   * @param {string} provingSystem - Proving system (circom, noir, etc.)
+   * @param {string} provingSystem - Proving system (groth16, plonk)
    * @param {string} circuitName - Circuit name
    * @param {string} circuitFile - Circuit file path
    * @param {string} provingKeyFile - Proving key file path
@@ -95,6 +97,8 @@ export class ProofMetadataService {
       
       switch (provingSystem.toLowerCase()) {
         case 'circom':
+        case 'groth16':
+        case 'plonk':
           return packageJson.devDependencies?.snarkjs || 'unknown';
         case 'noir':
           return packageJson.devDependencies?.noir || 'unknown';
@@ -146,38 +150,67 @@ export class ProofMetadataService {
    * @returns {Array} - List of available proving systems
    */
   static getAvailableProvingSystems() {
-    return [
-      {
-        name: 'circom',
-        description: 'Circom with SnarkJS',
-        supported_circuits: ['transfer', 'generic_state_transfer', 'nft_transfer'],
-        tool_version: this.getToolVersion('circom')
-      }
-      // Future: Add Noir and other proving systems
-    ];
+    const supportedCircuits = getCircuits().map(circuit => circuit.name);
+    return Object.values(PROVING_SYSTEMS).map(system => ({
+      name: system.name,
+      description: system.description,
+      universal_setup: system.universalSetup,
+      supported_circuits: supportedCircuits,
+      // Circuits npm run build sets up with this system (PROVING_SYSTEM, CIRCUIT_PROVING_SYSTEMS)
+      configured_circuits: supportedCircuits.filter(circuit => circuitProvingSystem(circuit).name === system.name),
+      tool_version: this.getToolVersion(system.name)
+    }));
   }
 
   /**
-   * Get circuit information
-   * @param {string} circuitName - Circuit name
-   * @returns {Object} - Circuit information
+   * Get circuit information from the circuit manifest
+   * @param {string} circuitName - Circuit name or alias
+   * @returns {Object|null} - Circuit information, or null if the manifest has no such circuit
    */
   static getCircuitInfo(circuitName) {
-    const circuitsDir = join(process.cwd(), 'circuits');
-    const circuitFile = `${circuitName}.circom`;
-    const circuitPath = join(circuitsDir, circuitFile);
-    
-    if (!fs.existsSync(circuitPath)) {
+    const circuit = getCircuit(circuitName);
+    if (!circuit) {
       return null;
     }
 
+    const circuitPath = join(process.cwd(), circuit.source);
+    const exists = fs.existsSync(circuitPath);
+    const built = fs.existsSync(join(process.cwd(), circuit.zkey)) && fs.existsSync(join(process.cwd(), circuit.vkey));
+    let provingSystem = circuitProvingSystem(circuit.name).name;
+    if (built) {
+      provingSystem = JSON.parse(fs.readFileSync(join(process.cwd(), circuit.vkey), 'utf8')).protocol;
+    }
+
     return {
-      name: circuitName,
-      file: circuitFile,
-      version: this.getCircuitVersion(circuitFile),
-      hash: this.calculateFileHash(circuitFile),
-      size: fs.statSync(circuitPath).size,
-      last_modified: fs.statSync(circuitPath).mtime.toISOString()
+      name: circuit.name,
+      aliases: circuit.aliases,
+      description: circuit.description,
+      file: circuit.source,
+      template: circuit.template,
+      args: circuit.args,
+      depth: circuit.depth,
+      public_inputs: circuit.publicInputs,
+      public_signals: circuit.publicSignals,
+      transfers: circuit.transfers,
+      account_tree: circuit.accountTree,
+      wasm: circuit.wasm,
+      proving_key_file: circuit.zkey,
+      verification_key_file: circuit.vkey,
+      built,
+      // The built key's proving system, else the one npm run build would use
+      proving_system: provingSystem,
+      version: this.getCircuitVersion(circuit.source),
+      hash: this.calculateFileHash(circuit.source),
+      size: exists ? fs.statSync(circuitPath).size : null,
+      last_modified: exists ? fs.statSync(circuitPath).mtime.toISOString() : null
     };
   }
+
+  /**
+   * Get information on every circuit of the manifest
+   * @returns {Array} - Circuit information
+   */
+  static getAllCircuitInfo() {
+    return getCircuits().map(circuit => this.getCircuitInfo(circuit.name));
+  }
 }
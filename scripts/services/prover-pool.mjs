@@ -0,0 +1,140 @@
+// Prover Pool - Runs proof generation on worker threads so the main thread stays free
+import os from "node:os";
+import { Worker } from "node:worker_threads";
+
+// Worker threads proving in parallel (0 proves on the calling thread)
+export const PROVER_WORKERS = Number(process.env.PROVER_WORKERS ?? os.cpus().length);
+// Proofs allowed to wait for a free worker before new ones are rejected
+export const PROVER_MAX_QUEUE = Number(process.env.PROVER_MAX_QUEUE || 32);
+// A proof running longer than this is cancelled and its worker replaced
+export const PROVER_TIMEOUT_MS = Number(process.env.PROVER_TIMEOUT_MS || 120000);
+
+const WORKER_FILE = new URL('./prover-worker.mjs', import.meta.url);
+
+export class ProverPool {
+  constructor({ size = PROVER_WORKERS, maxQueue = PROVER_MAX_QUEUE, timeoutMs = PROVER_TIMEOUT_MS } = {}) {
+    this.size = Math.max(1, size);
+    this.maxQueue = maxQueue;
+    this.timeoutMs = timeoutMs;
+    this.slots = [];
+    this.queue = [];
+    this.nextTaskId = 1;
+    this.closed = false;
+    for (let i = 0; i < this.size; i++) {
+      this.slots.push(this.startWorker());
+    }
+  }
+
+  /**
+   * Queue a proof for the next free worker
+   * @param {Object} circuitInput - Circuit input signals
+   * @param {string} transferCircuit - Circuit type
+   * @returns {Promise<Object>} - { proof, publicInputs, verified, files }
+   */
+  prove(circuitInput, transferCircuit = 'transfer') {
+    if (this.closed) {
+      return Promise.reject(new Error("Prover pool is closed"));
+    }
+    if (this.queue.length >= this.maxQueue) {
+      return Promise.reject(new Error(`Prover queue is full (${this.queue.length} proofs waiting); retry later`));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextTaskId++, circuitInput, transferCircuit, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  stats() {
+    return {
+      workers: this.size,
+      busy: this.slots.filter(slot => slot.task).length,
+      queued: this.queue.length,
+      maxQueue: this.maxQueue
+    };
+  }
+
+  async close() {
+    this.closed = true;
+    for (const task of this.queue.splice(0)) {
+      task.reject(new Error("Prover pool is closed"));
+    }
+    await Promise.all(this.slots.map(slot => {
+      if (slot.task) this.finish(slot, new Error("Prover pool is closed"));
+      return slot.worker.terminate();
+    }));
+  }
+
+  startWorker() {
+    const slot = { worker: new Worker(WORKER_FILE), task: null, timer: null, retired: false };
+    // Idle workers do not keep the process alive; a worker is ref'd while it proves
+    slot.worker.unref();
+    slot.worker.on('message', ({ id, result, error }) => {
+      if (slot.task?.id !== id) return;
+      this.finish(slot, error ? new Error(error) : null, result);
+    });
+    slot.worker.on('error', (error) => {
+      slot.retired = true;
+      if (slot.task) this.finish(slot, error);
+    });
+    slot.worker.on('exit', () => {
+      slot.retired = true;
+      if (slot.task) this.finish(slot, new Error("Prover worker exited"));
+      if (this.closed) return;
+      // A worker that died or was cancelled by a timeout is replaced in its slot
+      this.slots[this.slots.indexOf(slot)] = this.startWorker();
+      this.dispatch();
+    });
+    return slot;
+  }
+
+  dispatch() {
+    for (const slot of this.slots) {
+      if (this.queue.length === 0) return;
+      if (slot.task || slot.retired) continue;
+
+      const task = this.queue.shift();
+      slot.task = task;
+      slot.worker.ref();
+      slot.timer = setTimeout(() => {
+        console.error(`❌ Proof ${task.id} (${task.transferCircuit}) timed out after ${this.timeoutMs}ms, cancelling`);
+        // Proving cannot be interrupted inside the worker, so the worker is terminated and replaced
+        slot.retired = true;
+        slot.worker.terminate();
+        this.finish(slot, new Error(`Proof generation timed out after ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+      slot.worker.postMessage({ id: task.id, circuitInput: task.circuitInput, transferCircuit: task.transferCircuit });
+    }
+  }
+
+  finish(slot, error, result) {
+    const task = slot.task;
+    clearTimeout(slot.timer);
+    slot.task = null;
+    slot.timer = null;
+    // A retired worker stays ref'd until it exits and its replacement can take the queued proofs
+    if (!slot.retired) slot.worker.unref();
+    if (error) task.reject(error);
+    else task.resolve(result);
+    this.dispatch();
+  }
+}
+
+// Shared pool, started on first use
+let pool = null;
+
+export function getProverPool() {
+  if (!pool) {
+    pool = new ProverPool();
+    console.log(`✅ Prover pool started: ${pool.size} worker(s), queue limit ${pool.maxQueue}, timeout ${pool.timeoutMs}ms`);
+  }
+  return pool;
+}
+
+export async function closeProverPool() {
+  if (pool) {
+    const closing = pool;
+    pool = null;
+    await closing.close();
+  }
+}
@@ -0,0 +1,19 @@
+// Prover Worker - Proves on a worker thread of the prover pool (see prover-pool.mjs)
+import threads from "node:worker_threads";
+
+// ffjavascript's web-worker (1.2.0) takes any non-main thread for one of its own curve workers and
+// fails to load there; this thread only uses it to start curve workers, as the main thread does
+threads.isMainThread = true;
+const { ZKProofService } = await import('./zk-proof-service.mjs');
+
+// Keep the built circuits' artifacts warm so the first proof does not pay for loading them
+ZKProofService.warmCircuits();
+
+threads.parentPort.on('message', async ({ id, circuitInput, transferCircuit }) => {
+  try {
+    const result = await ZKProofService.proveInThread(circuitInput, transferCircuit, { singleThread: true });
+    threads.parentPort.postMessage({ id, result });
+  } catch (error) {
+    threads.parentPort.postMessage({ id, error: error.message });
+  }
+});
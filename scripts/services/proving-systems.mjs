@@ -0,0 +1,75 @@
+// Proving Systems - The snarkjs proving systems a circuit can be built and proven with
+// Groth16 keys come from a circuit-specific setup over the PTAU; PLONK keys need only the universal PTAU,
+// so a new or changed circuit can be set up without a phase-2 ceremony of its own.
+import { groth16, plonk } from "snarkjs";
+
+export const PROVING_SYSTEMS = {
+  groth16: {
+    name: 'groth16',
+    label: 'Groth16',
+    description: 'Groth16 with SnarkJS (smallest proofs, circuit-specific setup)',
+    universalSetup: false,
+    prover: groth16,
+    proofFields: ['pi_a', 'pi_b', 'pi_c']
+  },
+  plonk: {
+    name: 'plonk',
+    label: 'PLONK',
+    description: 'PLONK with SnarkJS (universal setup, no per-circuit ceremony)',
+    universalSetup: true,
+    prover: plonk,
+    proofFields: [
+      'A', 'B', 'C', 'Z', 'T1', 'T2', 'T3', 'Wxi', 'Wxiw',
+      'eval_a', 'eval_b', 'eval_c', 'eval_s1', 'eval_s2', 'eval_zw'
+    ]
+  }
+};
+
+// Proving system circuits are built with, and per circuit overrides, e.g. {"batch_transfer":"plonk"}
+export const DEFAULT_PROVING_SYSTEM = process.env.PROVING_SYSTEM || 'groth16';
+export const CIRCUIT_PROVING_SYSTEMS = JSON.parse(process.env.CIRCUIT_PROVING_SYSTEMS || '{}');
+
+/**
+ * Proving system by name (a snarkjs protocol name)
+ * @param {string} name - 'groth16' or 'plonk'
+ * @returns {Object} - Proving system
+ */
+export function getProvingSystem(name) {
+  const system = PROVING_SYSTEMS[name];
+  if (!system) {
+    throw new Error(`Unknown proving system '${name}' (available: ${Object.keys(PROVING_SYSTEMS).join(', ')})`);
+  }
+  return system;
+}
+
+/**
+ * Proving system a circuit is built with
+ * @param {string} circuitName - Circuit name in the circuit manifest
+ * @returns {Object} - Proving system
+ */
+export function circuitProvingSystem(circuitName) {
+  return getProvingSystem(CIRCUIT_PROVING_SYSTEMS[circuitName] || DEFAULT_PROVING_SYSTEM);
+}
+
+/**
+ * Proving system of a proof, from its protocol (proofs without one are Groth16)
+ * @param {Object} proof - snarkjs proof
+ * @returns {Object} - Proving system
+ */
+export function proofProvingSystem(proof) {
+  return getProvingSystem(proof.protocol || 'groth16');
+}
+
+/**
+ * The snarkjs proof alone, without embedded metadata or public inputs
+ * @param {Object} proof - Proof, optionally with embedded metadata
+ * @returns {Object} - Proof components of its proving system, protocol and curve
+ */
+export function baseProof(proof) {
+  const system = proofProvingSystem(proof);
+  return {
+    ...Object.fromEntries(system.proofFields.map(field => [field, proof[field]])),
+    protocol: proof.protocol || system.name,
+    curve: proof.curve
+  };
+}
@@ -0,0 +1,35 @@
+// State Root Service - History of the state tree's roots and what produced each of them
+import { getStateRoots, getStateRootRecord } from '../utils.mjs';
+
+export class StateRootService {
+  /**
+   * List recorded state roots, newest first
+   * @param {Object} options - { limit, offset }
+   * @returns {Object} - { total, limit, offset, roots: [{ seq, root, prevRoot, cause, txId, batchId, accountId, createdAt }] }
+   */
+  static getStateRoots({ limit = 100, offset = 0 } = {}) {
+    limit = Number(limit);
+    offset = Number(offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      throw new Error('limit must be an integer between 1 and 1000');
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error('offset must be a non-negative integer');
+    }
+    return { ...getStateRoots({ limit, offset }), limit, offset };
+  }
+
+  /**
+   * Look up a recorded state root
+   * A root that was reached more than once (e.g. an account registered and closed again) is described
+   * by its latest occurrence.
+   * @param {string} root - State root (decimal)
+   * @returns {Object|null} - Root record with nextRoot, occurrences and the accounts it changed, or null if not recorded
+   */
+  static getStateRootRecord(root) {
+    if (!/^\d+$/.test(String(root))) {
+      throw new Error('State root must be a decimal field element');
+    }
+    return getStateRootRecord(root);
+  }
+}
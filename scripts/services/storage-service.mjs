@@ -1,5 +1,6 @@
 // Storage Service - Handles database operations and public ledger storage
-import { pHash3 } from '../utils.mjs';
+import { LedgerService, DEFAULT_LEDGER_PLATFORM } from './ledger-service.mjs';
+import { hashRecord } from './ledger-adapter.mjs';
 import Database from 'better-sqlite3';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -7,6 +8,22 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Public ledger write of a committed tx_logs row or batch (ledger_status): pending writes (deferred by a slow
+// ledger) and failed ones are made by retryLedgerWrites; a write that failed LEDGER_MAX_ATTEMPTS times is abandoned
+export const LEDGER_STATUS = {
+  PENDING: 'pending',
+  WRITTEN: 'written',
+  FAILED: 'failed',
+  ABANDONED: 'abandoned'
+};
+
+// How often pending and failed ledger writes are made while the job worker runs
+export const LEDGER_RETRY_INTERVAL_MS = Number(process.env.LEDGER_RETRY_INTERVAL_MS || 30000);
+// Failed writes of one row before it is abandoned and no longer retried
+export const LEDGER_MAX_ATTEMPTS = Number(process.env.LEDGER_MAX_ATTEMPTS || 10);
+
+let retrying = false;
+
 export class StorageService {
   /**
    * Get database connection
@@ -21,9 +38,10 @@ export class StorageService {
    * Save transaction log to database
    * @param {Object} txLog - Transaction log
    * @param {Object} proof - Generated proof
+   * @param {Object} db - Optional open database, to save inside the caller's transaction
    * @returns {Object} - Saved transaction record
    */
-  static saveTxLog(txLog, proof) {
+  static saveTxLog(txLog, proof, db = null) {
     console.log(`▶ Saving transaction log: ${txLog.id}`);
     
     // Check if this is a proof with embedded metadata
@@ -44,17 +62,19 @@ export class StorageService {
       // All metadata is stored in the proof_metadata JSON field
       proof_metadata: JSON.stringify(hasEmbeddedMetadata ? proof.metadata : (txLog.proofMetadata || {})),
       circuit_version: hasEmbeddedMetadata ? proof.metadata.circuit_version : (txLog.proofMetadata?.circuit_version || "unknown"),
-      vkey_version: "vk-1"
+      vkey_version: "vk-1",
+      batch_id: txLog.batchId || null,
+      operation: txLog.operation || 'transfer'
     };
     
     // Save to database
-    const db = this.getDB();
-    const stmt = db.prepare(`
+    const conn = db || this.getDB();
+    const stmt = conn.prepare(`
       INSERT INTO tx_logs (
         tx_id, token_id, token_type, sender_id, receiver_id, transfer_params,
         ts, root_before, root_after, proof_json, public_inputs, proof_metadata,
-        circuit_version, vkey_version
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        circuit_version, vkey_version, batch_id, operation
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     
     stmt.run(
@@ -71,43 +91,173 @@ export class StorageService {
       txRecord.public_inputs,
       txRecord.proof_metadata,
       txRecord.circuit_version,
-      txRecord.vkey_version
+      txRecord.vkey_version,
+      txRecord.batch_id,
+      txRecord.operation
     );
     
-    db.close();
+    if (!db) conn.close();
     
     console.log("✅ Transaction log saved:", txRecord);
     return txRecord;
   }
 
   /**
-   * Save proof to public ledger (blockchain)
+   * Check that the ledger chosen by ledgerMetadata.platform accepts a proof, before its transaction commits
+   * (the ethereum ledger runs the verifier contract with eth_call); throws if the ledger would reject it
+   * @param {Object} proof - Generated proof
+   * @param {Array} publicInputs - Public signals of the proof
+   * @param {Object} ledgerMetadata - Optional ledger metadata; its platform chooses the ledger adapter
+   */
+  static async checkPublicLedger(proof, publicInputs, ledgerMetadata = {}) {
+    await LedgerService.getAdapter(ledgerMetadata.platform).check({ proof, publicInputs });
+  }
+
+  /**
+   * Write a committed transaction's proof to the public ledger (steps 6 and 7)
+   * The transaction is already committed, so a failed write does not undo it: the row is marked 'failed' with
+   * the error and retryLedgerWrites writes it later. Ledgers whose writes wait for a block (deferred) are not
+   * written here: the row is marked 'pending' for retryLedgerWrites.
+   * @param {Object} proof - Generated proof
+   * @param {Object} txLog - Committed transaction log
+   * @param {Object} ledgerMetadata - Optional ledger metadata; its platform chooses the ledger adapter
+   * @returns {Promise<Object>} - { ledgerRecord, ledgerMetadata, ledgerStatus, ledgerError }; the records are null
+   *   unless the write was made
+   */
+  static async publishTxLog(proof, txLog, ledgerMetadata = {}) {
+    if (LedgerService.getAdapter(ledgerMetadata.platform).deferred) {
+      console.log(`▶ Public ledger write of ${txLog.id} deferred to the job worker`);
+      StorageService.markLedgerWrite('tx_logs', 'tx_id', txLog.id, LEDGER_STATUS.PENDING, ledgerMetadata);
+      return { ledgerRecord: null, ledgerMetadata: null, ledgerStatus: LEDGER_STATUS.PENDING, ledgerError: null };
+    }
+    return StorageService.writeTxLogToLedger(proof, txLog, ledgerMetadata);
+  }
+
+  /**
+   * Write a committed batch's proof to the public ledger, as publishTxLog does for one transaction
+   * @param {Object} proof - Batch proof
+   * @param {Object} batch - Committed batch record
+   * @param {Object} ledgerMetadata - Optional ledger metadata; its platform chooses the ledger adapter
+   * @returns {Promise<Object>} - { ledgerRecord, ledgerMetadata, ledgerStatus, ledgerError }
+   */
+  static async publishBatch(proof, batch, ledgerMetadata = {}) {
+    if (LedgerService.getAdapter(ledgerMetadata.platform).deferred) {
+      console.log(`▶ Public ledger write of batch ${batch.batch_id} deferred to the job worker`);
+      StorageService.markLedgerWrite('batches', 'batch_id', batch.batch_id, LEDGER_STATUS.PENDING, ledgerMetadata);
+      return { ledgerRecord: null, ledgerMetadata: null, ledgerStatus: LEDGER_STATUS.PENDING, ledgerError: null };
+    }
+    return StorageService.writeBatchToLedger(proof, batch, ledgerMetadata);
+  }
+
+  static async writeTxLogToLedger(proof, txLog, ledgerMetadata) {
+    try {
+      const ledgerRecord = await StorageService.saveProofInPublicLedger(proof, txLog, ledgerMetadata);
+      const stored = StorageService.updateTxLogWithLedgerMetadata(txLog.id, ledgerRecord, ledgerMetadata);
+      return { ledgerRecord, ledgerMetadata: stored, ledgerStatus: LEDGER_STATUS.WRITTEN, ledgerError: null };
+    } catch (error) {
+      const ledgerStatus = StorageService.markLedgerWrite('tx_logs', 'tx_id', txLog.id, LEDGER_STATUS.FAILED, ledgerMetadata, error);
+      console.error(`❌ Public ledger write failed for ${txLog.id}, ${StorageService.describeFailedWrite(ledgerStatus)}:`, error.message);
+      return { ledgerRecord: null, ledgerMetadata: null, ledgerStatus, ledgerError: error.message };
+    }
+  }
+
+  static async writeBatchToLedger(proof, batch, ledgerMetadata) {
+    try {
+      const ledgerRecord = await StorageService.saveBatchProofInPublicLedger(proof, batch, ledgerMetadata);
+      const stored = StorageService.updateBatchWithLedgerMetadata(batch.batch_id, ledgerRecord, ledgerMetadata);
+      return { ledgerRecord, ledgerMetadata: stored, ledgerStatus: LEDGER_STATUS.WRITTEN, ledgerError: null };
+    } catch (error) {
+      const ledgerStatus = StorageService.markLedgerWrite('batches', 'batch_id', batch.batch_id, LEDGER_STATUS.FAILED, ledgerMetadata, error);
+      console.error(`❌ Public ledger write failed for batch ${batch.batch_id}, ${StorageService.describeFailedWrite(ledgerStatus)}:`, error.message);
+      return { ledgerRecord: null, ledgerMetadata: null, ledgerStatus, ledgerError: error.message };
+    }
+  }
+
+  // Keep the requested ledger metadata, with the platform it resolved to, for the later write. A failed write is
+  // counted in ledger_attempts and abandons the row at LEDGER_MAX_ATTEMPTS; returns the row's ledger_status.
+  static markLedgerWrite(table, key, id, status, ledgerMetadata, error = null) {
+    const requested = { ...ledgerMetadata, platform: ledgerMetadata.platform || DEFAULT_LEDGER_PLATFORM };
+    const attempt = status === LEDGER_STATUS.FAILED ? 1 : 0;
+    const db = StorageService.getDB();
+    const row = db.prepare(`UPDATE ${table} SET ledger_attempts = ledger_attempts + ?,
+        ledger_status = CASE WHEN ? = 1 AND ledger_attempts + 1 >= ? THEN ? ELSE ? END,
+        ledger_error = ?, ledger_metadata = ?
+      WHERE ${key} = ? RETURNING ledger_status`)
+      .get(attempt, attempt, LEDGER_MAX_ATTEMPTS, LEDGER_STATUS.ABANDONED, status, error?.message ?? null,
+        JSON.stringify(requested), id);
+    db.close();
+    return row?.ledger_status ?? status;
+  }
+
+  static describeFailedWrite(ledgerStatus) {
+    return ledgerStatus === LEDGER_STATUS.ABANDONED
+      ? `abandoned after ${LEDGER_MAX_ATTEMPTS} attempts`
+      : 'it will be retried';
+  }
+
+  /**
+   * Write the proofs of committed transactions and batches whose ledger write is pending or failed, oldest first
+   * Each one is rebuilt from its stored row and written with the ledger metadata it was committed with. Abandoned
+   * writes are left alone.
+   * @returns {Promise<Object>} - { written, failed, abandoned } counts; abandoned ones are also counted as failed
+   */
+  static async retryLedgerWrites() {
+    if (retrying) return { written: 0, failed: 0 };
+    retrying = true;
+    try {
+      const unwritten = [LEDGER_STATUS.PENDING, LEDGER_STATUS.FAILED];
+      const db = StorageService.getDB();
+      const txRows = db.prepare("SELECT * FROM tx_logs WHERE ledger_status IN (?, ?) ORDER BY ts, rowid").all(...unwritten);
+      const batchRows = db.prepare("SELECT * FROM batches WHERE ledger_status IN (?, ?) ORDER BY created_at").all(...unwritten);
+      db.close();
+
+      const results = [];
+      for (const row of txRows) {
+        const txLog = {
+          id: row.tx_id,
+          tokenId: row.token_id,
+          tokenType: row.token_type,
+          timestamp: row.ts,
+          merkleData: { rootBefore: row.root_before, rootAfter: row.root_after },
+          publicInputs: JSON.parse(row.public_inputs),
+          proofMetadata: row.proof_metadata ? JSON.parse(row.proof_metadata) : {}
+        };
+        results.push(await StorageService.writeTxLogToLedger(JSON.parse(row.proof_json), txLog, JSON.parse(row.ledger_metadata)));
+      }
+      for (const row of batchRows) {
+        const batch = { ...row, public_inputs: JSON.parse(row.public_inputs) };
+        results.push(await StorageService.writeBatchToLedger(JSON.parse(row.proof_json), batch, JSON.parse(row.ledger_metadata)));
+      }
+
+      const failed = results.filter(({ ledgerError }) => ledgerError).length;
+      const abandoned = results.filter(({ ledgerStatus }) => ledgerStatus === LEDGER_STATUS.ABANDONED).length;
+      if (results.length > 0) {
+        console.log(`▶ Wrote ${results.length} pending or failed public ledger record(s): ${results.length - failed} written, ` +
+          `${failed} failed (${abandoned} abandoned)`);
+      }
+      return { written: results.length - failed, failed, abandoned };
+    } finally {
+      retrying = false;
+    }
+  }
+
+  /**
+   * Save proof to public ledger
    * @param {Object} proof - Generated proof
    * @param {Object} txLog - Transaction log
-   * @returns {Object} - Ledger record
+   * @param {Object} ledgerMetadata - Optional ledger metadata; its platform chooses the ledger adapter
+   * @returns {Promise<Object>} - Ledger record with the block it was written to
    */
-  static saveProofInPublicLedger(proof, txLog) {
+  static async saveProofInPublicLedger(proof, txLog, ledgerMetadata = {}) {
     console.log(`▶ Saving proof to public ledger: ${txLog.id}`);
     
-    // In a real implementation, this would submit to a blockchain
-    // For now, we'll just log it
-    
-    // Create a simple hash from the transaction ID string
-    // Convert string to a numeric hash that can be used as BigInt
-    let hash = 0;
-    for (let i = 0; i < txLog.id.length; i++) {
-      const char = txLog.id.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    const txIdHash = BigInt(Math.abs(hash));
-    
-    const proofHashBigInt = pHash3(txIdHash, BigInt(txLog.timestamp), BigInt(txLog.tokenType));
     const ledgerRecord = {
       txId: txLog.id,
       tokenId: txLog.tokenId,
       tokenType: txLog.tokenType,
-      proofHash: String(proofHashBigInt),
+      proofHash: hashRecord(proof),
+      rootBefore: String(txLog.merkleData?.rootBefore ?? ''),
+      rootAfter: String(txLog.merkleData?.rootAfter ?? ''),
       timestamp: txLog.timestamp,
       status: 'committed',
       // Metadata
@@ -117,44 +267,105 @@ export class StorageService {
       toolVersion: txLog.proofMetadata?.tool_version || 'unknown'
     };
     
-    console.log("✅ Proof saved to public ledger:", ledgerRecord);
-    return ledgerRecord;
+    const saved = await StorageService.appendToLedger(ledgerRecord, ledgerMetadata, {
+      proof,
+      publicInputs: txLog.publicInputs || []
+    });
+    console.log("✅ Proof saved to public ledger:", saved);
+    return saved;
+  }
+
+  /**
+   * Save a batch proof to public ledger: one record covers every transfer in the batch
+   * @param {Object} proof - Batch proof
+   * @param {Object} batch - Batch record (batch_id, tx_count, root_before, root_after, batch_hash, created_at)
+   * @param {Object} ledgerMetadata - Optional ledger metadata; its platform chooses the ledger adapter
+   * @returns {Promise<Object>} - Ledger record with the block it was written to
+   */
+  static async saveBatchProofInPublicLedger(proof, batch, ledgerMetadata = {}) {
+    console.log(`▶ Saving batch proof to public ledger: ${batch.batch_id}`);
+    
+    const ledgerRecord = {
+      batchId: batch.batch_id,
+      txCount: batch.tx_count,
+      rootBefore: String(batch.root_before),
+      rootAfter: String(batch.root_after),
+      batchHash: String(batch.batch_hash),
+      proofHash: hashRecord(proof),
+      timestamp: batch.created_at,
+      status: 'committed',
+      // Metadata
+      provingSystem: proof.metadata?.proving_system || 'unknown',
+      circuitName: proof.metadata?.circuit_name || 'unknown',
+      circuitVersion: proof.metadata?.circuit_version || 'unknown',
+      toolVersion: proof.metadata?.tool_version || 'unknown'
+    };
+    
+    const saved = await StorageService.appendToLedger(ledgerRecord, ledgerMetadata, {
+      proof,
+      publicInputs: batch.public_inputs || []
+    });
+    console.log("✅ Batch proof saved to public ledger:", saved);
+    return saved;
+  }
+
+  /**
+   * Write one record to the ledger chosen by ledgerMetadata.platform
+   * @param {Object} context - { proof, publicInputs } of the record, for ledgers that verify or anchor the proof itself
+   * @returns {Promise<Object>} - The record with its recordHash and the ledger's receipt (platform, blockId,
+   *   blockNumber, ledgerTimestamp, and e.g. txHash on Ethereum)
+   */
+  static async appendToLedger(ledgerRecord, ledgerMetadata = {}, context = {}) {
+    const adapter = LedgerService.getAdapter(ledgerMetadata.platform);
+    const { recordHashes, ...receipt } = await adapter.append([ledgerRecord], context);
+    return {
+      ...ledgerRecord,
+      recordHash: recordHashes[0],
+      ...receipt
+    };
+  }
+
+  /**
+   * Update a batch with public ledger metadata
+   * @param {string} batchId - Batch ID
+   * @param {Object} ledgerRecord - Ledger record from saveBatchProofInPublicLedger (with its block)
+   * @param {Object} ledgerMetadata - Additional ledger metadata
+   * @returns {Object} - Stored ledger metadata
+   */
+  static updateBatchWithLedgerMetadata(batchId, ledgerRecord, ledgerMetadata = {}) {
+    console.log(`▶ Updating batch with ledger metadata: ${batchId}`);
+    
+    // The ledger's platform, block and timestamp take precedence over any given in ledgerMetadata
+    const fullLedgerMetadata = { ...ledgerMetadata, ...ledgerRecord };
+    
+    const db = this.getDB();
+    db.prepare("UPDATE batches SET ledger_metadata = ?, ledger_status = ?, ledger_error = NULL WHERE batch_id = ?")
+      .run(JSON.stringify(fullLedgerMetadata), LEDGER_STATUS.WRITTEN, batchId);
+    db.close();
+    
+    console.log("✅ Batch updated with ledger metadata");
+    return fullLedgerMetadata;
   }
 
   /**
    * Update transaction log with public ledger metadata (Step 7)
    * @param {string} txId - Transaction ID
-   * @param {Object} ledgerRecord - Ledger record from saveProofInPublicLedger
+   * @param {Object} ledgerRecord - Ledger record from saveProofInPublicLedger (with its block)
    * @param {Object} ledgerMetadata - Additional ledger metadata
    * @returns {Object} - Updated transaction record
    */
   static updateTxLogWithLedgerMetadata(txId, ledgerRecord, ledgerMetadata = {}) {
     console.log(`▶ Updating transaction log with ledger metadata: ${txId}`);
     
-    // Determine the ledger platform based on metadata or default to 'ethereum'
-    const platform = ledgerMetadata.platform || 'ethereum';
-    
-    // Generate a simulated block ID for demo purposes
-    // In a real implementation, this would come from the actual blockchain
-    const blockId = ledgerMetadata.blockId || `block_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Use the ledger timestamp or current timestamp
-    const ledgerTimestamp = ledgerMetadata.ledgerTimestamp || Date.now();
-    
-    // Create the ledger metadata object
-    const fullLedgerMetadata = {
-      ...ledgerRecord,
-      platform: platform,
-      blockId: blockId,
-      ledgerTimestamp: ledgerTimestamp,
-      ...ledgerMetadata
-    };
+    // The ledger's platform, block and timestamp take precedence over any given in ledgerMetadata
+    const fullLedgerMetadata = { ...ledgerMetadata, ...ledgerRecord };
+    const { platform, blockId, ledgerTimestamp } = fullLedgerMetadata;
     
     // Update the database
     const db = this.getDB();
     const stmt = db.prepare(`
       UPDATE tx_logs 
-      SET ledger_metadata = ?, ledger_platform = ?, block_id = ?, ledger_timestamp = ?
+      SET ledger_metadata = ?, ledger_platform = ?, block_id = ?, ledger_timestamp = ?, ledger_status = ?, ledger_error = NULL
       WHERE tx_id = ?
     `);
     
@@ -163,6 +374,7 @@ export class StorageService {
       platform,
       blockId,
       ledgerTimestamp,
+      LEDGER_STATUS.WRITTEN,
       txId
     );
     
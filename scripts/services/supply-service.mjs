@@ -0,0 +1,185 @@
+// Supply Service - Mints and burns fungible tokens; only the token's issuer can change its total supply
+// Every change is proven by the supply circuit, signed by the issuer, and recorded in tx_logs as a mint or a burn.
+import {
+  SUPPLY_OPERATIONS, ACCOUNT_TOKEN, withTransaction, getAccount, generateUniqueId, updateTokenSupply, getSupplyHistory
+} from '../utils.mjs';
+import { getToken, getHolding, tokenManager, TOKEN_TYPES, STATE_FORMATS, TransferService } from './token-service.mjs';
+import { ZKProofService } from './zk-proof-service.mjs';
+import { StorageService } from './storage-service.mjs';
+import { LedgerService } from './ledger-service.mjs';
+
+export class SupplyService {
+  /**
+   * Mint: issue new units of a fungible token to its issuer
+   * @param {string} tokenId - Token ID
+   * @param {number} amount - Units to issue
+   * @param {string} signature - Issuer's signature over the mint for the token's next supply change (see supplyMessage)
+   * @param {Object} ledgerMetadata - Optional ledger metadata; platform chooses the ledger adapter
+   * @returns {Object} - Supply change result
+   */
+  static async mint(tokenId, amount, signature, ledgerMetadata = {}) {
+    return SupplyService.changeSupply(tokenId, 'mint', amount, signature, ledgerMetadata);
+  }
+
+  /**
+   * Burn: destroy units of a fungible token held by its issuer
+   * @param {string} tokenId - Token ID
+   * @param {number} amount - Units to destroy, at most the issuer's holding
+   * @param {string} signature - Issuer's signature over the burn for the token's next supply change
+   * @param {Object} ledgerMetadata - Optional ledger metadata
+   * @returns {Object} - Supply change result
+   */
+  static async burn(tokenId, amount, signature, ledgerMetadata = {}) {
+    return SupplyService.changeSupply(tokenId, 'burn', amount, signature, ledgerMetadata);
+  }
+
+  /**
+   * Prove a supply change and commit it: the tx_logs row, the issuer's holding and the total supply in one SQLite
+   * transaction
+   * @param {string} tokenId - Token ID
+   * @param {string} operation - 'mint' or 'burn'
+   * @param {number} amount - Units minted or burned
+   * @param {string} signature - Issuer's signature over the change
+   * @param {Object} ledgerMetadata - Optional ledger metadata
+   * @returns {Object} - Supply change result
+   */
+  static async changeSupply(tokenId, operation, amount, signature, ledgerMetadata = {}) {
+    console.log(`🚀 Supply ${operation}: ${amount} of ${tokenId}`);
+
+    // Unknown ledger platforms are rejected before anything is proven or committed
+    LedgerService.getAdapter(ledgerMetadata.platform);
+
+    const token = SupplyService.supplyToken(tokenId);
+    const txLog = SupplyService.initiateChange(token, operation, amount, signature);
+    const proofResult = await ZKProofService.generateZKProof(txLog, 'supply');
+
+    await StorageService.checkPublicLedger(proofResult.proof, proofResult.publicInputs, ledgerMetadata);
+
+    const { seq, totalSupplyBefore, totalSupplyAfter } = txLog.transferParams;
+    withTransaction(db => {
+      StorageService.saveTxLog(txLog, proofResult.proof, db);
+      TransferService.checkTokenTreeRoot(txLog, proofResult.circuit, db);
+      tokenManager.updateHoldings(token.id, { [token.issuer]: txLog.stateAfter.sender }, db);
+      updateTokenSupply(token.id, { totalSupply: totalSupplyAfter, seq }, db);
+    });
+
+    const { ledgerRecord, ledgerMetadata: ledgerMetadataRecord, ledgerStatus, ledgerError } =
+      await StorageService.publishTxLog(proofResult.proof, txLog, ledgerMetadata);
+
+    console.log(`🎉 ${token.id} ${operation} committed: total supply ${totalSupplyBefore} → ${totalSupplyAfter}`);
+
+    return {
+      success: true,
+      operation,
+      txId: txLog.id,
+      tokenId: token.id,
+      issuer: token.issuer,
+      amount,
+      seq,
+      totalSupplyBefore,
+      totalSupplyAfter,
+      issuerStateAfter: txLog.stateAfter.sender,
+      circuit: proofResult.circuit,
+      proof: proofResult.proof,
+      publicInputs: proofResult.publicInputs,
+      rootBefore: txLog.merkleData?.rootBefore,
+      rootAfter: txLog.merkleData?.rootAfter,
+      timestamp: txLog.timestamp,
+      ledgerRecord,
+      ledgerMetadata: ledgerMetadataRecord,
+      ledgerStatus,
+      ledgerError
+    };
+  }
+
+  /**
+   * Transaction log of a supply change: the issuer's holding moves by the amount, as does the total supply
+   * @param {Object} token - Fungible token
+   * @param {string} operation - 'mint' or 'burn'
+   * @param {number} amount - Units minted or burned
+   * @param {string} signature - Issuer's signature over the change
+   * @returns {Object} - Transaction log
+   */
+  static initiateChange(token, operation, amount, signature) {
+    if (!(operation in SUPPLY_OPERATIONS)) {
+      throw new Error(`Unknown supply operation '${operation}' (available: ${Object.keys(SUPPLY_OPERATIONS).join(', ')})`);
+    }
+    if (!Number.isSafeInteger(amount) || amount <= 0) {
+      throw new Error(`${operation === 'mint' ? 'Mint' : 'Burn'} amount must be a positive integer`);
+    }
+    if (!getAccount(token.issuer)) {
+      throw new Error(`Issuer account '${token.issuer}' not found`);
+    }
+
+    const issuerBefore = getHolding(token.id, token.issuer);
+    const change = operation === 'mint' ? amount : -amount;
+    if (issuerBefore.state + change < 0) {
+      throw new Error(`Insufficient balance to burn. Available: ${issuerBefore.state}, Required: ${amount}`);
+    }
+    if (!Number.isSafeInteger(issuerBefore.state + change)) {
+      throw new Error(`Minting ${amount} would take the issuer's holding of '${token.id}' past ${Number.MAX_SAFE_INTEGER}`);
+    }
+    // Supplies are decimal strings; the supply circuit takes them to 64 bits
+    const totalSupplyAfter = BigInt(token.totalSupply) + BigInt(change);
+    if (totalSupplyAfter >= 2n ** 64n) {
+      throw new Error(`Minting ${amount} would take the total supply of '${token.id}' past ${2n ** 64n - 1n}`);
+    }
+    const issuerAfter = { ...issuerBefore, state: issuerBefore.state + change };
+
+    return {
+      id: generateUniqueId(),
+      tokenId: token.id,
+      tokenType: token.type,
+      // Only the issuer's holding changes
+      from: token.issuer,
+      to: token.issuer,
+      operation,
+      transferParams: {
+        amount,
+        seq: token.supplySeq + 1,
+        totalSupplyBefore: token.totalSupply,
+        totalSupplyAfter: String(totalSupplyAfter)
+      },
+      authorization: {
+        signer: token.issuer,
+        signature
+      },
+      timestamp: Date.now(),
+      status: 'initiated',
+      stateBefore: { sender: issuerBefore, receiver: issuerBefore },
+      stateAfter: { sender: issuerAfter, receiver: issuerAfter },
+      merkleData: null,
+      proof: null
+    };
+  }
+
+  static supplyToken(tokenId) {
+    const token = getToken(tokenId);
+    if (!token) {
+      throw new Error(`Token '${tokenId}' not found`);
+    }
+    if (token.type !== TOKEN_TYPES.FUNGIBLE) {
+      throw new Error(`Only fungible tokens can be minted or burned; '${tokenId}' is a ${STATE_FORMATS[token.type].description}`);
+    }
+    if (token.id === ACCOUNT_TOKEN) {
+      throw new Error(`${ACCOUNT_TOKEN} is the account token: its supply is the sum of the account balances`);
+    }
+    return token;
+  }
+
+  /**
+   * Total supply of a fungible token and the mints and burns that changed it, oldest first
+   * @param {string} tokenId - Token ID
+   * @returns {Object} - { tokenId, issuer, totalSupply, seq, history }
+   */
+  static getSupply(tokenId) {
+    const token = SupplyService.supplyToken(tokenId);
+    return {
+      tokenId: token.id,
+      issuer: token.issuer,
+      totalSupply: token.totalSupply,
+      seq: token.supplySeq,
+      history: getSupplyHistory(token.id)
+    };
+  }
+}
@@ -0,0 +1,176 @@
+// Swap Service - Swaps two tokens between two parties atomically: both legs are proven by one swap proof and
+// committed in one SQLite transaction, so neither party can end up holding both sides.
+// Each swap is recorded as one tx_logs row (operation 'swap') carrying the tokens and states of both legs.
+import { ACCOUNT_TOKEN, withTransaction, getAccount, generateUniqueId, nextSwapSeq } from '../utils.mjs';
+import { getToken, getHolding, tokenManager, TOKEN_TYPES, STATE_FORMATS, TransferService } from './token-service.mjs';
+import { ZKProofService } from './zk-proof-service.mjs';
+import { StorageService } from './storage-service.mjs';
+import { LedgerService } from './ledger-service.mjs';
+
+// Token types the swap circuit moves: amounts of fungible tokens, and single NFTs
+const SWAPPABLE_TYPES = [TOKEN_TYPES.FUNGIBLE, TOKEN_TYPES.NFT];
+
+export class SwapService {
+  /**
+   * Swap: party A gives amountA of tokenA to party B, and party B gives amountB of tokenB to party A
+   * @param {Object} params - { partyA, tokenA, amountA, partyB, tokenB, amountB }; an NFT's amount is 1 and may be
+   *   left out
+   * @param {Object} signatures - { signatureA, signatureB }: both parties' signatures over the swap's terms for the
+   *   next swap number (see swapMessage)
+   * @param {Object} ledgerMetadata - Optional ledger metadata; platform chooses the ledger adapter
+   * @returns {Object} - Swap result
+   */
+  static async swap({ partyA, tokenA, amountA, partyB, tokenB, amountB }, { signatureA, signatureB } = {}, ledgerMetadata = {}) {
+    console.log(`🚀 Swap: ${amountA ?? 1} ${tokenA} of ${partyA} for ${amountB ?? 1} ${tokenB} of ${partyB}`);
+
+    // Unknown ledger platforms are rejected before anything is proven or committed
+    LedgerService.getAdapter(ledgerMetadata.platform);
+
+    const txLog = SwapService.initiateSwap(
+      { party: partyA, tokenId: tokenA, amount: amountA },
+      { party: partyB, tokenId: tokenB, amount: amountB },
+      { [partyA]: signatureA, [partyB]: signatureB }
+    );
+    const proofResult = await SwapService.proveSwap(txLog);
+
+    await StorageService.checkPublicLedger(proofResult.proof, proofResult.publicInputs, ledgerMetadata);
+
+    withTransaction(db => {
+      StorageService.saveTxLog(txLog, proofResult.proof, db);
+      for (const leg of txLog.transferParams.legs) {
+        TransferService.checkTokenTreeRoot({ tokenId: leg.tokenId, merkleData: leg }, proofResult.circuit, db);
+        tokenManager.updateHoldings(leg.tokenId, { [leg.from]: leg.stateAfter.giver, [leg.to]: leg.stateAfter.taker }, db);
+      }
+    });
+
+    const { ledgerRecord, ledgerMetadata: ledgerMetadataRecord, ledgerStatus, ledgerError } =
+      await StorageService.publishTxLog(proofResult.proof, txLog, ledgerMetadata);
+
+    console.log(`🎉 Swap #${txLog.transferParams.seq} committed: ${txLog.id}`);
+
+    return {
+      success: true,
+      txId: txLog.id,
+      seq: txLog.transferParams.seq,
+      partyA: txLog.from,
+      partyB: txLog.to,
+      legs: txLog.transferParams.legs,
+      circuit: proofResult.circuit,
+      proof: proofResult.proof,
+      publicInputs: proofResult.publicInputs,
+      timestamp: txLog.timestamp,
+      ledgerRecord,
+      ledgerMetadata: ledgerMetadataRecord,
+      ledgerStatus,
+      ledgerError
+    };
+  }
+
+  /**
+   * Prove both legs of a swap with one swap proof, and record the proof and each leg's token tree roots on the
+   * transaction log
+   * @param {Object} txLog - Transaction log of the swap
+   * @returns {Object} - { proof, publicInputs, verified, metadata, circuit }
+   */
+  static async proveSwap(txLog) {
+    const ts = BigInt(Math.floor(Date.now() / 1000));
+    const { input, roots } = ZKProofService.prepareSwapCircuitInput(txLog, BigInt(txLog.timestamp), ts);
+    const proofResult = await ZKProofService.generateZKProofWithInput(input, 'swap', txLog.id, txLog.timestamp);
+
+    txLog.transferParams.legs.forEach((leg, i) => {
+      leg.rootBefore = String(roots[i].rootBefore);
+      leg.rootAfter = String(roots[i].rootAfter);
+    });
+    // The row's roots are those of its token, party A's; party B's token's roots are on its leg
+    txLog.merkleData = { rootBefore: txLog.transferParams.legs[0].rootBefore, rootAfter: txLog.transferParams.legs[0].rootAfter };
+    txLog.proof = proofResult.proof;
+    txLog.publicInputs = proofResult.publicInputs;
+    txLog.proofMetadata = proofResult.metadata;
+    txLog.status = 'proven';
+
+    return { ...proofResult, circuit: proofResult.metadata.circuit_name };
+  }
+
+  /**
+   * Transaction log of a swap, checked against the holdings of both legs
+   * @param {Object} sideA - { party, tokenId, amount } that party A gives
+   * @param {Object} sideB - { party, tokenId, amount } that party B gives
+   * @param {Object} signatures - Each party's signature, by account ID
+   * @returns {Object} - Transaction log
+   */
+  static initiateSwap(sideA, sideB, signatures) {
+    for (const { party } of [sideA, sideB]) {
+      if (!getAccount(party)) throw new Error(`Party account '${party}' not found`);
+    }
+    if (sideA.party === sideB.party) throw new Error('A swap needs two different parties');
+    if (sideA.tokenId === sideB.tokenId) throw new Error('A swap needs two different tokens');
+
+    const legs = [[sideA, sideB], [sideB, sideA]].map(([giver, taker]) => SwapService.swapLeg(giver, taker.party));
+    const [legA] = legs;
+
+    return {
+      id: generateUniqueId(),
+      tokenId: legA.tokenId,
+      tokenType: legA.tokenType,
+      from: sideA.party,
+      to: sideB.party,
+      operation: 'swap',
+      transferParams: {
+        seq: nextSwapSeq(),
+        legs
+      },
+      authorization: {
+        signatures
+      },
+      timestamp: Date.now(),
+      status: 'initiated',
+      merkleData: null,
+      proof: null
+    };
+  }
+
+  // One leg: the giver's holding covers the amount, which moves to the taker by the swap circuit's leg rule
+  static swapLeg({ party: giver, tokenId, amount }, taker) {
+    const token = getToken(tokenId);
+    if (!token) {
+      throw new Error(`Token '${tokenId}' not found`);
+    }
+    if (!SWAPPABLE_TYPES.includes(token.type)) {
+      throw new Error(`Only fungible tokens and NFTs can be swapped; '${tokenId}' is a ${STATE_FORMATS[token.type].description}`);
+    }
+    if (token.id === ACCOUNT_TOKEN) {
+      throw new Error(`${ACCOUNT_TOKEN} is the account token: its holdings are the account balances, which the swap circuit does not prove`);
+    }
+
+    const isNft = token.type === TOKEN_TYPES.NFT;
+    const legAmount = amount ?? (isNft ? 1 : undefined);
+    if (!Number.isSafeInteger(legAmount) || legAmount <= 0) {
+      throw new Error(`Swap amount of '${tokenId}' must be a positive integer`);
+    }
+    if (isNft && legAmount !== 1) {
+      throw new Error(`An NFT is swapped whole; the amount of '${tokenId}' must be 1`);
+    }
+
+    const giverBefore = getHolding(token.id, giver);
+    const takerBefore = getHolding(token.id, taker);
+    if (isNft) {
+      if (giverBefore.state !== 1) throw new Error(`NFT '${tokenId}' must be owned (state=1) by ${giver}`);
+      if (takerBefore.state !== 0) throw new Error(`${taker} already owns NFT '${tokenId}'`);
+    } else if (giverBefore.state < legAmount) {
+      throw new Error(`Insufficient ${tokenId} balance of ${giver}. Available: ${giverBefore.state}, Required: ${legAmount}`);
+    }
+
+    return {
+      tokenId: token.id,
+      tokenType: token.type,
+      from: giver,
+      to: taker,
+      amount: legAmount,
+      stateBefore: { giver: giverBefore, taker: takerBefore },
+      stateAfter: {
+        giver: { ...giverBefore, state: giverBefore.state - legAmount },
+        taker: { ...takerBefore, state: takerBefore.state + legAmount }
+      }
+    };
+  }
+}
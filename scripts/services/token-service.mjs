@@ -1,5 +1,9 @@
 // Token Service - Handles token management and business logic
-import { generateUniqueId } from '../utils.mjs';
+import {
+  generateUniqueId, getAllTokenRecords, getTokenRecord, insertTokenRecord, saveTokenHoldings,
+  getAccount, updateAccountStates, getStateRoot, getCircuit, getCircuits, getNftOwnershipRoot, getTokenStateRoot,
+  ACCOUNT_TOKEN, moveFungibleState
+} from '../utils.mjs';
 
 // Token Type Definitions
 export const TOKEN_TYPES = {
@@ -33,54 +37,97 @@ export const STATE_FORMATS = {
   }
 };
 
-// Token Manager Class
+// Empty state for an account that holds nothing of a token type
+export function emptyState(tokenType) {
+  const fields = STATE_FORMATS[tokenType].format.filter(field => field !== 'reserved' && field !== 'unused');
+  return Object.fromEntries(fields.map(field => [field, 0]));
+}
+
+// Token Manager Class - reads tokens from and writes them through to SQLite
 class TokenManager {
   constructor() {
-    this.tokens = new Map();
-    this.initializeDemoTokens();
+    // Seed the demo tokens only into an empty database
+    if (getAllTokenRecords().length === 0) {
+      this.initializeDemoTokens();
+    }
   }
 
   initializeDemoTokens() {
-    // Initialize demo tokens
-    this.createToken("GOLD", TOKEN_TYPES.FUNGIBLE, "Gold Coins", { state: 1000 });
-    this.createToken("SILVER", TOKEN_TYPES.FUNGIBLE, "Silver Coins", { state: 500 });
-    this.createToken("SWORD", TOKEN_TYPES.NFT, "Magic Sword", { state: 1 });
-    this.createToken("SHIELD", TOKEN_TYPES.NFT, "Dragon Shield", { state: 1 });
-    this.createToken("HERO", TOKEN_TYPES.ATTRIBUTE, "Hero Character", { state: 1, level: 5, power: 100, rarity: 3 });
-    this.createToken("ESCROW_GOLD", TOKEN_TYPES.ESCROW, "Escrow Gold", { state: 1, escrow_provider: 123, escrow_status: 1, escrow_amount: 500 });
+    // Initialize demo tokens, all issued to alice
+    this.createToken("GOLD", TOKEN_TYPES.FUNGIBLE, "Gold Coins", { state: 1000 }, "alice");
+    this.createToken("SILVER", TOKEN_TYPES.FUNGIBLE, "Silver Coins", { state: 500 }, "alice");
+    this.createToken("SWORD", TOKEN_TYPES.NFT, "Magic Sword", { state: 1 }, "alice");
+    this.createToken("SHIELD", TOKEN_TYPES.NFT, "Dragon Shield", { state: 1 }, "alice");
+    this.createToken("HERO", TOKEN_TYPES.ATTRIBUTE, "Hero Character", { state: 1, level: 5, power: 100, rarity: 3 }, "alice");
+    this.createToken("ESCROW_GOLD", TOKEN_TYPES.ESCROW, "Escrow Gold", { state: 1, escrow_provider: 0, escrow_status: 0, escrow_amount: 0 }, "alice");
   }
 
-  createToken(id, type, name, initialState) {
+  createToken(id, type, name, initialState, issuer) {
+    if (!STATE_FORMATS[type]) {
+      throw new Error(`Unknown token type: ${type}`);
+    }
+    if (!issuer) {
+      throw new Error("Token issuer is required");
+    }
+    if (id === ACCOUNT_TOKEN && type !== TOKEN_TYPES.FUNGIBLE) {
+      throw new Error(`The account token '${id}' must be fungible`);
+    }
+    if (getTokenRecord(id)) {
+      throw new Error(`Token '${id}' already exists`);
+    }
+
+    const issued = { ...emptyState(type), ...initialState };
     const token = {
       id,
       type,
       name,
+      issuer,
       metadata: {
         description: STATE_FORMATS[type].description,
         format: STATE_FORMATS[type].format,
         created_at: Date.now()
       },
-      state: initialState
+      // Fungible supply starts as the issued state; mints and burns change it (see SupplyService)
+      totalSupply: type === TOKEN_TYPES.FUNGIBLE ? String(issued.state) : null,
+      supplySeq: 0,
+      // Per-account holdings: the initial state is issued to the issuer
+      holdings: {
+        [issuer]: issued
+      }
     };
-    this.tokens.set(id, token);
+    insertTokenRecord(token);
     return token;
   }
 
   getToken(tokenId) {
-    return this.tokens.get(tokenId);
+    return getTokenRecord(tokenId);
   }
 
   getAllTokens() {
-    return Array.from(this.tokens.values());
+    return getAllTokenRecords();
   }
 
-  updateTokenState(tokenId, newState) {
-    const token = this.tokens.get(tokenId);
+  getHolding(tokenId, accountId, db = null) {
+    const token = getTokenRecord(tokenId, db);
     if (!token) {
       throw new Error(`Token '${tokenId}' not found`);
     }
-    token.state = { ...token.state, ...newState };
-    return token;
+    return { ...emptyState(token.type), ...token.holdings[accountId] };
+  }
+
+  updateHoldings(tokenId, updates, db = null) {
+    if (!getTokenRecord(tokenId, db)) {
+      throw new Error(`Token '${tokenId}' not found`);
+    }
+    // Drop holdings that went back to the empty state so holdings only lists actual holders
+    const records = Object.fromEntries(
+      Object.entries(updates).map(([accountId, state]) => [
+        accountId,
+        Object.values(state).every(value => value === 0) ? null : { ...state }
+      ])
+    );
+    saveTokenHoldings(tokenId, records, db);
+    return getTokenRecord(tokenId, db);
   }
 }
 
@@ -103,35 +150,47 @@ export class TokenValidationService {
       throw new Error("Sender and receiver cannot be the same");
     }
 
-    // Token-specific validation
+    const senderState = tokenManager.getHolding(token.id, from);
+    const receiverState = tokenManager.getHolding(token.id, to);
+
+    // Token-specific validation against the sender's and receiver's holdings
     switch (token.type) {
       case TOKEN_TYPES.FUNGIBLE:
         const amount = transferParams.amount || 0;
         if (amount <= 0) {
           throw new Error("Transfer amount must be positive");
         }
-        if (token.state.state < amount) {
-          throw new Error(`Insufficient balance. Available: ${token.state.state}, Required: ${amount}`);
+        if (senderState.state < amount) {
+          throw new Error(`Insufficient balance. Available: ${senderState.state}, Required: ${amount}`);
         }
         break;
 
       case TOKEN_TYPES.NFT:
-        if (token.state.state !== 1) {
-          throw new Error("NFT must be owned (state=1) to transfer");
+        if (senderState.state !== 1) {
+          throw new Error(`NFT must be owned (state=1) by ${from} to transfer`);
+        }
+        if (receiverState.state === 1) {
+          throw new Error(`${to} already owns this NFT`);
         }
         break;
 
       case TOKEN_TYPES.ATTRIBUTE:
-        if (token.state.state !== 1) {
-          throw new Error("Attribute token must be owned (state=1) to transfer");
+        if (senderState.state !== 1) {
+          throw new Error(`Attribute token must be owned (state=1) by ${from} to transfer`);
+        }
+        if (receiverState.state === 1) {
+          throw new Error(`${to} already owns this attribute token`);
         }
         break;
 
       case TOKEN_TYPES.ESCROW:
-        if (token.state.state !== 1) {
-          throw new Error("Escrow token must be owned (state=1) to transfer");
+        if (senderState.state !== 1) {
+          throw new Error(`Escrow token must be owned (state=1) by ${from} to transfer`);
+        }
+        if (receiverState.state === 1) {
+          throw new Error(`${to} already owns this escrow token`);
         }
-        if (token.state.escrow_status === 1) {
+        if (senderState.escrow_status === 1) {
           throw new Error("Cannot transfer token while in active escrow");
         }
         break;
@@ -147,7 +206,42 @@ export class TokenValidationService {
 
 // Transfer Service
 export class TransferService {
-  static initiateTransfer(token, from, to, transferParams = {}) {
+  // Circuit that proves a transfer of the token: the manifest lists the token types each circuit proves plain
+  // transfers of. A transfer circuit that does not prove the token's type gives way to the only circuit that does
+  // (nft_transfer for NFTs); circuits that prove no plain transfers (escrow, supply, swap, multi_transfer) never do.
+  // ACCOUNT_TOKEN's holdings are the account balances, so it is proven on the account tree and nothing else is.
+  static proofCircuit(token, transferCircuit = 'transfer') {
+    const circuit = getCircuit(transferCircuit);
+    if (!circuit) {
+      throw new Error(`Unknown circuit '${transferCircuit}'`);
+    }
+    if (circuit.transfers.length === 0) {
+      throw new Error(`The ${circuit.name} circuit does not prove plain transfers: ${circuit.description}`);
+    }
+
+    const typeName = Object.keys(TOKEN_TYPES).find(name => TOKEN_TYPES[name] === token.type);
+    let chosen = circuit;
+    if (!circuit.transfers.includes(typeName)) {
+      const provers = getCircuits().filter(({ transfers }) => transfers.includes(typeName));
+      if (provers.length !== 1) {
+        throw new Error(`The ${circuit.name} circuit only proves ${circuit.transfers.join(', ')} transfers; ` +
+          `'${token.id}' is a ${STATE_FORMATS[token.type].description}`);
+      }
+      [chosen] = provers;
+    }
+
+    const isAccountToken = token.id === ACCOUNT_TOKEN;
+    if (chosen.accountTree !== isAccountToken) {
+      const other = getCircuits().find(({ transfers, accountTree }) => transfers.includes(typeName) && accountTree === isAccountToken);
+      throw new Error(isAccountToken
+        ? `'${token.id}' is the account token: its holdings are the account balances, which only the ${other?.name} circuit proves`
+        : `The ${chosen.name} circuit only proves ${ACCOUNT_TOKEN}, the account token; prove '${token.id}' with ${other?.name}`);
+    }
+    return chosen === circuit ? transferCircuit : chosen.name;
+  }
+
+  // authorization carries the sender's signature and signed nonce for the transfer circuit
+  static initiateTransfer(token, from, to, transferParams = {}, authorization = null) {
     console.log(`▶ Initiating transfer: ${from} → ${to}, token: ${token.id}`);
     
     // Create transaction log
@@ -158,11 +252,12 @@ export class TransferService {
       from,
       to,
       transferParams,
+      authorization,
       timestamp: Date.now(),
       status: 'initiated',
       stateBefore: {
-        sender: { ...token.state },
-        receiver: { ...token.state } // Will be updated based on transfer type
+        sender: tokenManager.getHolding(token.id, from),
+        receiver: tokenManager.getHolding(token.id, to)
       },
       stateAfter: null, // Will be calculated during transfer
       merkleData: null, // Will be populated during ZK proof generation
@@ -193,8 +288,8 @@ export class TransferService {
     switch (tokenType) {
       case TOKEN_TYPES.FUNGIBLE:
         const amount = transferParams.amount || 0;
-        senderAfter.state = senderState.state - amount;
-        receiverAfter.state = receiverState.state + amount;
+        senderAfter.state = moveFungibleState(senderState.state, -amount);
+        receiverAfter.state = moveFungibleState(receiverState.state, amount);
         break;
         
       case TOKEN_TYPES.NFT:
@@ -225,18 +320,66 @@ export class TransferService {
     return { senderStateAfter: senderAfter, receiverStateAfter: receiverAfter };
   }
 
-  static commitTransfer(token, txLog) {
+  // Pass db to commit inside the caller's transaction (see withTransaction in utils.mjs)
+  static commitTransfer(token, txLog, db = null) {
     console.log(`▶ Committing transfer: ${txLog.from} → ${txLog.to}, token: ${token.id}`);
     
-    // Update token states based on transaction log
-    const updatedToken = tokenManager.updateTokenState(token.id, txLog.stateAfter.sender);
-    
-    // In a real implementation, you would also update the receiver's token state
-    // For now, we'll just update the sender's state
+    // Update both holdings based on transaction log
+    const updatedToken = tokenManager.updateHoldings(token.id, {
+      [txLog.from]: txLog.stateAfter.sender,
+      [txLog.to]: txLog.stateAfter.receiver
+    }, db);
     
     console.log("✅ Transfer committed to database");
     return updatedToken;
   }
+
+  // The transfer circuit proves an account tree transition (root_before -> root_after);
+  // apply the same balance change and sender nonce bump to the account rows and leaves when the transfer commits
+  static commitAccountTransfer(txLog, db = null) {
+    console.log(`▶ Committing account state: ${txLog.from} → ${txLog.to}`);
+    
+    // The account balances are ACCOUNT_TOKEN's holdings; any other token would move them out of step
+    if (txLog.tokenId !== ACCOUNT_TOKEN) {
+      throw new Error(`Account balances only move with ${ACCOUNT_TOKEN}, not '${txLog.tokenId}'`);
+    }
+    
+    const rootBefore = getStateRoot(db);
+    if (String(rootBefore) !== String(txLog.merkleData?.rootBefore)) {
+      throw new Error("State root changed since the proof was generated; retry the transfer");
+    }
+    
+    const amount = BigInt(txLog.transferParams.amount || 0);
+    const sender = getAccount(txLog.from, db);
+    const receiver = getAccount(txLog.to, db);
+    // Rejected unless the signed nonce is the sender's next nonce, so a replayed transfer cannot commit
+    updateAccountStates({
+      [sender.id]: { balance: sender.bal - amount, nonce: BigInt(txLog.authorization.nonce) },
+      [receiver.id]: { balance: receiver.bal + amount }
+    }, db, { cause: txLog.batchId ? 'batch' : 'transfer', txId: txLog.id, batchId: txLog.batchId || null });
+    
+    const rootAfter = getStateRoot(db);
+    console.log("✅ Account state committed, new root:", String(rootAfter).substring(0, 20) + "...");
+    return rootAfter;
+  }
+
+  // The nft_transfer and generic_state_transfer circuits prove the sender's signed nonce as the one after its account
+  // nonce, in the sender's token tree leaf; advance the account row and leaf to it when the transfer commits, so it is
+  // not replayed
+  static commitSenderNonce(txLog, db = null) {
+    updateAccountStates({ [txLog.from]: { nonce: BigInt(txLog.authorization.nonce) } }, db, { cause: 'transfer', txId: txLog.id });
+  }
+
+  // The nft_transfer, generic_state_transfer, escrow and supply circuits prove a transition of a tree the token's holdings
+  // and the accounts derive (see Token trees in utils.mjs); it must still start from the proven root when it commits
+  static checkTokenTreeRoot(txLog, circuit, db = null) {
+    const root = circuit === 'nft_transfer'
+      ? getNftOwnershipRoot(txLog.tokenId, db)
+      : getTokenStateRoot(txLog.tokenId, db);
+    if (String(root) !== String(txLog.merkleData?.rootBefore)) {
+      throw new Error(`State root changed since the proof was generated (holdings of '${txLog.tokenId}'); retry the transfer`);
+    }
+  }
 }
 
 // Public API
@@ -248,8 +391,12 @@ export function getToken(tokenId) {
   return tokenManager.getToken(tokenId);
 }
 
-export function createToken(id, type, name, initialState) {
-  return tokenManager.createToken(id, type, name, initialState);
+export function createToken(id, type, name, initialState, issuer) {
+  return tokenManager.createToken(id, type, name, initialState, issuer);
+}
+
+export function getHolding(tokenId, accountId) {
+  return tokenManager.getHolding(tokenId, accountId);
 }
 
 export { tokenManager };
@@ -1,26 +1,210 @@
 // ZK Proof Service - Handles zero-knowledge proof generation and verification
 import fs from "node:fs";
-import { execSync } from "node:child_process";
-import { groth16 } from "snarkjs";
 import { 
-  pHash2, pHash3, pHash5, buildEmptyTree, updateLeaf, treeRoot, merklePath, 
-  generateUniqueId, cleanupTempFiles, bin, getAllAccounts, updateAccountBalance, persistTx
+  pHash2, pHash3, pHash4, pHash5, pHash6, TREE_DEPTH, BATCH_SIZE, MULTI_TRANSFER_SIZE, accountLeaf, 
+  previewSequentialTransition, getAllAccounts, getAccount, updateAccountStates, checkNextNonce, persistTx, getStateRoot,
+  getCircuits, getCircuit, getTokenRecord, tokenFieldId, ownsNft, stateArray, previewNftTransition,
+  previewTokenStateTransition, previewTokenHoldingTransition, supplyCommitment, ESCROW_ACTIONS, SUPPLY_OPERATIONS,
+  ACCOUNT_TOKEN, withTransaction
 } from '../utils.mjs';
+import {
+  unpackPublicKey, unpackSignature, verifyTransferSignature, verifyGenericTransferSignature, verifyNftTransferSignature,
+  verifyEscrowSignature, verifySupplySignature, verifySwapSignature, verifyMultiTransferSignature, recipientsHash
+} from '../babyjub-keys.mjs';
 import { ProofMetadataService } from './proof-metadata-service.mjs';
+import { PROVER_WORKERS, getProverPool } from './prover-pool.mjs';
+import { getProvingSystem, proofProvingSystem, baseProof } from './proving-systems.mjs';
 
-const DEPTH = 4; // 16 leaves
+// Loaded wasm, zkey and vkey per circuit, reloaded when the zkey is rebuilt
+const circuitCache = new Map();
+
+// Verification keys of the built circuits by SHA-256 of the vkey file (the proofs' verification_key_hash)
+const vkeyRegistry = new Map();
 
 export class ZKProofService {
+  /**
+   * Manifest entry of a circuit type (circuit name or alias)
+   * @param {string} transferCircuit - Circuit type
+   * @returns {Object} - { name, source, wasm, zkey, vkey, ... }
+   */
+  static circuitFiles(transferCircuit) {
+    const circuit = getCircuit(transferCircuit);
+    if (!circuit) {
+      throw new Error(`Unknown circuit '${transferCircuit}'`);
+    }
+    return circuit;
+  }
+
+  /**
+   * Load a circuit's wasm and zkey buffers and its verification key, once per build
+   * The proving system is the one the circuit was built with (the verification key's protocol).
+   * @param {string} transferCircuit - Circuit type
+   * @returns {Object} - { files, wasm, zkey, vkey, system }
+   */
+  static loadCircuit(transferCircuit) {
+    const files = ZKProofService.circuitFiles(transferCircuit);
+    if (!fs.existsSync(files.zkey)) {
+      throw new Error(`Proving key ${files.zkey} not found; run npm run build`);
+    }
+    const zkeyModified = fs.statSync(files.zkey).mtimeMs;
+    const cached = circuitCache.get(files.zkey);
+    if (cached && cached.zkeyModified === zkeyModified) {
+      return cached;
+    }
+
+    console.log(`▶ Loading circuit artifacts: ${files.wasm}, ${files.zkey}`);
+    const vkey = JSON.parse(fs.readFileSync(files.vkey));
+    const circuit = {
+      files,
+      wasm: new Uint8Array(fs.readFileSync(files.wasm)),
+      zkey: new Uint8Array(fs.readFileSync(files.zkey)),
+      vkey,
+      system: getProvingSystem(vkey.protocol),
+      zkeyModified
+    };
+    circuitCache.set(files.zkey, circuit);
+    return circuit;
+  }
+
+  /**
+   * Load the artifacts of every circuit that has been built
+   */
+  static warmCircuits() {
+    for (const circuit of getCircuits()) {
+      if (fs.existsSync(circuit.zkey)) {
+        ZKProofService.loadCircuit(circuit.name);
+      }
+    }
+  }
+
+  /**
+   * Register the verification key of every built circuit by its hash, again after a key is rebuilt
+   * @returns {Array} - [{ hash, circuit, aliases, circuitFile, file, provingSystem, vkey }]
+   */
+  static loadVkeyRegistry() {
+    for (const circuit of getCircuits()) {
+      const registered = [...vkeyRegistry.values()].find(entry => entry.circuit === circuit.name);
+      const modified = fs.existsSync(circuit.vkey) ? fs.statSync(circuit.vkey).mtimeMs : null;
+      if (registered && registered.modified === modified) continue;
+      if (registered) vkeyRegistry.delete(registered.hash);
+      if (modified === null) continue;
+
+      const hash = ProofMetadataService.calculateFileHash(circuit.vkey);
+      const vkey = JSON.parse(fs.readFileSync(circuit.vkey));
+      vkeyRegistry.set(hash, {
+        hash,
+        circuit: circuit.name,
+        aliases: circuit.aliases,
+        circuitFile: circuit.source,
+        file: circuit.vkey,
+        provingSystem: vkey.protocol,
+        vkey,
+        modified
+      });
+    }
+    return [...vkeyRegistry.values()];
+  }
+
+  /**
+   * Pick a registered verification key by hash, or by circuit when no hash is given
+   * @param {Object} params - { vkeyHash, circuit } (circuit name or alias)
+   * @returns {Object} - Registry entry
+   */
+  static resolveVerificationKey({ vkeyHash, circuit }) {
+    const entries = ZKProofService.loadVkeyRegistry();
+    const isCircuit = (entry) => entry.circuit === circuit || entry.aliases.includes(circuit);
+
+    if (vkeyHash) {
+      const entry = vkeyRegistry.get(vkeyHash);
+      if (!entry) {
+        throw new Error(`Unknown verification key hash ${vkeyHash}`);
+      }
+      if (circuit && !isCircuit(entry)) {
+        throw new Error(`Verification key ${vkeyHash} belongs to circuit '${entry.circuit}', not '${circuit}'`);
+      }
+      return entry;
+    }
+
+    if (!circuit) {
+      throw new Error('Name a circuit or a verification key hash to verify against');
+    }
+    const entry = entries.find(isCircuit);
+    if (!entry) {
+      throw new Error(`No verification key registered for circuit '${circuit}'`);
+    }
+    return entry;
+  }
+
+  /**
+   * Verify a proof against a registered verification key, with the verifier of the proof's protocol
+   * The key is chosen by the proof's verification_context (or metadata) hash, otherwise by circuit;
+   * key files named by the proof are never read.
+   * @param {Object} proof - Groth16 or PLONK proof, optionally with embedded metadata and verification_context
+   * @param {Array} publicInputs - Public inputs (defaults to the proof's public_inputs)
+   * @param {string} circuit - Circuit name or alias (defaults to the proof's circuit_name)
+   * @returns {Object} - { verified, circuit, vkeyHash, provingSystem }
+   */
+  static async verifyProof(proof, publicInputs = null, circuit = null) {
+    const system = proofProvingSystem(proof);
+    const entry = ZKProofService.resolveVerificationKey({
+      vkeyHash: proof.verification_context?.vkey_hash || proof.metadata?.verification_key_hash,
+      circuit: circuit || proof.metadata?.circuit_name
+    });
+    if (entry.provingSystem !== system.name) {
+      throw new Error(`The ${entry.circuit} verification key ${entry.hash} is for ${entry.provingSystem} proofs, not ${system.name}`);
+    }
+
+    const verified = await system.prover.verify(entry.vkey, publicInputs || proof.public_inputs || [], baseProof(proof));
+
+    return { verified, circuit: entry.circuit, vkeyHash: entry.hash, provingSystem: system.name };
+  }
+
+  /**
+   * Generate and verify a proof on the prover pool, or on this thread when PROVER_WORKERS is 0
+   * @param {Object} circuitInput - Circuit input signals
+   * @param {string} transferCircuit - Circuit type
+   * @returns {Object} - { proof, publicInputs, verified, files }
+   */
+  static async prove(circuitInput, transferCircuit = 'transfer') {
+    if (PROVER_WORKERS > 0) {
+      console.log(`▶ Dispatching ${transferCircuit} proof to the prover pool...`);
+      return getProverPool().prove(circuitInput, transferCircuit);
+    }
+    return ZKProofService.proveInThread(circuitInput, transferCircuit);
+  }
+
+  /**
+   * Generate the witness and proof in memory with the circuit's proving system, and verify it
+   * @param {Object} circuitInput - Circuit input signals
+   * @param {string} transferCircuit - Circuit type
+   * @param {Object} proverOptions - snarkjs prover options, e.g. { singleThread: true } on pool workers
+   * @returns {Object} - { proof, publicInputs, verified, files }
+   */
+  static async proveInThread(circuitInput, transferCircuit = 'transfer', proverOptions = {}) {
+    const circuit = ZKProofService.loadCircuit(transferCircuit);
+
+    console.log(`▶ Generating witness and ${circuit.system.label} proof...`);
+    const { proof, publicSignals: publicInputs } =
+      await circuit.system.prover.fullProve(circuitInput, circuit.wasm, circuit.zkey, undefined, undefined, proverOptions);
+
+    console.log("▶ Verifying proof...");
+    const verified = await circuit.system.prover.verify(circuit.vkey, publicInputs, proof);
+    if (!verified) {
+      throw new Error("Proof verification failed");
+    }
+
+    return { proof, publicInputs, verified, files: circuit.files };
+  }
+
   /**
    * Generate ZK proof for the transfer using direct circuit inputs
-   * @param {Object} params - Transfer parameters for direct proof generation
+   * @param {Object} params - Transfer parameters for direct proof generation; txNonce is the sender's next nonce, which
+   *   signature covers
    * @returns {Object} - Generated proof and public inputs
    */
-  static async generateDirectZKProof({ senderId, receiverId, amount, txNonce }) {
+  static async generateDirectZKProof({ senderId, receiverId, amount, txNonce, signature }) {
     console.log(`▶ Starting direct ZK proof generation: ${senderId} → ${receiverId}, amount: ${amount}`);
     
-    const fileId = generateUniqueId();
-    
     try {
       // Get accounts from database
       const accounts = getAllAccounts();
@@ -35,45 +219,39 @@ export class ZKProofService {
         throw new Error(`Insufficient funds. Available: ${sender.bal}, Required: ${transferAmount}`);
       }
       
-      // Build current tree state
-      const layers = buildEmptyTree(4);
-      for (const acc of accounts) {
-        const leaf = pHash3(acc.pub, acc.bal, acc.nonce);
-        updateLeaf(layers, acc.idx, leaf);
+      // The signed nonce must be the sender's next nonce
+      if (txNonce === undefined || txNonce === null) {
+        throw new Error('Transfer authorization must include the signed nonce');
       }
-      const rootBefore = treeRoot(layers);
-      
-      // Get BEFORE paths
-      const sBefore = merklePath(layers, sender.idx);
-      const rBefore = merklePath(layers, receiver.idx);
+      const txNonceBig = BigInt(txNonce);
+      checkNextNonce(sender, txNonceBig);
+      const signatureInput = this.signatureInputs(sender, receiver, ACCOUNT_TOKEN, transferAmount, txNonceBig, signature);
       
-      // Store original balances
+      // Store original balances and nonce
       const senderOriginalBalance = sender.bal;
       const receiverOriginalBalance = receiver.bal;
+      const senderOriginalNonce = sender.nonce;
       
       // Apply state update
       sender.bal -= transferAmount;
       receiver.bal += transferAmount;
+      sender.nonce = txNonceBig;
       
-      // Update tree with new leaves and derive AFTER root
-      const sLeafAfter = pHash3(sender.pub, sender.bal, sender.nonce);
-      const rLeafAfter = pHash3(receiver.pub, receiver.bal, receiver.nonce);
-      updateLeaf(layers, sender.idx, sLeafAfter);
-      updateLeaf(layers, receiver.idx, rLeafAfter);
-      const rootAfter = treeRoot(layers);
-      
-      // AFTER paths
-      const sAfter = merklePath(layers, sender.idx);
-      const rAfter = merklePath(layers, receiver.idx);
+      // Derive BEFORE/AFTER roots and the chained sender and receiver paths from the persisted state tree;
+      // the tree itself is written together with the account rows below
+      const { rootBefore, rootAfter, steps: [senderUpdate, receiverUpdate] } =
+        previewSequentialTransition([
+          { idx: sender.idx, leaf: accountLeaf(sender) },
+          { idx: receiver.idx, leaf: accountLeaf(receiver) }
+        ]);
       
       // Generate unique transaction ID
       const ts = BigInt(Math.floor(Date.now() / 1000));
-      const txNonceBig = BigInt(txNonce || Date.now());
       const txId = pHash5(sender.pub, receiver.pub, transferAmount, txNonceBig, ts);
       
       // Prepare witness input JSON for the circuit
       const input = {
-        // Enhanced public inputs (7 total)
+        // Enhanced public inputs (8 total)
         sender_account: String(sender.pub),
         receiver_account: String(receiver.pub),
         amount: String(transferAmount),
@@ -81,87 +259,70 @@ export class ZKProofService {
         root_before: String(rootBefore),
         root_after: String(rootAfter),
         tx_log_id: String(txId),
+        token_id: String(tokenFieldId(ACCOUNT_TOKEN)),
         
         // Private inputs (42 total)
         sender_pub: String(sender.pub),
         receiver_pub: String(receiver.pub),
         sender_before: String(senderOriginalBalance),
         receiver_before: String(receiverOriginalBalance),
-        sender_nonce: String(sender.nonce),
+        sender_nonce: String(senderOriginalNonce),
         receiver_nonce: String(receiver.nonce),
         
         // After balances (provided by API, validated by circuit)
         sender_after_provided: String(sender.bal),
         receiver_after_provided: String(receiver.bal),
         
-        // paths BEFORE
-        s_siblings_before: sBefore.siblings.map(String),
-        s_pathBits_before: sBefore.pathBits.map(String),
-        r_siblings_before: rBefore.siblings.map(String),
-        r_pathBits_before: rBefore.pathBits.map(String),
+        // Sender's path, then receiver's path after the sender's update
+        s_siblings: senderUpdate.path.siblings.map(String),
+        s_pathBits: senderUpdate.path.pathBits.map(String),
+        r_siblings: receiverUpdate.path.siblings.map(String),
+        r_pathBits: receiverUpdate.path.pathBits.map(String),
         
-        // paths AFTER
-        s_siblings_after: sAfter.siblings.map(String),
-        s_pathBits_after: sAfter.pathBits.map(String),
-        r_siblings_after: rAfter.siblings.map(String),
-        r_pathBits_after: rAfter.pathBits.map(String),
+        // Sender signature over (receiver, token, amount, nonce)
+        ...signatureInput,
         
         tx_nonce: String(txNonceBig),
         tx_timestamp: String(ts)
       };
       
-      const inputFile = `build/input_${fileId}.json`;
-      const proofFile = `build/proof_${fileId}.json`;
-      const publicFile = `build/public_${fileId}.json`;
-      
-      // Write input file
-      fs.writeFileSync(inputFile, JSON.stringify(input, null, 2));
-      
-      // Generate witness and prove using snarkjs
-      console.log("▶ Generating witness and proving...");
-      execSync(`${bin("snarkjs")} groth16 fullprove ${inputFile} build/transfer_js/transfer.wasm build/transfer.zkey ${proofFile} ${publicFile}`, { stdio: "inherit" });
-      
-      // Read generated proof and public inputs
-      const proof = JSON.parse(fs.readFileSync(proofFile));
-      const publicInputs = JSON.parse(fs.readFileSync(publicFile));
-      
-      // Verify proof
-      console.log("▶ Verifying proof...");
-      const vkey = JSON.parse(fs.readFileSync("build/vkey.json"));
-      const verified = await groth16.verify(vkey, publicInputs, proof);
-      
-      if (!verified) {
-        throw new Error("Proof verification failed");
-      }
+      // Generate and verify the proof in memory
+      const { proof, publicInputs, verified, files } = await this.prove(input, 'transfer');
       
       // Generate proof metadata
       const proofMetadata = ProofMetadataService.generateProofMetadata(
-        'circom',
-        'transfer',
-        'circuits/transfer.circom',
-        'build/transfer.zkey',
-        'build/vkey.json'
+        proof.protocol,
+        files.name,
+        files.source,
+        files.zkey,
+        files.vkey
       );
       
-      // Update account balances in database
-      updateAccountBalance(senderId, sender.bal);
-      updateAccountBalance(receiverId, receiver.bal);
-      
-      // Persist transaction to database
+      // Account state and the transaction commit together, and only from the root the proof was generated against
+      // (as commitAccountTransfer checks): otherwise balances read before proving would overwrite a newer transfer
       console.log("▶ Persisting transaction to database...");
-      persistTx({
-        tx_id: String(txId),
-        sender_id: senderId,
-        receiver_id: receiverId,
-        amount: transferAmount,
-        ts: Number(ts),
-        root_before: rootBefore,
-        root_after: rootAfter,
-        proof_json: proof,
-        public_inputs: publicInputs,
-        circuit_version: "transfer-v1",
-        vkey_version: "vk-1",
-        proofMetadata: proofMetadata
+      withTransaction(db => {
+        if (String(getStateRoot(db)) !== String(rootBefore)) {
+          throw new Error("State root changed since the proof was generated; retry the transfer");
+        }
+        updateAccountStates({
+          [senderId]: { balance: sender.bal, nonce: sender.nonce },
+          [receiverId]: { balance: receiver.bal }
+        }, db, { cause: 'transfer', txId: String(txId) });
+        persistTx({
+          tx_id: String(txId),
+          sender_id: senderId,
+          receiver_id: receiverId,
+          amount: transferAmount,
+          ts: Number(ts),
+          root_before: rootBefore,
+          root_after: rootAfter,
+          proof_json: proof,
+          public_inputs: publicInputs,
+          circuit_version: "transfer-v1",
+          vkey_version: "vk-1",
+          proofMetadata: proofMetadata
+        }, db);
       });
       
       console.log("✔ Direct ZK proof generation completed successfully");
@@ -183,13 +344,6 @@ export class ZKProofService {
     } catch (error) {
       console.error("❌ Direct ZK proof generation failed:", error.message);
       throw error;
-    } finally {
-      // Always clean up temporary files
-      try {
-        cleanupTempFiles(fileId);
-      } catch (cleanupError) {
-        console.log(`  ⚠️ Warning: Could not clean up files for ${fileId}: ${cleanupError.message}`);
-      }
     }
   }
 
@@ -197,61 +351,25 @@ export class ZKProofService {
    * Generate ZK proof for the transfer
    * @param {Object} txLog - Transaction log
    * @param {string} transferCircuit - Circuit type to use
-   * @returns {Object} - Generated proof and public inputs
+   * @returns {Object} - Generated proof and public inputs, and the name of the circuit that proved it
    */
   static async generateZKProof(txLog, transferCircuit = 'transfer') {
     console.log(`▶ Generating ZK proof for transaction: ${txLog.id}`);
     
-    // Generate unique file IDs
-    const fileId = generateUniqueId();
-    
     try {
       // Prepare circuit input data
       const circuitInput = this.prepareCircuitInput(txLog, transferCircuit);
       
-      const inputFile = `build/input_${fileId}.json`;
-      const proofFile = `build/proof_${fileId}.json`;
-      const publicFile = `build/public_${fileId}.json`;
-      
-      // Write input file
-      fs.writeFileSync(inputFile, JSON.stringify(circuitInput, null, 2));
-      
-      // Determine circuit files based on type
-      let circuitWasm, circuitZkey, circuitVkey;
-      if (transferCircuit === 'generic') {
-        circuitWasm = 'build/generic_state_transfer_js/generic_state_transfer.wasm';
-        circuitZkey = 'build/generic_state_transfer.zkey';
-        circuitVkey = 'build/generic_state_transfer_vkey.json';
-      } else {
-        circuitWasm = 'build/transfer_js/transfer.wasm';
-        circuitZkey = 'build/transfer.zkey';
-        circuitVkey = 'build/vkey.json';
-      }
-      
-      // Generate witness and prove using snarkjs
-      console.log("▶ Generating witness and proving...");
-      execSync(`${bin("snarkjs")} groth16 fullprove ${inputFile} ${circuitWasm} ${circuitZkey} ${proofFile} ${publicFile}`, { stdio: "inherit" });
-      
-      // Read generated proof and public inputs
-      const proof = JSON.parse(fs.readFileSync(proofFile));
-      const publicInputs = JSON.parse(fs.readFileSync(publicFile));
-      
-      // Verify proof
-      console.log("▶ Verifying proof...");
-      const vkey = JSON.parse(fs.readFileSync(circuitVkey));
-      const verified = await groth16.verify(vkey, publicInputs, proof);
-      
-      if (!verified) {
-        throw new Error("Proof verification failed");
-      }
+      // Generate and verify the proof in memory
+      const { proof, publicInputs, verified, files } = await this.prove(circuitInput, transferCircuit);
       
       // Generate proof metadata
       const proofMetadata = ProofMetadataService.generateProofMetadata(
-        'circom',
-        transferCircuit,
-        `circuits/${transferCircuit}.circom`,
-        circuitZkey,
-        circuitVkey
+        proof.protocol,
+        files.name,
+        files.source,
+        files.zkey,
+        files.vkey
       );
 
       // Validate metadata
@@ -262,12 +380,8 @@ export class ZKProofService {
 
       // Create proof with embedded metadata
       const proofWithMetadata = {
-        // Standard Groth16 proof components
-        pi_a: proof.pi_a,
-        pi_b: proof.pi_b,
-        pi_c: proof.pi_c,
-        protocol: proof.protocol,
-        curve: proof.curve,
+        // Proof components of its proving system
+        ...baseProof(proof),
         
         // Embedded metadata
         metadata: {
@@ -312,18 +426,11 @@ export class ZKProofService {
       console.log("✅ ZK proof with embedded metadata generated and verified successfully");
       console.log(`📋 Embedded metadata: ${proofMetadata.proving_system} ${proofMetadata.circuit_name} v${proofMetadata.circuit_version}`);
       
-      return { proof: proofWithMetadata, publicInputs, verified, metadata: proofMetadata };
+      return { proof: proofWithMetadata, publicInputs, verified, metadata: proofMetadata, circuit: files.name };
       
     } catch (error) {
       console.error("❌ ZK proof generation failed:", error.message);
       throw error;
-    } finally {
-      // Always clean up temporary files, even if there was an error
-      try {
-        cleanupTempFiles(fileId);
-      } catch (cleanupError) {
-        console.log(`  ⚠️ Warning: Could not clean up files for ${fileId}: ${cleanupError.message}`);
-      }
     }
   }
 
@@ -338,53 +445,17 @@ export class ZKProofService {
   static async generateZKProofWithInput(circuitInput, transferCircuit = 'transfer', txId = null, timestamp = null) {
     console.log(`▶ Generating ZK proof with direct input for circuit: ${transferCircuit}`);
     
-    // Generate unique file IDs
-    const fileId = generateUniqueId();
-    
     try {
-      const inputFile = `build/input_${fileId}.json`;
-      const proofFile = `build/proof_${fileId}.json`;
-      const publicFile = `build/public_${fileId}.json`;
-      
-      // Write input file
-      fs.writeFileSync(inputFile, JSON.stringify(circuitInput, null, 2));
-      
-      // Determine circuit files based on type
-      let circuitWasm, circuitZkey, circuitVkey;
-      if (transferCircuit === 'generic') {
-        circuitWasm = 'build/generic_state_transfer_js/generic_state_transfer.wasm';
-        circuitZkey = 'build/generic_state_transfer.zkey';
-        circuitVkey = 'build/generic_state_transfer_vkey.json';
-      } else {
-        circuitWasm = 'build/transfer_js/transfer.wasm';
-        circuitZkey = 'build/transfer.zkey';
-        circuitVkey = 'build/vkey.json';
-      }
-      
-      // Generate witness and prove using snarkjs
-      console.log("▶ Generating witness and proving...");
-      execSync(`${bin("snarkjs")} groth16 fullprove ${inputFile} ${circuitWasm} ${circuitZkey} ${proofFile} ${publicFile}`, { stdio: "inherit" });
-      
-      // Read generated proof and public inputs
-      const proof = JSON.parse(fs.readFileSync(proofFile));
-      const publicInputs = JSON.parse(fs.readFileSync(publicFile));
-      
-      // Verify proof
-      console.log("▶ Verifying proof...");
-      const vkey = JSON.parse(fs.readFileSync(circuitVkey));
-      const verified = await groth16.verify(vkey, publicInputs, proof);
-      
-      if (!verified) {
-        throw new Error("Proof verification failed");
-      }
+      // Generate and verify the proof in memory
+      const { proof, publicInputs, verified, files } = await this.prove(circuitInput, transferCircuit);
       
       // Generate proof metadata
       const proofMetadata = ProofMetadataService.generateProofMetadata(
-        'circom',
-        transferCircuit,
-        `circuits/${transferCircuit}.circom`,
-        circuitZkey,
-        circuitVkey
+        proof.protocol,
+        files.name,
+        files.source,
+        files.zkey,
+        files.vkey
       );
 
       // Validate metadata
@@ -395,12 +466,8 @@ export class ZKProofService {
 
       // Create proof with embedded metadata
       const proofWithMetadata = {
-        // Standard Groth16 proof components
-        pi_a: proof.pi_a,
-        pi_b: proof.pi_b,
-        pi_c: proof.pi_c,
-        protocol: proof.protocol,
-        curve: proof.curve,
+        // Proof components of its proving system
+        ...baseProof(proof),
         
         // Embedded metadata
         metadata: {
@@ -440,13 +507,6 @@ export class ZKProofService {
     } catch (error) {
       console.error("❌ ZK proof generation failed:", error.message);
       throw error;
-    } finally {
-      // Always clean up temporary files, even if there was an error
-      try {
-        cleanupTempFiles(fileId);
-      } catch (cleanupError) {
-        console.log(`  ⚠️ Warning: Could not clean up files for ${fileId}: ${cleanupError.message}`);
-      }
     }
   }
 
@@ -459,21 +519,9 @@ export class ZKProofService {
     try {
       console.log(`▶ Verifying proof with embedded metadata for transaction: ${proofWithMetadata.metadata?.tx_id}`);
       
-      // Extract base proof components
-      const baseProof = {
-        pi_a: proofWithMetadata.pi_a,
-        pi_b: proofWithMetadata.pi_b,
-        pi_c: proofWithMetadata.pi_c,
-        protocol: proofWithMetadata.protocol,
-        curve: proofWithMetadata.curve
-      };
-      
-      // Load verification key
-      const vkeyPath = proofWithMetadata.metadata?.verification_key_file || 'build/vkey.json';
-      const vkey = JSON.parse(fs.readFileSync(vkeyPath));
-      
-      // Verify the base proof
-      const verified = await groth16.verify(vkey, proofWithMetadata.public_inputs, baseProof);
+      // Verify the base proof against the registered key named by its verification context
+      const { verified, circuit, vkeyHash } =
+        await this.verifyProof(proofWithMetadata, proofWithMetadata.public_inputs);
       
       // Validate metadata integrity
       const metadataValidation = ProofMetadataService.validateMetadata(proofWithMetadata.metadata);
@@ -482,6 +530,8 @@ export class ZKProofService {
         success: true,
         verified,
         txId: proofWithMetadata.metadata?.tx_id,
+        circuit,
+        vkeyHash,
         metadata: proofWithMetadata.metadata,
         validation: metadataValidation,
         timestamp: Date.now()
@@ -506,153 +556,794 @@ export class ZKProofService {
   static prepareCircuitInput(txLog, transferCircuit) {
     const ts = BigInt(Math.floor(Date.now() / 1000));
     const txNonce = BigInt(txLog.timestamp);
+    const circuitName = this.circuitFiles(transferCircuit).name;
+
+    if (circuitName === 'nft_transfer') {
+      return this.prepareNftCircuitInput(txLog, txNonce, ts);
+    }
+    if (circuitName === 'generic_state_transfer') {
+      return this.prepareGenericCircuitInput(txLog, txNonce, ts);
+    }
+    if (circuitName === 'escrow') {
+      return this.prepareEscrowCircuitInput(txLog, txNonce, ts);
+    }
+    if (circuitName === 'supply') {
+      return this.prepareSupplyCircuitInput(txLog, txNonce, ts);
+    }
+    if (circuitName === 'multi_transfer') {
+      return this.prepareMultiTransferCircuitInput(txLog, txNonce, ts);
+    }
+
+    // Transfer circuit: both parties must be registered accounts; the witness is built
+    // from their persisted rows and the persisted state tree
+    const sender = getAccount(txLog.from);
+    const receiver = getAccount(txLog.to);
+    if (!sender) throw new Error(`Sender account '${txLog.from}' not found`);
+    if (!receiver) throw new Error(`Receiver account '${txLog.to}' not found`);
+    if (sender.id === receiver.id) throw new Error('Sender and receiver must be different accounts');
     
-    // For legacy transfer circuit, generate transaction ID the same way as the working system
-    let txLogId;
-    if (transferCircuit === 'transfer') {
-      const transferAmount = BigInt(txLog.transferParams.amount || 0);
-      txLogId = String(pHash5(BigInt(11), BigInt(22), transferAmount, txNonce, ts));
-    } else {
-      // For generic circuit, use a hash of the transaction ID
-      let txIdHash = 0;
-      for (let i = 0; i < txLog.id.length; i++) {
-        const char = txLog.id.charCodeAt(i);
-        txIdHash = ((txIdHash << 5) - txIdHash) + char;
-        txIdHash = txIdHash & txIdHash; // Convert to 32-bit integer
-      }
-      txLogId = String(Math.abs(txIdHash));
+    const transferAmount = BigInt(txLog.transferParams.amount || 0);
+    if (sender.bal < transferAmount) {
+      throw new Error(`Insufficient account balance. Available: ${sender.bal}, Required: ${transferAmount}`);
     }
     
-    if (transferCircuit === 'generic') {
-      // Convert string token ID to numeric hash for circuit compatibility
-      let tokenIdHash = 0;
-      for (let i = 0; i < txLog.tokenId.length; i++) {
-        const char = txLog.tokenId.charCodeAt(i);
-        tokenIdHash = ((tokenIdHash << 5) - tokenIdHash) + char;
-        tokenIdHash = tokenIdHash & tokenIdHash; // Convert to 32-bit integer
-      }
+    // The sender signs (receiver, token, amount, nonce); the signed nonce is the circuit's public nonce
+    const { signature, nonce } = txLog.authorization || {};
+    if (nonce === undefined || nonce === null) {
+      throw new Error('Transfer authorization must include the signed nonce');
+    }
+    const signedNonce = BigInt(nonce);
+    checkNextNonce(sender, signedNonce);
+    const signatureInput = this.signatureInputs(sender, receiver, txLog.tokenId, transferAmount, signedNonce, signature);
+    
+    const txLogId = String(pHash5(sender.pub, receiver.pub, transferAmount, signedNonce, ts));
+    
+    // Store original balances and nonce
+    const senderOriginalBalance = sender.bal;
+    const receiverOriginalBalance = receiver.bal;
+    const senderOriginalNonce = sender.nonce;
+    
+    // Apply state update; the sender's nonce advances to the signed nonce
+    sender.bal -= transferAmount;
+    receiver.bal += transferAmount;
+    sender.nonce = signedNonce;
+    
+    // Derive BEFORE/AFTER roots and the chained sender and receiver paths; the tree itself is only written
+    // when the transfer commits
+    const { rootBefore, rootAfter, steps: [senderUpdate, receiverUpdate] } =
+      previewSequentialTransition([
+        { idx: sender.idx, leaf: accountLeaf(sender) },
+        { idx: receiver.idx, leaf: accountLeaf(receiver) }
+      ]);
+    
+    return {
+      // Enhanced public inputs (8 total)
+      sender_account: String(sender.pub),
+      receiver_account: String(receiver.pub),
+      amount: String(transferAmount),
+      nonce: String(signedNonce),
+      root_before: String(rootBefore),
+      root_after: String(rootAfter),
+      tx_log_id: txLogId,
+      token_id: String(tokenFieldId(txLog.tokenId)),
       
-      return {
-        root_before: "0", // Placeholder
-        root_after: "0",  // Placeholder
-        tx_log_id: txLogId,
-        token_id: String(Math.abs(tokenIdHash)),
-        token_type: String(txLog.tokenType),
-        
-        sender_pub: "11", // Placeholder
-        receiver_pub: "22", // Placeholder
-        sender_nonce: "1", // Placeholder
-        receiver_nonce: "1", // Placeholder
-        
-        sender_state_before: this.padArray(Object.values(txLog.stateBefore.sender), 4).map(String),
-        receiver_state_before: this.padArray(Object.values(txLog.stateBefore.receiver), 4).map(String),
-        sender_state_after: this.padArray(Object.values(txLog.stateAfter.sender), 4).map(String),
-        receiver_state_after: this.padArray(Object.values(txLog.stateAfter.receiver), 4).map(String),
-        
-        transfer_params: this.padArray(Object.values(txLog.transferParams), 4).map(String),
-        
-        // Placeholder paths
-        s_siblings_before: Array(4).fill("0"),
-        s_pathBits_before: Array(4).fill("0"),
-        r_siblings_before: Array(4).fill("0"),
-        r_pathBits_before: Array(4).fill("0"),
-        
-        s_siblings_after: Array(4).fill("0"),
-        s_pathBits_after: Array(4).fill("0"),
-        r_siblings_after: Array(4).fill("0"),
-        r_pathBits_after: Array(4).fill("0"),
-        
-        tx_nonce: String(txNonce),
-        tx_timestamp: String(ts)
-      };
-    } else {
-      // For legacy transfer circuit, build a proper Merkle tree
-      // This mimics the working system from api.mjs
-      
-      // Get actual accounts from database
-      const dbAccounts = getAllAccounts();
-      
-      // Create accounts for the Merkle tree using actual balances
-      const accounts = [
-        { id: 'alice', pub: BigInt(11), bal: BigInt(dbAccounts.find(acc => acc.id === 'alice')?.bal || 0), nonce: BigInt(7), idx: 3 },
-        { id: 'bob', pub: BigInt(22), bal: BigInt(dbAccounts.find(acc => acc.id === 'bob')?.bal || 0), nonce: BigInt(42), idx: 9 },
-        { id: 'carol', pub: BigInt(33), bal: BigInt(dbAccounts.find(acc => acc.id === 'carol')?.bal || 0), nonce: BigInt(1), idx: 0 },
-        { id: 'dan', pub: BigInt(44), bal: BigInt(dbAccounts.find(acc => acc.id === 'dan')?.bal || 0), nonce: BigInt(2), idx: 15 }
-      ];
-      
-      // Build current tree state
-      const layers = buildEmptyTree(DEPTH);
-      for (const acc of accounts) {
-        const leaf = pHash3(acc.pub, acc.bal, acc.nonce);
-        updateLeaf(layers, acc.idx, leaf);
-      }
-      const rootBefore = treeRoot(layers);
+      // Private inputs (42 total)
+      sender_pub: String(sender.pub),
+      receiver_pub: String(receiver.pub),
+      sender_before: String(senderOriginalBalance),
+      receiver_before: String(receiverOriginalBalance),
+      sender_nonce: String(senderOriginalNonce),
+      receiver_nonce: String(receiver.nonce),
       
-      // Get BEFORE paths for sender and receiver
-      const sender = accounts.find(acc => acc.id === txLog.from) || accounts[0];
-      const receiver = accounts.find(acc => acc.id === txLog.to) || accounts[1];
-      const sBefore = merklePath(layers, sender.idx);
-      const rBefore = merklePath(layers, receiver.idx);
+      // After balances (provided by API, validated by circuit)
+      sender_after_provided: String(sender.bal),
+      receiver_after_provided: String(receiver.bal),
       
-      // Store original balances
-      const senderOriginalBalance = sender.bal;
-      const receiverOriginalBalance = receiver.bal;
+      // Sender's path, then receiver's path after the sender's update
+      s_siblings: senderUpdate.path.siblings.map(String),
+      s_pathBits: senderUpdate.path.pathBits.map(String),
+      r_siblings: receiverUpdate.path.siblings.map(String),
+      r_pathBits: receiverUpdate.path.pathBits.map(String),
       
-      // Apply state update
-      const transferAmount = BigInt(txLog.transferParams.amount || 0);
-      sender.bal -= transferAmount;
-      receiver.bal += transferAmount;
+      // Sender signature over (receiver, token, amount, nonce)
+      ...signatureInput,
       
-      // Create a fresh tree for AFTER state to avoid any state corruption
-      const afterLayers = buildEmptyTree(DEPTH);
-      for (const acc of accounts) {
-        const leaf = pHash3(acc.pub, acc.bal, acc.nonce);
-        updateLeaf(afterLayers, acc.idx, leaf);
+      tx_nonce: String(signedNonce),
+      tx_timestamp: String(ts)
+    };
+  }
+
+  /**
+   * Prepare nft_transfer circuit input: ownership leaves of sender and receiver in the NFT's ownership tree,
+   * built from the token's holdings (see getNftOwnershipTree in utils.mjs); the owner's signature is checked in the
+   * circuit and the owner's leaf takes the signed nonce
+   * @param {Object} txLog - Transaction log of an NFT transfer, with the owner's { signature, nonce } as authorization
+   * @param {bigint} txNonce - Transaction nonce bound into tx_log_id
+   * @param {bigint} ts - Transaction timestamp (seconds) bound into tx_log_id
+   * @returns {Object} - Circuit input data
+   */
+  static prepareNftCircuitInput(txLog, txNonce, ts) {
+    // Both parties must be registered accounts: their leaves sit at their state tree indexes
+    const sender = getAccount(txLog.from);
+    const receiver = getAccount(txLog.to);
+    if (!sender) throw new Error(`Sender account '${txLog.from}' not found`);
+    if (!receiver) throw new Error(`Receiver account '${txLog.to}' not found`);
+    if (sender.id === receiver.id) throw new Error('Sender and receiver must be different accounts');
+
+    const id = tokenFieldId(txLog.tokenId);
+
+    // The owner signs (receiver, nft_id, nonce); the signed nonce is the circuit's public nonce
+    const { signature, nonce } = txLog.authorization || {};
+    if (nonce === undefined || nonce === null) {
+      throw new Error('Transfer authorization must include the signed nonce');
+    }
+    const signedNonce = BigInt(nonce);
+    checkNextNonce(sender, signedNonce);
+    const signatureInput = this.nftSignatureInputs(sender, { to: receiver.publicKey, token: id, nonce: signedNonce }, signature);
+
+    const { rootBefore, rootAfter, steps: [senderUpdate, receiverUpdate] } =
+      previewNftTransition(txLog.tokenId, { ...sender, nonce: signedNonce }, receiver);
+
+    return {
+      // Public inputs
+      root_before: String(rootBefore),
+      root_after: String(rootAfter),
+      tx_log_id: String(pHash5(sender.pub, receiver.pub, id, txNonce, ts)),
+      nft_id: String(id),
+      nonce: String(signedNonce),
+
+      // Private inputs: ownership as the holdings record it; the circuit rejects a sender that does
+      // not own the NFT or a receiver that already does
+      sender_pub: String(sender.pub),
+      receiver_pub: String(receiver.pub),
+      sender_owns_nft_before: String(ownsNft(txLog.stateBefore.sender)),
+      receiver_owns_nft_before: String(ownsNft(txLog.stateBefore.receiver)),
+      sender_nonce: String(sender.nonce),
+      receiver_nonce: String(receiver.nonce),
+
+      // The sender's path under root_before, then the receiver's after the sender's leaf is updated
+      s_siblings: senderUpdate.path.siblings.map(String),
+      s_pathBits: senderUpdate.path.pathBits.map(String),
+      r_siblings: receiverUpdate.path.siblings.map(String),
+      r_pathBits: receiverUpdate.path.pathBits.map(String),
+
+      // Owner signature over (receiver, nft_id, nonce)
+      ...signatureInput,
+      tx_nonce: String(txNonce),
+      tx_timestamp: String(ts)
+    };
+  }
+
+  /**
+   * Prepare generic_state_transfer circuit input: full state leaves of sender and receiver in the token's state
+   * tree, built from its holdings (see getTokenStateTree in utils.mjs); the circuit checks the after states
+   * against the rules of the token's type and the sender's signature, and the sender's leaf takes the signed nonce
+   * @param {Object} txLog - Transaction log, with the sender's { signature, nonce } as authorization
+   * @param {bigint} txNonce - Transaction nonce bound into tx_log_id
+   * @param {bigint} ts - Transaction timestamp (seconds) bound into tx_log_id
+   * @returns {Object} - Circuit input data
+   */
+  static prepareGenericCircuitInput(txLog, txNonce, ts) {
+    // Both parties must be registered accounts: their leaves sit at their state tree indexes
+    const sender = getAccount(txLog.from);
+    const receiver = getAccount(txLog.to);
+    if (!sender) throw new Error(`Sender account '${txLog.from}' not found`);
+    if (!receiver) throw new Error(`Receiver account '${txLog.to}' not found`);
+    if (sender.id === receiver.id) throw new Error('Sender and receiver must be different accounts');
+
+    const token = getTokenRecord(txLog.tokenId);
+    if (!token) throw new Error(`Token '${txLog.tokenId}' not found`);
+    const { format } = token.metadata;
+    const senderStateAfter = stateArray(format, txLog.stateAfter.sender);
+    const receiverStateAfter = stateArray(format, txLog.stateAfter.receiver);
+
+    const id = tokenFieldId(txLog.tokenId);
+    const tokenType = BigInt(txLog.tokenType);
+    // transfer_params: [amount, escrow_provider, 0, ...]
+    const transferParams = [txLog.transferParams.amount || 0, txLog.transferParams.escrow_provider || 0];
+
+    // The sender signs (receiver, token, amount, escrow_provider, nonce); the signed nonce is the circuit's public nonce
+    const { signature, nonce } = txLog.authorization || {};
+    if (nonce === undefined || nonce === null) {
+      throw new Error('Transfer authorization must include the signed nonce');
+    }
+    const signedNonce = BigInt(nonce);
+    checkNextNonce(sender, signedNonce);
+    const signatureInput = this.genericSignatureInputs(sender, {
+      to: receiver.publicKey, token: id, amount: transferParams[0], escrowProvider: transferParams[1], nonce: signedNonce
+    }, signature);
+
+    const { rootBefore, rootAfter, steps: [senderUpdate, receiverUpdate] } =
+      previewTokenStateTransition(txLog.tokenId, { ...sender, nonce: signedNonce }, receiver, senderStateAfter, receiverStateAfter);
+
+    return {
+      // Public inputs
+      root_before: String(rootBefore),
+      root_after: String(rootAfter),
+      tx_log_id: String(pHash6(sender.pub, receiver.pub, id, tokenType, txNonce, ts)),
+      token_id: String(id),
+      token_type: String(tokenType),
+      nonce: String(signedNonce),
+
+      // Private inputs
+      sender_pub: String(sender.pub),
+      receiver_pub: String(receiver.pub),
+      sender_nonce: String(sender.nonce),
+      receiver_nonce: String(receiver.nonce),
+
+      sender_state_before: stateArray(format, txLog.stateBefore.sender).map(String),
+      receiver_state_before: stateArray(format, txLog.stateBefore.receiver).map(String),
+      sender_state_after: senderStateAfter.map(String),
+      receiver_state_after: receiverStateAfter.map(String),
+
+      transfer_params: this.padArray(transferParams, format.length).map(String),
+
+      // The sender's path under root_before, then the receiver's after the sender's leaf is updated
+      s_siblings: senderUpdate.path.siblings.map(String),
+      s_pathBits: senderUpdate.path.pathBits.map(String),
+      r_siblings: receiverUpdate.path.siblings.map(String),
+      r_pathBits: receiverUpdate.path.pathBits.map(String),
+
+      // Sender signature over (receiver, token, amount, escrow_provider, nonce)
+      ...signatureInput,
+      tx_nonce: String(txNonce),
+      tx_timestamp: String(ts)
+    };
+  }
+
+  /**
+   * Prepare escrow circuit input: an escrow step as a transition of the owner's and the beneficiary's leaves in the
+   * token's state tree (as for generic_state_transfer), signed by the account allowed to take it
+   * @param {Object} txLog - Transaction log of an escrow step: from is the owner, to the beneficiary, transferParams
+   *   the step ({ action, seq, provider, amount, expiresAt }) and authorization its { signer, signature }
+   * @param {bigint} txNonce - Transaction nonce bound into tx_log_id
+   * @param {bigint} ts - Transaction timestamp (seconds) bound into tx_log_id
+   * @returns {Object} - Circuit input data
+   */
+  static prepareEscrowCircuitInput(txLog, txNonce, ts) {
+    const { action, seq, provider: providerId, amount, expiresAt } = txLog.transferParams;
+    if (!(action in ESCROW_ACTIONS)) {
+      throw new Error(`Unknown escrow action '${action}' (available: ${Object.keys(ESCROW_ACTIONS).join(', ')})`);
+    }
+
+    // Owner, beneficiary and provider must be registered accounts
+    const owner = getAccount(txLog.from);
+    const beneficiary = getAccount(txLog.to);
+    const provider = getAccount(providerId);
+    const signer = getAccount(txLog.authorization?.signer ?? null);
+    if (!owner) throw new Error(`Owner account '${txLog.from}' not found`);
+    if (!beneficiary) throw new Error(`Beneficiary account '${txLog.to}' not found`);
+    if (!provider) throw new Error(`Provider account '${providerId}' not found`);
+    if (!signer) throw new Error(`Signer account '${txLog.authorization?.signer}' not found`);
+    if (owner.id === beneficiary.id) throw new Error('Owner and beneficiary must be different accounts');
+
+    const token = getTokenRecord(txLog.tokenId);
+    if (!token) throw new Error(`Token '${txLog.tokenId}' not found`);
+    const { format } = token.metadata;
+    const ownerStateAfter = stateArray(format, txLog.stateAfter.sender);
+    const beneficiaryStateAfter = stateArray(format, txLog.stateAfter.receiver);
+
+    const id = tokenFieldId(txLog.tokenId);
+    const actionCode = BigInt(ESCROW_ACTIONS[action]);
+    const signatureInput = this.escrowSignatureInputs(signer, {
+      action: actionCode, token: id, seq, provider: provider.publicKey, beneficiary: beneficiary.publicKey, amount, expiresAt
+    }, txLog.authorization.signature);
+    const { rootBefore, rootAfter, steps: [ownerUpdate, beneficiaryUpdate] } =
+      previewTokenStateTransition(txLog.tokenId, owner, beneficiary, ownerStateAfter, beneficiaryStateAfter);
+
+    return {
+      // Public inputs
+      root_before: String(rootBefore),
+      root_after: String(rootAfter),
+      tx_log_id: String(pHash6(owner.pub, beneficiary.pub, id, actionCode, txNonce, ts)),
+      token_id: String(id),
+      escrow_seq: String(seq),
+      action: String(actionCode),
+      provider: String(provider.pub),
+      amount: String(amount),
+
+      // Private inputs
+      owner_pub: String(owner.pub),
+      beneficiary_pub: String(beneficiary.pub),
+      owner_nonce: String(owner.nonce),
+      beneficiary_nonce: String(beneficiary.nonce),
+      expires_at: String(expiresAt || 0),
+
+      owner_state_before: stateArray(format, txLog.stateBefore.sender).map(String),
+      beneficiary_state_before: stateArray(format, txLog.stateBefore.receiver).map(String),
+      owner_state_after: ownerStateAfter.map(String),
+      beneficiary_state_after: beneficiaryStateAfter.map(String),
+
+      // The owner's path under root_before, then the beneficiary's after the owner's leaf is updated
+      o_siblings: ownerUpdate.path.siblings.map(String),
+      o_pathBits: ownerUpdate.path.pathBits.map(String),
+      b_siblings: beneficiaryUpdate.path.siblings.map(String),
+      b_pathBits: beneficiaryUpdate.path.pathBits.map(String),
+
+      // Signer's signature over the escrow step
+      ...signatureInput,
+
+      tx_nonce: String(txNonce),
+      tx_timestamp: String(ts)
+    };
+  }
+
+  /**
+   * Prepare supply circuit input: a mint or burn as a change of the issuer's leaf in the token's state tree (as for
+   * generic_state_transfer) and of the token's total supply commitment, signed by the issuer
+   * @param {Object} txLog - Transaction log of a supply change: from and to are the issuer, operation 'mint' or 'burn',
+   *   transferParams the change ({ amount, seq, totalSupplyBefore, totalSupplyAfter }) and authorization its
+   *   { signer, signature }
+   * @param {bigint} txNonce - Transaction nonce bound into tx_log_id
+   * @param {bigint} ts - Transaction timestamp (seconds) bound into tx_log_id
+   * @returns {Object} - Circuit input data
+   */
+  static prepareSupplyCircuitInput(txLog, txNonce, ts) {
+    const { amount, seq, totalSupplyBefore, totalSupplyAfter } = txLog.transferParams;
+    if (!(txLog.operation in SUPPLY_OPERATIONS)) {
+      throw new Error(`Unknown supply operation '${txLog.operation}' (available: ${Object.keys(SUPPLY_OPERATIONS).join(', ')})`);
+    }
+
+    // The issuer must be a registered account: its leaf sits at its state tree index
+    const issuer = getAccount(txLog.from);
+    if (!issuer) throw new Error(`Issuer account '${txLog.from}' not found`);
+
+    const token = getTokenRecord(txLog.tokenId);
+    if (!token) throw new Error(`Token '${txLog.tokenId}' not found`);
+    const { format } = token.metadata;
+    const issuerStateAfter = stateArray(format, txLog.stateAfter.sender);
+
+    const id = tokenFieldId(txLog.tokenId);
+    const operation = BigInt(SUPPLY_OPERATIONS[txLog.operation]);
+    const signatureInput = this.supplySignatureInputs(issuer, { operation, token: id, seq, amount }, txLog.authorization?.signature);
+    const { rootBefore, rootAfter, steps: [{ path }] } =
+      previewTokenHoldingTransition(txLog.tokenId, issuer, issuerStateAfter);
+
+    return {
+      // Public inputs
+      root_before: String(rootBefore),
+      root_after: String(rootAfter),
+      tx_log_id: String(pHash6(issuer.pub, id, operation, BigInt(amount), txNonce, ts)),
+      token_id: String(id),
+      supply_seq: String(seq),
+      operation: String(operation),
+      amount: String(amount),
+      supply_commitment_before: String(supplyCommitment(txLog.tokenId, totalSupplyBefore)),
+      supply_commitment_after: String(supplyCommitment(txLog.tokenId, totalSupplyAfter)),
+
+      // Private inputs
+      issuer_pub: String(issuer.pub),
+      issuer_nonce: String(issuer.nonce),
+      issuer_state_before: stateArray(format, txLog.stateBefore.sender).map(String),
+      total_supply_before: String(totalSupplyBefore),
+
+      // The issuer's path, the same before and after
+      siblings: path.siblings.map(String),
+      pathBits: path.pathBits.map(String),
+
+      // Issuer's signature over the supply change
+      ...signatureInput,
+
+      tx_nonce: String(txNonce),
+      tx_timestamp: String(ts)
+    };
+  }
+
+  /**
+   * Prepare swap circuit input: each leg as a transition of the giver's and the taker's leaves in its token's state
+   * tree (as for generic_state_transfer), both signed by both parties
+   * @param {Object} txLog - Transaction log of a swap: from is party A, to party B, transferParams the swap
+   *   ({ seq, legs: [{ tokenId, tokenType, from, to, amount, stateBefore, stateAfter }] }, A's leg first) and
+   *   authorization its { signatures: { [party]: signature } }
+   * @param {bigint} txNonce - Transaction nonce bound into tx_log_id
+   * @param {bigint} ts - Transaction timestamp (seconds) bound into tx_log_id
+   * @returns {Object} - { input, roots: [{ rootBefore, rootAfter }] of each leg's token tree }
+   */
+  static prepareSwapCircuitInput(txLog, txNonce, ts) {
+    const { seq, legs } = txLog.transferParams;
+
+    // Both parties must be registered accounts: their leaves sit at their state tree indexes
+    const partyA = getAccount(txLog.from);
+    const partyB = getAccount(txLog.to);
+    if (!partyA) throw new Error(`Party account '${txLog.from}' not found`);
+    if (!partyB) throw new Error(`Party account '${txLog.to}' not found`);
+    if (partyA.id === partyB.id) throw new Error('A swap needs two different parties');
+    if (legs?.length !== 2 || legs[0].from !== partyA.id || legs[1].from !== partyB.id) {
+      throw new Error(`A swap has two legs: ${partyA.id} gives one token and ${partyB.id} the other`);
+    }
+    if (legs[0].tokenId === legs[1].tokenId) throw new Error('A swap needs two different tokens');
+
+    const [tokenA, tokenB] = legs.map(({ tokenId }) => tokenFieldId(tokenId));
+    const terms = {
+      seq, partyA: partyA.publicKey, tokenA, amountA: legs[0].amount, partyB: partyB.publicKey, tokenB, amountB: legs[1].amount
+    };
+    const signatures = txLog.authorization?.signatures || {};
+    const signatureInput = {
+      ...this.swapSignatureInputs(partyA, 'a', terms, signatures[partyA.id]),
+      ...this.swapSignatureInputs(partyB, 'b', terms, signatures[partyB.id])
+    };
+
+    const input = {
+      root_a_before: "0",
+      root_a_after: "0",
+      root_b_before: "0",
+      root_b_after: "0",
+      tx_log_id: String(pHash6(partyA.pub, partyB.pub, tokenA, tokenB, txNonce, ts)),
+      swap_seq: String(seq),
+
+      party_a_pub: String(partyA.pub),
+      party_b_pub: String(partyB.pub),
+      party_a_nonce: String(partyA.nonce),
+      party_b_nonce: String(partyB.nonce)
+    };
+
+    // Leg A in token_a's tree (A gives, B takes), leg B in token_b's tree (B gives, A takes)
+    const roots = legs.map((leg, i) => {
+      const [giver, taker] = i === 0 ? [partyA, partyB] : [partyB, partyA];
+      const token = getTokenRecord(leg.tokenId);
+      if (!token) throw new Error(`Token '${leg.tokenId}' not found`);
+      const { format } = token.metadata;
+      // The giver's path under the leg's root before, then the taker's after the giver's leaf is updated
+      const { rootBefore, rootAfter, steps: [giverUpdate, takerUpdate] } =
+        previewTokenStateTransition(leg.tokenId, giver, taker,
+          stateArray(format, leg.stateAfter.giver), stateArray(format, leg.stateAfter.taker));
+
+      const l = i === 0 ? 'a' : 'b';
+      Object.assign(input, {
+        [`root_${l}_before`]: String(rootBefore),
+        [`root_${l}_after`]: String(rootAfter),
+        [`token_${l}`]: String(tokenFieldId(leg.tokenId)),
+        [`token_type_${l}`]: String(leg.tokenType),
+        [`amount_${l}`]: String(leg.amount),
+        [`${l}_giver_state_before`]: stateArray(format, leg.stateBefore.giver).map(String),
+        [`${l}_taker_state_before`]: stateArray(format, leg.stateBefore.taker).map(String),
+        [`${l}_g_siblings`]: giverUpdate.path.siblings.map(String),
+        [`${l}_g_pathBits`]: giverUpdate.path.pathBits.map(String),
+        [`${l}_t_siblings`]: takerUpdate.path.siblings.map(String),
+        [`${l}_t_pathBits`]: takerUpdate.path.pathBits.map(String)
+      });
+      return { rootBefore, rootAfter };
+    });
+
+    Object.assign(input, signatureInput, { tx_nonce: String(txNonce), tx_timestamp: String(ts) });
+    return { input, roots };
+  }
+
+  /**
+   * Prepare multi_transfer circuit input: the sender's account leaf debited the total, then each recipient's leaf
+   * credited in order, as sequential leaf updates of the account state tree (as for the batch circuit)
+   * @param {Object} txLog - Transaction log of a multi-transfer: from is the sender, recipients its
+   *   [{ to, amount }] in order and authorization the sender's { signature, nonce }
+   * @param {bigint} txNonce - Transaction nonce bound into tx_log_id
+   * @param {bigint} ts - Transaction timestamp (seconds) bound into tx_log_id
+   * @returns {Object} - Circuit input data
+   */
+  static prepareMultiTransferCircuitInput(txLog, txNonce, ts) {
+    const recipients = txLog.recipients || [];
+    if (recipients.length === 0 || recipients.length > MULTI_TRANSFER_SIZE) {
+      throw new Error(`A multi-transfer pays 1 to ${MULTI_TRANSFER_SIZE} recipients, got ${recipients.length}`);
+    }
+
+    // Every party must be a registered account, each leaf updated once: the recipients are distinct and not the sender
+    const sender = getAccount(txLog.from);
+    if (!sender) throw new Error(`Sender account '${txLog.from}' not found`);
+    const receivers = recipients.map(({ to }) => {
+      const receiver = getAccount(to);
+      if (!receiver) throw new Error(`Receiver account '${to}' not found`);
+      if (receiver.id === sender.id) throw new Error('The sender cannot be one of the recipients');
+      return receiver;
+    });
+    if (new Set(receivers.map(({ id }) => id)).size !== receivers.length) {
+      throw new Error('Each recipient can be paid only once per multi-transfer');
+    }
+
+    const amounts = recipients.map(({ amount }) => BigInt(amount));
+    const total = amounts.reduce((sum, amount) => sum + amount, 0n);
+    if (sender.bal < total) {
+      throw new Error(`Insufficient account balance. Available: ${sender.bal}, Required: ${total}`);
+    }
+
+    // The sender signs the recipients, the token, the total and the nonce; the signed nonce is the circuit's public nonce
+    const { signature, nonce } = txLog.authorization || {};
+    if (nonce === undefined || nonce === null) {
+      throw new Error('Transfer authorization must include the signed nonce');
+    }
+    const signedNonce = BigInt(nonce);
+    checkNextNonce(sender, signedNonce);
+    const signed = receivers.map((receiver, i) => ({ to: receiver.publicKey, amount: amounts[i] }));
+    const signatureInput = this.multiTransferSignatureInputs(sender, signed, txLog.tokenId, signedNonce, signature);
+    const hash = recipientsHash(signed);
+
+    // Sender first, then the recipients in order
+    const transition = previewSequentialTransition([
+      { idx: sender.idx, leaf: accountLeaf({ ...sender, bal: sender.bal - total, nonce: signedNonce }) },
+      ...receivers.map((receiver, i) => ({ idx: receiver.idx, leaf: accountLeaf({ ...receiver, bal: receiver.bal + amounts[i] }) }))
+    ]);
+    const [senderUpdate, ...receiverUpdates] = transition.steps;
+
+    const input = {
+      // Public inputs
+      root_before: String(transition.rootBefore),
+      root_after: String(transition.rootAfter),
+      tx_log_id: String(pHash6(sender.pub, hash, total, signedNonce, txNonce, ts)),
+      nonce: String(signedNonce),
+      total: String(total),
+      recipients_hash: String(hash),
+      recipient_count: String(receivers.length),
+      token_id: String(tokenFieldId(txLog.tokenId)),
+
+      // Sender
+      sender_pub: String(sender.pub),
+      sender_before: String(sender.bal),
+      sender_nonce: String(sender.nonce),
+      s_siblings: senderUpdate.path.siblings.map(String),
+      s_pathBits: senderUpdate.path.pathBits.map(String)
+    };
+
+    // Recipient slots; disabled padding slots leave the root unchanged
+    const fields = ['enabled', 'receiver_pub', 'receiver_before', 'receiver_nonce', 'amount', 'r_siblings', 'r_pathBits'];
+    fields.forEach(field => { input[field] = []; });
+    for (let i = 0; i < MULTI_TRANSFER_SIZE; i++) {
+      const receiver = receivers[i];
+      const slot = receiver
+        ? {
+          enabled: "1",
+          receiver_pub: String(receiver.pub),
+          receiver_before: String(receiver.bal),
+          receiver_nonce: String(receiver.nonce),
+          amount: String(amounts[i]),
+          r_siblings: receiverUpdates[i].path.siblings.map(String),
+          r_pathBits: receiverUpdates[i].path.pathBits.map(String)
+        }
+        : {
+          enabled: "0",
+          receiver_pub: "0",
+          receiver_before: "0",
+          receiver_nonce: "0",
+          amount: "0",
+          r_siblings: Array(TREE_DEPTH).fill("0"),
+          r_pathBits: Array(TREE_DEPTH).fill("0")
+        };
+      fields.forEach(field => input[field].push(slot[field]));
+    }
+
+    return {
+      ...input,
+      // Sender's signature over the multi-transfer
+      ...signatureInput,
+      tx_nonce: String(txNonce),
+      tx_timestamp: String(ts)
+    };
+  }
+
+  /**
+   * Prepare batch circuit input: ACCOUNT_TOKEN transfers applied in order, each as a sender then a receiver leaf update
+   * @param {Array} steps - [{ sender, receiver, amount, nonce, signature }] with account states before each step
+   * @returns {Object} - { input, rootBefore, rootAfter, batchHash, stepRoots: [{ rootBefore, rootAfter }] }
+   */
+  static prepareBatchCircuitInput(steps) {
+    if (steps.length === 0 || steps.length > BATCH_SIZE) {
+      throw new Error(`A batch holds 1 to ${BATCH_SIZE} transfers, got ${steps.length}`);
+    }
+    
+    // Leaf updates in circuit order: sender then receiver for every step
+    const updates = steps.flatMap(({ sender, receiver, amount, nonce }) => [
+      { idx: sender.idx, leaf: accountLeaf({ ...sender, bal: sender.bal - amount, nonce }) },
+      { idx: receiver.idx, leaf: accountLeaf({ ...receiver, bal: receiver.bal + amount }) }
+    ]);
+    const transition = previewSequentialTransition(updates);
+    
+    const input = {
+      root_before: String(transition.rootBefore),
+      root_after: String(transition.rootAfter),
+      batch_hash: "0",
+      tx_count: String(steps.length),
+      token_id: String(tokenFieldId(ACCOUNT_TOKEN))
+    };
+    const fields = [
+      'enabled', 'sender_pub', 'receiver_pub', 'sender_before', 'receiver_before', 'sender_nonce', 'receiver_nonce',
+      'amount', 'nonce', 'sender_Ax', 'sender_Ay', 'sig_S', 'sig_R8x', 'sig_R8y',
+      's_siblings', 's_pathBits', 'r_siblings', 'r_pathBits'
+    ];
+    fields.forEach(field => { input[field] = []; });
+    
+    let batchHash = 0n;
+    const stepRoots = [];
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      if (i >= steps.length) {
+        // Padding: a disabled step leaves the root unchanged
+        fields.forEach(field => {
+          input[field].push(field.endsWith('siblings') || field.endsWith('pathBits') ? Array(TREE_DEPTH).fill("0") : "0");
+        });
+        continue;
       }
-      const rootAfter = treeRoot(afterLayers);
-      
-      // AFTER paths
-      const sAfter = merklePath(afterLayers, sender.idx);
-      const rAfter = merklePath(afterLayers, receiver.idx);
       
-      return {
-        // Enhanced public inputs (7 total)
-        sender_account: String(sender.pub),
-        receiver_account: String(receiver.pub),
-        amount: String(transferAmount),
-        nonce: String(txNonce),
-        root_before: String(rootBefore),
-        root_after: String(rootAfter),
-        tx_log_id: txLogId,
-        
-        // Private inputs (42 total)
+      const { sender, receiver, amount, nonce, signature } = steps[i];
+      const senderUpdate = transition.steps[2 * i];
+      const receiverUpdate = transition.steps[2 * i + 1];
+      const step = {
+        enabled: "1",
         sender_pub: String(sender.pub),
         receiver_pub: String(receiver.pub),
-        sender_before: String(senderOriginalBalance),
-        receiver_before: String(receiverOriginalBalance),
+        sender_before: String(sender.bal),
+        receiver_before: String(receiver.bal),
         sender_nonce: String(sender.nonce),
         receiver_nonce: String(receiver.nonce),
-        
-        // After balances (provided by API, validated by circuit)
-        sender_after_provided: String(senderOriginalBalance - transferAmount),
-        receiver_after_provided: String(receiverOriginalBalance + transferAmount),
-        
-        // paths BEFORE
-        s_siblings_before: sBefore.siblings.map(String),
-        s_pathBits_before: sBefore.pathBits.map(String),
-        r_siblings_before: rBefore.siblings.map(String),
-        r_pathBits_before: rBefore.pathBits.map(String),
-        
-        // paths AFTER
-        s_siblings_after: sAfter.siblings.map(String),
-        s_pathBits_after: sAfter.pathBits.map(String),
-        r_siblings_after: rAfter.siblings.map(String),
-        r_pathBits_after: rAfter.pathBits.map(String),
-        
-        tx_nonce: String(txNonce),
-        tx_timestamp: String(ts)
+        amount: String(amount),
+        nonce: String(nonce),
+        ...this.signatureInputs(sender, receiver, ACCOUNT_TOKEN, amount, nonce, signature),
+        s_siblings: senderUpdate.path.siblings.map(String),
+        s_pathBits: senderUpdate.path.pathBits.map(String),
+        r_siblings: receiverUpdate.path.siblings.map(String),
+        r_pathBits: receiverUpdate.path.pathBits.map(String)
       };
+      fields.forEach(field => input[field].push(step[field]));
+      
+      batchHash = pHash2(batchHash, pHash4(sender.pub, receiver.pub, amount, nonce));
+      stepRoots.push({ rootBefore: senderUpdate.rootBefore, rootAfter: receiverUpdate.rootAfter });
+    }
+    input.batch_hash = String(batchHash);
+    
+    return { input, rootBefore: transition.rootBefore, rootAfter: transition.rootAfter, batchHash, stepRoots };
+  }
+
+  /**
+   * Check the sender's transfer signature and map it to circuit inputs
+   * @param {Object} sender - Sender account
+   * @param {Object} receiver - Receiver account
+   * @param {string} tokenId - Transferred token
+   * @param {bigint} amount - Transfer amount
+   * @param {bigint} nonce - Signed nonce
+   * @param {string} signature - Packed EdDSA-Poseidon signature (hex)
+   * @returns {Object} - Signature inputs for the transfer circuit
+   */
+  static signatureInputs(sender, receiver, tokenId, amount, nonce, signature) {
+    if (!signature) {
+      throw new Error(`Transfer must be signed by the sender '${sender.id}'`);
+    }
+    if (!verifyTransferSignature(signature, {
+      from: sender.publicKey, to: receiver.publicKey, token: tokenFieldId(tokenId), amount, nonce
+    })) {
+      throw new Error(`Invalid signature: '${sender.id}' did not sign this transfer`);
+    }
+    
+    const { R8, S } = unpackSignature(signature);
+    const [Ax, Ay] = unpackPublicKey(sender.publicKey).point;
+    return {
+      sender_Ax: String(Ax),
+      sender_Ay: String(Ay),
+      sig_S: String(S),
+      sig_R8x: String(R8[0]),
+      sig_R8y: String(R8[1])
+    };
+  }
+
+  /**
+   * Check the sender's multi-transfer signature and map it to circuit inputs
+   * @param {Object} sender - Sender account
+   * @param {Array} recipients - [{ to: packed public key, amount }] in order
+   * @param {string} tokenId - Transferred token
+   * @param {bigint} nonce - Signed nonce
+   * @param {string} signature - Packed EdDSA-Poseidon signature (hex)
+   * @returns {Object} - Signature inputs for the multi_transfer circuit
+   */
+  static multiTransferSignatureInputs(sender, recipients, tokenId, nonce, signature) {
+    if (!signature) {
+      throw new Error(`Multi-transfer must be signed by the sender '${sender.id}'`);
+    }
+    if (!verifyMultiTransferSignature(signature, { from: sender.publicKey, recipients, token: tokenFieldId(tokenId), nonce })) {
+      throw new Error(`Invalid signature: '${sender.id}' did not sign this multi-transfer`);
+    }
+    const { signer_Ax, signer_Ay, ...signatureInput } = this.signerInputs(sender, signature);
+    return { sender_Ax: signer_Ax, sender_Ay: signer_Ay, ...signatureInput };
+  }
+
+  /**
+   * Check the sender's generic state transfer signature and map it to circuit inputs
+   * @param {Object} sender - Sender account
+   * @param {Object} transfer - Transfer, as for genericTransferMessage in babyjub-keys.mjs
+   * @param {string} signature - Packed EdDSA-Poseidon signature (hex)
+   * @returns {Object} - Signature inputs for the generic_state_transfer circuit
+   */
+  static genericSignatureInputs(sender, transfer, signature) {
+    if (!signature) {
+      throw new Error(`Transfer must be signed by the sender '${sender.id}'`);
+    }
+    if (!verifyGenericTransferSignature(signature, { from: sender.publicKey, ...transfer })) {
+      throw new Error(`Invalid signature: '${sender.id}' did not sign this transfer`);
+    }
+    const { signer_Ax, signer_Ay, ...signatureInput } = this.signerInputs(sender, signature);
+    return { sender_Ax: signer_Ax, sender_Ay: signer_Ay, ...signatureInput };
+  }
+
+  /**
+   * Check the owner's NFT transfer signature and map it to circuit inputs
+   * @param {Object} sender - Owner's account
+   * @param {Object} transfer - Transfer, as for nftTransferMessage in babyjub-keys.mjs
+   * @param {string} signature - Packed EdDSA-Poseidon signature (hex)
+   * @returns {Object} - Signature inputs for the nft_transfer circuit
+   */
+  static nftSignatureInputs(sender, transfer, signature) {
+    if (!signature) {
+      throw new Error(`NFT transfer must be signed by the owner '${sender.id}'`);
+    }
+    if (!verifyNftTransferSignature(signature, { from: sender.publicKey, ...transfer })) {
+      throw new Error(`Invalid signature: '${sender.id}' did not sign this NFT transfer`);
+    }
+    const { signer_Ax, signer_Ay, ...signatureInput } = this.signerInputs(sender, signature);
+    return { sender_Ax: signer_Ax, sender_Ay: signer_Ay, ...signatureInput };
+  }
+
+  /**
+   * Check an escrow step's signature and convert it to escrow circuit inputs
+   * @param {Object} signer - Signing account: the owner (open, reclaim) or the provider (release, refund)
+   * @param {Object} step - Escrow step, as for escrowMessage in babyjub-keys.mjs
+   * @param {string} signature - Packed EdDSA-Poseidon signature (hex)
+   * @returns {Object} - Signature inputs for the escrow circuit
+   */
+  static escrowSignatureInputs(signer, step, signature) {
+    if (!signature) {
+      throw new Error(`Escrow step must be signed by '${signer.id}'`);
+    }
+    if (!verifyEscrowSignature(signature, { signer: signer.publicKey, ...step })) {
+      throw new Error(`Invalid signature: '${signer.id}' did not sign this escrow step`);
+    }
+    return this.signerInputs(signer, signature);
+  }
+
+  /**
+   * Check a mint or burn signature and convert it to supply circuit inputs
+   * @param {Object} issuer - Token issuer's account
+   * @param {Object} change - Supply change, as for supplyMessage in babyjub-keys.mjs
+   * @param {string} signature - Packed EdDSA-Poseidon signature (hex)
+   * @returns {Object} - Signature inputs for the supply circuit
+   */
+  static supplySignatureInputs(issuer, change, signature) {
+    if (!signature) {
+      throw new Error(`Mints and burns must be signed by the token's issuer '${issuer.id}'`);
     }
+    if (!verifySupplySignature(signature, { signer: issuer.publicKey, ...change })) {
+      throw new Error(`Invalid signature: the issuer '${issuer.id}' did not sign this supply change`);
+    }
+    return this.signerInputs(issuer, signature);
+  }
+
+  /**
+   * Check one party's swap signature and convert it to that party's swap circuit inputs
+   * @param {Object} party - Party's account
+   * @param {string} role - 'a' or 'b', the party's side of the swap
+   * @param {Object} terms - Swap terms, as for swapMessage in babyjub-keys.mjs
+   * @param {string} signature - Packed EdDSA-Poseidon signature (hex)
+   * @returns {Object} - party_<role>_A* and sig_<role>_* inputs for the swap circuit
+   */
+  static swapSignatureInputs(party, role, terms, signature) {
+    if (!signature) {
+      throw new Error(`Swaps must be signed by both parties; '${party.id}' has not signed`);
+    }
+    if (!verifySwapSignature(signature, { signer: party.publicKey, ...terms })) {
+      throw new Error(`Invalid signature: '${party.id}' did not sign this swap`);
+    }
+    const { signer_Ax, signer_Ay, sig_S, sig_R8x, sig_R8y } = this.signerInputs(party, signature);
+    return {
+      [`party_${role}_Ax`]: signer_Ax,
+      [`party_${role}_Ay`]: signer_Ay,
+      [`sig_${role}_S`]: sig_S,
+      [`sig_${role}_R8x`]: sig_R8x,
+      [`sig_${role}_R8y`]: sig_R8y
+    };
+  }
+
+  // Signer key and signature as the escrow and supply circuits' signer_* and sig_* inputs
+  static signerInputs(signer, signature) {
+    const { R8, S } = unpackSignature(signature);
+    const [Ax, Ay] = unpackPublicKey(signer.publicKey).point;
+    return {
+      signer_Ax: String(Ax),
+      signer_Ay: String(Ay),
+      sig_S: String(S),
+      sig_R8x: String(R8[0]),
+      sig_R8y: String(R8[1])
+    };
   }
 
   /**
@@ -1,10 +1,6 @@
 import fs from "node:fs";
 import { execSync } from "node:child_process";
-import { bin } from "./utils.mjs";
-
-const PTAU_PREPARED = "pot14_final_prepared.ptau";
-const PTAU_FINAL = "pot14_final.ptau";
-const PTAU_INITIAL = "pot14_0000.ptau";
+import { bin, PTAU_POWER, PTAU_INITIAL, PTAU_FINAL, PTAU_PREPARED } from "./utils.mjs";
 
 // Check if the prepared file already exists
 if (fs.existsSync(PTAU_PREPARED)) {
@@ -12,12 +8,12 @@ if (fs.existsSync(PTAU_PREPARED)) {
   process.exit(0);
 }
 
-console.log("▶ Generating powers of tau files...");
+console.log(`▶ Generating powers of tau files (2^${PTAU_POWER} constraints)...`);
 
 // Generate initial powers of tau
 if (!fs.existsSync(PTAU_INITIAL)) {
   console.log("▶ Creating initial powers of tau...");
-  execSync(`${bin("snarkjs")} powersoftau new bn128 14 ${PTAU_INITIAL}`, { stdio: "inherit" });
+  execSync(`${bin("snarkjs")} powersoftau new bn128 ${PTAU_POWER} ${PTAU_INITIAL}`, { stdio: "inherit" });
 }
 
 // Contribute to the ceremony
@@ -50,7 +46,7 @@ try {
     console.log(`  - Cleaned up: ${PTAU_FINAL} (${(finalSize / 1024 / 1024).toFixed(1)} MB)`);
   }
   const preparedSize = fs.statSync(PTAU_PREPARED).size;
-  console.log(`  - Preserved: ${PTAU_PREPARED} (${(preparedSize / 1024 / 1024).toFixed(1)} MB) - required for Groth16 setup`);
+  console.log(`  - Preserved: ${PTAU_PREPARED} (${(preparedSize / 1024 / 1024).toFixed(1)} MB) - required for Groth16 and PLONK setup`);
   console.log(`  - Total disk space saved: ${(cleanedSize / 1024 / 1024).toFixed(1)} MB`);
 } catch (error) {
   console.log(`  - Warning: Could not clean up intermediate files: ${error.message}`);
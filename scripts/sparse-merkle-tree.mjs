@@ -0,0 +1,194 @@
+// Sparse Merkle Tree - fixed-depth Poseidon tree that only materializes non-empty nodes
+// Empty subtrees are represented by precomputed zero hashes, so depth 20-32 trees cost
+// storage proportional to the number of leaves actually set. Commits can also be versioned,
+// so the tree can be read as it was after any earlier versioned commit.
+import pkg from 'circomlibjs';
+
+const { poseidon } = pkg;
+
+export const MAX_TREE_DEPTH = 32;
+export const TREE_DEPTH = Number(process.env.TREE_DEPTH || 20);
+
+const zeroHashCache = new Map();
+
+/**
+ * Zero hashes for an empty tree: zeros[0] is the empty leaf, zeros[depth] the empty root
+ * @param {number} depth - Tree depth
+ * @returns {Array<bigint>} - depth + 1 zero hashes
+ */
+export function zeroHashes(depth) {
+  if (!zeroHashCache.has(depth)) {
+    const zeros = [0n];
+    for (let level = 1; level <= depth; level++) {
+      zeros.push(poseidon([zeros[level - 1], zeros[level - 1]]));
+    }
+    zeroHashCache.set(depth, zeros);
+  }
+  return zeroHashCache.get(depth);
+}
+
+/**
+ * Root reached by hashing a leaf up a path in the layout of getPath()
+ * @param {bigint} leaf - Leaf hash
+ * @param {Object} path - { siblings, pathBits }
+ * @returns {bigint} - Root
+ */
+export function rootFromPath(leaf, { siblings, pathBits }) {
+  let node = BigInt(leaf);
+  siblings.forEach((sibling, level) => {
+    node = BigInt(pathBits[level]) === 1n
+      ? poseidon([BigInt(sibling), node])
+      : poseidon([node, BigInt(sibling)]);
+  });
+  return node;
+}
+
+export class SparseMerkleTree {
+  /**
+   * Open a tree stored in the tree_nodes table, or an in-memory tree when db is null
+   * @param {Object|null} db - better-sqlite3 connection from getDb(), or null for an in-memory tree
+   * @param {Object} options - Tree options
+   * @param {string} options.treeId - Tree identifier (several trees can share one database)
+   * @param {number} options.depth - Tree depth (1-32)
+   * @param {number|null} options.version - Read the tree as of this commit version (read-only)
+   */
+  constructor(db, { treeId = 'state', depth = TREE_DEPTH, version = null } = {}) {
+    if (!Number.isInteger(depth) || depth < 1 || depth > MAX_TREE_DEPTH) {
+      throw new Error(`Tree depth must be an integer between 1 and ${MAX_TREE_DEPTH}, got ${depth}`);
+    }
+    this.db = db;
+    this.treeId = treeId;
+    this.depth = depth;
+    this.version = version;
+    this.zeros = zeroHashes(depth);
+    // Node writes not yet committed to the database (the whole tree for in-memory trees)
+    this.pending = new Map();
+
+    if (db) {
+      const stored = db.prepare("SELECT depth FROM trees WHERE tree_id = ?").get(treeId);
+      if (stored && stored.depth !== depth) {
+        throw new Error(`Tree '${treeId}' was built with depth ${stored.depth}, not ${depth}`);
+      }
+      // Opening a tree never writes; the trees row is added by the first commit
+      this.registered = Boolean(stored);
+      this.selectNode = db.prepare("SELECT hash FROM tree_nodes WHERE tree_id = ? AND level = ? AND idx = ?");
+      this.selectVersionedNode = db.prepare(`SELECT hash FROM tree_node_history
+        WHERE tree_id = ? AND level = ? AND idx = ? AND version <= ? ORDER BY version DESC LIMIT 1`);
+    }
+  }
+
+  get capacity() {
+    return 2 ** this.depth;
+  }
+
+  getNode(level, index) {
+    const key = `${level}:${index}`;
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+    if (this.db) {
+      const row = this.version === null
+        ? this.selectNode.get(this.treeId, level, index)
+        : this.selectVersionedNode.get(this.treeId, level, index, this.version);
+      if (row) return BigInt(row.hash);
+    }
+    return this.zeros[level];
+  }
+
+  root() {
+    return this.getNode(this.depth, 0);
+  }
+
+  getLeaf(index) {
+    this.checkIndex(index);
+    return this.getNode(0, index);
+  }
+
+  /**
+   * Sibling hashes and path bits from leaf to root, in the layout the circuits expect
+   * @param {number} index - Leaf index
+   * @returns {Object} - { siblings, pathBits } (pathBits[d] is 1 when the node is a right child)
+   */
+  getPath(index) {
+    this.checkIndex(index);
+    const siblings = [];
+    const pathBits = [];
+    let idx = index;
+    for (let level = 0; level < this.depth; level++) {
+      const isRight = idx % 2;
+      siblings.push(this.getNode(level, isRight ? idx - 1 : idx + 1));
+      pathBits.push(BigInt(isRight));
+      idx = Math.floor(idx / 2);
+    }
+    return { siblings, pathBits };
+  }
+
+  /**
+   * Set a leaf and recompute its path to the root; changes stay pending until commit()
+   * @param {number} index - Leaf index
+   * @param {bigint} leaf - Leaf hash (0n empties the leaf)
+   * @returns {bigint} - New root
+   */
+  update(index, leaf) {
+    if (this.version !== null) {
+      throw new Error(`Tree '${this.treeId}' is opened read-only at version ${this.version}`);
+    }
+    this.checkIndex(index);
+    let idx = index;
+    let node = BigInt(leaf);
+    this.pending.set(`0:${idx}`, node);
+    for (let level = 1; level <= this.depth; level++) {
+      const isRight = idx % 2;
+      const sibling = this.getNode(level - 1, isRight ? idx - 1 : idx + 1);
+      node = isRight ? poseidon([sibling, node]) : poseidon([node, sibling]);
+      idx = Math.floor(idx / 2);
+      this.pending.set(`${level}:${idx}`, node);
+    }
+    return node;
+  }
+
+  /**
+   * Write pending node changes to the database; nodes equal to the zero hash are deleted
+   * Runs inside the caller's transaction if one is open on the same connection.
+   * @param {number|null} version - Also keep the changed nodes (zero hashes included) under this version,
+   *   which must be higher than every earlier version of the tree
+   */
+  commit(version = null) {
+    if (!this.db || this.version !== null || (this.registered && this.pending.size === 0)) return;
+
+    const upsert = this.db.prepare(`INSERT INTO tree_nodes (tree_id, level, idx, hash) VALUES (?, ?, ?, ?)
+      ON CONFLICT(tree_id, level, idx) DO UPDATE SET hash = excluded.hash`);
+    const remove = this.db.prepare("DELETE FROM tree_nodes WHERE tree_id = ? AND level = ? AND idx = ?");
+    const keep = this.db.prepare(`INSERT OR REPLACE INTO tree_node_history (tree_id, level, idx, version, hash)
+      VALUES (?, ?, ?, ?, ?)`);
+    const write = this.db.transaction(() => {
+      if (!this.registered) {
+        this.db.prepare("INSERT OR IGNORE INTO trees (tree_id, depth) VALUES (?, ?)").run(this.treeId, this.depth);
+      }
+      for (const [key, hash] of this.pending) {
+        const [level, idx] = key.split(':').map(Number);
+        if (hash === this.zeros[level]) {
+          remove.run(this.treeId, level, idx);
+        } else {
+          upsert.run(this.treeId, level, idx, String(hash));
+        }
+        if (version !== null) {
+          keep.run(this.treeId, level, idx, version, String(hash));
+        }
+      }
+    });
+    write();
+    this.registered = true;
+    this.pending.clear();
+  }
+
+  discard() {
+    if (this.db) this.pending.clear();
+  }
+
+  checkIndex(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.capacity) {
+      throw new Error(`Leaf index ${index} is outside tree of depth ${this.depth}`);
+    }
+  }
+}
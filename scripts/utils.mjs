@@ -1,7 +1,10 @@
 import fs from "node:fs";
 import path from "node:path";
+import { createHash } from "node:crypto";
 import sqlite from "better-sqlite3";
 import pkg from 'circomlibjs';
+import { SparseMerkleTree, TREE_DEPTH } from './sparse-merkle-tree.mjs';
+import { demoPrivateKey, publicKeyFromPrivate, publicKeyHash } from './babyjub-keys.mjs';
 
 const { poseidon } = pkg;
 
@@ -11,54 +14,197 @@ export const pHash2 = (a,b) => poseidon([a,b]);
 export const pHash3 = (a,b,c) => poseidon([a,b,c]);
 export const pHash4 = (a,b,c,d) => poseidon([a,b,c,d]);
 export const pHash5 = (a,b,c,d,e) => poseidon([a,b,c,d,e]);
+export const pHash6 = (a,b,c,d,e,f) => poseidon([a,b,c,d,e,f]);
 
-// ---------- Merkle (fixed-depth, Poseidon) ----------
-export function buildEmptyTree(depth) {
-  const layers = [];
-  // layer 0: leaves, start empty
-  layers[0] = Array(1 << depth).fill(0n);
-  // precompute upper layers from zeros
-  for (let d = 1; d <= depth; d++) {
-    const prev = layers[d-1];
-    const cur = [];
-    for (let i=0;i<prev.length;i+=2) cur.push(pHash2(prev[i], prev[i+1]));
-    layers[d] = cur;
+// ---------- Account state tree (sparse, Poseidon) ----------
+export { TREE_DEPTH };
+export const STATE_TREE_ID = 'state';
+
+// Leaf committed for each account at accounts.tree_index
+export const accountLeaf = (acc) => pHash3(acc.pub, acc.bal, acc.nonce);
+
+// The token whose holdings are the account balances: the account tree circuits (transfer, batch_transfer,
+// multi_transfer) prove this token and no other, and no other circuit moves it
+export const ACCOUNT_TOKEN = process.env.ACCOUNT_TOKEN || 'GOLD';
+
+// The account token's holdings carry the balances as decimal strings, exact like accounts.balance; other fungible
+// holdings are numbers. Moves a fungible state by delta and keeps its form.
+export const moveFungibleState = (state, delta) =>
+  typeof state === 'string' ? String(BigInt(state) + BigInt(delta)) : state + delta;
+
+export function getStateTree(db, version = null) {
+  // Reads go through db lazily, so keep the connection open while the tree is in use
+  return new SparseMerkleTree(db, { treeId: STATE_TREE_ID, depth: TREE_DEPTH, version });
+}
+
+function commitStateTree(db, tree, accounts, { cause, txId = null, batchId = null, accountId = null }) {
+  // Every committed root is recorded with what produced it and its predecessor; the changed nodes and
+  // account leaves are kept under the record's seq, so the tree can be read as of any recorded root
+  const prev = db.prepare("SELECT root FROM state_roots ORDER BY seq DESC LIMIT 1").get();
+  const { lastInsertRowid } = db.prepare(`INSERT INTO state_roots
+    (root, prev_root, cause, tx_id, batch_id, account_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)`)
+    .run(String(tree.root()), prev?.root ?? null, cause, txId, batchId, accountId, Date.now());
+  const seq = Number(lastInsertRowid);
+
+  const keep = db.prepare(`INSERT INTO account_states (seq, account_id, tree_index, pub_key, balance, nonce, closed)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`);
+  for (const { id, publicKey, bal, nonce, idx, closed = false } of accounts) {
+    keep.run(seq, id, idx, publicKey, String(bal), String(nonce), closed ? 1 : 0);
   }
-  return layers; // layers[depth][0] is root
+  tree.commit(seq);
+  updateAccountTokenHoldings(db, accounts);
+  updateTokenTreeLeaves(db, db.prepare("SELECT * FROM tokens").all().map(row => toTokenRecord(row, [])), accounts);
+  return seq;
 }
 
-export function treeRoot(layers) {
-  return layers[layers.length-1][0];
+export function previewSequentialTransition(updates) {
+  // Apply [{ idx, leaf }] one at a time, without writing to the tree; each step's path is valid
+  // for its old leaf under step.rootBefore and for its new leaf under step.rootAfter
+  const db = getDb();
+  try {
+    const tree = getStateTree(db);
+    const rootBefore = tree.root();
+    const steps = updates.map(({ idx, leaf }) => {
+      const step = { rootBefore: tree.root(), path: tree.getPath(idx) };
+      step.rootAfter = tree.update(idx, leaf);
+      return step;
+    });
+    const rootAfter = tree.root();
+    tree.discard();
+    return { rootBefore, rootAfter, steps };
+  } finally {
+    db.close();
+  }
 }
 
-export function updateLeaf(layers, index, leaf) {
-    layers[0][index] = leaf;
-    let idx = index;
-    for (let d = 1; d < layers.length; d++) {
-      const parentIdx = Math.floor(idx/2);
-      const left = layers[d-1][parentIdx*2];
-      const right = layers[d-1][parentIdx*2+1];
-      layers[d][parentIdx] = pHash2(left, right);
-      idx = parentIdx;
+function migrateLegacyPublicKeys(db) {
+  // Accounts created before signatures stored bare numbers as pub_key; give them demo Baby Jubjub
+  // keys and drop the state tree so syncStateTree rebuilds it with the new leaves
+  const legacy = db.prepare("SELECT id FROM accounts WHERE length(pub_key) != 64").all();
+  if (legacy.length === 0) return;
+
+  console.log(`▶ Migrating ${legacy.length} legacy account key(s) to Baby Jubjub demo keys...`);
+  db.transaction(() => {
+    const update = db.prepare("UPDATE accounts SET pub_key = ? WHERE id = ?");
+    for (const { id } of legacy) {
+      update.run(publicKeyFromPrivate(demoPrivateKey(id)), id);
     }
+    db.prepare("DELETE FROM trees WHERE tree_id = ?").run(STATE_TREE_ID);
+  })();
+}
+
+function syncStateTree(db) {
+  // The state tree is derived from the accounts table; (re)build it when missing or built at another depth
+  const stored = db.prepare("SELECT depth FROM trees WHERE tree_id = ?").get(STATE_TREE_ID);
+  if (stored && stored.depth === TREE_DEPTH) return;
+
+  console.log(`▶ Building account state tree (depth ${TREE_DEPTH})...`);
+  db.transaction(() => {
+    // Versions from before a rebuild may be at another depth, so roots recorded before it can no longer be read
+    db.prepare("DELETE FROM tree_nodes WHERE tree_id = ?").run(STATE_TREE_ID);
+    db.prepare("DELETE FROM tree_node_history WHERE tree_id = ?").run(STATE_TREE_ID);
+    db.prepare("DELETE FROM trees WHERE tree_id = ?").run(STATE_TREE_ID);
+    const tree = getStateTree(db);
+    const accounts = db.prepare("SELECT * FROM accounts").all().map(toAccount);
+    for (const acc of accounts) {
+      tree.update(acc.idx, accountLeaf(acc));
+    }
+    commitStateTree(db, tree, accounts, { cause: 'rebuild' });
+  })();
+}
+
+function seedStateRootHistory(db) {
+  // Databases from before root history start it with a snapshot of the current tree and accounts
+  if (db.prepare("SELECT 1 FROM state_roots LIMIT 1").get()) return;
+
+  db.transaction(() => {
+    const accounts = db.prepare("SELECT * FROM accounts").all().map(toAccount);
+    const seq = commitStateTree(db, getStateTree(db), accounts, { cause: 'snapshot' });
+    db.prepare(`INSERT INTO tree_node_history (tree_id, level, idx, version, hash)
+      SELECT tree_id, level, idx, ?, hash FROM tree_nodes WHERE tree_id = ?`).run(seq, STATE_TREE_ID);
+  })();
+}
+
+function backfillTotalSupply(db) {
+  // Fungible tokens created before supply tracking start from the sum of their holdings
+  db.prepare(`UPDATE tokens SET total_supply = (
+      SELECT CAST(COALESCE(SUM(json_extract(state, '$.state')), 0) AS TEXT) FROM token_holdings WHERE token_id = tokens.id)
+    WHERE type = 0 AND total_supply IS NULL`).run();
+}
+
+function syncAccountTokenHoldings(db) {
+  // The account token's holdings are the account balances (none for an empty balance) and its total supply
+  // their sum; rewrite what differs
+  const token = db.prepare("SELECT total_supply FROM tokens WHERE id = ?").get(ACCOUNT_TOKEN);
+  if (!token) return;
+
+  const balances = db.prepare("SELECT id, balance FROM accounts").all();
+  const holdings = new Map(db.prepare("SELECT account_id, state FROM token_holdings WHERE token_id = ?")
+    .all(ACCOUNT_TOKEN).map(({ account_id, state }) => [account_id, state]));
+  const upsert = db.prepare(`INSERT INTO token_holdings (token_id, account_id, state) VALUES (?, ?, ?)
+    ON CONFLICT(token_id, account_id) DO UPDATE SET state = excluded.state`);
+  for (const { id, balance } of balances.filter(({ balance }) => BigInt(balance) !== 0n)) {
+    const state = JSON.stringify({ state: String(BigInt(balance)) });
+    if (holdings.get(id) !== state) upsert.run(ACCOUNT_TOKEN, id, state);
+    holdings.delete(id);
   }
-  
-  export function merklePath(layers, index) {
-    const depth = layers.length-1;
-    const siblings = [];
-    const pathBits = [];
-    let idx = index;
-    for (let d=0; d<depth; d++) {
-      const isRight = idx % 2;
-      const sibIdx = isRight ? idx - 1 : idx + 1;
-      siblings.push(layers[d][sibIdx]);
-      pathBits.push(BigInt(isRight));
-      idx = Math.floor(idx/2);
+  const remove = db.prepare("DELETE FROM token_holdings WHERE token_id = ? AND account_id = ?");
+  for (const id of holdings.keys()) {
+    remove.run(ACCOUNT_TOKEN, id);
+  }
+
+  const totalSupply = String(balances.reduce((sum, { balance }) => sum + BigInt(balance), 0n));
+  if (token.total_supply !== totalSupply) {
+    db.prepare("UPDATE tokens SET total_supply = ? WHERE id = ?").run(totalSupply, ACCOUNT_TOKEN);
+  }
+}
+
+function updateAccountTokenHoldings(db, accounts) {
+  // As syncAccountTokenHoldings, for the accounts a state tree commit changed: their holdings follow their balances
+  // (a closed account holds none) and the total supply moves by the difference
+  const token = db.prepare("SELECT total_supply FROM tokens WHERE id = ?").get(ACCOUNT_TOKEN);
+  if (!token) return;
+
+  const select = db.prepare("SELECT state FROM token_holdings WHERE token_id = ? AND account_id = ?");
+  const upsert = db.prepare(`INSERT INTO token_holdings (token_id, account_id, state) VALUES (?, ?, ?)
+    ON CONFLICT(token_id, account_id) DO UPDATE SET state = excluded.state`);
+  const remove = db.prepare("DELETE FROM token_holdings WHERE token_id = ? AND account_id = ?");
+  let change = 0n;
+  for (const { id, bal, closed = false } of accounts) {
+    const holding = select.get(ACCOUNT_TOKEN, id);
+    const balance = closed ? 0n : BigInt(bal);
+    change += balance - (holding ? BigInt(JSON.parse(holding.state).state) : 0n);
+    if (balance === 0n) {
+      remove.run(ACCOUNT_TOKEN, id);
+    } else {
+      upsert.run(ACCOUNT_TOKEN, id, JSON.stringify({ state: String(balance) }));
     }
-    return { siblings, pathBits };
   }
+  if (change !== 0n) {
+    db.prepare("UPDATE tokens SET total_supply = ? WHERE id = ?").run(String(BigInt(token.total_supply ?? 0) + change), ACCOUNT_TOKEN);
+  }
+}
 
-  // ---------- SQLite ----------
+function migrateAccountTokenHoldings(db) {
+  // State tree commits keep the account token's holdings in step (see updateAccountTokenHoldings); databases from
+  // before that, or whose holdings held the balances as numbers (user_version 1), are brought in step once, recorded
+  // in user_version
+  if (db.pragma("user_version", { simple: true }) >= 2) return;
+  db.transaction(() => {
+    syncAccountTokenHoldings(db);
+    db.pragma("user_version = 2");
+  })();
+}
+
+function addColumnIfMissing(db, table, column, definition) {
+  // CREATE TABLE IF NOT EXISTS leaves existing tables alone, so new columns are added here
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(({ name }) => name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// ---------- SQLite ----------
 export function getDb() {
     fs.mkdirSync("data", { recursive: true });
     const db = sqlite("data/tx_logs.sqlite");
@@ -85,6 +231,33 @@ export function getDb() {
       ledger_timestamp INTEGER)
     `);
     
+    // Transfers proven by a batch proof link to their batch
+    addColumnIfMissing(db, "tx_logs", "batch_id", "TEXT");
+    // What the row records: a transfer, an escrow step, a mint or burn of the token's supply, a two-token swap,
+    // or a transfer from one sender to several recipients
+    addColumnIfMissing(db, "tx_logs", "operation", "TEXT NOT NULL DEFAULT 'transfer'");
+    // Public ledger write of a committed row: 'written', 'pending' while a slow ledger's write waits for the
+    // job worker, or 'failed' with the last error until a retry succeeds; 'abandoned' once ledger_attempts
+    // failed writes reach LEDGER_MAX_ATTEMPTS
+    addColumnIfMissing(db, "tx_logs", "ledger_status", "TEXT");
+    addColumnIfMissing(db, "tx_logs", "ledger_error", "TEXT");
+    addColumnIfMissing(db, "tx_logs", "ledger_attempts", "INTEGER NOT NULL DEFAULT 0");
+    // Swap parties sign the swap's number, so each number is recorded once
+    db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS tx_logs_swap_seq ON tx_logs (json_extract(transfer_params, '$.seq'))
+      WHERE operation = 'swap'`);
+    
+    // Recipients of a multi-transfer, in proof order; its tx_logs row names the first one as receiver
+    db.exec(`CREATE TABLE IF NOT EXISTS tx_recipients (
+      tx_id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      receiver_id TEXT NOT NULL,
+      amount TEXT NOT NULL,
+      state_before TEXT NOT NULL,
+      state_after TEXT NOT NULL,
+      PRIMARY KEY (tx_id, position))
+    `);
+    db.exec("CREATE INDEX IF NOT EXISTS tx_recipients_receiver ON tx_recipients (receiver_id)");
+    
     db.exec(`CREATE TABLE IF NOT EXISTS accounts (
       id TEXT PRIMARY KEY,
       pub_key TEXT NOT NULL,
@@ -93,21 +266,166 @@ export function getDb() {
       tree_index INTEGER NOT NULL)
     `);
     
-    // Initialize demo accounts if they don't exist
+    db.exec(`CREATE TABLE IF NOT EXISTS tokens (
+      id TEXT PRIMARY KEY,
+      type INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      issuer TEXT NOT NULL,
+      metadata TEXT NOT NULL,
+      created_at INTEGER NOT NULL)
+    `);
+    
+    // Fungible tokens track their total supply and how many mints and burns changed it
+    addColumnIfMissing(db, "tokens", "total_supply", "TEXT");
+    addColumnIfMissing(db, "tokens", "supply_seq", "INTEGER NOT NULL DEFAULT 0");
+    
+    db.exec(`CREATE TABLE IF NOT EXISTS token_holdings (
+      token_id TEXT NOT NULL,
+      account_id TEXT NOT NULL,
+      state TEXT NOT NULL,
+      PRIMARY KEY (token_id, account_id))
+    `);
+    
+    // Sparse Merkle tree nodes; only non-empty nodes are stored
+    db.exec(`CREATE TABLE IF NOT EXISTS trees (
+      tree_id TEXT PRIMARY KEY,
+      depth INTEGER NOT NULL)
+    `);
+    
+    db.exec(`CREATE TABLE IF NOT EXISTS tree_nodes (
+      tree_id TEXT NOT NULL,
+      level INTEGER NOT NULL,
+      idx INTEGER NOT NULL,
+      hash TEXT NOT NULL,
+      PRIMARY KEY (tree_id, level, idx))
+    `);
+    
+    // Every node written by a versioned commit, zero hashes included, to read the tree as of an earlier root
+    db.exec(`CREATE TABLE IF NOT EXISTS tree_node_history (
+      tree_id TEXT NOT NULL,
+      level INTEGER NOT NULL,
+      idx INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      hash TEXT NOT NULL,
+      PRIMARY KEY (tree_id, level, idx, version))
+    `);
+    
+    // Every committed state root, what produced it and its predecessor; seq is the tree version
+    db.exec(`CREATE TABLE IF NOT EXISTS state_roots (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      root TEXT NOT NULL,
+      prev_root TEXT,
+      cause TEXT NOT NULL,
+      tx_id TEXT,
+      batch_id TEXT,
+      account_id TEXT,
+      created_at INTEGER NOT NULL)
+    `);
+    db.exec("CREATE INDEX IF NOT EXISTS state_roots_root ON state_roots (root)");
+    
+    // Account leaf preimages as of each state root that changed them
+    db.exec(`CREATE TABLE IF NOT EXISTS account_states (
+      seq INTEGER NOT NULL,
+      account_id TEXT NOT NULL,
+      tree_index INTEGER NOT NULL,
+      pub_key TEXT NOT NULL,
+      balance TEXT NOT NULL,
+      nonce TEXT NOT NULL,
+      closed INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (account_id, seq))
+    `);
+    
+    // Signed transfers waiting for the next batch, and the batch proofs that committed them
+    db.exec(`CREATE TABLE IF NOT EXISTS pending_transfers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      token_id TEXT NOT NULL,
+      sender_id TEXT NOT NULL,
+      receiver_id TEXT NOT NULL,
+      amount TEXT NOT NULL,
+      nonce TEXT NOT NULL,
+      signature TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      error TEXT,
+      batch_id TEXT,
+      created_at INTEGER NOT NULL)
+    `);
+    
+    db.exec(`CREATE TABLE IF NOT EXISTS batches (
+      batch_id TEXT PRIMARY KEY,
+      tx_count INTEGER NOT NULL,
+      root_before TEXT NOT NULL,
+      root_after TEXT NOT NULL,
+      batch_hash TEXT NOT NULL,
+      proof_json TEXT NOT NULL,
+      public_inputs TEXT NOT NULL,
+      proof_metadata TEXT,
+      ledger_metadata TEXT,
+      created_at INTEGER NOT NULL)
+    `);
+    addColumnIfMissing(db, "batches", "ledger_status", "TEXT");
+    addColumnIfMissing(db, "batches", "ledger_error", "TEXT");
+    addColumnIfMissing(db, "batches", "ledger_attempts", "INTEGER NOT NULL DEFAULT 0");
+    
+    // Transfers accepted over HTTP wait here for the background proof worker
+    db.exec(`CREATE TABLE IF NOT EXISTS jobs (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      params TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued',
+      tx_id TEXT,
+      result TEXT,
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL)
+    `);
+    
+    // Escrowed tokens: who may release or refund them, and the steps that opened and closed them
+    db.exec(`CREATE TABLE IF NOT EXISTS escrows (
+      id TEXT PRIMARY KEY,
+      token_id TEXT NOT NULL,
+      seq INTEGER NOT NULL,
+      owner_id TEXT NOT NULL,
+      beneficiary_id TEXT NOT NULL,
+      provider_id TEXT NOT NULL,
+      amount TEXT NOT NULL,
+      expires_at INTEGER,
+      status TEXT NOT NULL DEFAULT 'open',
+      open_tx_id TEXT NOT NULL,
+      close_tx_id TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      UNIQUE (token_id, seq))
+    `);
+    
+    // Initialize demo accounts if they don't exist (keys derived from the account ID, demo only)
     const count = db.prepare("SELECT COUNT(*) as count FROM accounts").get();
     if (count.count === 0) {
       const stmt = db.prepare("INSERT INTO accounts (id, pub_key, balance, nonce, tree_index) VALUES (?, ?, ?, ?, ?)");
-      stmt.run("alice", "11", "500000", "7", 3);
-      stmt.run("bob", "22", "120000", "42", 9);
-      stmt.run("carol", "33", "70000", "1", 0);
-      stmt.run("dan", "44", "90000", "2", 15);
+      stmt.run("alice", publicKeyFromPrivate(demoPrivateKey("alice")), "500000", "7", 3);
+      stmt.run("bob", publicKeyFromPrivate(demoPrivateKey("bob")), "120000", "42", 9);
+      stmt.run("carol", publicKeyFromPrivate(demoPrivateKey("carol")), "70000", "1", 0);
+      stmt.run("dan", publicKeyFromPrivate(demoPrivateKey("dan")), "90000", "2", 15);
     }
     
+    migrateLegacyPublicKeys(db);
+    
+    // One account per leaf and per public key
+    db.exec("CREATE UNIQUE INDEX IF NOT EXISTS accounts_tree_index ON accounts (tree_index)");
+    db.exec("CREATE UNIQUE INDEX IF NOT EXISTS accounts_pub_key ON accounts (pub_key)");
+    
+    syncStateTree(db);
+    seedStateRootHistory(db);
+    backfillTotalSupply(db);
+    migrateAccountTokenHoldings(db);
+    syncTokenTrees(db);
+    
     return db;
 }
 
-export function persistTx({tx_id, sender_id, receiver_id, amount, ts, root_before, root_after, proof_json, public_inputs, circuit_version, vkey_version, proofMetadata = null}) {
-  const db = getDb();
+export function persistTx({tx_id, sender_id, receiver_id, amount, ts, root_before, root_after, proof_json, public_inputs, circuit_version, vkey_version, proofMetadata = null}, conn = null) {
+  // Pass conn to save inside the caller's transaction
+  const db = conn || getDb();
   
   // Helper function to safely stringify objects with BigInt values
   const safeStringify = (obj) => {
@@ -117,7 +435,7 @@ export function persistTx({tx_id, sender_id, receiver_id, amount, ts, root_befor
   };
   
   // For backward compatibility, we'll use default values for new required fields
-  const token_id = 'GOLD'; // Default token for legacy transfers
+  const token_id = ACCOUNT_TOKEN; // Legacy transfers move account balances
   const token_type = 0;    // Default to fungible
   const transfer_params = JSON.stringify({ amount: Number(amount) });
   
@@ -138,7 +456,7 @@ export function persistTx({tx_id, sender_id, receiver_id, amount, ts, root_befor
     stmt.run(tx_id, token_id, token_type, sender_id, receiver_id, transfer_params, ts, String(root_before), String(root_after), safeStringify(proof_json), safeStringify(public_inputs), circuit_version, vkey_version);
   }
   
-  db.close();
+  if (!conn) db.close();
 }
 
 export function getLastTx() {
@@ -159,22 +477,42 @@ export function getLastTx() {
   return row;
 }
 
+export function getTransaction(txId) {
+  const db = getDb();
+  const row = db.prepare("SELECT * FROM tx_logs WHERE tx_id = ?").get(txId);
+  const recipients = row?.operation === 'multi_transfer' ? getTxRecipients(txId, db) : null;
+  db.close();
+  
+  if (!row) return null;
+  return {
+    ...row,
+    proof_json: JSON.parse(row.proof_json),
+    public_inputs: JSON.parse(row.public_inputs),
+    proof_metadata: row.proof_metadata ? JSON.parse(row.proof_metadata) : null,
+    ledger_metadata: row.ledger_metadata ? JSON.parse(row.ledger_metadata) : null,
+    // A multi-transfer's recipients are its child records
+    ...(recipients && { recipients })
+  };
+}
+
 export function getAllTransactions(accountId = null) {
   const db = getDb();
   let rows;
   
   if (accountId) {
-    // Get transactions where the account is either sender or receiver
+    // Get transactions where the account is either sender or receiver, or one of a multi-transfer's recipients
     rows = db.prepare(`
       SELECT * FROM tx_logs 
-      WHERE sender_id = ? OR receiver_id = ? 
+      WHERE sender_id = ? OR receiver_id = ? OR tx_id IN (SELECT tx_id FROM tx_recipients WHERE receiver_id = ?)
       ORDER BY ts DESC
-    `).all(accountId, accountId);
+    `).all(accountId, accountId, accountId);
   } else {
     // Get all transactions
     rows = db.prepare(`SELECT * FROM tx_logs ORDER BY ts DESC`).all();
   }
   
+  const recipients = new Map(rows.filter(row => row.operation === 'multi_transfer')
+    .map(row => [row.tx_id, getTxRecipients(row.tx_id, db)]));
   db.close();
   
   // Parse proof_json, public_inputs, proof_metadata, and ledger_metadata from strings to JSON objects
@@ -183,85 +521,789 @@ export function getAllTransactions(accountId = null) {
     proof_json: JSON.parse(row.proof_json),
     public_inputs: JSON.parse(row.public_inputs),
     proof_metadata: row.proof_metadata ? JSON.parse(row.proof_metadata) : null,
-    ledger_metadata: row.ledger_metadata ? JSON.parse(row.ledger_metadata) : null
+    ledger_metadata: row.ledger_metadata ? JSON.parse(row.ledger_metadata) : null,
+    ...(recipients.has(row.tx_id) && { recipients: recipients.get(row.tx_id) })
   }));
 }
 
 // ---------- Account Management ----------
-export function getAllAccounts() {
-  const db = getDb();
-  const accounts = db.prepare("SELECT * FROM accounts").all();
-  db.close();
-  return accounts.map(acc => ({
+function toAccount(acc) {
+  return {
     id: acc.id,
-    pub: BigInt(acc.pub_key),
+    publicKey: acc.pub_key,
+    pub: publicKeyHash(acc.pub_key),
     bal: BigInt(acc.balance),
     nonce: BigInt(acc.nonce),
     idx: acc.tree_index
-  }));
+  };
 }
 
-export function getAccount(accountId) {
+export function getAllAccounts() {
   const db = getDb();
-  const acc = db.prepare("SELECT * FROM accounts WHERE id = ?").get(accountId);
+  const accounts = db.prepare("SELECT * FROM accounts").all();
   db.close();
-  if (!acc) return null;
+  return accounts.map(toAccount);
+}
+
+export function getAccount(accountId, db = null) {
+  const conn = db || getDb();
+  const acc = conn.prepare("SELECT * FROM accounts WHERE id = ?").get(accountId);
+  if (!db) conn.close();
+  return acc ? toAccount(acc) : null;
+}
+
+export function getAccountByPublicKey(publicKey, db = null) {
+  const conn = db || getDb();
+  const acc = conn.prepare("SELECT * FROM accounts WHERE pub_key = ?").get(publicKey);
+  if (!db) conn.close();
+  return acc ? toAccount(acc) : null;
+}
+
+export function getAccountHoldings(accountId, db = null) {
+  const conn = db || getDb();
+  const rows = conn.prepare("SELECT token_id, state FROM token_holdings WHERE account_id = ?").all(accountId);
+  if (!db) conn.close();
+  return Object.fromEntries(rows.map(row => [row.token_id, JSON.parse(row.state)]));
+}
+
+export function getStateRoot(db = null) {
+  const conn = db || getDb();
+  const root = getStateTree(conn).root();
+  if (!db) conn.close();
+  return root;
+}
+
+export function getInclusionProof(accountId, root = null) {
+  // Leaf, path and root are read in one transaction, so they belong to the same committed state
+  // With a root, the account and the tree are read as they were when that root was last committed
+  const db = getDb();
+  try {
+    return db.transaction(() => {
+      if (root === null) {
+        const acc = getAccount(accountId, db);
+        if (!acc) return null;
+        const tree = getStateTree(db);
+        return { account: acc, ...tree.getPath(acc.idx), depth: tree.depth, root: tree.root() };
+      }
+
+      const record = findStateRoot(db, root);
+      if (!record) {
+        throw new Error(`State root ${root} is not recorded`);
+      }
+      const rebuild = db.prepare("SELECT MAX(seq) AS seq FROM state_roots WHERE cause = 'rebuild'").get();
+      if (rebuild.seq !== null && record.seq < rebuild.seq) {
+        throw new Error(`State root ${root} was recorded before the state tree was rebuilt and can no longer be read`);
+      }
+      const state = db.prepare(`SELECT * FROM account_states WHERE account_id = ? AND seq <= ?
+        ORDER BY seq DESC LIMIT 1`).get(accountId, record.seq);
+      if (!state || state.closed) return null;
+
+      const tree = getStateTree(db, record.seq);
+      return {
+        account: toAccount({ ...state, id: state.account_id }),
+        ...tree.getPath(state.tree_index),
+        depth: tree.depth,
+        root: tree.root()
+      };
+    })();
+  } finally {
+    db.close();
+  }
+}
+
+// ---------- State root history ----------
+function toStateRoot(row) {
   return {
-    id: acc.id,
-    pub: BigInt(acc.pub_key),
-    bal: BigInt(acc.balance),
-    nonce: BigInt(acc.nonce),
-    idx: acc.tree_index
+    seq: row.seq,
+    root: row.root,
+    prevRoot: row.prev_root,
+    cause: row.cause,
+    txId: row.tx_id,
+    batchId: row.batch_id,
+    accountId: row.account_id,
+    createdAt: row.created_at
   };
 }
 
+function findStateRoot(db, root) {
+  // A root can recur (e.g. a register undone by a close); its latest occurrence describes the current history
+  return db.prepare("SELECT * FROM state_roots WHERE root = ? ORDER BY seq DESC LIMIT 1").get(String(root));
+}
+
+export function getStateRoots({ limit = 100, offset = 0 } = {}) {
+  // Newest first
+  const db = getDb();
+  const rows = db.prepare("SELECT * FROM state_roots ORDER BY seq DESC LIMIT ? OFFSET ?").all(limit, offset);
+  const { total } = db.prepare("SELECT COUNT(*) AS total FROM state_roots").get();
+  db.close();
+  return { total, roots: rows.map(toStateRoot) };
+}
+
+export function getStateRootRecord(root) {
+  const db = getDb();
+  try {
+    const row = findStateRoot(db, root);
+    if (!row) return null;
+    const next = db.prepare("SELECT root FROM state_roots WHERE seq > ? ORDER BY seq LIMIT 1").get(row.seq);
+    const { occurrences } = db.prepare("SELECT COUNT(*) AS occurrences FROM state_roots WHERE root = ?").get(row.root);
+    const accounts = db.prepare("SELECT account_id, closed FROM account_states WHERE seq = ? ORDER BY account_id").all(row.seq);
+    return {
+      ...toStateRoot(row),
+      nextRoot: next?.root ?? null,
+      occurrences,
+      accounts: accounts.map(({ account_id, closed }) => ({ accountId: account_id, closed: !!closed }))
+    };
+  } finally {
+    db.close();
+  }
+}
+
+export function insertAccount({ id, publicKey, bal = 0n, nonce = 0n }, db = null) {
+  // Takes the lowest tree_index not held by an account and writes the row and its leaf together
+  const conn = db || getDb();
+  const account = conn.transaction(() => {
+    const { idx } = conn.prepare(`SELECT 0 AS idx WHERE NOT EXISTS (SELECT 1 FROM accounts WHERE tree_index = 0)
+      UNION ALL
+      SELECT a.tree_index + 1 FROM accounts a WHERE NOT EXISTS (SELECT 1 FROM accounts b WHERE b.tree_index = a.tree_index + 1)
+      ORDER BY idx LIMIT 1`).get();
+    const tree = getStateTree(conn);
+    if (idx >= tree.capacity) {
+      throw new Error(`State tree is full (${tree.capacity} accounts at depth ${tree.depth})`);
+    }
+    conn.prepare("INSERT INTO accounts (id, pub_key, balance, nonce, tree_index) VALUES (?, ?, ?, ?, ?)")
+      .run(id, publicKey, String(bal), String(nonce), idx);
+    const acc = { id, publicKey, pub: publicKeyHash(publicKey), bal: BigInt(bal), nonce: BigInt(nonce), idx };
+    tree.update(idx, accountLeaf(acc));
+    commitStateTree(conn, tree, [acc], { cause: 'register', accountId: id });
+    return acc;
+  })();
+  if (!db) conn.close();
+  return account;
+}
+
+export function deleteAccount(accountId, db = null) {
+  // Zeroes the account's leaf so its tree_index can be allocated again
+  const conn = db || getDb();
+  conn.transaction(() => {
+    const acc = conn.prepare("SELECT * FROM accounts WHERE id = ?").get(accountId);
+    if (!acc) throw new Error(`Account '${accountId}' not found`);
+    conn.prepare("DELETE FROM accounts WHERE id = ?").run(accountId);
+    const tree = getStateTree(conn);
+    tree.update(acc.tree_index, 0n);
+    commitStateTree(conn, tree, [{ ...toAccount(acc), closed: true }], { cause: 'close', accountId });
+  })();
+  if (!db) conn.close();
+}
+
+export function checkNextNonce(account, nonce) {
+  // Replay protection: a transfer must carry exactly the sender's next nonce (current + 1)
+  const expected = account.nonce + 1n;
+  if (BigInt(nonce) !== expected) {
+    throw new Error(`Invalid nonce for account '${account.id}': expected ${expected}, got ${nonce}`);
+  }
+}
+
+export function updateAccountStates(updates, db = null, source = { cause: 'update' }) {
+  // Writes account rows and their state tree leaves together; pass db to join the caller's transaction.
+  // A nonce can only advance to the account's next value, so a replayed transfer fails here.
+  // source ({ cause, txId, batchId }) is recorded with the new state root.
+  const conn = db || getDb();
+  conn.transaction(() => {
+    const tree = getStateTree(conn);
+    const select = conn.prepare("SELECT * FROM accounts WHERE id = ?");
+    const update = conn.prepare("UPDATE accounts SET balance = ?, nonce = ? WHERE id = ?");
+    const accounts = [];
+    for (const [accountId, { balance, nonce }] of Object.entries(updates)) {
+      const row = select.get(accountId);
+      if (!row) throw new Error(`Account '${accountId}' not found`);
+      if (nonce !== undefined) checkNextNonce(toAccount(row), nonce);
+      const acc = toAccount({ ...row, balance: balance ?? row.balance, nonce: nonce ?? row.nonce });
+      update.run(String(acc.bal), String(acc.nonce), accountId);
+      tree.update(acc.idx, accountLeaf(acc));
+      accounts.push(acc);
+    }
+    commitStateTree(conn, tree, accounts, source);
+  })();
+  if (!db) conn.close();
+}
+
 export function updateAccountBalance(accountId, newBalance) {
+  updateAccountStates({ [accountId]: { balance: newBalance } }, null, { cause: 'update', accountId });
+}
+
+export function withTransaction(fn) {
+  // Run fn(db) inside a single SQLite transaction so all of its writes commit or roll back together
+  const db = getDb();
+  try {
+    return db.transaction(() => fn(db))();
+  } finally {
+    db.close();
+  }
+}
+
+// ---------- Token Management ----------
+function toTokenRecord(row, holdings) {
+  return {
+    id: row.id,
+    type: row.type,
+    name: row.name,
+    issuer: row.issuer,
+    metadata: JSON.parse(row.metadata),
+    // Decimal string, exact past Number.MAX_SAFE_INTEGER
+    totalSupply: row.total_supply,
+    supplySeq: row.supply_seq,
+    holdings: Object.fromEntries(holdings.map(holding => [holding.account_id, JSON.parse(holding.state)]))
+  };
+}
+
+export function getAllTokenRecords() {
   const db = getDb();
-  const stmt = db.prepare("UPDATE accounts SET balance = ? WHERE id = ?");
-  stmt.run(String(newBalance), accountId);
+  const tokens = db.prepare("SELECT * FROM tokens ORDER BY created_at, id").all();
+  const holdings = db.prepare("SELECT * FROM token_holdings").all();
   db.close();
+  return tokens.map(row => toTokenRecord(row, holdings.filter(holding => holding.token_id === row.id)));
 }
 
-// ---------- File Management ----------
-export function generateUniqueId() {
-  return `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+export function getTokenRecord(tokenId, db = null) {
+  const conn = db || getDb();
+  const row = conn.prepare("SELECT * FROM tokens WHERE id = ?").get(tokenId);
+  const holdings = row ? conn.prepare("SELECT * FROM token_holdings WHERE token_id = ?").all(tokenId) : [];
+  if (!db) conn.close();
+  return row ? toTokenRecord(row, holdings) : null;
 }
 
-export function cleanupTempFiles(fileId) {
-  const filesToDelete = [
-    `build/input_${fileId}.json`,
-    `build/proof_${fileId}.json`,
-    `build/public_${fileId}.json`,
-    `build/wtns_${fileId}.wtns`,  // Witness file
-    `build/witness_${fileId}.json`, // Witness JSON
-    `build/circuit_${fileId}.sym`,  // Symbol file
-    `build/circuit_${fileId}.r1cs`  // R1CS file
-  ];
-  
-  console.log(`  🧹 Cleaning up temporary files for ${fileId}...`);
-  for (const file of filesToDelete) {
-    try {
-      if (fs.existsSync(file)) {
-        fs.unlinkSync(file);
-        console.log(`    - Cleaned up: ${file}`);
+export function insertTokenRecord(token) {
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare("INSERT INTO tokens (id, type, name, issuer, metadata, total_supply, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)")
+      .run(token.id, token.type, token.name, token.issuer, JSON.stringify(token.metadata),
+        token.totalSupply === null ? null : String(token.totalSupply), token.metadata.created_at);
+    saveTokenHoldings(token.id, token.holdings, db);
+    if (token.id === ACCOUNT_TOKEN) {
+      syncAccountTokenHoldings(db);
+    } else {
+      buildTokenTrees(db, token);
+    }
+  })();
+  db.close();
+}
+
+export function saveTokenHoldings(tokenId, holdings, db = null) {
+  // A null state removes the holding; pass db to join the caller's transaction. The holders' leaves in the token's
+  // trees are rewritten with the holdings.
+  const conn = db || getDb();
+  const upsert = conn.prepare(`INSERT INTO token_holdings (token_id, account_id, state) VALUES (?, ?, ?)
+    ON CONFLICT(token_id, account_id) DO UPDATE SET state = excluded.state`);
+  const remove = conn.prepare("DELETE FROM token_holdings WHERE token_id = ? AND account_id = ?");
+  conn.transaction(() => {
+    for (const [accountId, state] of Object.entries(holdings)) {
+      if (state === null) {
+        remove.run(tokenId, accountId);
+      } else {
+        upsert.run(tokenId, accountId, JSON.stringify(state));
       }
-    } catch (error) {
-      console.log(`    - Warning: Could not clean up ${file}: ${error.message}`);
+    }
+    const token = conn.prepare("SELECT * FROM tokens WHERE id = ?").get(tokenId);
+    if (token) {
+      const accounts = Object.keys(holdings).map(accountId => getAccount(accountId, conn)).filter(Boolean);
+      updateTokenTreeLeaves(conn, [toTokenRecord(token, [])], accounts);
+    }
+  })();
+  if (!db) conn.close();
+}
+
+// ---------- Token trees ----------
+// The token circuits prove transitions of trees derived from a token's holdings and the accounts: every account's leaf
+// sits at its state tree index. They are stored with the state tree (tree IDs token:<id> and nft:<id>) and kept in
+// step by the writes they derive from: saveTokenHoldings rewrites its holders' leaves, and every state tree commit
+// the changed accounts' leaves in every token's trees.
+//   nft_transfer:           Poseidon(pub, owns, nonce, nft_id)
+//   generic_state_transfer: Poseidon(pub, nonce, token_id, ...state), the holding's fields in the token's format order
+//                           (escrow proves escrow steps, and supply mints and burns, on the same tree)
+
+// Field element standing for a token ID in the token circuits (first 248 bits of its SHA-256)
+export const tokenFieldId = (tokenId) => BigInt('0x' + createHash('sha256').update(String(tokenId)).digest('hex').substring(0, 62));
+
+export const nftLeaf = (acc, owns, id) => pHash4(acc.pub, owns, acc.nonce, id);
+
+// 1 for the account holding the NFT (state=1), 0 for every other account
+export const ownsNft = (holding) => holding?.state === 1 ? 1n : 0n;
+
+export const tokenStateLeaf = (acc, id, state) => poseidon([acc.pub, acc.nonce, id, ...state]);
+
+// A holding as the circuits' state array; reserved and unused fields are 0
+export const stateArray = (format, holding) => format.map(field => BigInt(holding?.[field] ?? 0));
+
+function tokenTreeLeaves(token) {
+  // Leaf of an account and its holding in each of the token's trees, by tree ID: every token but the account token
+  // has a state tree, and NFTs (type 1) an ownership tree too
+  if (token.id === ACCOUNT_TOKEN) return {};
+  const id = tokenFieldId(token.id);
+  const trees = { [`token:${token.id}`]: (acc, holding) => tokenStateLeaf(acc, id, stateArray(token.metadata.format, holding)) };
+  if (token.type === 1) {
+    trees[`nft:${token.id}`] = (acc, holding) => nftLeaf(acc, ownsNft(holding), id);
+  }
+  return trees;
+}
+
+function buildTokenTrees(db, token) {
+  // (Re)build the token's trees from its holdings and the accounts
+  const accounts = db.prepare("SELECT * FROM accounts").all().map(toAccount);
+  const holdings = new Map(db.prepare("SELECT account_id, state FROM token_holdings WHERE token_id = ?").all(token.id)
+    .map(({ account_id, state }) => [account_id, JSON.parse(state)]));
+  for (const [treeId, leafOf] of Object.entries(tokenTreeLeaves(token))) {
+    db.prepare("DELETE FROM tree_nodes WHERE tree_id = ?").run(treeId);
+    db.prepare("DELETE FROM trees WHERE tree_id = ?").run(treeId);
+    const tree = new SparseMerkleTree(db, { treeId, depth: TREE_DEPTH });
+    for (const acc of accounts) {
+      tree.update(acc.idx, leafOf(acc, holdings.get(acc.id)));
+    }
+    tree.commit();
+  }
+}
+
+function syncTokenTrees(db) {
+  // Build the token trees missing or built at another depth, as syncStateTree does for the state tree
+  const stale = db.prepare(`SELECT * FROM tokens WHERE id != ? AND (
+      NOT EXISTS (SELECT 1 FROM trees WHERE tree_id = 'token:' || tokens.id AND depth = ?)
+      OR (type = 1 AND NOT EXISTS (SELECT 1 FROM trees WHERE tree_id = 'nft:' || tokens.id AND depth = ?)))`)
+    .all(ACCOUNT_TOKEN, TREE_DEPTH, TREE_DEPTH);
+  if (stale.length === 0) return;
+
+  console.log(`▶ Building ${stale.length} token tree(s) (depth ${TREE_DEPTH})...`);
+  db.transaction(() => {
+    for (const row of stale) {
+      buildTokenTrees(db, toTokenRecord(row, []));
+    }
+  })();
+}
+
+function updateTokenTreeLeaves(db, tokens, accounts) {
+  // Rewrite the accounts' leaves in the tokens' built trees; a closed account's leaf is emptied. Trees not built yet
+  // are left to syncTokenTrees or buildTokenTrees.
+  const built = new Set(db.prepare("SELECT tree_id FROM trees WHERE depth = ?").all(TREE_DEPTH).map(({ tree_id }) => tree_id));
+  const selectHolding = db.prepare("SELECT state FROM token_holdings WHERE token_id = ? AND account_id = ?");
+  for (const token of tokens) {
+    const trees = Object.entries(tokenTreeLeaves(token)).filter(([treeId]) => built.has(treeId));
+    if (trees.length === 0) continue;
+    const holdings = new Map(accounts.map(({ id }) => [id, selectHolding.get(token.id, id)?.state]));
+    for (const [treeId, leafOf] of trees) {
+      const tree = new SparseMerkleTree(db, { treeId, depth: TREE_DEPTH });
+      for (const acc of accounts) {
+        const holding = holdings.get(acc.id);
+        tree.update(acc.idx, acc.closed ? 0n : leafOf(acc, holding && JSON.parse(holding)));
+      }
+      tree.commit();
     }
   }
 }
 
+function getTokenTree(db, treeId, tokenId) {
+  // Reads go through db lazily, as for getStateTree
+  if (!db.prepare("SELECT 1 FROM tokens WHERE id = ?").get(tokenId)) {
+    throw new Error(`Token '${tokenId}' not found`);
+  }
+  return new SparseMerkleTree(db, { treeId, depth: TREE_DEPTH });
+}
+
+function previewTokenTreeTransition(openTree, updates) {
+  // Apply [{ idx, leaf }] one at a time without writing to the tree, as previewSequentialTransition does for the state tree
+  const db = getDb();
+  try {
+    const tree = openTree(db);
+    const rootBefore = tree.root();
+    const steps = updates.map(({ idx, leaf }) => {
+      const step = { rootBefore: tree.root(), path: tree.getPath(idx) };
+      step.rootAfter = tree.update(idx, leaf);
+      return step;
+    });
+    const rootAfter = tree.root();
+    tree.discard();
+    return { rootBefore, rootAfter, steps };
+  } finally {
+    db.close();
+  }
+}
+
+export function getNftOwnershipTree(tokenId, db) {
+  return getTokenTree(db, `nft:${tokenId}`, tokenId);
+}
+
+export function getNftOwnershipRoot(tokenId, db = null) {
+  const conn = db || getDb();
+  try {
+    return getNftOwnershipTree(tokenId, conn).root();
+  } finally {
+    if (!db) conn.close();
+  }
+}
+
+export function previewNftTransition(tokenId, sender, receiver) {
+  // Ownership moves from sender to receiver
+  const id = tokenFieldId(tokenId);
+  return previewTokenTreeTransition(db => getNftOwnershipTree(tokenId, db), [
+    { idx: sender.idx, leaf: nftLeaf(sender, 0n, id) },
+    { idx: receiver.idx, leaf: nftLeaf(receiver, 1n, id) }
+  ]);
+}
+
+export function getTokenStateTree(tokenId, db) {
+  return getTokenTree(db, `token:${tokenId}`, tokenId);
+}
+
+export function getTokenStateRoot(tokenId, db = null) {
+  const conn = db || getDb();
+  try {
+    return getTokenStateTree(tokenId, conn).root();
+  } finally {
+    if (!db) conn.close();
+  }
+}
+
+export function previewTokenStateTransition(tokenId, sender, receiver, senderState, receiverState) {
+  // senderState and receiverState are the state arrays after the transfer
+  const id = tokenFieldId(tokenId);
+  return previewTokenTreeTransition(db => getTokenStateTree(tokenId, db), [
+    { idx: sender.idx, leaf: tokenStateLeaf(sender, id, senderState) },
+    { idx: receiver.idx, leaf: tokenStateLeaf(receiver, id, receiverState) }
+  ]);
+}
+
+export function previewTokenHoldingTransition(tokenId, account, state) {
+  // One account's leaf changes to the state array; the path is the same before and after
+  const id = tokenFieldId(tokenId);
+  return previewTokenTreeTransition(db => getTokenStateTree(tokenId, db), [
+    { idx: account.idx, leaf: tokenStateLeaf(account, id, state) }
+  ]);
+}
+
+// ---------- Token supply ----------
+// Supply changes as the supply circuit's operation input; only the token's issuer signs them
+export const SUPPLY_OPERATIONS = { mint: 0, burn: 1 };
+
+// Public commitment to a token's total supply in the supply circuit
+export const supplyCommitment = (tokenId, totalSupply) => pHash2(tokenFieldId(tokenId), BigInt(totalSupply));
+
+export function updateTokenSupply(tokenId, { totalSupply, seq }, db = null) {
+  // Only the next supply change commits, once; seq is the change's number, signed by the issuer
+  const conn = db || getDb();
+  const { changes } = conn.prepare("UPDATE tokens SET total_supply = ?, supply_seq = ? WHERE id = ? AND supply_seq = ?")
+    .run(String(totalSupply), seq, tokenId, seq - 1);
+  if (!db) conn.close();
+  if (changes === 0) {
+    throw new Error(`Supply of '${tokenId}' changed since the proof was generated; retry the mint or burn`);
+  }
+}
+
+export function getSupplyHistory(tokenId) {
+  // Mints and burns of a token in the order they committed
+  const db = getDb();
+  const rows = db.prepare(`SELECT tx_id, operation, sender_id, transfer_params, ts, root_before, root_after, block_id
+    FROM tx_logs WHERE token_id = ? AND operation IN ('mint', 'burn') ORDER BY ts, rowid`).all(tokenId);
+  db.close();
+  return rows.map(row => {
+    const { amount, seq, totalSupplyBefore, totalSupplyAfter } = JSON.parse(row.transfer_params);
+    return {
+      txId: row.tx_id,
+      operation: row.operation,
+      issuer: row.sender_id,
+      seq,
+      amount,
+      // Changes committed before supplies were kept as strings recorded them as numbers
+      totalSupplyBefore: String(totalSupplyBefore),
+      totalSupplyAfter: String(totalSupplyAfter),
+      rootBefore: row.root_before,
+      rootAfter: row.root_after,
+      blockId: row.block_id,
+      timestamp: row.ts
+    };
+  });
+}
+
+// ---------- Batches ----------
+// Transfers per batch proof; the batch circuit is compiled for this size, so rebuild after changing it
+export const BATCH_SIZE = Number(process.env.BATCH_SIZE || 4);
+
+function toPendingTransfer(row) {
+  return {
+    id: row.id,
+    tokenId: row.token_id,
+    from: row.sender_id,
+    to: row.receiver_id,
+    amount: Number(row.amount),
+    nonce: row.nonce,
+    signature: row.signature,
+    status: row.status,
+    error: row.error,
+    batchId: row.batch_id,
+    createdAt: row.created_at
+  };
+}
+
+export function insertPendingTransfer({ tokenId, from, to, amount, nonce, signature }, db = null) {
+  const conn = db || getDb();
+  const { lastInsertRowid } = conn.prepare(`INSERT INTO pending_transfers
+    (token_id, sender_id, receiver_id, amount, nonce, signature, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)`)
+    .run(tokenId, from, to, String(amount), String(nonce), signature, Date.now());
+  const row = conn.prepare("SELECT * FROM pending_transfers WHERE id = ?").get(lastInsertRowid);
+  if (!db) conn.close();
+  return toPendingTransfer(row);
+}
+
+export function getPendingTransfers(limit = -1, db = null) {
+  // Oldest first: batches apply transfers in the order they were queued (LIMIT -1 means no limit)
+  const conn = db || getDb();
+  const rows = conn.prepare("SELECT * FROM pending_transfers WHERE status = 'pending' ORDER BY id LIMIT ?").all(limit);
+  if (!db) conn.close();
+  return rows.map(toPendingTransfer);
+}
+
+export function getBatchedTransfers(batchId) {
+  // Transfers of a batch in the order the batch proof chains them
+  const db = getDb();
+  const rows = db.prepare("SELECT * FROM pending_transfers WHERE batch_id = ? AND status = 'batched' ORDER BY id").all(batchId);
+  db.close();
+  return rows.map(toPendingTransfer);
+}
+
+export function updatePendingTransfer(id, { status, error = null, batchId = null }, db = null) {
+  const conn = db || getDb();
+  conn.prepare("UPDATE pending_transfers SET status = ?, error = ?, batch_id = ? WHERE id = ?")
+    .run(status, error, batchId, id);
+  if (!db) conn.close();
+}
+
+function toBatchRecord(row, txIds) {
+  return {
+    ...row,
+    proof_json: JSON.parse(row.proof_json),
+    public_inputs: JSON.parse(row.public_inputs),
+    proof_metadata: row.proof_metadata ? JSON.parse(row.proof_metadata) : null,
+    ledger_metadata: row.ledger_metadata ? JSON.parse(row.ledger_metadata) : null,
+    tx_ids: txIds
+  };
+}
+
+export function insertBatchRecord(batch, db = null) {
+  const conn = db || getDb();
+  conn.prepare(`INSERT INTO batches
+    (batch_id, tx_count, root_before, root_after, batch_hash, proof_json, public_inputs, proof_metadata, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(batch.batch_id, batch.tx_count, String(batch.root_before), String(batch.root_after), String(batch.batch_hash),
+      JSON.stringify(batch.proof_json), JSON.stringify(batch.public_inputs), JSON.stringify(batch.proof_metadata), batch.created_at);
+  if (!db) conn.close();
+}
+
+export function getBatchRecord(batchId) {
+  const db = getDb();
+  const row = db.prepare("SELECT * FROM batches WHERE batch_id = ?").get(batchId);
+  const txIds = db.prepare("SELECT tx_id FROM tx_logs WHERE batch_id = ? ORDER BY ts, rowid").all(batchId).map(({ tx_id }) => tx_id);
+  db.close();
+  return row ? toBatchRecord(row, txIds) : null;
+}
+
+export function getAllBatchRecords() {
+  const db = getDb();
+  const rows = db.prepare("SELECT * FROM batches ORDER BY created_at DESC").all();
+  const txs = db.prepare("SELECT tx_id, batch_id FROM tx_logs WHERE batch_id IS NOT NULL ORDER BY ts, rowid").all();
+  db.close();
+  return rows.map(row => toBatchRecord(row, txs.filter(tx => tx.batch_id === row.batch_id).map(({ tx_id }) => tx_id)));
+}
+
+// ---------- Jobs ----------
+function toJob(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    params: JSON.parse(row.params),
+    status: row.status,
+    txId: row.tx_id,
+    result: row.result ? JSON.parse(row.result) : null,
+    error: row.error,
+    attempts: row.attempts,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export function insertJob({ type, params }) {
+  const db = getDb();
+  const id = generateUniqueId();
+  const now = Date.now();
+  db.prepare("INSERT INTO jobs (id, type, params, created_at, updated_at) VALUES (?, ?, ?, ?, ?)")
+    .run(id, type, JSON.stringify(params), now, now);
+  const row = db.prepare("SELECT * FROM jobs WHERE id = ?").get(id);
+  db.close();
+  return toJob(row);
+}
+
+export function getJobRecord(jobId) {
+  const db = getDb();
+  const row = db.prepare("SELECT * FROM jobs WHERE id = ?").get(jobId);
+  db.close();
+  return row ? toJob(row) : null;
+}
+
+export function claimNextJob() {
+  // Oldest queued job moves to 'proving' in the same transaction it is read in, so it is claimed once
+  const db = getDb();
+  try {
+    return db.transaction(() => {
+      const row = db.prepare("SELECT * FROM jobs WHERE status = 'queued' ORDER BY created_at, rowid LIMIT 1").get();
+      if (!row) return null;
+      db.prepare("UPDATE jobs SET status = 'proving', attempts = attempts + 1, updated_at = ? WHERE id = ?")
+        .run(Date.now(), row.id);
+      return toJob(db.prepare("SELECT * FROM jobs WHERE id = ?").get(row.id));
+    })();
+  } finally {
+    db.close();
+  }
+}
+
+export function updateJob(jobId, { status, txId, result, error }, db = null) {
+  // Fields left undefined keep their stored value
+  const conn = db || getDb();
+  conn.prepare(`UPDATE jobs SET status = ?, tx_id = COALESCE(?, tx_id), result = COALESCE(?, result),
+    error = COALESCE(?, error), updated_at = ? WHERE id = ?`)
+    .run(status, txId ?? null, result === undefined ? null : JSON.stringify(result), error ?? null, Date.now(), jobId);
+  if (!db) conn.close();
+}
+
+export function requeueInterruptedJobs() {
+  // Jobs left 'proving' or 'proven' by a stopped process were not committed (a job is marked
+  // 'committed' in the transfer's own transaction), so they go back to 'queued' and are proven again
+  const db = getDb();
+  const { changes } = db.prepare(`UPDATE jobs SET status = 'queued', tx_id = NULL, updated_at = ?
+    WHERE status IN ('proving', 'proven')`).run(Date.now());
+  db.close();
+  return changes;
+}
+
+// ---------- Escrows ----------
+// Escrow steps as the escrow circuit's action input; the owner signs open and reclaim, the provider release and refund
+export const ESCROW_ACTIONS = { open: 0, release: 1, refund: 2, reclaim: 3 };
+
+function toEscrow(row) {
+  return {
+    id: row.id,
+    tokenId: row.token_id,
+    seq: row.seq,
+    owner: row.owner_id,
+    beneficiary: row.beneficiary_id,
+    provider: row.provider_id,
+    amount: Number(row.amount),
+    expiresAt: row.expires_at,
+    status: row.status,
+    openTxId: row.open_tx_id,
+    closeTxId: row.close_tx_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export function nextEscrowSeq(tokenId, db = null) {
+  // Escrows of a token are numbered from 1; signatures cover the number, so they apply to one escrow only
+  const conn = db || getDb();
+  const { seq } = conn.prepare("SELECT COALESCE(MAX(seq), 0) + 1 AS seq FROM escrows WHERE token_id = ?").get(tokenId);
+  if (!db) conn.close();
+  return seq;
+}
+
+export function insertEscrow({ id, tokenId, seq, owner, beneficiary, provider, amount, expiresAt = null, openTxId }, db = null) {
+  const conn = db || getDb();
+  const now = Date.now();
+  conn.prepare(`INSERT INTO escrows
+    (id, token_id, seq, owner_id, beneficiary_id, provider_id, amount, expires_at, open_tx_id, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, tokenId, seq, owner, beneficiary, provider, String(amount), expiresAt, openTxId, now, now);
+  const row = conn.prepare("SELECT * FROM escrows WHERE id = ?").get(id);
+  if (!db) conn.close();
+  return toEscrow(row);
+}
+
+export function getEscrowRecord(escrowId, db = null) {
+  const conn = db || getDb();
+  const row = conn.prepare("SELECT * FROM escrows WHERE id = ?").get(escrowId);
+  if (!db) conn.close();
+  return row ? toEscrow(row) : null;
+}
+
+export function getAllEscrowRecords({ tokenId = null, account = null, status = null } = {}, db = null) {
+  // Newest first; account matches the owner, the beneficiary or the provider
+  const conn = db || getDb();
+  const rows = conn.prepare(`SELECT * FROM escrows WHERE (@tokenId IS NULL OR token_id = @tokenId)
+    AND (@account IS NULL OR @account IN (owner_id, beneficiary_id, provider_id))
+    AND (@status IS NULL OR status = @status) ORDER BY created_at DESC, rowid DESC`).all({ tokenId, account, status });
+  if (!db) conn.close();
+  return rows.map(toEscrow);
+}
+
+export function closeEscrowRecord(escrowId, { status, closeTxId }, db = null) {
+  // Only an open escrow closes, once
+  const conn = db || getDb();
+  const { changes } = conn.prepare("UPDATE escrows SET status = ?, close_tx_id = ?, updated_at = ? WHERE id = ? AND status = 'open'")
+    .run(status, closeTxId, Date.now(), escrowId);
+  if (!db) conn.close();
+  if (changes === 0) {
+    throw new Error(`Escrow ${escrowId} is no longer open`);
+  }
+}
+
+// ---------- Swaps ----------
+export function nextSwapSeq(db = null) {
+  // Swaps are numbered from 1; both parties sign the number, so their signatures apply to one swap only
+  const conn = db || getDb();
+  const { seq } = conn.prepare(`SELECT COALESCE(MAX(json_extract(transfer_params, '$.seq')), 0) + 1 AS seq
+    FROM tx_logs WHERE operation = 'swap'`).get();
+  if (!db) conn.close();
+  return seq;
+}
+
+// ---------- Multi-transfers ----------
+// Recipients per multi-transfer proof; the multi_transfer circuit is compiled for this size, so rebuild after changing it
+export const MULTI_TRANSFER_SIZE = Number(process.env.MULTI_TRANSFER_SIZE || 8);
+
+function toTxRecipient(row) {
+  return {
+    position: row.position,
+    to: row.receiver_id,
+    amount: Number(row.amount),
+    stateBefore: JSON.parse(row.state_before),
+    stateAfter: JSON.parse(row.state_after)
+  };
+}
+
+export function insertTxRecipients(txId, recipients, db = null) {
+  // recipients: [{ to, amount, stateBefore, stateAfter }] in proof order
+  const conn = db || getDb();
+  const insert = conn.prepare(`INSERT INTO tx_recipients (tx_id, position, receiver_id, amount, state_before, state_after)
+    VALUES (?, ?, ?, ?, ?, ?)`);
+  recipients.forEach(({ to, amount, stateBefore, stateAfter }, position) => {
+    insert.run(txId, position, to, String(amount), JSON.stringify(stateBefore), JSON.stringify(stateAfter));
+  });
+  if (!db) conn.close();
+}
+
+export function getTxRecipients(txId, db = null) {
+  const conn = db || getDb();
+  const rows = conn.prepare("SELECT * FROM tx_recipients WHERE tx_id = ? ORDER BY position").all(txId);
+  if (!db) conn.close();
+  return rows.map(toTxRecipient);
+}
+
+// ---------- File Management ----------
+export function generateUniqueId() {
+  return `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
 // Comprehensive cleanup function for all temporary files
 export function cleanupAllTempFiles() {
   console.log('🧹 Cleaning up all temporary files...');
   
-  // Files to preserve (essential for system operation)
+  // Files to preserve (essential for system operation): the circuits' keys, and the PTAU
   const preserveFiles = [
-    'vkey.json',
-    'generic_state_transfer_vkey.json',
-    'transfer.zkey',
-    'generic_state_transfer.zkey',
-    'pot14_final_prepared.ptau'  // Required for Groth16 setup
+    ...getCircuits().flatMap(circuit => [path.basename(circuit.vkey), path.basename(circuit.zkey)]),
+    PTAU_PREPARED  // Required for Groth16 and PLONK setup
   ];
   
   const patterns = [
@@ -278,8 +1320,8 @@ export function cleanupAllTempFiles() {
   
   // Also clean up intermediate powers of tau files
   const intermediatePtauFiles = [
-    'pot14_0000.ptau',
-    'pot14_final.ptau'
+    PTAU_INITIAL,
+    PTAU_FINAL
   ];
   
   console.log('  🧹 Cleaning up intermediate powers of tau files...');
@@ -326,10 +1368,85 @@ export function cleanupAllTempFiles() {
   console.log(`✅ Cleaned up ${cleanedCount} temporary files`);
 }
 
+// ---------- Powers of tau ----------
+// 2^PTAU_POWER must cover the largest circuit's constraints: ~2^16 at depth 20, ~2^17 at depth 32
+export const PTAU_POWER = Number(process.env.PTAU_POWER || 17);
+export const PTAU_INITIAL = `pot${PTAU_POWER}_0000.ptau`;
+export const PTAU_FINAL = `pot${PTAU_POWER}_final.ptau`;
+export const PTAU_PREPARED = `pot${PTAU_POWER}_final_prepared.ptau`;
+
+// ---------- Circuit manifest ----------
+// Every circuit is listed once in the manifest, by name: its source and template, the template's arguments
+// (numbers, or the names of the settings below), its public outputs and public inputs (in declaration order),
+// its build artifacts and extra circom flags. Circuit types of the transfer flow ('generic') are aliases, and
+// "transfers" lists the token types (TOKEN_TYPES names) a circuit proves plain transfers of, and "accountTree" marks
+// the circuits that prove the account state tree, which only move ACCOUNT_TOKEN.
+export const CIRCUIT_MANIFEST_FILE = 'circuits/manifest.json';
+const CIRCUIT_SETTINGS = { TREE_DEPTH, BATCH_SIZE, MULTI_TRANSFER_SIZE };
+
+let circuitManifest = null;
+
+/**
+ * Circuits of the manifest, with their template arguments resolved
+ * @returns {Array} - [{ name, aliases, label, description, source, template, args, depth, outputs, publicInputs,
+ *   publicSignals, transfers, accountTree, wasm, zkey, vkey, flags }]
+ */
+export function getCircuits() {
+  if (!circuitManifest) {
+    const manifest = JSON.parse(fs.readFileSync(CIRCUIT_MANIFEST_FILE, 'utf8'));
+    circuitManifest = Object.entries(manifest).map(([name, circuit]) => {
+      const args = (circuit.args || []).map(arg => {
+        if (typeof arg === 'number') return arg;
+        if (!(arg in CIRCUIT_SETTINGS)) {
+          throw new Error(`Circuit '${name}' in ${CIRCUIT_MANIFEST_FILE} has unknown argument '${arg}'`);
+        }
+        return CIRCUIT_SETTINGS[arg];
+      });
+      const outputs = circuit.outputs || [];
+      const publicInputs = circuit.publicInputs || [];
+      return {
+        name,
+        aliases: circuit.aliases || [],
+        label: circuit.label || name,
+        description: circuit.description || '',
+        source: circuit.source,
+        template: circuit.template,
+        args,
+        depth: (circuit.args || []).includes('TREE_DEPTH') ? TREE_DEPTH : null,
+        outputs,
+        publicInputs,
+        // snarkjs orders public signals as the outputs, then the public inputs
+        publicSignals: [...outputs, ...publicInputs],
+        transfers: circuit.transfers || [],
+        accountTree: Boolean(circuit.accountTree),
+        wasm: circuit.wasm,
+        zkey: circuit.zkey,
+        vkey: circuit.vkey,
+        flags: circuit.flags || ''
+      };
+    });
+  }
+  return circuitManifest;
+}
+
+/**
+ * Circuit by name or alias
+ * @param {string} name - Circuit name or alias
+ * @returns {Object|null}
+ */
+export function getCircuit(name) {
+  return getCircuits().find(circuit => circuit.name === name || circuit.aliases.includes(name)) || null;
+}
+
+// Main component instantiating a manifest circuit, as written to its build wrapper
+export function circuitMain(circuit) {
+  const publicList = circuit.publicInputs.length > 0 ? ` { public [${circuit.publicInputs.join(', ')}] }` : '';
+  return `component main${publicList} = ${circuit.template}(${circuit.args.join(', ')});`;
+}
+
 // ---------- CLI utils ----------
 export function bin(cmd) {
   // prefer local node_modules binaries if present
   const local = path.join("node_modules", ".bin", cmd + (process.platform === "win32" ? ".cmd" : ""));
   return fs.existsSync(local) ? local : cmd;
 }
-
@@ -1,16 +1,26 @@
-import fs from "node:fs";
-import { groth16 } from "snarkjs";
+// Verify a stored transaction against its database record (the last one when no ID is given)
+//   node scripts/verify_tx.mjs [txId]
 import { getLastTx } from "./utils.mjs";
+import { AuditService } from "./services/audit-service.mjs";
 
-const vkey = JSON.parse(fs.readFileSync("build/vkey.json"));
-const row = getLastTx();
-if (!row) throw new Error("No tx found in DB");
+const txId = process.argv[2] ?? getLastTx()?.tx_id;
+if (!txId) {
+  console.log("No transaction found in the database");
+  process.exit(1);
+}
 
-const proof = JSON.parse(row.proof_json);
-const pub = JSON.parse(row.public_inputs);
+const result = await AuditService.verifyTransaction(txId);
+if (!result) {
+  console.log(`Transaction '${txId}' not found`);
+  process.exit(1);
+}
 
-const ok = await groth16.verify(vkey, pub, proof);
-console.log("tx_id:", row.tx_id);
-console.log("root_before:", row.root_before);
-console.log("root_after:", row.root_after);
-console.log("verify:", ok);
\ No newline at end of file
+console.log("tx_id:", result.txId);
+console.log("circuit:", result.circuit);
+console.log("vkey_hash:", result.vkeyHash);
+for (const { name, passed, details } of result.checks) {
+  console.log(`${passed ? "✅" : "❌"} ${name}: ${details}`);
+}
+console.log("verify:", result.valid);
+// snarkjs keeps its curve workers alive
+process.exit(result.valid ? 0 : 1);
@@ -4,10 +4,59 @@
 import { 
   transfer, 
   getAllTokens, 
+  getToken,
   createToken, 
+  getHolding,
+  registerAccount,
+  closeAccount,
+  getInclusionProof,
+  verifyInclusionProof,
+  queueTransfer,
+  createBatch,
+  getBatch,
+  getPendingTransfers,
+  submitTransferJob,
+  getJob,
+  runNextJob,
+  verifyProof,
+  verifyTransaction,
+  getStateRoots,
+  getStateRootRecord,
+  getLedgerBlock,
+  getLedgerPlatforms,
+  registerLedgerAdapter,
+  verifyLedgerChain,
+  retryLedgerWrites,
+  checkPublicLedger,
+  saveProofInPublicLedger,
+  openEscrow,
+  releaseEscrow,
+  refundEscrow,
+  reclaimEscrow,
+  mintTokens,
+  burnTokens,
+  getTokenSupply,
+  swapTokens,
+  multiTransfer,
   TOKEN_TYPES, 
   STATE_FORMATS 
 } from './scripts/api.mjs';
+import {
+  getAccount, getStateRoot, getTransaction, getCircuits, tokenFieldId, nftLeaf, getNftOwnershipRoot,
+  tokenStateLeaf, getTokenStateRoot, nextEscrowSeq, ESCROW_ACTIONS, supplyCommitment, SUPPLY_OPERATIONS, nextSwapSeq,
+  accountLeaf, MULTI_TRANSFER_SIZE, ACCOUNT_TOKEN, getAllAccounts
+} from './scripts/utils.mjs';
+import { rootFromPath } from './scripts/sparse-merkle-tree.mjs';
+import {
+  demoPrivateKey, publicKeyFromPrivate, signTransfer, signGenericTransfer, signNftTransfer, signEscrow, signSupplyChange,
+  signSwap, signMultiTransfer
+} from './scripts/babyjub-keys.mjs';
+import { LocalLedger } from './scripts/services/local-ledger.mjs';
+import { EthereumLedger, encodeVerifyProofCall, decodeVerifyProofCall } from './scripts/services/ethereum-ledger.mjs';
+import { startEthDevNode } from './scripts/eth-dev-node.mjs';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 console.log('🧪 Consolidated Token System Test Suite\n');
 
@@ -15,7 +64,8 @@ async function runAllTests() {
   const results = {
     passed: 0,
     failed: 0,
-    tests: []
+    tests: [],
+    skipped: []
   };
 
   function logTest(name, passed, details = '') {
@@ -29,6 +79,49 @@ async function runAllTests() {
     else results.failed++;
   }
 
+  // Tests that prove need the circuits' proving keys, written by npm run build; without them they are skipped
+  const unbuiltCircuits = getCircuits().filter(({ zkey }) => !fs.existsSync(zkey)).map(({ name }) => name);
+  if (unbuiltCircuits.length > 0) {
+    console.log(`⚠️ No proving key for ${unbuiltCircuits.join(', ')}: the tests that prove with them are skipped. Run npm run build before npm test to run them.`);
+  }
+
+  function logProofTest(circuits, name, passed, details = '') {
+    const missing = circuits.filter(circuit => unbuiltCircuits.includes(circuit));
+    if (missing.length === 0) {
+      logTest(name, passed, details);
+      return;
+    }
+    console.log(`⏭️ ${name}: SKIPPED`);
+    console.log(`   No proving key for ${missing.join(', ')}; run npm run build`);
+    results.skipped.push({ name, missing });
+  }
+
+  // Sender authorization for the transfer circuit, signed with the seeded accounts' demo keys
+  // over the sender's next account nonce
+  function authorize(from, to, amount) {
+    const nonce = String(getAccount(from).nonce + 1n);
+    const signature = signTransfer(demoPrivateKey(from), {
+      to: getAccount(to).publicKey, token: tokenFieldId(ACCOUNT_TOKEN), amount, nonce
+    });
+    return { signature, nonce };
+  }
+
+  // Sender authorization for a generic state transfer of tokenId, over the same next account nonce
+  function authorizeGeneric(from, to, tokenId, { amount, escrow_provider } = {}) {
+    const nonce = String(getAccount(from).nonce + 1n);
+    const signature = signGenericTransfer(demoPrivateKey(from), {
+      to: getAccount(to).publicKey, token: tokenFieldId(tokenId), amount, escrowProvider: escrow_provider, nonce
+    });
+    return { signature, nonce };
+  }
+
+  // Owner authorization for an NFT transfer, over the same next account nonce
+  function authorizeNft(from, to, tokenId, signer = from) {
+    const nonce = String(getAccount(from).nonce + 1n);
+    const signature = signNftTransfer(demoPrivateKey(signer), { to: getAccount(to).publicKey, token: tokenFieldId(tokenId), nonce });
+    return { signature, nonce };
+  }
+
   try {
     // Test 1: Display available tokens
     console.log('1️⃣ Token Management Tests');
@@ -46,6 +139,22 @@ async function runAllTests() {
     logTest('Attribute Tokens', attributeTokens.length >= 1, `${attributeTokens.length} attribute tokens`);
     logTest('Escrow Tokens', escrowTokens.length >= 1, `${escrowTokens.length} escrow tokens`);
 
+    // Holdings persist across runs, so later checks compare against these starting balances
+    const initialHoldings = {
+      aliceGold: getHolding('GOLD', 'alice').state,
+      bobGold: getHolding('GOLD', 'bob').state,
+      aliceSilver: getHolding('SILVER', 'alice').state,
+      bobSilver: getHolding('SILVER', 'bob').state
+    };
+    // The account token's holdings are the account balances
+    const accounts = getAllAccounts();
+    const accountToken = getToken(ACCOUNT_TOKEN);
+    logTest('Account Token Holdings', accounts.every(({ id, bal }) => BigInt(getHolding(ACCOUNT_TOKEN, id).state) === bal) &&
+      BigInt(accountToken.totalSupply) === accounts.reduce((sum, { bal }) => sum + bal, 0n),
+      `${ACCOUNT_TOKEN} holdings match ${accounts.length} account balances, total supply ${accountToken.totalSupply}`);
+    // Bob's GOLD credited by the Ethereum and multi-transfer tests, for the final holdings check
+    let bobGoldCredited = 0;
+
     // Test 2: Fungible token transfer (GOLD) - This should work!
     console.log('\n2️⃣ Fungible Token Transfer Tests');
     console.log('   Testing GOLD transfer with working circuit...');
@@ -56,32 +165,54 @@ async function runAllTests() {
         'alice',          // from
         'bob',            // to
         { amount: 100 },  // transferParams
-        'transfer'        // transferCircuit - using the working circuit!
+        'transfer',       // transferCircuit - using the working circuit!
+        {},               // ledgerMetadata
+        authorize('alice', 'bob', 100) // authorization
       );
       
-      logTest('GOLD Transfer', true, `Transaction ID: ${fungibleTransferResult.txId.substring(0, 20)}...`);
-      logTest('ZK Proof Generation', !!fungibleTransferResult.proof, 'Proof generated and verified');
-      logTest('State Update', fungibleTransferResult.senderStateAfter.state === 900, 
+      logProofTest(['transfer'], 'GOLD Transfer', true, `Transaction ID: ${fungibleTransferResult.txId.substring(0, 20)}...`);
+      logProofTest(['transfer'], 'ZK Proof Generation', !!fungibleTransferResult.proof, 'Proof generated and verified');
+      logProofTest(['transfer'], 'State Update', BigInt(fungibleTransferResult.senderStateAfter.state) === BigInt(initialHoldings.aliceGold) - 100n, 
         `Alice: ${fungibleTransferResult.senderStateAfter.state}, Bob: ${fungibleTransferResult.receiverStateAfter.state}`);
-      logTest('Merkle Tree', !!fungibleTransferResult.rootBefore && !!fungibleTransferResult.rootAfter, 
+      logProofTest(['transfer'], 'Merkle Tree', !!fungibleTransferResult.rootBefore && !!fungibleTransferResult.rootAfter, 
         'Merkle roots calculated');
       
       // Test new public inputs
-      logTest('Enhanced Public Inputs', !!fungibleTransferResult.publicInputs && fungibleTransferResult.publicInputs.length >= 8, 
+      logProofTest(['transfer'], 'Enhanced Public Inputs', !!fungibleTransferResult.publicInputs && fungibleTransferResult.publicInputs.length >= 8, 
         `Found ${fungibleTransferResult.publicInputs?.length || 0} public inputs`);
-      logTest('Sender Account Public', !!fungibleTransferResult.publicInputs?.[0], 
+      logProofTest(['transfer'], 'Sender Account Public', !!fungibleTransferResult.publicInputs?.[0], 
         `Sender: ${fungibleTransferResult.publicInputs?.[0] || 'missing'}`);
-      logTest('Receiver Account Public', !!fungibleTransferResult.publicInputs?.[1], 
+      logProofTest(['transfer'], 'Receiver Account Public', !!fungibleTransferResult.publicInputs?.[1], 
         `Receiver: ${fungibleTransferResult.publicInputs?.[1] || 'missing'}`);
-      logTest('Amount Public', !!fungibleTransferResult.publicInputs?.[2], 
+      logProofTest(['transfer'], 'Amount Public', !!fungibleTransferResult.publicInputs?.[2], 
         `Amount: ${fungibleTransferResult.publicInputs?.[2] || 'missing'}`);
-      logTest('Nonce Public', !!fungibleTransferResult.publicInputs?.[3], 
+      logProofTest(['transfer'], 'Nonce Public', !!fungibleTransferResult.publicInputs?.[3], 
         `Nonce: ${fungibleTransferResult.publicInputs?.[3] || 'missing'}`);
-      logTest('State Commitment', !!fungibleTransferResult.publicInputs?.[4], 
+      logProofTest(['transfer'], 'State Commitment', !!fungibleTransferResult.publicInputs?.[4], 
         `Commitment: ${fungibleTransferResult.publicInputs?.[4]?.substring(0, 20) || 'missing'}...`);
       
+      // The verification key is picked from the registry by the proof's verification context
+      const { proof } = fungibleTransferResult;
+      const verification = await verifyProof({ txId: fungibleTransferResult.txId, proof });
+      logProofTest(['transfer'], 'Proof Verified by Key Hash', verification.verified && verification.circuit === 'transfer', 
+        `Verification key ${verification.vkeyHash?.substring(0, 12)}...`);
+      
+      let unknownKeyRejected = false;
+      try {
+        await verifyProof({ proof: { ...proof, verification_context: { ...proof.verification_context, vkey_hash: '0'.repeat(64) } } });
+      } catch (error) {
+        unknownKeyRejected = /Unknown verification key hash/.test(error.message);
+      }
+      logProofTest(['transfer'], 'Unknown Verification Key Rejected', unknownKeyRejected, 'Proofs naming an unregistered key hash are rejected');
+      
+      // The stored row must match what the proof proves
+      const audit = await verifyTransaction(fungibleTransferResult.txId);
+      logProofTest(['transfer'], 'Stored Transaction Verified', audit?.valid, 
+        audit?.checks.filter(({ passed }) => !passed).map(({ name, details }) => `${name}: ${details}`).join('; ') || 
+        `${audit?.checks.length} checks passed`);
+      
     } catch (error) {
-      logTest('GOLD Transfer', false, error.message);
+      logProofTest(['transfer'], 'GOLD Transfer', false, error.message);
     }
 
     // Test 3: Another fungible token transfer (SILVER)
@@ -94,14 +225,16 @@ async function runAllTests() {
         'alice',          // from
         'bob',            // to
         { amount: 50 },   // transferParams
-        'transfer'        // transferCircuit
+        'generic_state_transfer', // transferCircuit: transfer only proves the account token
+        {},               // ledgerMetadata
+        authorizeGeneric('alice', 'bob', 'SILVER', { amount: 50 })
       );
       
-      logTest('SILVER Transfer', true, `Transaction ID: ${silverTransferResult.txId.substring(0, 20)}...`);
-      logTest('Multiple Transfers', true, 'Multiple fungible transfers working');
+      logProofTest(['generic_state_transfer'], 'SILVER Transfer', true, `Transaction ID: ${silverTransferResult.txId.substring(0, 20)}...`);
+      logProofTest(['generic_state_transfer'], 'Multiple Transfers', true, 'Multiple fungible transfers working');
       
     } catch (error) {
-      logTest('SILVER Transfer', false, error.message);
+      logProofTest(['generic_state_transfer'], 'SILVER Transfer', false, error.message);
     }
 
     // Test 4: Token creation and transfer
@@ -110,17 +243,24 @@ async function runAllTests() {
     
     try {
       const newToken = createToken(
-        'TEST_DIAMOND',   // id
+        `TEST_DIAMOND_${Date.now()}`, // id (unique, tokens persist across runs)
         TOKEN_TYPES.FUNGIBLE, // type
         'Test Diamond',   // name
-        { state: 2000 }   // initialState
+        { state: 2000 },  // initialState
+        'alice'           // issuer
       );
       
-      logTest('Token Creation', !!newToken, `Created: ${newToken.id} with ${newToken.state.state} units`);
+      logTest('Token Creation', !!newToken, `Created: ${newToken.id} with ${newToken.holdings.alice.state} units`);
       
-      // Note: Transfer of newly created tokens may fail due to Merkle tree constraints
-      // This is expected behavior for the current implementation
-      logTest('New Token Transfer', false, 'Expected: New tokens not in Merkle tree yet');
+      // A new token's state tree is built when it is created, so it transfers right away
+      try {
+        const newTokenTransfer = await transfer(newToken.id, 'alice', 'bob', { amount: 100 }, 'generic_state_transfer', {},
+          authorizeGeneric('alice', 'bob', newToken.id, { amount: 100 }));
+        logProofTest(['generic_state_transfer'], 'New Token Transfer', getHolding(newToken.id, 'alice').state === 1900 &&
+          getHolding(newToken.id, 'bob').state === 100, `Transaction ID: ${newTokenTransfer.txId.substring(0, 20)}...`);
+      } catch (error) {
+        logProofTest(['generic_state_transfer'], 'New Token Transfer', false, error.message);
+      }
       
     } catch (error) {
       logTest('Token Creation', false, error.message);
@@ -140,11 +280,177 @@ async function runAllTests() {
       logTest('Token Service', !!TokenValidationService && !!TransferService, 'Token service available');
       logTest('ZK Proof Service', !!ZKProofService, 'ZK proof service available');
       logTest('Storage Service', !!StorageService, 'Storage service available');
-      
+
+      // Build, prover, verifier and /api/circuits all read the circuit manifest
+      const { ProofMetadataService } = await import('./scripts/services/proof-metadata-service.mjs');
+      const circuits = getCircuits();
+      const circuitInfo = ProofMetadataService.getCircuitInfo('nft_transfer');
+      logTest('Circuit Manifest', circuits.every(({ source }) => fs.existsSync(source)) &&
+        circuitInfo?.file === 'circuits/nft_transfer.circom' && circuitInfo.public_inputs.includes('nft_id'),
+        circuits.map(({ name }) => name).join(', '));
+      const genericFiles = ZKProofService.circuitFiles('generic');
+      logTest('Circuit Aliases', genericFiles.name === 'generic_state_transfer' &&
+        genericFiles.source === 'circuits/generic_state_transfer.circom', `'generic' is ${genericFiles.name}`);
+      let unknownCircuitRejected = false;
+      try {
+        ZKProofService.circuitFiles('no_such_circuit');
+      } catch (error) {
+        unknownCircuitRejected = /Unknown circuit 'no_such_circuit'/.test(error.message);
+      }
+      logTest('Unknown Circuit Rejected', unknownCircuitRejected, 'Unknown circuit names are not proven with another circuit');
+
+      // Proofs are verified with the verifier of their protocol, against a key of the same proving system
+      const systems = ProofMetadataService.getAvailableProvingSystems();
+      logTest('Proving Systems', systems.some(({ name }) => name === 'groth16') &&
+        systems.some(({ name, universal_setup }) => name === 'plonk' && universal_setup),
+        systems.map(({ name }) => name).join(', '));
+
+      const transferKey = ZKProofService.loadVkeyRegistry().find(({ circuit }) => circuit === 'transfer');
+      const otherProtocol = transferKey?.provingSystem === 'plonk' ? 'groth16' : 'plonk';
+      let mismatchRejected = false;
+      try {
+        await verifyProof({ proof: { protocol: otherProtocol, curve: 'bn128', metadata: { circuit_name: 'transfer' } }, publicInputs: [] });
+      } catch (error) {
+        mismatchRejected = new RegExp(`for ${transferKey?.provingSystem} proofs, not ${otherProtocol}`).test(error.message);
+      }
+      logTest('Proving System Mismatch Rejected', mismatchRejected,
+        `A ${otherProtocol} proof is not checked against the ${transferKey?.provingSystem} transfer key`);
+
+      const plonkProof = { protocol: 'plonk', curve: 'bn128' };
+      ['A', 'B', 'C', 'Z', 'T1', 'T2', 'T3', 'Wxi', 'Wxiw'].forEach((point, i) => { plonkProof[point] = [String(2 * i + 1), String(2 * i + 2), '1']; });
+      ['eval_a', 'eval_b', 'eval_c', 'eval_s1', 'eval_s2', 'eval_zw'].forEach((evaluation, i) => { plonkProof[evaluation] = String(19 + i); });
+      const decoded = decodeVerifyProofCall(encodeVerifyProofCall(plonkProof, ['7', '8']), 2, 'plonk');
+      logTest('PLONK Verifier Calldata', JSON.stringify(decoded?.proof) === JSON.stringify(plonkProof) &&
+        decoded.publicSignals.join() === '7,8', 'verifyProof(uint256[24], uint256[2]) calldata round-trips');
+
+      // NFT tokens are proven with nft_transfer, whatever circuit is asked for, and only NFT tokens are
+      let nftCircuitRejected = false;
+      try {
+        TransferService.proofCircuit(getToken('GOLD'), 'nft_transfer');
+      } catch (error) {
+        nftCircuitRejected = /only proves NFT transfers/.test(error.message);
+      }
+      logTest('NFT Circuit Routing', TransferService.proofCircuit(getToken('SWORD'), 'generic') === 'nft_transfer' &&
+        TransferService.proofCircuit(getToken('GOLD'), 'transfer') === 'transfer' && nftCircuitRejected,
+        'SWORD is proven with nft_transfer; GOLD cannot be');
+      // Only circuits whose manifest entry lists transfers of the token's type prove plain transfers
+      const refusedCircuits = ['escrow', 'supply', 'swap', 'multi_transfer', 'batch_transfer'].filter(circuit => {
+        try {
+          TransferService.proofCircuit(getToken('GOLD'), circuit);
+          return false;
+        } catch (error) {
+          return /does not prove plain transfers/.test(error.message);
+        }
+      });
+      logTest('Transfer Circuit Allowlist', refusedCircuits.length === 5 &&
+        TransferService.proofCircuit(getToken('HERO'), 'generic') === 'generic',
+        `Refused: ${refusedCircuits.join(', ')}`);
+      // The account token moves only on the account tree, and the account tree moves only the account token
+      const refusedAccountRoutes = [['GOLD', 'generic'], ['SILVER', 'transfer']].filter(([tokenId, circuit]) => {
+        try {
+          TransferService.proofCircuit(getToken(tokenId), circuit);
+          return false;
+        } catch (error) {
+          return /account token/.test(error.message);
+        }
+      });
+      logTest('Account Token Circuits', refusedAccountRoutes.length === 2 &&
+        TransferService.proofCircuit(getToken('SILVER'), 'generic') === 'generic',
+        'GOLD cannot be proven with generic, nor SILVER with transfer');
+
+      // The witness's ownership leaves reach the NFT's ownership roots before and after the transfer
+      const sword = getToken('SWORD');
+      const swordOwner = Object.keys(sword.holdings).find(id => sword.holdings[id].state === 1);
+      const swordReceiver = swordOwner === 'alice' ? 'bob' : 'alice';
+      const swordTx = TransferService.initiateTransfer(sword, swordOwner, swordReceiver, {}, authorizeNft(swordOwner, swordReceiver, 'SWORD'));
+      const nftInput = ZKProofService.prepareCircuitInput(swordTx, 'nft_transfer');
+      // The owner's leaf is updated first, then the receiver's over the root in between; the owner's after leaf
+      // carries its signed nonce
+      const ownerAfter = (account, side, when) => ({
+        ...getAccount(account), ...(side === 's' && when === 'after' && { nonce: BigInt(nftInput.nonce) })
+      });
+      const ownershipRoot = (account, owns, side, when) => String(rootFromPath(nftLeaf(ownerAfter(account, side, when), owns, tokenFieldId('SWORD')), {
+        siblings: nftInput[`${side}_siblings`], pathBits: nftInput[`${side}_pathBits`]
+      }));
+      logTest('NFT Ownership Witness', nftInput.nft_id === String(tokenFieldId('SWORD')) &&
+        nftInput.root_before === String(getNftOwnershipRoot('SWORD')) &&
+        nftInput.sender_owns_nft_before === '1' && nftInput.receiver_owns_nft_before === '0' &&
+        ownershipRoot(swordOwner, 1n, 's', 'before') === nftInput.root_before &&
+        ownershipRoot(swordOwner, 0n, 's', 'after') === ownershipRoot(swordReceiver, 0n, 'r', 'before') &&
+        ownershipRoot(swordReceiver, 1n, 'r', 'after') === nftInput.root_after,
+        `${swordOwner} owns SWORD under root_before, ${swordReceiver} under root_after`);
+
+      // Generic leaves commit the full state array: the attributes move from the HERO owner to the receiver
+      const hero = getToken('HERO');
+      const heroOwner = Object.keys(hero.holdings).find(id => hero.holdings[id].state === 1);
+      const heroReceiver = heroOwner === 'alice' ? 'bob' : 'alice';
+      const genericInput = ZKProofService.prepareCircuitInput(
+        TransferService.initiateTransfer(hero, heroOwner, heroReceiver, {}, authorizeGeneric(heroOwner, heroReceiver, 'HERO')), 'generic');
+      // The sender's leaf is updated first, then the receiver's over the root in between; the sender's after leaf
+      // carries its signed nonce
+      const stateRoot = (account, state, side, when) => String(rootFromPath(
+        tokenStateLeaf({ ...getAccount(account), ...(side === 's' && when === 'after' && { nonce: BigInt(genericInput.nonce) }) },
+          tokenFieldId('HERO'), state.map(BigInt)),
+        { siblings: genericInput[`${side}_siblings`], pathBits: genericInput[`${side}_pathBits`] }
+      ));
+      const heroState = genericInput.sender_state_before;
+      logTest('Generic State Witness', genericInput.token_type === String(TOKEN_TYPES.ATTRIBUTE) &&
+        genericInput.root_before === String(getTokenStateRoot('HERO')) &&
+        genericInput.receiver_state_after.join() === ['1', ...heroState.slice(1)].join() &&
+        genericInput.sender_state_after.every(value => value === '0') &&
+        stateRoot(heroOwner, heroState, 's', 'before') === genericInput.root_before &&
+        stateRoot(heroOwner, genericInput.sender_state_after, 's', 'after') ===
+          stateRoot(heroReceiver, genericInput.receiver_state_before, 'r', 'before') &&
+        stateRoot(heroReceiver, genericInput.receiver_state_after, 'r', 'after') === genericInput.root_after,
+        `HERO [${heroState.join(', ')}] moves from ${heroOwner} to ${heroReceiver}`);
+
+      // Generic transfers must carry the sender's signature over the transfer
+      const unsignedGeneric = (authorization) => {
+        try {
+          ZKProofService.prepareCircuitInput(TransferService.initiateTransfer(hero, heroOwner, heroReceiver, {}, authorization), 'generic');
+          return false;
+        } catch (error) {
+          return /must be signed|did not sign|signed nonce/.test(error.message);
+        }
+      };
+      const { nonce: heroNonce } = authorizeGeneric(heroOwner, heroReceiver, 'HERO');
+      logTest('Unsigned Generic Transfer Rejected', unsignedGeneric(null) && unsignedGeneric({ nonce: heroNonce }) &&
+        unsignedGeneric(authorizeGeneric(heroOwner, heroReceiver, 'SILVER')),
+        'No authorization, no signature, and a signature for another token are all refused');
+
     } catch (error) {
       logTest('Service Architecture', false, error.message);
     }
 
+    try {
+      const sword = getToken('SWORD');
+      const swordOwner = Object.keys(sword.holdings).find(id => sword.holdings[id].state === 1);
+      const swordReceiver = swordOwner === 'alice' ? 'bob' : 'alice';
+      // An NFT only moves with its owner's signature: unsigned or signed by another account, it stays put
+      const unsignedNft = async (authorization) => {
+        try {
+          await transfer('SWORD', swordOwner, swordReceiver, {}, 'transfer', {}, authorization);
+          return false;
+        } catch (error) {
+          return /must be signed|did not sign|signed nonce/.test(error.message);
+        }
+      };
+      const { nonce: swordNonce } = authorizeNft(swordOwner, swordReceiver, 'SWORD');
+      logTest('Unsigned NFT Transfer Rejected', await unsignedNft(null) && await unsignedNft({ nonce: swordNonce }) &&
+        await unsignedNft(authorizeNft(swordOwner, swordReceiver, 'SWORD', swordReceiver)) &&
+        getHolding('SWORD', swordOwner).state === 1,
+        `${swordOwner} still owns SWORD after unsigned and forged transfers`);
+
+      const nftTransferResult = await transfer('SWORD', swordOwner, swordReceiver, {}, 'transfer', {},
+        authorizeNft(swordOwner, swordReceiver, 'SWORD'));
+      const audit = await verifyTransaction(nftTransferResult.txId);
+      logProofTest(['nft_transfer'], 'NFT Transfer', nftTransferResult.circuit === 'nft_transfer' &&
+        getHolding('SWORD', swordReceiver).state === 1 && audit?.valid,
+        `Proven with ${nftTransferResult.circuit}; ${swordReceiver} owns SWORD`);
+    } catch (error) {
+      logProofTest(['nft_transfer'], 'NFT Transfer', false, error.message);
+    }
+
     // Test 6: Transfer Flow Implementation
     console.log('\n6️⃣ Transfer Flow Tests');
     console.log('   Testing 6-step transfer flow...');
@@ -166,6 +472,7 @@ async function runAllTests() {
     console.log('\n7️⃣ Enhanced Public Inputs Tests');
     console.log('   Testing new public inputs functionality...');
     
+    const bobAuthorization = authorize('bob', 'carol', 75);
     try {
       // Test another transfer to verify public inputs consistency
       const testTransferResult = await transfer(
@@ -173,61 +480,607 @@ async function runAllTests() {
         'bob',            // from
         'carol',          // to
         { amount: 75 },   // transferParams
-        'transfer'        // transferCircuit
+        'transfer',       // transferCircuit
+        {},               // ledgerMetadata
+        bobAuthorization  // authorization
       );
       
-      logTest('Public Inputs Structure', testTransferResult.publicInputs?.length >= 8, 
-        `Expected 8+ public inputs, got ${testTransferResult.publicInputs?.length || 0}`);
+      logProofTest(['transfer'], 'Public Inputs Structure', testTransferResult.publicInputs?.length >= 9, 
+        `Expected 9+ public inputs, got ${testTransferResult.publicInputs?.length || 0}`);
       
       if (testTransferResult.publicInputs && testTransferResult.publicInputs.length >= 8) {
-        logTest('Sender Account Binding', testTransferResult.publicInputs[0] === '22', 
-          `Bob's public key: ${testTransferResult.publicInputs[0]}`);
-        logTest('Receiver Account Binding', testTransferResult.publicInputs[1] === '33', 
-          `Carol's public key: ${testTransferResult.publicInputs[1]}`);
-        logTest('Amount Binding', testTransferResult.publicInputs[2] === '75', 
+        logProofTest(['transfer'], 'Sender Account Binding', testTransferResult.publicInputs[0] === getAccount('bob').pub.toString(), 
+          `Bob's public key hash: ${testTransferResult.publicInputs[0]?.substring(0, 20)}...`);
+        logProofTest(['transfer'], 'Receiver Account Binding', testTransferResult.publicInputs[1] === getAccount('carol').pub.toString(), 
+          `Carol's public key hash: ${testTransferResult.publicInputs[1]?.substring(0, 20)}...`);
+        logProofTest(['transfer'], 'Amount Binding', testTransferResult.publicInputs[2] === '75', 
           `Transfer amount: ${testTransferResult.publicInputs[2]}`);
-        logTest('Nonce Uniqueness', !!testTransferResult.publicInputs[3], 
+        logProofTest(['transfer'], 'Nonce Uniqueness', !!testTransferResult.publicInputs[3], 
           `Transaction nonce: ${testTransferResult.publicInputs[3]}`);
-        logTest('State Commitment', !!testTransferResult.publicInputs[4], 
+        logProofTest(['transfer'], 'State Commitment', !!testTransferResult.publicInputs[4], 
           `State commitment: ${testTransferResult.publicInputs[4]?.substring(0, 20)}...`);
-        logTest('Root Before', !!testTransferResult.publicInputs[5], 
+        logProofTest(['transfer'], 'Root Before', !!testTransferResult.publicInputs[5], 
           `Root before: ${testTransferResult.publicInputs[5]?.substring(0, 20)}...`);
-        logTest('Root After', !!testTransferResult.publicInputs[6], 
+        logProofTest(['transfer'], 'Root After', !!testTransferResult.publicInputs[6], 
           `Root after: ${testTransferResult.publicInputs[6]?.substring(0, 20)}...`);
-        logTest('Transaction ID', !!testTransferResult.publicInputs[7], 
+        logProofTest(['transfer'], 'Transaction ID', !!testTransferResult.publicInputs[7], 
           `Tx ID: ${testTransferResult.publicInputs[7]?.substring(0, 20)}...`);
       }
       
     } catch (error) {
-      logTest('Enhanced Public Inputs', false, error.message);
+      logProofTest(['transfer'], 'Enhanced Public Inputs', false, error.message);
     }
 
-    // Test 8: Final token states
-    console.log('\n8️⃣ Final State Validation');
-    console.log('   Checking final token states...');
+    // Replaying the same signed transfer must fail: its nonce has already been consumed
+    try {
+      await transfer('GOLD', 'bob', 'carol', { amount: 75 }, 'transfer', {}, bobAuthorization);
+      logProofTest(['transfer'], 'Replayed Transfer Rejected', false, 'The replayed transfer was accepted');
+    } catch (error) {
+      logProofTest(['transfer'], 'Replayed Transfer Rejected', /nonce/i.test(error.message), error.message);
+    }
+
+    // Test 8: Account registration and closing
+    console.log('\n8️⃣ Account Registration Tests');
+    console.log('   Testing account registration and closing...');
     
-    const finalTokens = getAllTokens();
-    const goldToken = finalTokens.find(t => t.id === 'GOLD');
-    const silverToken = finalTokens.find(t => t.id === 'SILVER');
+    try {
+      const rootBeforeRegistration = getStateRoot();
+      const accountId = `test_account_${Date.now()}`;
+      const publicKey = publicKeyFromPrivate(demoPrivateKey(accountId));
+      
+      const registered = registerAccount(accountId, publicKey);
+      logTest('Account Registration', getAccount(accountId)?.idx === registered.account.idx, 
+        `Registered ${accountId} at tree index ${registered.account.idx}`);
+      logTest('Registration Root Update', registered.root !== rootBeforeRegistration && registered.root === getStateRoot(), 
+        `New root: ${String(registered.root).substring(0, 20)}...`);
+      
+      let duplicateRejected = false;
+      try {
+        registerAccount(`${accountId}_copy`, publicKey);
+      } catch (error) {
+        duplicateRejected = true;
+      }
+      logTest('Duplicate Public Key Rejected', duplicateRejected, 'Each public key maps to one account');
+      
+      const inclusionProof = getInclusionProof(accountId);
+      const inclusion = verifyInclusionProof(inclusionProof);
+      logTest('Inclusion Proof', inclusion.valid && inclusion.isCurrentRoot && inclusion.treeIndex === registered.account.idx, 
+        `Leaf at index ${inclusion.treeIndex} hashes up to the current root`);
+      const forged = verifyInclusionProof({ ...inclusionProof, leaf: { ...inclusionProof.leaf, balance: '1000000' } });
+      logTest('Forged Leaf Rejected', !forged.valid, 'A leaf with another balance does not reach the root');
+      
+      const closed = closeAccount(accountId);
+      logTest('Account Close', !getAccount(accountId) && closed.root === rootBeforeRegistration, 
+        'Leaf zeroed, root restored to its value before registration');
+      
+      const [closeRecord] = getStateRoots({ limit: 1 }).roots;
+      const registerRecord = getStateRootRecord(String(registered.root));
+      logTest('State Root History', closeRecord.cause === 'close' && closeRecord.prevRoot === String(registered.root) &&
+        registerRecord.cause === 'register' && registerRecord.nextRoot === closeRecord.root,
+        `Register (#${registerRecord.seq}) and close (#${closeRecord.seq}) roots recorded in order`);
+      const historical = verifyInclusionProof(getInclusionProof(accountId, String(registered.root)));
+      logTest('Historical Inclusion Proof', historical.valid && historical.isRecordedRoot && !historical.isCurrentRoot,
+        'The closed account\'s leaf is proven against the root recorded at its registration');
+      
+      const reused = registerAccount(accountId, publicKey);
+      logTest('Tree Index Reuse', reused.account.idx === registered.account.idx, 
+        `Freed index ${registered.account.idx} allocated again`);
+      closeAccount(accountId);
+    } catch (error) {
+      logTest('Account Registration', false, error.message);
+    }
+
+    // Test 9: Batched transfers
+    console.log('\n9️⃣ Batch Transfer Tests');
+    console.log('   Queueing signed transfers and proving them with one batch proof...');
     
-    if (goldToken) {
-      logTest('GOLD Final State', goldToken.state.state < 1000, 
-        `GOLD balance: ${goldToken.state.state} (should be reduced)`);
+    try {
+      // Queued transfers from one sender take consecutive nonces after the account's current one
+      const queueSigned = (from, to, amount) => {
+        const queued = getPendingTransfers().filter(pending => pending.from === from).length;
+        const nonce = String(getAccount(from).nonce + 1n + BigInt(queued));
+        const signature = signTransfer(demoPrivateKey(from), {
+          to: getAccount(to).publicKey, token: tokenFieldId('GOLD'), amount, nonce
+        });
+        return queueTransfer('GOLD', from, to, { amount }, { signature, nonce });
+      };
+      
+      const first = queueSigned('alice', 'carol', 10);
+      const second = queueSigned('alice', 'dan', 5);
+      logTest('Transfers Queued', BigInt(second.nonce) === BigInt(first.nonce) + 1n, 
+        `Queued #${first.id} (nonce ${first.nonce}) and #${second.id} (nonce ${second.nonce})`);
+      
+      let reusedNonceRejected = false;
+      try {
+        queueTransfer('GOLD', 'alice', 'carol', { amount: 10 }, { signature: first.signature, nonce: first.nonce });
+      } catch (error) {
+        reusedNonceRejected = /nonce/i.test(error.message);
+      }
+      logTest('Queued Nonce Reuse Rejected', reusedNonceRejected, 'A queued nonce cannot be queued again');
+      
+      const rootBeforeBatch = String(getStateRoot());
+      const batch = await createBatch();
+      logProofTest(['batch_transfer'], 'Batch Proof', batch.txCount >= 2 && batch.publicInputs?.length === 5, 
+        `${batch.txCount} transfers proven by one proof, public inputs: ${batch.publicInputs?.length}`);
+      logProofTest(['batch_transfer'], 'Batch Root Transition', batch.rootBefore === rootBeforeBatch && batch.rootAfter === String(getStateRoot()), 
+        `Root: ${batch.rootBefore.substring(0, 12)}... → ${batch.rootAfter.substring(0, 12)}...`);
+      logProofTest(['batch_transfer'], 'Transactions Linked to Batch', getBatch(batch.batchId)?.tx_ids.length === batch.txCount, 
+        `Batch ${batch.batchId} links ${batch.txIds.length} transaction logs`);
+    } catch (error) {
+      logProofTest(['batch_transfer'], 'Batch Transfers', false, error.message);
     }
+
+    // Test 10: Transfer jobs
+    console.log('\n🔟 Transfer Job Tests');
+    console.log('   Submitting a transfer job and running it through the worker...');
     
-    if (silverToken) {
-      logTest('SILVER Final State', silverToken.state.state < 500, 
-        `SILVER balance: ${silverToken.state.state} (should be reduced)`);
+    try {
+      const submitted = submitTransferJob('GOLD', 'alice', 'carol', { amount: 1 }, 'transfer', {}, 
+        authorize('alice', 'carol', 1));
+      logTest('Job Queued', submitted.status === 'queued' && getJob(submitted.id)?.status === 'queued', 
+        `Job ${submitted.id} accepted without proving`);
+      
+      let invalidRejected = false;
+      try {
+        submitTransferJob('NOPE', 'alice', 'carol', { amount: 1 });
+      } catch (error) {
+        invalidRejected = /not found/.test(error.message);
+      }
+      logTest('Invalid Job Rejected', invalidRejected, 'Unknown tokens are rejected before queueing');
+      
+      let unsignedJobRejected = false;
+      try {
+        submitTransferJob('HERO', 'alice', 'bob', {}, 'generic');
+      } catch (error) {
+        unsignedJobRejected = /must be signed/.test(error.message);
+      }
+      logTest('Unsigned Job Rejected', unsignedJobRejected, 'Transfers without the sender\'s signature are not queued');
+      
+      // Jobs run oldest first, so run until ours has finished
+      let ran;
+      do {
+        ran = await runNextJob();
+      } while (ran && ran.id !== submitted.id);
+      const job = getJob(submitted.id);
+      logProofTest(['transfer'], 'Job Committed', job.status === 'committed' && job.result?.txId === job.txId, 
+        job.status === 'committed' ? `Transaction ${job.txId} committed` : `Status ${job.status}: ${job.error}`);
+      
+      // A ledger that is down when the job commits: the job stays committed and the write is retried
+      const flakyLedger = new LocalLedger({ file: path.join(os.tmpdir(), `test-flaky-ledger-${Date.now()}.jsonl`) });
+      const append = flakyLedger.append.bind(flakyLedger);
+      let ledgerDown = true;
+      flakyLedger.append = async (records, context) => {
+        if (ledgerDown) throw new Error('Ledger unavailable');
+        return append(records, context);
+      };
+      registerLedgerAdapter('flaky', () => flakyLedger);
+      const unanchored = submitTransferJob('GOLD', 'alice', 'carol', { amount: 1 }, 'transfer', { platform: 'flaky' },
+        authorize('alice', 'carol', 1));
+      do {
+        ran = await runNextJob();
+      } while (ran && ran.id !== unanchored.id);
+      const unanchoredJob = getJob(unanchored.id);
+      const failedWrite = unanchoredJob.txId && getTransaction(unanchoredJob.txId);
+      logProofTest(['transfer'], 'Ledger Failure Keeps Job Committed', unanchoredJob.status === 'committed' &&
+        unanchoredJob.result?.ledgerError === 'Ledger unavailable' && failedWrite?.ledger_status === 'failed' &&
+        failedWrite.ledger_error === 'Ledger unavailable' && failedWrite.ledger_attempts === 1,
+        `Status ${unanchoredJob.status}, ledger write ${failedWrite?.ledger_status}: ${failedWrite?.ledger_error}`);
+      
+      ledgerDown = false;
+      const retried = await retryLedgerWrites();
+      const writtenLater = getTransaction(unanchoredJob.txId);
+      logProofTest(['transfer'], 'Failed Ledger Write Retried', retried.written >= 1 && writtenLater?.ledger_status === 'written' &&
+        writtenLater.ledger_error === null && Boolean(writtenLater.block_id) &&
+        (await flakyLedger.verifyChain()).height === 1,
+        `Written in block ${writtenLater?.block_id?.substring(0, 16)}...`);
+      fs.rmSync(flakyLedger.file, { force: true });
+    } catch (error) {
+      logProofTest(['transfer'], 'Transfer Jobs', false, error.message);
     }
 
+    // Test 11: Local ledger
+    console.log('\n1️⃣1️⃣ Ledger Tests');
+    console.log('   Sealing blocks in a scratch local ledger and verifying its hash chain...');
+    
+    try {
+      const ledgerFile = path.join(os.tmpdir(), `test-ledger-${Date.now()}.jsonl`);
+      const ledger = new LocalLedger({ file: ledgerFile });
+      const first = await ledger.append([{ txId: 'tx-1', proofHash: 'aa' }]);
+      const second = await ledger.append([{ txId: 'tx-2', proofHash: 'bb' }]);
+      const chain = await ledger.verifyChain();
+      const block = await ledger.getBlock(second.blockId);
+      logTest('Ledger Blocks Sealed', chain.valid && chain.height === 2 && block?.prevHash === first.blockId &&
+        block.recordHashes[0] === second.recordHashes[0],
+        `Block #${second.blockNumber} ${second.blockId.substring(0, 16)}... chained to block #${first.blockNumber}`);
+      
+      // Rewriting a sealed record must break the chain
+      const lines = fs.readFileSync(ledgerFile, 'utf8').split('\n');
+      lines[0] = lines[0].replace('"proofHash":"aa"', '"proofHash":"cc"');
+      fs.writeFileSync(ledgerFile, lines.join('\n'));
+      const tampered = await new LocalLedger({ file: ledgerFile }).verifyChain();
+      logTest('Tampered Ledger Detected', !tampered.valid && tampered.errors[0]?.blockNumber === 0,
+        tampered.errors.map(({ blockNumber, error }) => `#${blockNumber}: ${error}`).join('; '));
+      fs.unlinkSync(ledgerFile);
+      
+      let unknownRejected = false;
+      try {
+        await getLedgerBlock(0, 'no-such-ledger');
+      } catch (error) {
+        unknownRejected = /Unknown ledger platform/.test(error.message);
+      }
+      logTest('Unknown Ledger Platform Rejected', unknownRejected, `Available platforms: ${getLedgerPlatforms().join(', ')}`);
+    } catch (error) {
+      logTest('Ledger', false, error.message);
+    }
+    
+    // Ethereum ledger against the dev node stand-in, whose verifier contracts use the built verification keys
+    const ethNode = await startEthDevNode({ port: 0 });
+    try {
+      registerLedgerAdapter('ethereum', () => new EthereumLedger({
+        rpcUrl: ethNode.url, verifiers: ethNode.verifierAddresses, pollIntervalMs: 50
+      }));
+      
+      const forgedProof = {
+        pi_a: ['1', '2', '1'], pi_b: [['1', '2'], ['3', '4'], ['1', '0']], pi_c: ['1', '2', '1'],
+        metadata: { circuit_name: 'transfer' }
+      };
+      const forgedTxLog = { id: 'forged', tokenId: 'GOLD', tokenType: 0, timestamp: Date.now(), publicInputs: Array(9).fill('1') };
+      let forgedRejected = false;
+      try {
+        await saveProofInPublicLedger(forgedProof, forgedTxLog, { platform: 'ethereum' });
+      } catch (error) {
+        forgedRejected = /rejected by the transfer verifier/.test(error.message);
+      }
+      const { height } = await verifyLedgerChain('ethereum');
+      logTest('Forged Proof Rejected On-Chain', forgedRejected && height === 0,
+        'The verifier contract rejects the proof, so no transaction is sent');
+      
+      // Flows run the same check before they commit, and a proof must name its circuit's verifier
+      const rejection = (proof) => checkPublicLedger(proof, forgedTxLog.publicInputs, { platform: 'ethereum' })
+        .then(() => null, error => error.message);
+      const forgedCheck = await rejection(forgedProof);
+      const unnamedCheck = await rejection({ ...forgedProof, metadata: {} });
+      logTest('Ethereum Check Before Commit', /rejected by the transfer verifier/.test(forgedCheck) &&
+        /circuit of the proof/.test(unnamedCheck), `${forgedCheck}; ${unnamedCheck}`);
+      
+      // A node that cannot be reached makes the chain invalid instead of failing the check
+      const unreachable = await new EthereumLedger({
+        rpcUrl: 'http://127.0.0.1:1', verifiers: ethNode.verifierAddresses, rpcTimeoutMs: 1000
+      }).verifyChain();
+      logTest('Unreachable Ethereum Node', !unreachable.valid && unreachable.height === null &&
+        unreachable.errors.length === Object.keys(ethNode.verifierAddresses).length + 2,
+        `${unreachable.errors.length} error(s): ${unreachable.errors[0]?.error}`);
+      
+      // Anchoring waits for the transaction to be mined, so the transfer leaves it pending for the job worker
+      const anchored = await transfer('GOLD', 'alice', 'bob', { amount: 5 }, 'transfer',
+        { platform: 'ethereum' }, authorize('alice', 'bob', 5));
+      bobGoldCredited += 5;
+      const pending = getTransaction(anchored.txId);
+      await retryLedgerWrites();
+      const stored = getTransaction(anchored.txId).ledger_metadata;
+      logProofTest(['transfer'], 'Proof Anchored on Ethereum', anchored.ledgerStatus === 'pending' && pending.ledger_status === 'pending' &&
+        stored.platform === 'ethereum' && stored.onChainVerified &&
+        /^0x[0-9a-f]{64}$/.test(stored.txHash) && stored.blockNumber === 1,
+        `Transaction ${stored.txHash?.substring(0, 18)}... in block ${stored.blockNumber}`);
+    } catch (error) {
+      logProofTest(['transfer'], 'Ethereum Ledger', false, error.message);
+    } finally {
+      await ethNode.close();
+    }
+
+    // Test 12: Escrows
+    console.log('\n1️⃣2️⃣ Escrow Tests');
+    console.log('   Locking an escrow token under a provider, then releasing and refunding it...');
+    
+    // Signature of an escrow step by the owner (open, reclaim) or the provider (release, refund)
+    const signEscrowStep = (signer, action, escrow) => signEscrow(demoPrivateKey(signer), {
+      action: ESCROW_ACTIONS[action], token: tokenFieldId(escrow.tokenId), seq: escrow.seq,
+      provider: getAccount(escrow.provider).publicKey, beneficiary: getAccount(escrow.beneficiary).publicKey,
+      amount: escrow.amount, expiresAt: escrow.expiresAt
+    });
+    const deedId = `DEED_${Date.now()}`;
+    const escrowTerms = { tokenId: deedId, owner: 'alice', beneficiary: 'bob', provider: 'carol', amount: 500, expiresAt: null };
+    
+    try {
+      const { EscrowService } = await import('./scripts/services/escrow-service.mjs');
+      const { ZKProofService } = await import('./scripts/services/zk-proof-service.mjs');
+      createToken(deedId, TOKEN_TYPES.ESCROW, 'Title Deed', { state: 1 }, 'alice');
+      
+      // Opening locks alice's deed under carol's key; alice's leaf is updated over her path from root_before, and bob's
+      // unchanged leaf reaches root_after over his path from there
+      const openStep = { ...escrowTerms, id: 'witness', seq: nextEscrowSeq(deedId) };
+      const openTx = EscrowService.initiateStep(getToken(deedId), openStep, 'open', signEscrowStep('alice', 'open', openStep));
+      const escrowInput = ZKProofService.prepareCircuitInput(openTx, 'escrow');
+      const escrowRoot = (account, state, side) => String(rootFromPath(
+        tokenStateLeaf(getAccount(account), tokenFieldId(deedId), state.map(BigInt)),
+        { siblings: escrowInput[`${side}_siblings`], pathBits: escrowInput[`${side}_pathBits`] }
+      ));
+      logTest('Escrow Witness', escrowInput.action === '0' && escrowInput.provider === String(getAccount('carol').pub) &&
+        escrowInput.owner_state_after.join() === ['1', escrowInput.provider, '1', '500'].join() &&
+        escrowRoot('alice', escrowInput.owner_state_before, 'o') === escrowInput.root_before &&
+        escrowRoot('alice', escrowInput.owner_state_after, 'o') === escrowRoot('bob', escrowInput.beneficiary_state_before, 'b') &&
+        escrowRoot('bob', escrowInput.beneficiary_state_after, 'b') === escrowInput.root_after,
+        `${deedId} is locked under carol's key for 500`);
+      
+      // Only the owner can open an escrow of their token
+      let forgedRejected = false;
+      try {
+        await openEscrow(escrowTerms, signEscrowStep('carol', 'open', openStep));
+      } catch (error) {
+        forgedRejected = /did not sign this escrow step/.test(error.message);
+      }
+      logTest('Escrow Signature Required', forgedRejected && getHolding(deedId, 'alice').escrow_status === 0,
+        'An escrow signed by the provider instead of the owner is rejected');
+    } catch (error) {
+      logTest('Escrow Witness', false, error.message);
+    }
+    
+    try {
+      const opened = await openEscrow(escrowTerms, signEscrowStep('alice', 'open', { ...escrowTerms, seq: nextEscrowSeq(deedId) }));
+      let reclaimRejected = false;
+      try {
+        await reclaimEscrow(opened.escrow.id, signEscrowStep('alice', 'reclaim', opened.escrow));
+      } catch (error) {
+        reclaimRejected = /no timeout/.test(error.message);
+      }
+      const released = await releaseEscrow(opened.escrow.id, signEscrowStep('carol', 'release', opened.escrow));
+      const audit = await verifyTransaction(released.txId);
+      logProofTest(['escrow'], 'Escrow Released', opened.escrow.status === 'open' && reclaimRejected &&
+        released.escrow.status === 'released' && getHolding(deedId, 'bob').state === 1 && audit?.valid,
+        `Escrow #${opened.escrow.seq} of ${deedId} released to bob by carol`);
+      
+      // bob escrows the deed back to alice with a timeout; it cannot be reclaimed early, but carol can refund it
+      const timedTerms = { ...escrowTerms, owner: 'bob', beneficiary: 'alice', amount: 250, expiresAt: Date.now() + 60000 };
+      const timed = await openEscrow(timedTerms, signEscrowStep('bob', 'open', { ...timedTerms, seq: nextEscrowSeq(deedId) }));
+      let earlyReclaimRejected = false;
+      try {
+        await reclaimEscrow(timed.escrow.id, signEscrowStep('bob', 'reclaim', timed.escrow));
+      } catch (error) {
+        earlyReclaimRejected = /cannot be reclaimed before/.test(error.message);
+      }
+      const refunded = await refundEscrow(timed.escrow.id, signEscrowStep('carol', 'refund', timed.escrow));
+      logProofTest(['escrow'], 'Escrow Refunded', earlyReclaimRejected && refunded.escrow.status === 'refunded' &&
+        getHolding(deedId, 'bob').state === 1 && getHolding(deedId, 'bob').escrow_status === 0,
+        `Escrow #${timed.escrow.seq} refunded to bob before its timeout`);
+    } catch (error) {
+      logProofTest(['escrow'], 'Escrow Lifecycle', false, error.message);
+    }
+
+    // Test 13: Mints and burns
+    console.log('\n1️⃣3️⃣ Supply Tests');
+    console.log('   Minting and burning a fungible token as its issuer...');
+    
+    // Signature of the token's next supply change (the issuer's, unless another signer is given)
+    const signSupply = (tokenId, operation, amount, signer = getToken(tokenId).issuer) =>
+      signSupplyChange(demoPrivateKey(signer), {
+        operation: SUPPLY_OPERATIONS[operation], token: tokenFieldId(tokenId), seq: getToken(tokenId).supplySeq + 1, amount
+      });
+    const coinId = `COIN_${Date.now()}`;
+    
+    try {
+      const { SupplyService } = await import('./scripts/services/supply-service.mjs');
+      const { ZKProofService } = await import('./scripts/services/zk-proof-service.mjs');
+      createToken(coinId, TOKEN_TYPES.FUNGIBLE, 'Regulated Coin', { state: 1000 }, 'alice');
+      
+      // Minting changes only alice's leaf, at the same path, and moves the supply commitment by the amount
+      const mintTx = SupplyService.initiateChange(getToken(coinId), 'mint', 100, signSupply(coinId, 'mint', 100));
+      const supplyInput = ZKProofService.prepareCircuitInput(mintTx, 'supply');
+      const issuerReaches = (balance, root) => String(rootFromPath(
+        tokenStateLeaf(getAccount('alice'), tokenFieldId(coinId), [BigInt(balance), 0n, 0n, 0n]),
+        { siblings: supplyInput.siblings, pathBits: supplyInput.pathBits }
+      )) === root;
+      logTest('Supply Witness', getToken(coinId).totalSupply === '1000' && supplyInput.operation === '0' &&
+        supplyInput.supply_commitment_before === String(supplyCommitment(coinId, 1000)) &&
+        supplyInput.supply_commitment_after === String(supplyCommitment(coinId, 1100)) &&
+        issuerReaches(1000, supplyInput.root_before) && issuerReaches(1100, supplyInput.root_after),
+        `Minting 100 ${coinId} takes alice's leaf and the total supply from 1000 to 1100`);
+      
+      // Only the issuer can mint
+      let forgedRejected = false;
+      try {
+        await mintTokens(coinId, 100, signSupply(coinId, 'mint', 100, 'bob'));
+      } catch (error) {
+        forgedRejected = /did not sign this supply change/.test(error.message);
+      }
+      logTest('Supply Signature Required', forgedRejected && getToken(coinId).totalSupply === '1000' &&
+        getTokenSupply(coinId).history.length === 0, 'A mint signed by bob instead of the issuer is rejected');
+    } catch (error) {
+      logTest('Supply Witness', false, error.message);
+    }
+    
+    try {
+      const mintSignature = signSupply(coinId, 'mint', 100);
+      const minted = await mintTokens(coinId, 100, mintSignature);
+      let replayRejected = false;
+      try {
+        await mintTokens(coinId, 100, mintSignature);
+      } catch (error) {
+        replayRejected = /did not sign this supply change/.test(error.message);
+      }
+      const burned = await burnTokens(coinId, 300, signSupply(coinId, 'burn', 300));
+      const supply = getTokenSupply(coinId);
+      const audit = await verifyTransaction(burned.txId);
+      logProofTest(['supply'], 'Mint and Burn', minted.totalSupplyAfter === '1100' && replayRejected && burned.totalSupplyAfter === '800' &&
+        getHolding(coinId, 'alice').state === 800 && supply.totalSupply === '800' &&
+        supply.history.map(({ operation }) => operation).join() === 'mint,burn' &&
+        getTransaction(burned.txId).operation === 'burn' && audit?.valid,
+        `${coinId} supply 1000 → 1100 → 800, each change proven and recorded`);
+    } catch (error) {
+      logProofTest(['supply'], 'Mint and Burn', false, error.message);
+    }
+
+    // Test 14: Atomic swaps
+    console.log('\n1️⃣4️⃣ Swap Tests');
+    console.log('   Swapping a fungible token for an NFT under one proof...');
+    
+    const coinForSwap = `SWAPCOIN_${Date.now()}`;
+    const relicId = `RELIC_${Date.now()}`;
+    const swapParams = { partyA: 'alice', tokenA: coinForSwap, amountA: 300, partyB: 'bob', tokenB: relicId, amountB: 1 };
+    // Both parties sign the same terms for the next swap number
+    const swapTerms = () => ({
+      seq: nextSwapSeq(), partyA: getAccount('alice').publicKey, tokenA: tokenFieldId(coinForSwap), amountA: 300,
+      partyB: getAccount('bob').publicKey, tokenB: tokenFieldId(relicId), amountB: 1
+    });
+    const swapSignatures = () => ({
+      signatureA: signSwap(demoPrivateKey('alice'), swapTerms()),
+      signatureB: signSwap(demoPrivateKey('bob'), swapTerms())
+    });
+    
+    try {
+      const { SwapService } = await import('./scripts/services/swap-service.mjs');
+      const { ZKProofService } = await import('./scripts/services/zk-proof-service.mjs');
+      createToken(coinForSwap, TOKEN_TYPES.FUNGIBLE, 'Swap Coin', { state: 1000 }, 'alice');
+      createToken(relicId, TOKEN_TYPES.NFT, 'Relic', { state: 1 }, 'bob');
+      
+      // One witness moves both legs: alice's coins to bob in the coin's tree, bob's relic to alice in the relic's
+      const { signatureA, signatureB } = swapSignatures();
+      const swapTx = SwapService.initiateSwap(
+        { party: 'alice', tokenId: coinForSwap, amount: 300 }, { party: 'bob', tokenId: relicId, amount: 1 },
+        { alice: signatureA, bob: signatureB }
+      );
+      const { input: swapInput } = ZKProofService.prepareSwapCircuitInput(swapTx, BigInt(swapTx.timestamp), 1n);
+      // Root from the leaf of a leg's giver (g) or taker (t) up its path; the giver's leaf is updated from the leg's
+      // root before, then the taker's to the leg's root after
+      const legRoot = (account, tokenId, state, leg, side) => String(rootFromPath(
+        tokenStateLeaf(getAccount(account), tokenFieldId(tokenId), [BigInt(state), 0n, 0n, 0n]),
+        { siblings: swapInput[`${leg}_${side}_siblings`], pathBits: swapInput[`${leg}_${side}_pathBits`] }
+      ));
+      logTest('Swap Witness', swapInput.token_type_a === '0' && swapInput.token_type_b === '1' &&
+        legRoot('alice', coinForSwap, 1000, 'a', 'g') === swapInput.root_a_before &&
+        legRoot('alice', coinForSwap, 700, 'a', 'g') === legRoot('bob', coinForSwap, 0, 'a', 't') &&
+        legRoot('bob', coinForSwap, 300, 'a', 't') === swapInput.root_a_after &&
+        legRoot('bob', relicId, 1, 'b', 'g') === swapInput.root_b_before &&
+        legRoot('bob', relicId, 0, 'b', 'g') === legRoot('alice', relicId, 0, 'b', 't') &&
+        legRoot('alice', relicId, 1, 'b', 't') === swapInput.root_b_after,
+        `300 ${coinForSwap} move to bob and ${relicId} to alice, each leg in its token's state tree`);
+      
+      // Neither leg commits without both signatures
+      let unsignedRejected = false;
+      try {
+        await swapTokens(swapParams, { signatureA });
+      } catch (error) {
+        unsignedRejected = /'bob' has not signed/.test(error.message);
+      }
+      logTest('Swap Signatures Required', unsignedRejected && getHolding(coinForSwap, 'alice').state === 1000 &&
+        getHolding(relicId, 'bob').state === 1, 'A swap signed by alice only is rejected and nothing moves');
+    } catch (error) {
+      logTest('Swap Witness', false, error.message);
+    }
+    
+    try {
+      const swapped = await swapTokens(swapParams, swapSignatures());
+      const swapRow = getTransaction(swapped.txId);
+      const legs = JSON.parse(swapRow.transfer_params).legs;
+      const audit = await verifyTransaction(swapped.txId);
+      logProofTest(['swap'], 'Atomic Swap', getHolding(coinForSwap, 'alice').state === 700 && getHolding(coinForSwap, 'bob').state === 300 &&
+        getHolding(relicId, 'alice').state === 1 && getHolding(relicId, 'bob').state === 0 &&
+        swapRow.operation === 'swap' && legs.map(({ tokenId }) => tokenId).join() === `${coinForSwap},${relicId}` &&
+        String(getTokenStateRoot(relicId)) === legs[1].rootAfter && audit?.valid,
+        `alice's 300 ${coinForSwap} for bob's ${relicId}, one proof and one tx_logs row`);
+    } catch (error) {
+      logProofTest(['swap'], 'Atomic Swap', false, error.message);
+    }
+
+    // Test 15: Multi-recipient transfers
+    console.log('\n1️⃣5️⃣ Multi-Transfer Tests');
+    console.log('   Paying two recipients from one sender under one proof...');
+    
+    const payrollId = `PAYROLL_${Date.now()}`;
+    const payroll = [{ to: 'bob', amount: 100 }, { to: 'carol', amount: 50 }];
+    // alice signs the recipients in order, the total and her next nonce
+    const signPayroll = (recipients) => {
+      const nonce = String(getAccount('alice').nonce + 1n);
+      const signed = recipients.map(({ to, amount }) => ({ to: getAccount(to).publicKey, amount }));
+      return { signature: signMultiTransfer(demoPrivateKey('alice'), { recipients: signed, token: tokenFieldId(ACCOUNT_TOKEN), nonce }), nonce };
+    };
+    
+    try {
+      const { MultiTransferService } = await import('./scripts/services/multi-transfer-service.mjs');
+      const { ZKProofService } = await import('./scripts/services/zk-proof-service.mjs');
+      createToken(payrollId, TOKEN_TYPES.FUNGIBLE, 'Payroll Coin', { state: 1000 }, 'alice');
+      
+      // The multi_transfer circuit proves account balances, which are the account token's holdings only
+      let otherTokenRejected = false;
+      try {
+        await multiTransfer(payrollId, 'alice', payroll, signPayroll(payroll));
+      } catch (error) {
+        otherTokenRejected = /Only the account token/.test(error.message);
+      }
+      logTest('Multi-Transfer Account Token Only', otherTokenRejected, `${payrollId} cannot be sent with a multi-transfer`);
+      
+      // The sender's leaf is debited the total once; the recipient slots after the two payments are padding
+      const alice = getAccount('alice');
+      const payrollTx = MultiTransferService.initiateMultiTransfer(getToken(ACCOUNT_TOKEN), 'alice', payroll, signPayroll(payroll));
+      const multiInput = ZKProofService.prepareCircuitInput(payrollTx, 'multi_transfer');
+      const senderReaches = (account, root) => String(rootFromPath(accountLeaf(account),
+        { siblings: multiInput.s_siblings, pathBits: multiInput.s_pathBits })) === root;
+      logTest('Multi-Transfer Witness', multiInput.root_before === String(getStateRoot()) &&
+        senderReaches(alice, multiInput.root_before) && multiInput.total === '150' && multiInput.recipient_count === '2' &&
+        multiInput.enabled.join('') === '11'.padEnd(MULTI_TRANSFER_SIZE, '0') &&
+        payrollTx.recipients.map(({ stateBefore, stateAfter }) => BigInt(stateAfter.state) - BigInt(stateBefore.state)).join() === '100,50' &&
+        BigInt(payrollTx.stateAfter.sender.state) === alice.bal - 150n,
+        `alice pays 150 ${ACCOUNT_TOKEN} to bob and carol in ${MULTI_TRANSFER_SIZE} recipient slots`);
+      
+      // The signature covers the recipients in order
+      let reorderedRejected = false;
+      try {
+        await multiTransfer(ACCOUNT_TOKEN, 'alice', [payroll[1], payroll[0]], signPayroll(payroll));
+      } catch (error) {
+        reorderedRejected = /did not sign this multi-transfer/.test(error.message);
+      }
+      logTest('Multi-Transfer Signature Required', reorderedRejected && getAccount('alice').bal === alice.bal &&
+        getAccount('alice').nonce === alice.nonce, 'Recipients in another order than alice signed are rejected and nothing moves');
+    } catch (error) {
+      logTest('Multi-Transfer Witness', false, error.message);
+    }
+    
+    try {
+      const before = Object.fromEntries(['alice', 'bob', 'carol'].map(id => [id, getHolding(ACCOUNT_TOKEN, id).state]));
+      const paid = await multiTransfer(ACCOUNT_TOKEN, 'alice', payroll, signPayroll(payroll));
+      bobGoldCredited += 100;
+      const payrollRow = getTransaction(paid.txId);
+      const audit = await verifyTransaction(paid.txId);
+      const moved = (id) => BigInt(getHolding(ACCOUNT_TOKEN, id).state) - BigInt(before[id]);
+      logProofTest(['multi_transfer'], 'Multi-Transfer', moved('alice') === -150n && moved('bob') === 100n && moved('carol') === 50n &&
+        BigInt(getHolding(ACCOUNT_TOKEN, 'alice').state) === getAccount('alice').bal &&
+        payrollRow.operation === 'multi_transfer' && payrollRow.recipients.length === 2 &&
+        String(getStateRoot()) === paid.rootAfter && audit?.valid,
+        `150 ${ACCOUNT_TOKEN} from alice to bob and carol, one proof and one tx_logs row with two recipient records`);
+    } catch (error) {
+      logProofTest(['multi_transfer'], 'Multi-Transfer', false, error.message);
+    }
+
+    // Test 16: Final token states
+    console.log('\n1️⃣6️⃣ Final State Validation');
+    console.log('   Checking final token states...');
+    
+    const aliceGold = getHolding('GOLD', 'alice');
+    const bobGold = getHolding('GOLD', 'bob');
+    const aliceSilver = getHolding('SILVER', 'alice');
+    const bobSilver = getHolding('SILVER', 'bob');
+    
+    logProofTest(['transfer'], 'GOLD Sender Holding', BigInt(aliceGold.state) < BigInt(initialHoldings.aliceGold), 
+      `Alice GOLD balance: ${aliceGold.state} (should be reduced from ${initialHoldings.aliceGold})`);
+    logProofTest(['transfer'], 'GOLD Receiver Holding', BigInt(bobGold.state) === BigInt(initialHoldings.bobGold) + BigInt(100 - 75 + bobGoldCredited), 
+      `Bob GOLD balance: ${bobGold.state} (should be credited 100, debited the 75 sent to carol and credited ${bobGoldCredited} by later tests)`);
+    logProofTest(['generic_state_transfer'], 'SILVER Sender Holding', aliceSilver.state < initialHoldings.aliceSilver, 
+      `Alice SILVER balance: ${aliceSilver.state} (should be reduced from ${initialHoldings.aliceSilver})`);
+    logProofTest(['generic_state_transfer'], 'SILVER Receiver Holding', bobSilver.state > initialHoldings.bobSilver, 
+      `Bob SILVER balance: ${bobSilver.state} (should be credited from ${initialHoldings.bobSilver})`);
+
     // Summary
     console.log('\n📊 Test Summary');
     console.log(`   Total Tests: ${results.passed + results.failed}`);
     console.log(`   ✅ Passed: ${results.passed}`);
     console.log(`   ❌ Failed: ${results.failed}`);
+    if (results.skipped.length > 0) {
+      console.log(`   ⏭️ Skipped: ${results.skipped.length} (no proving key for ${unbuiltCircuits.join(', ')}; run npm run build, then npm test)`);
+    }
     console.log(`   Success Rate: ${Math.round((results.passed / (results.passed + results.failed)) * 100)}%`);
 
-    if (results.failed === 0) {
+    if (results.failed === 0 && results.skipped.length > 0) {
+      console.log('\n✅ All tests that ran passed; the skipped ones need the circuits built with npm run build.');
+    } else if (results.failed === 0) {
       console.log('\n🎉 All tests passed! The token system is working correctly.');
       console.log('\n🚀 System Status:');
       console.log('   ✅ Token-based architecture implemented');